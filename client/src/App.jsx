@@ -9,15 +9,22 @@ import { GoogleOAuthProvider } from '@react-oauth/google';
 import { Toaster } from 'react-hot-toast';
 import { AuthProvider } from './context/AuthContext';
 import ProtectedRoute from './components/auth/ProtectedRoute';
+import ReauthenticateDialog from './components/auth/ReauthenticateDialog';
 
 // Pages
 import Login from './pages/Login';
+import TwoFactorLogin from './pages/TwoFactorLogin';
 import Signup from './pages/Signup';
 import Dashboard from './pages/Dashboard';
+import Settings from './pages/Settings';
 import ForgotPassword from './pages/ForgotPassword';
 import ResetPassword from './pages/ResetPassword';
+import RecoverAccount from './pages/RecoverAccount';
 import VerifyEmail from './pages/VerifyEmail';
+import MagicLogin from './pages/MagicLogin';
+import EmailChange from './pages/EmailChange';
 import ResendVerification from './pages/ResendVerification';
+import OAuthConsent from './pages/OAuthConsent';
 
 // Get Google Client ID from environment
 const GOOGLE_CLIENT_ID = import.meta.env.VITE_GOOGLE_CLIENT_ID;
@@ -53,14 +60,25 @@ function App() {
             }}
           />
 
+          {/* Password prompt for sensitive actions (recent login required) */}
+          <ReauthenticateDialog />
+
           {/* Routes */}
           <Routes>
             {/* Public Routes */}
             <Route path="/login" element={<Login />} />
+            <Route path="/login/2fa" element={<TwoFactorLogin />} />
             <Route path="/signup" element={<Signup />} />
             <Route path="/forgot-password" element={<ForgotPassword />} />
             <Route path="/reset-password/:token" element={<ResetPassword />} />
+            <Route path="/recover-account" element={<RecoverAccount />} />
             <Route path="/verify-email/:token" element={<VerifyEmail />} />
+            <Route path="/magic-login/:token" element={<MagicLogin />} />
+            <Route path="/confirm-email-change/:token" element={<EmailChange />} />
+            <Route
+              path="/revert-email-change/:token"
+              element={<EmailChange revert />}
+            />
             <Route
               path="/resend-verification"
               element={<ResendVerification />}
@@ -76,6 +94,25 @@ function App() {
               }
             />
 
+            <Route
+              path="/settings"
+              element={
+                <ProtectedRoute>
+                  <Settings />
+                </ProtectedRoute>
+              }
+            />
+
+            {/* "Sign in with ..." consent for our other apps (OpenID Connect) */}
+            <Route
+              path="/oauth/consent"
+              element={
+                <ProtectedRoute>
+                  <OAuthConsent />
+                </ProtectedRoute>
+              }
+            />
+
             {/* Redirect root to dashboard or login */}
             <Route path="/" element={<Navigate to="/dashboard" replace />} />
 
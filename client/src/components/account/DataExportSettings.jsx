@@ -0,0 +1,70 @@
+/**
+ * Data Export Settings Component
+ *
+ * Downloads everything stored about the user as a JSON file. Large
+ * accounts get the file by email instead (the server answers 202).
+ */
+
+import { useState } from 'react';
+import { Download } from 'lucide-react';
+import { authAPI, getErrorMessage } from '../../services/api';
+import Button from '../common/Button';
+import toast from 'react-hot-toast';
+
+/**
+ * Save JSON data as a file in the browser
+ */
+const saveFile = (data, filename) => {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+
+  URL.revokeObjectURL(url);
+};
+
+const DataExportSettings = () => {
+  const [isExporting, setIsExporting] = useState(false);
+
+  const exportData = async () => {
+    setIsExporting(true);
+
+    try {
+      const response = await authAPI.exportData();
+
+      if (response.status === 202) {
+        toast.success(response.data.message);
+      } else {
+        // Same name as the server's Content-Disposition
+        saveFile(response.data, `account-data-${new Date().toISOString().slice(0, 10)}.json`);
+      }
+    } catch (error) {
+      toast.error(getErrorMessage(error));
+    }
+
+    setIsExporting(false);
+  };
+
+  return (
+    <div className="card mt-8">
+      <h3 className="text-xl font-semibold mb-2 flex items-center gap-2">
+        <Download className="text-primary-600" size={22} />
+        Your Data
+      </h3>
+      <p className="text-gray-600 mb-4">
+        Download a copy of everything we store about you: profile, sign-in
+        methods, sessions and security activity. Large accounts receive a
+        download link by email.
+      </p>
+
+      <Button variant="secondary" icon={Download} loading={isExporting} onClick={exportData}>
+        Download my data
+      </Button>
+    </div>
+  );
+};
+
+export default DataExportSettings;
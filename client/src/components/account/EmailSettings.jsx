@@ -0,0 +1,76 @@
+/**
+ * Email Settings Component
+ *
+ * Changes the account's email address. The new address only replaces the
+ * current one once the link sent to it is clicked; then every device is
+ * signed out and the old address is told about the change.
+ */
+
+import { useState } from 'react';
+import { Mail } from 'lucide-react';
+import { authAPI, getErrorMessage } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import Input from '../common/Input';
+import Button from '../common/Button';
+import toast from 'react-hot-toast';
+
+const EmailSettings = () => {
+  const { user, updateUser } = useAuth();
+  const [email, setEmail] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const requestChange = async (event) => {
+    event.preventDefault();
+    setIsSaving(true);
+
+    try {
+      const { data } = await authAPI.updateProfile({ email: email.trim() });
+      toast.success(data.message);
+      updateUser({ ...user, pendingEmail: data.data.user.pendingEmail });
+      setEmail('');
+    } catch (error) {
+      toast.error(getErrorMessage(error));
+    }
+
+    setIsSaving(false);
+  };
+
+  return (
+    <div className="card mt-8">
+      <h3 className="text-xl font-semibold mb-2 flex items-center gap-2">
+        <Mail className="text-primary-600" size={22} />
+        Email Address
+      </h3>
+      <p className="text-gray-600 mb-4">
+        Your email is <strong>{user?.email}</strong>. To change it, enter the
+        new address: we'll send it a confirmation link. You'll be signed out of
+        all devices once it's confirmed.
+      </p>
+
+      {user?.pendingEmail && (
+        <p className="text-sm text-yellow-800 bg-yellow-50 rounded px-3 py-2 mb-4">
+          Waiting for confirmation of <strong>{user.pendingEmail}</strong>. Check
+          that inbox for the link.
+        </p>
+      )}
+
+      <form onSubmit={requestChange} className="flex flex-wrap items-end gap-3 max-w-md">
+        <div className="flex-1">
+          <Input
+            label="New email"
+            type="email"
+            placeholder="you@example.com"
+            required
+            value={email}
+            onChange={(event) => setEmail(event.target.value)}
+          />
+        </div>
+        <Button type="submit" loading={isSaving} disabled={!email.trim()}>
+          Change email
+        </Button>
+      </form>
+    </div>
+  );
+};
+
+export default EmailSettings;
@@ -0,0 +1,136 @@
+/**
+ * Passkey Settings Component
+ *
+ * Lists the user's passkeys, adds new ones (browser prompt: Touch ID,
+ * Windows Hello, phone, security key...) and removes them.
+ * Once a passkey is added, password logins also ask for it.
+ */
+
+import { useEffect, useState } from 'react';
+import { startRegistration, browserSupportsWebAuthn } from '@simplewebauthn/browser';
+import { Fingerprint, Trash2 } from 'lucide-react';
+import { passkeyAPI, getErrorMessage } from '../../services/api';
+import Input from '../common/Input';
+import Button from '../common/Button';
+import toast from 'react-hot-toast';
+
+const PasskeySettings = () => {
+  const [passkeys, setPasskeys] = useState([]);
+  const [name, setName] = useState('');
+  const [isAdding, setIsAdding] = useState(false);
+  const [removingId, setRemovingId] = useState(null);
+
+  const loadPasskeys = async () => {
+    try {
+      const { data } = await passkeyAPI.list();
+      setPasskeys(data.data.passkeys);
+    } catch (error) {
+      console.error('Failed to load passkeys:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadPasskeys();
+  }, []);
+
+  const addPasskey = async () => {
+    setIsAdding(true);
+
+    try {
+      const { data } = await passkeyAPI.registrationOptions();
+      const response = await startRegistration({ optionsJSON: data.data.options });
+
+      const result = await passkeyAPI.register(
+        data.data.challengeToken,
+        response,
+        name.trim() || undefined
+      );
+
+      toast.success(result.data.message);
+      setName('');
+      await loadPasskeys();
+    } catch (error) {
+      toast.error(getErrorMessage(error));
+    }
+
+    setIsAdding(false);
+  };
+
+  const removePasskey = async (id) => {
+    setRemovingId(id);
+
+    try {
+      const { data } = await passkeyAPI.remove(id);
+      toast.success(data.message);
+      setPasskeys((current) => current.filter((passkey) => passkey.id !== id));
+    } catch (error) {
+      toast.error(getErrorMessage(error));
+    }
+
+    setRemovingId(null);
+  };
+
+  return (
+    <div className="card mt-8">
+      <h3 className="text-xl font-semibold mb-2 flex items-center gap-2">
+        <Fingerprint className="text-primary-600" size={22} />
+        Passkeys
+      </h3>
+      <p className="text-gray-600 mb-4">
+        Sign in with your fingerprint, face or device PIN instead of a password.
+        Once you add a passkey, password logins also ask for it.
+      </p>
+
+      {/* Registered passkeys */}
+      {passkeys.length > 0 && (
+        <ul className="divide-y divide-gray-200 mb-4">
+          {passkeys.map((passkey) => (
+            <li key={passkey.id} className="py-3 flex items-center justify-between gap-4">
+              <div>
+                <p className="font-medium text-gray-900">{passkey.name}</p>
+                <p className="text-sm text-gray-500">
+                  Added {new Date(passkey.createdAt).toLocaleDateString()}
+                  {passkey.lastUsedAt &&
+                    ` · Last used ${new Date(passkey.lastUsedAt).toLocaleDateString()}`}
+                  {passkey.backedUp && ' · Synced'}
+                </p>
+              </div>
+              <Button
+                variant="ghost"
+                icon={Trash2}
+                loading={removingId === passkey.id}
+                onClick={() => removePasskey(passkey.id)}
+              >
+                Remove
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Add a passkey */}
+      {browserSupportsWebAuthn() ? (
+        <div className="flex flex-wrap items-end gap-3 max-w-md">
+          <div className="flex-1">
+            <Input
+              label="Name (optional)"
+              placeholder="e.g. MacBook"
+              maxLength={100}
+              value={name}
+              onChange={(event) => setName(event.target.value)}
+            />
+          </div>
+          <Button loading={isAdding} onClick={addPasskey}>
+            Add passkey
+          </Button>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">
+          This browser doesn't support passkeys.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PasskeySettings;
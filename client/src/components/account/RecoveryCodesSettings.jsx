@@ -0,0 +1,141 @@
+/**
+ * Recovery Codes Settings Component
+ *
+ * Generates single-use recovery codes: with one of them, the user can set
+ * a new password without the password reset email (lost mailbox).
+ * The codes are shown once, right after they are generated.
+ */
+
+import { useEffect, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { LifeBuoy, Lock } from 'lucide-react';
+import { authAPI, getErrorMessage } from '../../services/api';
+import Input from '../common/Input';
+import Button from '../common/Button';
+import toast from 'react-hot-toast';
+
+const RecoveryCodesSettings = () => {
+  const [remaining, setRemaining] = useState(null);
+  const [isGenerating, setIsGenerating] = useState(false);
+  // Freshly generated codes (only available until the page is left)
+  const [codes, setCodes] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors, isSubmitting },
+  } = useForm();
+
+  useEffect(() => {
+    const loadStatus = async () => {
+      try {
+        const { data } = await authAPI.getRecoveryCodeStatus();
+        setRemaining(data.data.remaining);
+      } catch (error) {
+        console.error('Failed to load recovery codes:', error);
+      }
+    };
+
+    loadStatus();
+  }, []);
+
+  const onGenerate = async ({ password }) => {
+    try {
+      const { data } = await authAPI.generateRecoveryCodes(password);
+
+      setCodes(data.data.codes);
+      setRemaining(data.data.codes.length);
+      setIsGenerating(false);
+      reset();
+      toast.success('New recovery codes generated');
+    } catch (error) {
+      toast.error(getErrorMessage(error));
+    }
+  };
+
+  const copyCodes = async () => {
+    await navigator.clipboard.writeText(codes.join('\n'));
+    toast.success('Copied to clipboard');
+  };
+
+  return (
+    <div className="card mt-8">
+      <h3 className="text-xl font-semibold mb-2 flex items-center gap-2">
+        <LifeBuoy className="text-primary-600" size={22} />
+        Recovery Codes
+      </h3>
+      <p className="text-gray-600 mb-4">
+        If you lose access to your email, a recovery code lets you set a new
+        password. Each code works once.
+        {remaining !== null && (
+          <>
+            {' '}
+            You have <span className="font-medium">{remaining}</span> unused
+            code{remaining === 1 ? '' : 's'}.
+          </>
+        )}
+      </p>
+
+      {/* Codes just generated */}
+      {codes && (
+        <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 mb-4">
+          <p className="text-sm text-amber-900 mb-3">
+            Save these codes somewhere safe. They won't be shown again.
+          </p>
+          <ul className="grid grid-cols-2 gap-2 font-mono text-sm mb-3">
+            {codes.map((code) => (
+              <li key={code}>{code}</li>
+            ))}
+          </ul>
+          <div className="flex gap-3">
+            <Button variant="secondary" onClick={copyCodes}>
+              Copy
+            </Button>
+            <Button variant="ghost" onClick={() => setCodes(null)}>
+              I saved them
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {/* Confirm with password */}
+      {isGenerating ? (
+        <form onSubmit={handleSubmit(onGenerate)} className="space-y-4 max-w-sm">
+          <Input
+            label="Password"
+            type="password"
+            icon={Lock}
+            error={errors.password}
+            {...register('password', { required: 'Password is required' })}
+          />
+          <p className="text-xs text-gray-500">
+            Generating new codes invalidates the old ones.
+          </p>
+          <div className="flex gap-3">
+            <Button
+              variant="secondary"
+              onClick={() => {
+                setIsGenerating(false);
+                reset();
+              }}
+            >
+              Cancel
+            </Button>
+            <Button type="submit" loading={isSubmitting}>
+              Generate
+            </Button>
+          </div>
+        </form>
+      ) : (
+        !codes && (
+          <Button onClick={() => setIsGenerating(true)}>
+            {remaining ? 'Generate new codes' : 'Generate codes'}
+          </Button>
+        )
+      )}
+    </div>
+  );
+};
+
+export default RecoveryCodesSettings;
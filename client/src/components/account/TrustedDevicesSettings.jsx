@@ -0,0 +1,114 @@
+/**
+ * Trusted Devices Settings Component
+ *
+ * Lists the browsers that were confirmed with an emailed code (they skip
+ * it on password logins) and forgets them, one or all.
+ */
+
+import { useEffect, useState } from 'react';
+import { MonitorSmartphone, Trash2 } from 'lucide-react';
+import { authAPI, getErrorMessage } from '../../services/api';
+import Button from '../common/Button';
+import toast from 'react-hot-toast';
+
+const TrustedDevicesSettings = () => {
+  const [devices, setDevices] = useState([]);
+  const [removingId, setRemovingId] = useState(null);
+  const [isRemovingAll, setIsRemovingAll] = useState(false);
+
+  const loadDevices = async () => {
+    try {
+      const { data } = await authAPI.getTrustedDevices();
+      setDevices(data.data.devices);
+    } catch (error) {
+      console.error('Failed to load trusted devices:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadDevices();
+  }, []);
+
+  const forgetDevice = async (id) => {
+    setRemovingId(id);
+
+    try {
+      const { data } = await authAPI.forgetTrustedDevice(id);
+      toast.success(data.message);
+      setDevices((current) => current.filter((device) => device.id !== id));
+    } catch (error) {
+      toast.error(getErrorMessage(error));
+    }
+
+    setRemovingId(null);
+  };
+
+  const forgetAll = async () => {
+    setIsRemovingAll(true);
+
+    try {
+      const { data } = await authAPI.forgetAllTrustedDevices();
+      toast.success(data.message);
+      setDevices([]);
+    } catch (error) {
+      toast.error(getErrorMessage(error));
+    }
+
+    setIsRemovingAll(false);
+  };
+
+  return (
+    <div className="card mt-8">
+      <h3 className="text-xl font-semibold mb-2 flex items-center gap-2">
+        <MonitorSmartphone className="text-primary-600" size={22} />
+        Trusted Devices
+      </h3>
+      <p className="text-gray-600 mb-4">
+        When you sign in with your password from a new browser, we email you a
+        code first. These browsers were confirmed and don't need one.
+      </p>
+
+      {devices.length > 0 ? (
+        <>
+          <ul className="divide-y divide-gray-200 mb-4">
+            {devices.map((device) => (
+              <li key={device.id} className="py-3 flex items-center justify-between gap-4">
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {device.device}
+                    {device.current && (
+                      <span className="ml-2 text-xs font-medium text-green-700 bg-green-100 rounded px-2 py-0.5">
+                        This browser
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    {device.ip && `${device.ip} · `}
+                    Last used {new Date(device.lastUsedAt).toLocaleDateString()}
+                    {` · Trusted until ${new Date(device.expiresAt).toLocaleDateString()}`}
+                  </p>
+                </div>
+                <Button
+                  variant="ghost"
+                  icon={Trash2}
+                  loading={removingId === device.id}
+                  onClick={() => forgetDevice(device.id)}
+                >
+                  Forget
+                </Button>
+              </li>
+            ))}
+          </ul>
+
+          <Button variant="secondary" loading={isRemovingAll} onClick={forgetAll}>
+            Forget all devices
+          </Button>
+        </>
+      ) : (
+        <p className="text-sm text-gray-500">No trusted devices yet.</p>
+      )}
+    </div>
+  );
+};
+
+export default TrustedDevicesSettings;
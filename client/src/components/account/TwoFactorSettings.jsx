@@ -0,0 +1,168 @@
+/**
+ * Two-Factor Settings Component
+ *
+ * Turns two-factor authentication on (scan a QR code, confirm with the
+ * first code) or off (password + current code).
+ */
+
+import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { KeyRound, Lock, ShieldCheck } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { authAPI, getErrorMessage } from '../../services/api';
+import Input from '../common/Input';
+import Button from '../common/Button';
+import toast from 'react-hot-toast';
+
+const CODE_RULES = {
+  required: 'Code is required',
+  pattern: {
+    value: /^\d{6}$/,
+    message: 'Code must be 6 digits',
+  },
+};
+
+const TwoFactorSettings = () => {
+  const { user, refreshUser } = useAuth();
+
+  // Enrollment in progress: { qrCode, secret }
+  const [setup, setSetup] = useState(null);
+  const [isDisabling, setIsDisabling] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors, isSubmitting },
+  } = useForm();
+
+  const startSetup = async () => {
+    setIsLoading(true);
+
+    try {
+      const { data } = await authAPI.setupTwoFactor();
+      setSetup(data.data);
+    } catch (error) {
+      toast.error(getErrorMessage(error));
+    }
+
+    setIsLoading(false);
+  };
+
+  const finish = async (request) => {
+    try {
+      const { data } = await request();
+      toast.success(data.message);
+
+      setSetup(null);
+      setIsDisabling(false);
+      reset();
+      await refreshUser();
+    } catch (error) {
+      toast.error(getErrorMessage(error));
+    }
+  };
+
+  const onEnable = ({ code }) => finish(() => authAPI.enableTwoFactor(code));
+
+  const onDisable = ({ password, code }) =>
+    finish(() => authAPI.disableTwoFactor(password, code));
+
+  const cancel = () => {
+    setSetup(null);
+    setIsDisabling(false);
+    reset();
+  };
+
+  return (
+    <div className="card mt-8">
+      <h3 className="text-xl font-semibold mb-2 flex items-center gap-2">
+        <ShieldCheck className="text-primary-600" size={22} />
+        Two-Factor Authentication
+      </h3>
+
+      {/* Enabled */}
+      {user?.twoFactorEnabled && !isDisabling && (
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <p className="text-green-600">✓ On: logins need a code from your authenticator app.</p>
+          <Button variant="secondary" onClick={() => setIsDisabling(true)}>
+            Turn off
+          </Button>
+        </div>
+      )}
+
+      {/* Disabling: password + current code */}
+      {user?.twoFactorEnabled && isDisabling && (
+        <form onSubmit={handleSubmit(onDisable)} className="space-y-4 max-w-sm">
+          <Input
+            label="Password"
+            type="password"
+            icon={Lock}
+            error={errors.password}
+            {...register('password', { required: 'Password is required' })}
+          />
+          <Input
+            label="Code"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            icon={KeyRound}
+            error={errors.code}
+            {...register('code', CODE_RULES)}
+          />
+          <div className="flex gap-3">
+            <Button variant="secondary" onClick={cancel}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="danger" loading={isSubmitting}>
+              Turn off
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {/* Disabled */}
+      {!user?.twoFactorEnabled && !setup && (
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <p className="text-gray-600">
+            Protect your account with a code from an authenticator app.
+          </p>
+          <Button loading={isLoading} onClick={startSetup}>
+            Set up
+          </Button>
+        </div>
+      )}
+
+      {/* Enrollment: scan, then confirm with the first code */}
+      {!user?.twoFactorEnabled && setup && (
+        <form onSubmit={handleSubmit(onEnable)} className="space-y-4 max-w-sm">
+          <p className="text-gray-600">
+            Scan this QR code with your authenticator app, then enter the code it shows.
+          </p>
+          <img src={setup.qrCode} alt="Two-factor QR code" className="w-48 h-48" />
+          <p className="text-xs text-gray-500 break-all">
+            Can't scan it? Enter this key: <span className="font-mono">{setup.secret}</span>
+          </p>
+          <Input
+            label="Code"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            icon={KeyRound}
+            error={errors.code}
+            {...register('code', CODE_RULES)}
+          />
+          <div className="flex gap-3">
+            <Button variant="secondary" onClick={cancel}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={isSubmitting}>
+              Turn on
+            </Button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
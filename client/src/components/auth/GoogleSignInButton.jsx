@@ -10,28 +10,46 @@
 import { GoogleLogin } from '@react-oauth/google';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
-import { authAPI, getErrorMessage } from '../../services/api';
+import { authAPI, getErrorMessage, authStorage } from '../../services/api';
 import toast from 'react-hot-toast';
 
-const GoogleSignInButton = () => {
+/**
+ * @param {boolean} rememberMe - Long-lived session instead of a browser session
+ * @param {string} redirectTo - Page to open after login
+ */
+const GoogleSignInButton = ({ rememberMe = false, redirectTo = '/dashboard' }) => {
   const navigate = useNavigate();
   const { updateUser } = useAuth();
 
   const handleSuccess = async (credentialResponse) => {
     try {
       // Send the idToken to backend
-      const { data } = await authAPI.googleLogin(credentialResponse.credential);
+      const { data } = await authAPI.googleLogin(
+        credentialResponse.credential,
+        rememberMe
+      );
+
+      // 2FA on: Google was the first factor, the code comes next
+      if (data.data.twoFactorRequired) {
+        navigate('/login/2fa', {
+          state: {
+            challengeToken: data.data.challengeToken,
+            methods: data.data.methods,
+            redirectTo,
+          },
+        });
+        return;
+      }
 
-      // Save tokens
-      localStorage.setItem('accessToken', data.data.accessToken);
-      localStorage.setItem('refreshToken', data.data.refreshToken);
-      localStorage.setItem('user', JSON.stringify(data.data.user));
+      // Save tokens and user (cookie mode: tokens are httpOnly cookies)
+      authStorage.save(data.data);
 
       // Update auth context
       updateUser(data.data.user);
 
-      toast.success('Login successful!');
-      navigate('/dashboard');
+      // Deleted account restored by this login: say so
+      toast.success(data.data.restored ? data.message : 'Login successful!');
+      navigate(redirectTo);
     } catch (error) {
       toast.error(getErrorMessage(error));
     }
@@ -2,15 +2,17 @@
  * Protected Route Component
  *
  * Wrapper for routes that require authentication.
- * Redirects to login if user is not authenticated.
+ * Redirects to login if user is not authenticated, remembering the page
+ * so login can return to it.
  */
 
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import { Loader2 } from 'lucide-react';
 
 const ProtectedRoute = ({ children }) => {
   const { isAuthenticated, loading } = useAuth();
+  const location = useLocation();
 
   // Show loading spinner while checking auth
   if (loading) {
@@ -23,7 +25,7 @@ const ProtectedRoute = ({ children }) => {
 
   // Redirect to login if not authenticated
   if (!isAuthenticated) {
-    return <Navigate to="/login" replace />;
+    return <Navigate to="/login" replace state={{ from: location }} />;
   }
 
   // Render children if authenticated
@@ -0,0 +1,127 @@
+/**
+ * Re-authenticate Dialog
+ *
+ * Sensitive actions (change password, delete account) need a recent login.
+ * When the API asks for it, this dialog asks for the password (or a new
+ * Google sign-in), then the request is sent again - see
+ * setReauthenticationHandler in services/api.js.
+ *
+ * Rendered once, inside AuthProvider (App.jsx).
+ */
+
+import { useEffect, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { GoogleLogin } from '@react-oauth/google';
+import { Lock, ShieldAlert } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import {
+  authAPI,
+  authStorage,
+  getErrorMessage,
+  setReauthenticationHandler,
+} from '../../services/api';
+import Input from '../common/Input';
+import Button from '../common/Button';
+import toast from 'react-hot-toast';
+
+const ReauthenticateDialog = () => {
+  const { user } = useAuth();
+
+  // Waiting request: { resolve, reject } (null = dialog closed)
+  const [pending, setPending] = useState(null);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors, isSubmitting },
+  } = useForm();
+
+  useEffect(() => {
+    setReauthenticationHandler(
+      () => new Promise((resolve, reject) => setPending({ resolve, reject }))
+    );
+
+    return () => setReauthenticationHandler(null);
+  }, []);
+
+  const close = () => {
+    setPending(null);
+    reset();
+  };
+
+  // credentials: { password } or { idToken }
+  const confirm = async (credentials) => {
+    try {
+      const { data } = await authAPI.reauthenticate(credentials);
+
+      // New access token with a fresh auth_time (cookie mode: new cookie)
+      authStorage.save(data.data);
+
+      pending.resolve(data.data.accessToken);
+      close();
+    } catch (error) {
+      toast.error(getErrorMessage(error));
+    }
+  };
+
+  const cancel = () => {
+    pending.reject(new Error('Re-authentication cancelled'));
+    close();
+  };
+
+  if (!pending) {
+    return null;
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 px-4">
+      <div className="card max-w-md w-full" role="dialog" aria-modal="true">
+        <h3 className="text-xl font-semibold mb-2 flex items-center gap-2">
+          <ShieldAlert size={22} className="text-primary-600" />
+          Confirm it's you
+        </h3>
+        <p className="text-gray-600 mb-4">
+          For your security, enter your password again to continue.
+        </p>
+
+        <form onSubmit={handleSubmit(confirm)} className="space-y-4">
+          <Input
+            label="Password"
+            type="password"
+            placeholder="Enter your password"
+            icon={Lock}
+            autoFocus
+            error={errors.password}
+            {...register('password', { required: 'Password is required' })}
+          />
+
+          <div className="flex gap-2">
+            <Button type="submit" loading={isSubmitting}>
+              Continue
+            </Button>
+            <Button variant="ghost" onClick={cancel}>
+              Cancel
+            </Button>
+          </div>
+        </form>
+
+        {/* Google accounts (may have no password) */}
+        {user?.googleLinked && (
+          <div className="mt-6 pt-6 border-t border-gray-200">
+            <p className="text-sm text-gray-600 mb-3">Or confirm with Google:</p>
+            <GoogleLogin
+              onSuccess={({ credential }) => confirm({ idToken: credential })}
+              onError={() => toast.error('Google Sign-In failed. Please try again.')}
+              theme="outline"
+              text="continue_with"
+              shape="rectangular"
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReauthenticateDialog;
@@ -6,9 +6,14 @@
  * FEATURES:
  * - User state management
  * - Login/logout functions
- * - Persistent authentication (localStorage)
+ * - Persistent authentication (localStorage, sessionStorage without "remember me",
+ *   or httpOnly cookies in cookie mode)
  * - Loading states
  * - Auto-fetch user on mount
+ * - Admin impersonation (act as a user, see authStorage)
+ * - Two-factor login (password, then a code from the authenticator app or a passkey)
+ * - New-device confirmation (password from an unknown browser, then a code by email)
+ * - Passwordless login with a passkey (WebAuthn) or an emailed link
  * 
  * CONTEXT API PATTERN:
  * 1. Create context
@@ -18,7 +23,8 @@
  */
 
 import { createContext, useState, useEffect, useContext } from 'react';
-import { authAPI, getErrorMessage } from '../services/api';
+import { startAuthentication } from '@simplewebauthn/browser';
+import { authAPI, adminAPI, passkeyAPI, getErrorMessage, authStorage } from '../services/api';
 import toast from 'react-hot-toast';
 
 /**
@@ -35,25 +41,27 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
+  // Admin acting as `user` ({ id, email }), null for normal logins
+  const [impersonator, setImpersonator] = useState(null);
 
   /**
-   * Initialize auth state from localStorage
+   * Initialize auth state from storage
    * Runs once on mount
    */
   useEffect(() => {
     const initAuth = async () => {
-      const token = localStorage.getItem('accessToken');
-      const storedUser = localStorage.getItem('user');
+      const storedUser = authStorage.getUser();
 
-      if (token && storedUser) {
+      if (authStorage.hasTokens() && storedUser) {
         try {
           // Verify token is still valid by fetching user
           const { data } = await authAPI.getMe();
           setUser(data.data.user);
+          setImpersonator(data.data.impersonator || null);
           setIsAuthenticated(true);
           
           // Update stored user
-          localStorage.setItem('user', JSON.stringify(data.data.user));
+          authStorage.saveUser(data.data.user);
         } catch (error) {
           // Token invalid, clear storage
           console.error('Auth initialization failed:', error);
@@ -72,31 +80,52 @@ export const AuthProvider = ({ children }) => {
    */
   const clearAuth = () => {
     setUser(null);
+    setImpersonator(null);
     setIsAuthenticated(false);
-    localStorage.removeItem('accessToken');
-    localStorage.removeItem('refreshToken');
-    localStorage.removeItem('user');
+    authStorage.clear();
   };
 
   /**
    * Login function
+   * 
+   * Users with 2FA get { twoFactorRequired, challengeToken }:
+   * the login finishes with completeTwoFactorLogin.
+   * From an unknown browser: { deviceConfirmationRequired, challengeToken },
+   * finished by confirmDevice with the code sent by email.
    */
   const login = async (credentials) => {
     try {
       const { data } = await authAPI.login(credentials);
+
+      if (data.data.twoFactorRequired) {
+        return {
+          success: true,
+          twoFactorRequired: true,
+          challengeToken: data.data.challengeToken,
+          methods: data.data.methods,
+        };
+      }
+
+      if (data.data.deviceConfirmationRequired) {
+        toast.success(data.message);
+        return {
+          success: true,
+          deviceConfirmationRequired: true,
+          challengeToken: data.data.challengeToken,
+        };
+      }
       
-      const { accessToken, refreshToken, user: userData } = data.data;
+      const { user: userData } = data.data;
 
-      // Store tokens
-      localStorage.setItem('accessToken', accessToken);
-      localStorage.setItem('refreshToken', refreshToken);
-      localStorage.setItem('user', JSON.stringify(userData));
+      // Store tokens and user (cookie mode: tokens are httpOnly cookies)
+      authStorage.save(data.data);
 
       // Update state
       setUser(userData);
       setIsAuthenticated(true);
 
-      toast.success('Login successful!');
+      // Deleted account restored by this login: say so
+      toast.success(data.data.restored ? data.message : 'Login successful!');
       
       return { success: true };
     } catch (error) {
@@ -106,6 +135,125 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Run a login request that ends with tokens (second step, passkey)
+   */
+  const completeLogin = async (request) => {
+    try {
+      const { data } = await request();
+
+      authStorage.save(data.data);
+
+      setUser(data.data.user);
+      setIsAuthenticated(true);
+
+      // Deleted account restored once the login completed: say so
+      toast.success(data.data.restored ? data.message : 'Login successful!');
+
+      return { success: true };
+    } catch (error) {
+      const message = getErrorMessage(error);
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  /**
+   * Second login step: code from the authenticator app
+   */
+  const completeTwoFactorLogin = (challengeToken, code) =>
+    completeLogin(() => authAPI.completeTwoFactorLogin(challengeToken, code));
+
+  /**
+   * Second login step from an unknown browser: code sent by email
+   * (the browser is trusted afterwards)
+   */
+  const confirmDevice = (challengeToken, code) =>
+    completeLogin(() => authAPI.confirmDevice(challengeToken, code));
+
+  /**
+   * Second login step: passkey of the user
+   */
+  const completePasskeySecondFactor = (challengeToken) =>
+    completeLogin(async () => {
+      const { data } = await passkeyAPI.secondFactorOptions(challengeToken);
+      const response = await startAuthentication({ optionsJSON: data.data.options });
+
+      return passkeyAPI.completeSecondFactor(
+        challengeToken,
+        data.data.passkeyChallengeToken,
+        response
+      );
+    });
+
+  /**
+   * Sign in with the token of an emailed link
+   * 
+   * Like login, 2FA users get { twoFactorRequired, challengeToken }
+   */
+  const loginWithMagicLink = async (token, rememberMe = false) => {
+    try {
+      const { data } = await authAPI.loginWithMagicLink(token, rememberMe);
+
+      if (data.data.twoFactorRequired) {
+        return {
+          success: true,
+          twoFactorRequired: true,
+          challengeToken: data.data.challengeToken,
+          methods: data.data.methods,
+        };
+      }
+
+      authStorage.save(data.data);
+
+      setUser(data.data.user);
+      setIsAuthenticated(true);
+
+      toast.success('Login successful!');
+
+      return { success: true };
+    } catch (error) {
+      const message = getErrorMessage(error);
+      return { success: false, error: message };
+    }
+  };
+
+  /**
+   * Confirm or revert an email change (token from the emailed link)
+   * 
+   * Either way the server logs out everywhere: this browser too.
+   */
+  const finishEmailChange = async (request) => {
+    try {
+      const { data } = await request();
+
+      clearAuth();
+      toast.success(data.message);
+
+      return { success: true, message: data.message };
+    } catch (error) {
+      const message = getErrorMessage(error);
+      return { success: false, error: message };
+    }
+  };
+
+  const confirmEmailChange = (token) =>
+    finishEmailChange(() => authAPI.confirmEmailChange(token));
+
+  const revertEmailChange = (token) =>
+    finishEmailChange(() => authAPI.revertEmailChange(token));
+
+  /**
+   * Passwordless login: the browser asks which passkey to use
+   */
+  const loginWithPasskey = (rememberMe = false) =>
+    completeLogin(async () => {
+      const { data } = await passkeyAPI.loginOptions();
+      const response = await startAuthentication({ optionsJSON: data.data.options });
+
+      return passkeyAPI.login(data.data.challengeToken, response, rememberMe);
+    });
+
   /**
    * Signup function
    */
@@ -127,6 +275,11 @@ export const AuthProvider = ({ children }) => {
    * Logout function
    */
   const logout = async () => {
+    // Impersonating: only leave the user's account, not the admin's
+    if (impersonator) {
+      return endImpersonation();
+    }
+
     try {
       await authAPI.logout();
     } catch (error) {
@@ -137,12 +290,65 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Logout of all devices (invalidates every token of the user)
+   */
+  const logoutAll = async () => {
+    try {
+      await authAPI.logoutAll();
+      toast.success('Logged out of all devices');
+    } catch (error) {
+      toast.error(getErrorMessage(error));
+    } finally {
+      clearAuth();
+    }
+  };
+
+  /**
+   * Start acting as a user (admins only, every request is audited)
+   */
+  const impersonate = async (userId, reason) => {
+    try {
+      const { data } = await adminAPI.impersonate(userId, reason);
+
+      authStorage.startImpersonation(data.data);
+
+      setImpersonator({ id: user.id, email: user.email });
+      setUser(data.data.user);
+
+      toast.success(data.message);
+      return { success: true };
+    } catch (error) {
+      const message = getErrorMessage(error);
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  /**
+   * Stop impersonating: revoke the act-as token, back to the admin's account
+   */
+  const endImpersonation = async () => {
+    try {
+      await authAPI.endImpersonation();
+    } catch (error) {
+      // Expired tokens end on their own
+      console.error('End impersonation error:', error);
+    }
+
+    authStorage.endImpersonation();
+    setImpersonator(null);
+    setUser(authStorage.getUser());
+
+    toast.success('Impersonation ended');
+  };
+
   /**
    * Update user data
    */
   const updateUser = (userData) => {
     setUser(userData);
-    localStorage.setItem('user', JSON.stringify(userData));
+    authStorage.saveUser(userData);
   };
 
   /**
@@ -152,7 +358,7 @@ export const AuthProvider = ({ children }) => {
     try {
       const { data } = await authAPI.getMe();
       setUser(data.data.user);
-      localStorage.setItem('user', JSON.stringify(data.data.user));
+      authStorage.saveUser(data.data.user);
       return { success: true };
     } catch (error) {
       const message = getErrorMessage(error);
@@ -168,8 +374,19 @@ export const AuthProvider = ({ children }) => {
     loading,
     isAuthenticated,
     login,
+    completeTwoFactorLogin,
+    confirmDevice,
+    completePasskeySecondFactor,
+    loginWithPasskey,
+    loginWithMagicLink,
+    confirmEmailChange,
+    revertEmailChange,
     signup,
     logout,
+    logoutAll,
+    impersonator,
+    impersonate,
+    endImpersonation,
     updateUser,
     refreshUser,
   };
@@ -4,26 +4,61 @@
  * Protected page for authenticated users.
  */
 
+import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { LogOut, User as UserIcon } from 'lucide-react';
+import { Eye, LogOut, MonitorX, Settings as SettingsIcon, User as UserIcon } from 'lucide-react';
 import Button from '../components/common/Button';
 
 const Dashboard = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, logoutAll, impersonator, endImpersonation } = useAuth();
 
   return (
     <div className="min-h-screen bg-gray-50">
+      {/* Impersonation Banner (admin acting as this user) */}
+      {impersonator && (
+        <div className="bg-amber-100 border-b border-amber-300">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex flex-wrap justify-between items-center gap-2">
+            <p className="flex items-center gap-2 text-sm text-amber-900">
+              <Eye size={18} />
+              You are viewing the app as <span className="font-semibold">{user?.email}</span>{' '}
+              (signed in as {impersonator.email}). Your actions are recorded.
+            </p>
+            <Button variant="secondary" onClick={endImpersonation}>
+              End impersonation
+            </Button>
+          </div>
+        </div>
+      )}
+
       {/* Header */}
       <header className="bg-white shadow">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex justify-between items-center">
           <h1 className="text-2xl font-bold text-gray-900">Dashboard</h1>
-          <Button
-            variant="ghost"
-            icon={LogOut}
-            onClick={logout}
-          >
-            Logout
-          </Button>
+          <div className="flex items-center gap-2">
+            {!impersonator && (
+              <>
+                <Link to="/settings">
+                  <Button variant="ghost" icon={SettingsIcon}>
+                    Settings
+                  </Button>
+                </Link>
+                <Button
+                  variant="ghost"
+                  icon={MonitorX}
+                  onClick={logoutAll}
+                >
+                  Log out everywhere
+                </Button>
+              </>
+            )}
+            <Button
+              variant="ghost"
+              icon={LogOut}
+              onClick={logout}
+            >
+              Logout
+            </Button>
+          </div>
         </div>
       </header>
 
@@ -0,0 +1,92 @@
+/**
+ * Email Change Component
+ *
+ * Opened from the links of an email change: confirms the new address
+ * (link sent to it), or reverts the change from the old address
+ * ("this wasn't me"). Both sign out everywhere.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { Loader2, CheckCircle, XCircle } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import Button from '../components/common/Button';
+
+const EmailChange = ({ revert = false }) => {
+  const { token } = useParams();
+  const { confirmEmailChange, revertEmailChange } = useAuth();
+
+  const [status, setStatus] = useState('pending'); // pending, success, error
+  const [message, setMessage] = useState('');
+  // The token works once: don't send it twice (StrictMode runs effects twice)
+  const started = useRef(false);
+
+  useEffect(() => {
+    if (!token || started.current) {
+      return;
+    }
+    started.current = true;
+
+    const finish = async () => {
+      const result = revert
+        ? await revertEmailChange(token)
+        : await confirmEmailChange(token);
+
+      setStatus(result.success ? 'success' : 'error');
+      setMessage(result.success ? result.message : result.error);
+    };
+
+    finish();
+  }, [token, revert, confirmEmailChange, revertEmailChange]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-primary-100 px-4">
+      <div className="card max-w-md w-full text-center">
+        {/* Pending State */}
+        {status === 'pending' && (
+          <>
+            <Loader2 className="animate-spin text-primary-600 mx-auto mb-4" size={48} />
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">
+              {revert ? 'Restoring Your Email' : 'Confirming Your New Email'}
+            </h1>
+            <p className="text-gray-600">Please wait...</p>
+          </>
+        )}
+
+        {/* Success State */}
+        {status === 'success' && (
+          <>
+            <div className="w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mx-auto mb-4">
+              <CheckCircle className="text-green-600" size={32} />
+            </div>
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">
+              {revert ? 'Email Restored' : 'Email Changed'}
+            </h1>
+            <p className="text-gray-600 mb-6">{message}</p>
+            <Link to="/login">
+              <Button className="w-full">Go to Login</Button>
+            </Link>
+          </>
+        )}
+
+        {/* Error State */}
+        {status === 'error' && (
+          <>
+            <div className="w-16 h-16 bg-red-100 rounded-full flex items-center justify-center mx-auto mb-4">
+              <XCircle className="text-red-600" size={32} />
+            </div>
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">
+              Link Not Valid
+            </h1>
+            <p className="text-gray-600 mb-6">{message}</p>
+            <Link to="/login">
+              <Button className="w-full">Back to Login</Button>
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EmailChange;
@@ -131,6 +131,17 @@ const ForgotPassword = () => {
           </Button>
         </form>
 
+        {/* No access to the mailbox */}
+        <p className="mt-6 text-center text-sm text-gray-600">
+          Lost access to your email?{' '}
+          <Link
+            to="/recover-account"
+            className="text-primary-600 hover:text-primary-700 font-medium"
+          >
+            Use a recovery code
+          </Link>
+        </p>
+
         {/* Back to Login */}
         <div className="mt-6 text-center">
           <Link
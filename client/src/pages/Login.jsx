@@ -2,40 +2,177 @@
  * Login Component with Google Sign-In
  *
  * Updated login page that includes Google OAuth.
+ *
+ * From a browser the user hasn't confirmed before, the password is
+ * followed by a second step on this page: the code sent by email.
  */
 
 import { useState } from 'react';
 import { useForm } from 'react-hook-form';
-import { Link, useNavigate } from 'react-router-dom';
-import { Mail, Lock } from 'lucide-react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { Mail, Lock, Fingerprint, Send, KeyRound, MailCheck } from 'lucide-react';
+import { browserSupportsWebAuthn } from '@simplewebauthn/browser';
 import { useAuth } from '../context/AuthContext';
+import { authAPI, getErrorMessage } from '../services/api';
 import Input from '../components/common/Input';
 import Button from '../components/common/Button';
 import GoogleSignInButton from '../components/auth/GoogleSignInButton';
+import toast from 'react-hot-toast';
 
 const Login = () => {
   const navigate = useNavigate();
-  const { login } = useAuth();
+  const location = useLocation();
+  const { login, loginWithPasskey, confirmDevice } = useAuth();
   const [isSubmitting, setIsSubmitting] = useState(false);
+  // Unknown browser: challenge token of the emailed code
+  const [deviceChallenge, setDeviceChallenge] = useState(null);
+  const [isPasskeyLoading, setIsPasskeyLoading] = useState(false);
+  const [isSendingLink, setIsSendingLink] = useState(false);
 
   const {
     register,
     handleSubmit,
+    watch,
+    trigger,
+    getValues,
     formState: { errors },
-  } = useForm();
+  } = useForm({ defaultValues: { rememberMe: false } });
+
+  const codeForm = useForm();
+
+  const rememberMe = watch('rememberMe');
+
+  // Page that sent the user here (ProtectedRoute), e.g. an app's consent page
+  const from = location.state?.from;
+  const redirectTo = from ? `${from.pathname}${from.search}` : '/dashboard';
 
   const onSubmit = async (data) => {
     setIsSubmitting(true);
 
     const result = await login(data);
 
-    if (result.success) {
-      navigate('/dashboard');
+    if (result.twoFactorRequired) {
+      navigate('/login/2fa', {
+        state: {
+          challengeToken: result.challengeToken,
+          methods: result.methods,
+          redirectTo,
+        },
+      });
+    } else if (result.deviceConfirmationRequired) {
+      setDeviceChallenge(result.challengeToken);
+    } else if (result.success) {
+      navigate(redirectTo, { replace: true });
     }
 
     setIsSubmitting(false);
   };
 
+  const onConfirmDevice = async ({ code }) => {
+    const result = await confirmDevice(deviceChallenge, code);
+
+    if (result.success) {
+      navigate(redirectTo, { replace: true });
+    }
+  };
+
+  const onPasskeyLogin = async () => {
+    setIsPasskeyLoading(true);
+
+    const result = await loginWithPasskey(rememberMe);
+
+    if (result.success) {
+      navigate(redirectTo, { replace: true });
+    }
+
+    setIsPasskeyLoading(false);
+  };
+
+  // Passwordless: only the email field is needed
+  const onSendMagicLink = async () => {
+    if (!(await trigger('email'))) {
+      return;
+    }
+
+    setIsSendingLink(true);
+
+    try {
+      const { data } = await authAPI.requestMagicLink(getValues('email'), rememberMe);
+      toast.success(data.message);
+    } catch (error) {
+      toast.error(getErrorMessage(error));
+    }
+
+    setIsSendingLink(false);
+  };
+
+  // Second step: code sent by email (new browser)
+  if (deviceChallenge) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-primary-100 px-4">
+        <div className="card max-w-md w-full">
+          {/* Header */}
+          <div className="text-center mb-8">
+            <div className="w-16 h-16 bg-primary-100 rounded-full flex items-center justify-center mx-auto mb-4">
+              <MailCheck className="text-primary-600" size={32} />
+            </div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">
+              Confirm This Browser
+            </h1>
+            <p className="text-gray-600">
+              We don't recognize this browser. Enter the 6-digit code we sent
+              to your email.
+            </p>
+          </div>
+
+          <form
+            onSubmit={codeForm.handleSubmit(onConfirmDevice)}
+            className="space-y-6"
+          >
+            <Input
+              label="Code"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              autoFocus
+              placeholder="123456"
+              icon={KeyRound}
+              error={codeForm.formState.errors.code}
+              {...codeForm.register('code', {
+                required: 'Code is required',
+                pattern: {
+                  value: /^\d{6}$/,
+                  message: 'Code must be 6 digits',
+                },
+              })}
+            />
+
+            <Button
+              type="submit"
+              loading={codeForm.formState.isSubmitting}
+              className="w-full"
+            >
+              Verify
+            </Button>
+          </form>
+
+          <p className="mt-6 text-center text-sm text-gray-600">
+            We'll remember this browser, so you won't need a code here next time.
+          </p>
+
+          <p className="mt-4 text-center text-sm text-gray-600">
+            <button
+              type="button"
+              onClick={() => setDeviceChallenge(null)}
+              className="text-primary-600 hover:text-primary-700 font-medium"
+            >
+              Back to login
+            </button>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-primary-100 px-4">
       <div className="card max-w-md w-full">
@@ -49,9 +186,22 @@ const Login = () => {
 
         {/* Google Sign-In Button */}
         <div className="mb-6">
-          <GoogleSignInButton />
+          <GoogleSignInButton rememberMe={rememberMe} redirectTo={redirectTo} />
         </div>
 
+        {/* Passkey Sign-In (no password) */}
+        {browserSupportsWebAuthn() && (
+          <Button
+            variant="secondary"
+            icon={Fingerprint}
+            loading={isPasskeyLoading}
+            onClick={onPasskeyLogin}
+            className="w-full mb-6"
+          >
+            Sign in with a passkey
+          </Button>
+        )}
+
         {/* Divider */}
         <div className="relative mb-6">
           <div className="absolute inset-0 flex items-center">
@@ -94,8 +244,16 @@ const Login = () => {
             })}
           />
 
-          {/* Forgot Password Link */}
-          <div className="text-right">
+          {/* Remember Me + Forgot Password Link */}
+          <div className="flex items-center justify-between">
+            <label className="flex items-center gap-2 text-sm text-gray-600">
+              <input
+                type="checkbox"
+                className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                {...register('rememberMe')}
+              />
+              Remember me
+            </label>
             <Link
               to="/forgot-password"
               className="text-sm text-primary-600 hover:text-primary-700"
@@ -108,6 +266,17 @@ const Login = () => {
           <Button type="submit" loading={isSubmitting} className="w-full">
             Sign In
           </Button>
+
+          {/* Magic Link (no password) */}
+          <Button
+            variant="ghost"
+            icon={Send}
+            loading={isSendingLink}
+            onClick={onSendMagicLink}
+            className="w-full"
+          >
+            Email me a sign-in link
+          </Button>
         </form>
 
         {/* Signup Link */}
@@ -0,0 +1,86 @@
+/**
+ * Magic Login Component
+ * 
+ * Opened from the sign-in link in the email: exchanges the one-time token
+ * for a session (or continues with the second factor for 2FA users).
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { useParams, useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { Loader2, XCircle } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import Button from '../components/common/Button';
+
+const MagicLogin = () => {
+  const { token } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { loginWithMagicLink } = useAuth();
+
+  const [errorMessage, setErrorMessage] = useState('');
+  // The token works once: don't send it twice (StrictMode runs effects twice)
+  const started = useRef(false);
+
+  useEffect(() => {
+    if (!token || started.current) {
+      return;
+    }
+    started.current = true;
+
+    const signIn = async () => {
+      const rememberMe = searchParams.get('rememberMe') === 'true';
+      const result = await loginWithMagicLink(token, rememberMe);
+
+      if (result.twoFactorRequired) {
+        navigate('/login/2fa', {
+          replace: true,
+          state: {
+            challengeToken: result.challengeToken,
+            methods: result.methods,
+          },
+        });
+      } else if (result.success) {
+        navigate('/dashboard', { replace: true });
+      } else {
+        setErrorMessage(result.error);
+      }
+    };
+
+    signIn();
+  }, [token, searchParams, navigate, loginWithMagicLink]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-primary-100 px-4">
+      <div className="card max-w-md w-full text-center">
+        {/* Signing In State */}
+        {!errorMessage && (
+          <>
+            <Loader2 className="animate-spin text-primary-600 mx-auto mb-4" size={48} />
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">
+              Signing You In
+            </h1>
+            <p className="text-gray-600">Please wait...</p>
+          </>
+        )}
+
+        {/* Error State */}
+        {errorMessage && (
+          <>
+            <div className="w-16 h-16 bg-red-100 rounded-full flex items-center justify-center mx-auto mb-4">
+              <XCircle className="text-red-600" size={32} />
+            </div>
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">
+              Sign-In Link Not Valid
+            </h1>
+            <p className="text-gray-600 mb-6">{errorMessage}</p>
+            <Link to="/login">
+              <Button className="w-full">Back to Login</Button>
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MagicLogin;
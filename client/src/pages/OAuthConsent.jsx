@@ -0,0 +1,148 @@
+/**
+ * OAuth Consent Component
+ *
+ * "Sign in with your account" screen for our other apps (OpenID Connect).
+ * The server's /oauth/authorize endpoint sends the browser here with the
+ * authorization request in the query string. The user must be logged in
+ * (ProtectedRoute), then approves or denies the app, and is sent back to it.
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Loader2, ShieldCheck, XCircle, Check } from 'lucide-react';
+import { oauthAPI, getErrorMessage } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import Button from '../components/common/Button';
+import toast from 'react-hot-toast';
+
+// What each scope lets the app see
+const SCOPE_DESCRIPTIONS = {
+  openid: 'Know who you are (your account ID)',
+  profile: 'See your name and profile picture',
+  email: 'See your email address',
+};
+
+const OAuthConsent = () => {
+  const [searchParams] = useSearchParams();
+  const { user } = useAuth();
+
+  const [consent, setConsent] = useState(null);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [decision, setDecision] = useState(null); // 'approve' | 'deny' while submitting
+
+  // Authorization request parameters, sent back unchanged to the server
+  const params = useMemo(
+    () => Object.fromEntries(searchParams.entries()),
+    [searchParams]
+  );
+
+  useEffect(() => {
+    const loadConsent = async () => {
+      try {
+        const { data } = await oauthAPI.getConsent(params);
+        setConsent(data.data);
+      } catch (error) {
+        setErrorMessage(getErrorMessage(error));
+      }
+    };
+
+    loadConsent();
+  }, [params]);
+
+  const decide = async (approve) => {
+    setDecision(approve ? 'approve' : 'deny');
+
+    try {
+      const { data } = await oauthAPI.decideConsent(params, approve);
+
+      // Leave the SPA: back to the app that asked
+      window.location.assign(data.data.redirectTo);
+    } catch (error) {
+      toast.error(getErrorMessage(error));
+      setDecision(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-primary-100 px-4">
+      <div className="card max-w-md w-full">
+        {/* Loading State */}
+        {!consent && !errorMessage && (
+          <div className="text-center">
+            <Loader2 className="animate-spin text-primary-600 mx-auto mb-4" size={48} />
+            <p className="text-gray-600">Loading...</p>
+          </div>
+        )}
+
+        {/* Error State */}
+        {errorMessage && (
+          <div className="text-center">
+            <div className="w-16 h-16 bg-red-100 rounded-full flex items-center justify-center mx-auto mb-4">
+              <XCircle className="text-red-600" size={32} />
+            </div>
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">
+              Sign-in Request Failed
+            </h1>
+            <p className="text-gray-600">{errorMessage}</p>
+          </div>
+        )}
+
+        {/* Consent */}
+        {consent && (
+          <>
+            <div className="text-center mb-6">
+              <div className="w-16 h-16 bg-primary-100 rounded-full flex items-center justify-center mx-auto mb-4">
+                <ShieldCheck className="text-primary-600" size={32} />
+              </div>
+              <h1 className="text-2xl font-bold text-gray-900 mb-2">
+                Sign in to {consent.client.name}
+              </h1>
+              <p className="text-sm text-gray-600">
+                Signed in as <span className="font-medium">{user?.email}</span>
+              </p>
+            </div>
+
+            <p className="text-gray-700 mb-3">
+              <span className="font-medium">{consent.client.name}</span> wants to:
+            </p>
+            <ul className="space-y-2 mb-6">
+              {consent.scopes.map((scope) => (
+                <li key={scope} className="flex items-center gap-2 text-gray-700">
+                  <Check className="text-green-600 shrink-0" size={18} />
+                  {SCOPE_DESCRIPTIONS[scope] || scope}
+                </li>
+              ))}
+            </ul>
+
+            <p className="text-xs text-gray-500 mb-6">
+              You will be sent back to {consent.redirectOrigin}. Only continue if
+              you trust this app.
+            </p>
+
+            <div className="flex gap-3">
+              <Button
+                variant="secondary"
+                className="flex-1"
+                loading={decision === 'deny'}
+                disabled={!!decision}
+                onClick={() => decide(false)}
+              >
+                Deny
+              </Button>
+              <Button
+                className="flex-1"
+                loading={decision === 'approve'}
+                disabled={!!decision}
+                onClick={() => decide(true)}
+              >
+                Allow
+              </Button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OAuthConsent;
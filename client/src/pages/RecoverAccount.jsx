@@ -0,0 +1,173 @@
+/**
+ * Recover Account Component
+ * 
+ * Sets a new password with a recovery code, for users who can't receive
+ * the password reset email anymore.
+ */
+
+import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { useNavigate, Link } from 'react-router-dom';
+import { Mail, Lock, KeyRound, CheckCircle } from 'lucide-react';
+import { authAPI, getErrorMessage } from '../services/api';
+import Input from '../components/common/Input';
+import Button from '../components/common/Button';
+import toast from 'react-hot-toast';
+
+const RecoverAccount = () => {
+  const navigate = useNavigate();
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [recoverySuccess, setRecoverySuccess] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors },
+  } = useForm();
+
+  const password = watch('password');
+
+  const onSubmit = async (data) => {
+    setIsSubmitting(true);
+
+    try {
+      const response = await authAPI.recoverAccount(data);
+      setRecoverySuccess(true);
+      toast.success(response.data.message);
+
+      // Redirect to login after 3 seconds
+      setTimeout(() => {
+        navigate('/login');
+      }, 3000);
+    } catch (error) {
+      toast.error(getErrorMessage(error));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (recoverySuccess) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-primary-100 px-4">
+        <div className="card max-w-md w-full text-center">
+          {/* Success Icon */}
+          <div className="w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mx-auto mb-4">
+            <CheckCircle className="text-green-600" size={32} />
+          </div>
+
+          {/* Success Message */}
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">
+            Account Recovered!
+          </h1>
+          <p className="text-gray-600 mb-6">
+            Your password has been reset and the recovery code can't be used again.
+          </p>
+
+          {/* Redirecting Message */}
+          <p className="text-sm text-gray-500">
+            Redirecting to login page...
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-primary-100 px-4">
+      <div className="card max-w-md w-full">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">
+            Use a Recovery Code
+          </h1>
+          <p className="text-gray-600">
+            Enter one of your saved recovery codes and choose a new password
+          </p>
+        </div>
+
+        {/* Form */}
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+          {/* Email */}
+          <Input
+            label="Email"
+            type="email"
+            placeholder="Enter your email"
+            icon={Mail}
+            error={errors.email}
+            {...register('email', {
+              required: 'Email is required',
+              pattern: {
+                value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                message: 'Invalid email address',
+              },
+            })}
+          />
+
+          {/* Recovery Code */}
+          <Input
+            label="Recovery Code"
+            placeholder="xxxxx-xxxxx"
+            autoComplete="off"
+            icon={KeyRound}
+            error={errors.code}
+            {...register('code', {
+              required: 'Recovery code is required',
+            })}
+          />
+
+          {/* New Password */}
+          <Input
+            label="New Password"
+            type="password"
+            placeholder="Enter new password"
+            icon={Lock}
+            error={errors.password}
+            {...register('password', {
+              required: 'Password is required',
+              minLength: {
+                value: 8,
+                message: 'Password must be at least 8 characters',
+              },
+            })}
+          />
+
+          {/* Confirm Password */}
+          <Input
+            label="Confirm Password"
+            type="password"
+            placeholder="Confirm new password"
+            icon={Lock}
+            error={errors.passwordConfirm}
+            {...register('passwordConfirm', {
+              required: 'Please confirm your password',
+              validate: (value) =>
+                value === password || 'Passwords do not match',
+            })}
+          />
+
+          {/* Submit Button */}
+          <Button
+            type="submit"
+            loading={isSubmitting}
+            className="w-full"
+          >
+            Reset Password
+          </Button>
+        </form>
+
+        {/* Back to Login */}
+        <div className="mt-6 text-center">
+          <Link
+            to="/login"
+            className="text-sm text-primary-600 hover:text-primary-700"
+          >
+            Back to Login
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecoverAccount;
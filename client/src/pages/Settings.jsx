@@ -0,0 +1,47 @@
+/**
+ * Settings Component
+ * 
+ * Account settings: email address, two-factor authentication, passkeys,
+ * recovery codes, trusted devices and the personal data export.
+ */
+
+import { Link } from 'react-router-dom';
+import { ArrowLeft } from 'lucide-react';
+import EmailSettings from '../components/account/EmailSettings';
+import TwoFactorSettings from '../components/account/TwoFactorSettings';
+import PasskeySettings from '../components/account/PasskeySettings';
+import RecoveryCodesSettings from '../components/account/RecoveryCodesSettings';
+import TrustedDevicesSettings from '../components/account/TrustedDevicesSettings';
+import DataExportSettings from '../components/account/DataExportSettings';
+
+const Settings = () => {
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex justify-between items-center">
+          <h1 className="text-2xl font-bold text-gray-900">Settings</h1>
+          <Link
+            to="/dashboard"
+            className="inline-flex items-center gap-2 text-sm text-primary-600 hover:text-primary-700"
+          >
+            <ArrowLeft size={16} />
+            Back to Dashboard
+          </Link>
+        </div>
+      </header>
+
+      {/* Main Content */}
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 pb-8">
+        <EmailSettings />
+        <TwoFactorSettings />
+        <PasskeySettings />
+        <RecoveryCodesSettings />
+        <TrustedDevicesSettings />
+        <DataExportSettings />
+      </main>
+    </div>
+  );
+};
+
+export default Settings;
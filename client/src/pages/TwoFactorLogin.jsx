@@ -0,0 +1,136 @@
+/**
+ * Two-Factor Login Component
+ *
+ * Second login step for users with two-factor authentication: the
+ * password (or Google) step sends the user here with a short-lived
+ * challenge token, the code from the authenticator app (or a passkey of
+ * the user) finishes the login.
+ */
+
+import { useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { Link, Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { Fingerprint, KeyRound, ShieldCheck } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import Input from '../components/common/Input';
+import Button from '../components/common/Button';
+
+const TwoFactorLogin = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { completeTwoFactorLogin, completePasskeySecondFactor } = useAuth();
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isPasskeyLoading, setIsPasskeyLoading] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm();
+
+  const {
+    challengeToken,
+    methods = ['totp'],
+    redirectTo = '/dashboard',
+  } = location.state || {};
+  const hasCode = methods.includes('totp');
+  const hasPasskey = methods.includes('passkey');
+
+  // Opened directly (or after a reload): start over
+  if (!challengeToken) {
+    return <Navigate to="/login" replace />;
+  }
+
+  const onSubmit = async ({ code }) => {
+    setIsSubmitting(true);
+
+    const result = await completeTwoFactorLogin(challengeToken, code);
+
+    if (result.success) {
+      navigate(redirectTo, { replace: true });
+    }
+
+    setIsSubmitting(false);
+  };
+
+  const onPasskey = async () => {
+    setIsPasskeyLoading(true);
+
+    const result = await completePasskeySecondFactor(challengeToken);
+
+    if (result.success) {
+      navigate(redirectTo, { replace: true });
+    }
+
+    setIsPasskeyLoading(false);
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-primary-100 px-4">
+      <div className="card max-w-md w-full">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <div className="w-16 h-16 bg-primary-100 rounded-full flex items-center justify-center mx-auto mb-4">
+            <ShieldCheck className="text-primary-600" size={32} />
+          </div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">
+            Two-Factor Authentication
+          </h1>
+          <p className="text-gray-600">
+            {hasCode
+              ? 'Enter the 6-digit code from your authenticator app'
+              : 'Confirm the login with your passkey'}
+          </p>
+        </div>
+
+        {hasPasskey && (
+          <Button
+            variant={hasCode ? 'secondary' : 'primary'}
+            icon={Fingerprint}
+            loading={isPasskeyLoading}
+            onClick={onPasskey}
+            className={`w-full ${hasCode ? 'mb-6' : ''}`}
+          >
+            Use a passkey
+          </Button>
+        )}
+
+        {hasCode && (
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
+            <Input
+              label="Code"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              autoFocus
+              placeholder="123456"
+              icon={KeyRound}
+              error={errors.code}
+              {...register('code', {
+                required: 'Code is required',
+                pattern: {
+                  value: /^\d{6}$/,
+                  message: 'Code must be 6 digits',
+                },
+              })}
+            />
+
+            <Button type="submit" loading={isSubmitting} className="w-full">
+              Verify
+            </Button>
+          </form>
+        )}
+
+        <p className="mt-6 text-center text-sm text-gray-600">
+          <Link
+            to="/login"
+            className="text-primary-600 hover:text-primary-700 font-medium"
+          >
+            Back to login
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorLogin;
@@ -7,7 +7,7 @@
 import { useEffect, useState } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { Loader2, CheckCircle, XCircle, Mail } from 'lucide-react';
-import { authAPI, getErrorMessage } from '../services/api';
+import { authAPI, getErrorMessage, authStorage } from '../services/api';
 import { useAuth } from '../context/AuthContext';
 import Button from '../components/common/Button';
 import toast from 'react-hot-toast';
@@ -25,10 +25,8 @@ const VerifyEmail = () => {
       try {
         const { data } = await authAPI.verifyEmail(token);
         
-        // Save tokens
-        localStorage.setItem('accessToken', data.data.accessToken);
-        localStorage.setItem('refreshToken', data.data.refreshToken);
-        localStorage.setItem('user', JSON.stringify(data.data.user));
+        // Save tokens and user (cookie mode: tokens are httpOnly cookies)
+        authStorage.save(data.data);
         
         // Update auth context
         updateUser(data.data.user);
@@ -5,7 +5,9 @@
  *
  * FEATURES:
  * - Automatic JWT token inclusion
+ * - Cookie mode (httpOnly cookies + CSRF header, VITE_AUTH_COOKIE_MODE=true)
  * - Token refresh on 401
+ * - Password prompt when the server requires a recent login
  * - Request/response interceptors
  * - Error handling
  * - Base URL configuration
@@ -16,6 +18,105 @@ import axios from 'axios';
 // Base URL - uses proxy in development, absolute URL in production
 const BASE_URL = import.meta.env.VITE_API_URL || '/api';
 
+/**
+ * Cookie mode
+ *
+ * Must match AUTH_COOKIE_MODE on the server. Tokens then live in httpOnly
+ * cookies that JavaScript can't read (safe from XSS), and the browser sends
+ * them automatically. State-changing requests echo the readable csrfToken
+ * cookie in the X-CSRF-Token header (double-submit CSRF protection).
+ */
+export const COOKIE_MODE = import.meta.env.VITE_AUTH_COOKIE_MODE === 'true';
+
+const cookieModeConfig = COOKIE_MODE
+  ? {
+      withCredentials: true,
+      withXSRFToken: true,
+      xsrfCookieName: 'csrfToken',
+      xsrfHeaderName: 'X-CSRF-Token',
+    }
+  : {};
+
+/**
+ * Auth Storage
+ *
+ * Header mode: tokens are stored and sent in the Authorization header.
+ * Cookie mode: the server keeps tokens in httpOnly cookies, nothing to store.
+ *
+ * "Remember me" off: tokens and user go to sessionStorage, which the
+ * browser clears when it is closed. On: localStorage.
+ *
+ * Impersonation (admin acting as a user): the act-as token and user are
+ * kept next to the admin's own session, in sessionStorage (this tab only),
+ * and take precedence until impersonation ends. Sent in the header in
+ * both modes.
+ */
+const AUTH_KEYS = ['accessToken', 'refreshToken', 'user'];
+const IMPERSONATION_KEY = 'impersonation';
+
+const readItem = (key) => sessionStorage.getItem(key) || localStorage.getItem(key);
+
+export const authStorage = {
+  getAccessToken: () =>
+    authStorage.getImpersonation()?.accessToken ||
+    (COOKIE_MODE ? null : readItem('accessToken')),
+
+  getRefreshToken: () => (COOKIE_MODE ? null : readItem('refreshToken')),
+
+  // True if we might be logged in (cookies can't be inspected, so assume yes)
+  hasTokens: () => COOKIE_MODE || !!readItem('accessToken'),
+
+  getUser: () =>
+    authStorage.getImpersonation()?.user || JSON.parse(readItem('user') || 'null'),
+
+  // Keep the user next to the session it belongs to
+  saveUser: (user) => {
+    const impersonation = authStorage.getImpersonation();
+    if (impersonation) {
+      authStorage.startImpersonation({ ...impersonation, user });
+      return;
+    }
+
+    const storage = sessionStorage.getItem('user') ? sessionStorage : localStorage;
+    storage.setItem('user', JSON.stringify(user));
+  },
+
+  // data: login / refresh response ({ accessToken, refreshToken, rememberMe, user? })
+  save: ({ accessToken, refreshToken, rememberMe, user }) => {
+    const storage = rememberMe === false ? sessionStorage : localStorage;
+
+    // A response with a user is a new login: drop the previous session
+    if (user) {
+      authStorage.clear();
+      storage.setItem('user', JSON.stringify(user));
+    }
+
+    if (COOKIE_MODE) return;
+    if (accessToken) storage.setItem('accessToken', accessToken);
+    if (refreshToken) storage.setItem('refreshToken', refreshToken);
+  },
+
+  clear: () => {
+    AUTH_KEYS.forEach((key) => {
+      sessionStorage.removeItem(key);
+      localStorage.removeItem(key);
+    });
+    authStorage.endImpersonation();
+  },
+
+  getImpersonation: () => JSON.parse(sessionStorage.getItem(IMPERSONATION_KEY) || 'null'),
+
+  // data: impersonate response ({ accessToken, user, expiresAt })
+  startImpersonation: ({ accessToken, user, expiresAt }) => {
+    sessionStorage.setItem(
+      IMPERSONATION_KEY,
+      JSON.stringify({ accessToken, user, expiresAt })
+    );
+  },
+
+  endImpersonation: () => sessionStorage.removeItem(IMPERSONATION_KEY),
+};
+
 /**
  * Create Axios instance
  */
@@ -25,17 +126,18 @@ const api = axios.create({
     'Content-Type': 'application/json',
   },
   timeout: 10000, // 10 seconds
+  ...cookieModeConfig,
 });
 
 /**
  * Request Interceptor
  *
- * Automatically adds JWT token to all requests
+ * Automatically adds JWT token to all requests (header mode)
  */
 api.interceptors.request.use(
   (config) => {
-    // Get token from localStorage
-    const token = localStorage.getItem('accessToken');
+    // Get token from storage (null in cookie mode - the browser sends the cookie)
+    const token = authStorage.getAccessToken();
 
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
@@ -48,10 +150,80 @@ api.interceptors.request.use(
   }
 );
 
+/**
+ * Refresh the access token
+ *
+ * The server rotates the refresh token on every call and treats a reused
+ * refresh token as theft, so concurrent 401s must share ONE refresh request.
+ */
+let refreshPromise = null;
+
+const refreshTokens = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = authStorage.getRefreshToken();
+
+      if (!COOKIE_MODE && !refreshToken) {
+        // No refresh token, redirect to login
+        throw new Error('No refresh token');
+      }
+
+      // Call refresh endpoint (without interceptor to avoid loop)
+      // Cookie mode: the refresh token cookie is sent by the browser
+      const { data } = await axios.post(
+        `${BASE_URL}/auth/refresh-token`,
+        COOKIE_MODE ? {} : { refreshToken },
+        cookieModeConfig
+      );
+
+      // Save new tokens (old refresh token is no longer valid)
+      authStorage.save(data.data);
+
+      return data.data.accessToken;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+};
+
+/**
+ * Re-authentication (step-up)
+ *
+ * Sensitive actions (change password, delete account) need a recent login.
+ * The server then answers 401 with error "insufficient_user_authentication":
+ * refreshing doesn't help, the user has to enter the password again.
+ *
+ * The handler (ReauthenticateDialog) asks for it and resolves with the new
+ * access token, or rejects if the user cancels. Concurrent requests share
+ * one prompt.
+ */
+let reauthenticationHandler = null;
+let reauthenticationPromise = null;
+
+export const setReauthenticationHandler = (handler) => {
+  reauthenticationHandler = handler;
+};
+
+const isReauthenticationRequired = (error) =>
+  error.response?.status === 401 &&
+  error.response.data?.error === 'insufficient_user_authentication';
+
+const reauthenticate = () => {
+  if (!reauthenticationPromise) {
+    reauthenticationPromise = reauthenticationHandler().finally(() => {
+      reauthenticationPromise = null;
+    });
+  }
+
+  return reauthenticationPromise;
+};
+
 /**
  * Response Interceptor
  *
- * Handles token refresh and global error handling
+ * Handles token refresh, re-authentication and global error handling
  */
 api.interceptors.response.use(
   (response) => {
@@ -61,35 +233,56 @@ api.interceptors.response.use(
   async (error) => {
     const originalRequest = error.config;
 
-    // If 401 and we haven't tried to refresh yet
-    if (error.response?.status === 401 && !originalRequest._retry) {
-      originalRequest._retry = true;
+    // Recent login required: ask for the password, then retry once
+    if (
+      isReauthenticationRequired(error) &&
+      reauthenticationHandler &&
+      !originalRequest._reauthenticated
+    ) {
+      originalRequest._reauthenticated = true;
 
       try {
-        // Try to refresh the access token
-        const refreshToken = localStorage.getItem('refreshToken');
+        const accessToken = await reauthenticate();
 
-        if (!refreshToken) {
-          // No refresh token, redirect to login
-          throw new Error('No refresh token');
+        if (accessToken) {
+          originalRequest.headers.Authorization = `Bearer ${accessToken}`;
         }
+        return api(originalRequest);
+      } catch {
+        // Cancelled: the original request fails
+        return Promise.reject(error);
+      }
+    }
 
-        // Call refresh endpoint (without interceptor to avoid loop)
-        const { data } = await axios.post(`${BASE_URL}/auth/refresh-token`, {
-          refreshToken,
-        });
+    // Impersonation token expired or revoked: back to the admin's session
+    // (there is no refresh token for it)
+    if (error.response?.status === 401 && authStorage.getImpersonation()) {
+      authStorage.endImpersonation();
+      window.location.href = '/dashboard';
+      return Promise.reject(error);
+    }
 
-        // Save new access token
-        localStorage.setItem('accessToken', data.data.accessToken);
+    // If 401 and we haven't tried to refresh yet
+    // (a fresh token still needs the password for sensitive actions)
+    if (
+      error.response?.status === 401 &&
+      !originalRequest._retry &&
+      !isReauthenticationRequired(error)
+    ) {
+      originalRequest._retry = true;
 
-        // Retry original request with new token
-        originalRequest.headers.Authorization = `Bearer ${data.data.accessToken}`;
+      try {
+        // Try to refresh the access token
+        const accessToken = await refreshTokens();
+
+        // Retry original request with new token (cookie mode: new cookie)
+        if (accessToken) {
+          originalRequest.headers.Authorization = `Bearer ${accessToken}`;
+        }
         return api(originalRequest);
       } catch (refreshError) {
         // Refresh failed, clear tokens and redirect to login
-        localStorage.removeItem('accessToken');
-        localStorage.removeItem('refreshToken');
-        localStorage.removeItem('user');
+        authStorage.clear();
 
         // Redirect to login
         window.location.href = '/login';
@@ -127,12 +320,35 @@ export const authAPI = {
   // Signup
   signup: (data) => api.post('/auth/signup', data),
 
-  // Login
-  login: (credentials) => api.post('/auth/login', credentials),
+  // Login (withCredentials: the trustedDevice cookie must be sent and
+  // stored in header mode too, see confirmDevice)
+  login: (credentials) => api.post('/auth/login', credentials, { withCredentials: true }),
+
+  // Second login step from an unknown browser (code sent by email)
+  confirmDevice: (challengeToken, code) =>
+    api.post(
+      '/auth/login/confirm-device',
+      { challengeToken, code },
+      { withCredentials: true }
+    ),
+
+  // Passwordless sign-in by email
+  requestMagicLink: (email, rememberMe = false) =>
+    api.post('/auth/magic-link', { email, rememberMe }),
+  loginWithMagicLink: (token, rememberMe = false) =>
+    api.post(`/auth/magic-link/${token}`, { rememberMe }),
+
+  // Second login step (two-factor code)
+  completeTwoFactorLogin: (challengeToken, code) =>
+    api.post('/auth/login/2fa', { challengeToken, code }),
 
   // Verify email
   verifyEmail: (token) => api.get(`/auth/verify-email/${token}`),
 
+  // Email change: confirm from the new address / revert from the old one
+  confirmEmailChange: (token) => api.post(`/auth/confirm-email-change/${token}`),
+  revertEmailChange: (token) => api.post(`/auth/revert-email-change/${token}`),
+
   // Resend verification
   resendVerification: (email) =>
     api.post('/auth/resend-verification', { email }),
@@ -144,22 +360,133 @@ export const authAPI = {
   resetPassword: (token, password, passwordConfirm) =>
     api.post(`/auth/reset-password/${token}`, { password, passwordConfirm }),
 
+  // Reset password with a recovery code (no access to the mailbox).
+  // withCredentials: the browser is trusted afterwards (trustedDevice cookie)
+  recoverAccount: ({ email, code, password, passwordConfirm }) =>
+    api.post(
+      '/auth/recover-account',
+      { email, code, password, passwordConfirm },
+      { withCredentials: true }
+    ),
+
   // Get current user
   getMe: () => api.get('/auth/me'),
 
+  // Confirm the password again (sensitive actions need a recent login)
+  // credentials: { password } or { idToken } (Google)
+  reauthenticate: (credentials) => api.post('/auth/reauthenticate', credentials),
+
   // Update password
   updatePassword: (data) => api.patch('/auth/update-password', data),
 
-  // Update profile
+  // Download everything stored about the user (202: link sent by email)
+  exportData: () => api.get('/auth/me/export'),
+
+  // Update profile (a new email is only applied once confirmed)
   updateProfile: (data) => api.patch('/auth/profile', data),
 
   // Logout
   logout: () => api.post('/auth/logout'),
 
+  // Logout of all devices
+  logoutAll: () => api.post('/auth/logout-all'),
+
+  // End impersonation (revokes the act-as token)
+  endImpersonation: () => api.delete('/auth/impersonation'),
+
+  // Two-factor authentication (authenticator app)
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  enableTwoFactor: (code) => api.post('/auth/2fa/enable', { code }),
+  disableTwoFactor: (password, code) =>
+    api.post('/auth/2fa/disable', { password, code }),
+
+  // Trusted devices (browsers that skip the new-device code)
+  getTrustedDevices: () => api.get('/auth/trusted-devices', { withCredentials: true }),
+  forgetTrustedDevice: (id) => api.delete(`/auth/trusted-devices/${id}`),
+  forgetAllTrustedDevices: () =>
+    api.delete('/auth/trusted-devices', { withCredentials: true }),
+
+  // Recovery codes (generating a new set invalidates the old one)
+  getRecoveryCodeStatus: () => api.get('/auth/recovery-codes'),
+  generateRecoveryCodes: (password) =>
+    api.post('/auth/recovery-codes', { password }),
+
   // Delete account
   deleteAccount: () => api.delete('/auth/account'),
 
-  googleLogin: (idToken) => api.post('/auth/google', { idToken }),
+  googleLogin: (idToken, rememberMe = false) =>
+    api.post('/auth/google', { idToken, rememberMe }),
+};
+
+/**
+ * Passkey API calls (WebAuthn)
+ * 
+ * Each ceremony: get options (challenge) → browser prompt → send the result
+ */
+export const passkeyAPI = {
+  // Manage passkeys (logged in)
+  list: () => api.get('/auth/passkeys'),
+  registrationOptions: () => api.post('/auth/passkeys/register/options'),
+  register: (challengeToken, response, name) =>
+    api.post('/auth/passkeys/register', { challengeToken, response, name }),
+  remove: (id) => api.delete(`/auth/passkeys/${id}`),
+
+  // Passwordless login
+  loginOptions: () => api.post('/auth/passkeys/login/options'),
+  login: (challengeToken, response, rememberMe = false) =>
+    api.post('/auth/passkeys/login', { challengeToken, response, rememberMe }),
+
+  // Second login step (instead of an authenticator app code)
+  secondFactorOptions: (challengeToken) =>
+    api.post('/auth/login/2fa/passkey/options', { challengeToken }),
+  completeSecondFactor: (challengeToken, passkeyChallengeToken, response) =>
+    api.post('/auth/login/2fa/passkey', {
+      challengeToken,
+      passkeyChallengeToken,
+      response,
+    }),
+};
+
+/**
+ * Admin API calls (staff permissions required, see server config/roles.js)
+ */
+export const adminAPI = {
+  // Search users: { search, verified, locked, active, page, limit }
+  listUsers: (params) => api.get('/admin/users', { params }),
+
+  // User details, active sessions and recent security events
+  getUser: (userId) => api.get(`/admin/users/${userId}`),
+
+  // Support actions
+  verifyUserEmail: (userId) => api.post(`/admin/users/${userId}/verify-email`),
+  unlockUser: (userId) => api.post(`/admin/users/${userId}/unlock`),
+  deactivateUser: (userId, reason) =>
+    api.post(`/admin/users/${userId}/deactivate`, { reason }),
+  reactivateUser: (userId) => api.post(`/admin/users/${userId}/reactivate`),
+  sendPasswordReset: (userId) => api.post(`/admin/users/${userId}/password-reset`),
+  revokeUserSession: (userId, sessionId) =>
+    api.delete(`/admin/users/${userId}/sessions/${sessionId}`),
+
+  // Log a user out of all devices
+  logoutUserEverywhere: (userId) =>
+    api.post(`/admin/users/${userId}/logout-everywhere`),
+
+  // Get a short-lived token to act as a user (audited)
+  impersonate: (userId, reason) =>
+    api.post(`/admin/users/${userId}/impersonate`, { reason }),
+};
+
+/**
+ * OpenID Connect consent ("Sign in with ..." from our other apps)
+ * `params` are the authorization request parameters from the URL.
+ */
+export const oauthAPI = {
+  // What the app asks for
+  getConsent: (params) => api.get('/auth/oauth/consent', { params }),
+
+  // Approve or deny - responds with { redirectTo }
+  decideConsent: (params, approve) =>
+    api.post('/auth/oauth/consent', { ...params, approve }),
 };
 
 export default api;
@@ -174,8 +501,7 @@ export default api;
  * const handleLogin = async () => {
  *   try {
  *     const { data } = await authAPI.login({ email, password });
- *     localStorage.setItem('accessToken', data.data.accessToken);
- *     localStorage.setItem('refreshToken', data.data.refreshToken);
+ *     authStorage.save(data.data); // tokens are no-op in cookie mode
  *   } catch (error) {
  *     console.error(getErrorMessage(error));
  *   }
@@ -0,0 +1,103 @@
+/**
+ * Create OAuth Client
+ *
+ * Registers a client: a service that may call the token introspection and
+ * revocation endpoints (e.g. the API gateway), a backend worker
+ * (client_credentials) or an app that signs users in with OpenID Connect
+ * (authorization_code).
+ *
+ * Usage:
+ * ```
+ * npm run client:create -- "API Gateway"
+ * npm run client:create -- "Email worker" --grant client_credentials --scopes users:read,emails:send
+ * npm run client:create -- "Forum" --grant authorization_code --scopes openid,profile,email \
+ *   --redirect-uri https://forum.example.com/callback
+ * npm run client:create -- "Mobile app" --public --grant authorization_code \
+ *   --scopes openid,email --redirect-uri com.example.app:/callback
+ * ```
+ *
+ * Options:
+ *   --grant         Grant the client may use (repeatable), e.g. client_credentials
+ *   --scopes        Comma-separated scopes the client may request
+ *   --redirect-uri  Allowed redirect URI for authorization_code (repeatable)
+ *   --public        Public client without secret (SPA, mobile app), must use PKCE
+ *
+ * The client secret is printed ONCE - only its hash is stored.
+ */
+
+import { parseArgs } from 'util';
+import mongoose from 'mongoose';
+import connectDB from '../src/config/database.js';
+import OAuthClient, { GRANT_TYPES, PUBLIC_GRANT_TYPES } from '../src/models/OAuthClient.js';
+
+const usage = () => {
+  console.error(
+    'Usage: npm run client:create -- "<client name>" [--grant <grant>] [--scopes a,b] ' +
+      '[--redirect-uri <uri>] [--public]'
+  );
+  process.exit(1);
+};
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      grant: { type: 'string', multiple: true, default: [] },
+      scopes: { type: 'string', default: '' },
+      'redirect-uri': { type: 'string', multiple: true, default: [] },
+      public: { type: 'boolean', default: false },
+    },
+  });
+} catch (error) {
+  console.error(error.message);
+  usage();
+}
+
+const [name] = args.positionals;
+const grantTypes = [...new Set(args.values.grant)];
+const scopes = args.values.scopes.split(',').map((scope) => scope.trim()).filter(Boolean);
+const redirectUris = args.values['redirect-uri'];
+const isPublic = args.values.public;
+
+if (!name) {
+  usage();
+}
+
+const unknownGrant = grantTypes.find((grant) => !GRANT_TYPES.includes(grant));
+if (unknownGrant) {
+  console.error(`Unknown grant "${unknownGrant}". Supported: ${GRANT_TYPES.join(', ')}`);
+  process.exit(1);
+}
+
+if (isPublic && grantTypes.some((grant) => !PUBLIC_GRANT_TYPES.includes(grant))) {
+  console.error(`Public clients may only use: ${PUBLIC_GRANT_TYPES.join(', ')}`);
+  process.exit(1);
+}
+
+if (grantTypes.includes('authorization_code') && redirectUris.length === 0) {
+  console.error('The authorization_code grant needs at least one --redirect-uri');
+  process.exit(1);
+}
+
+await connectDB();
+
+const { client, clientSecret } = await OAuthClient.register(name, {
+  scopes,
+  grantTypes,
+  redirectUris,
+  isPublic,
+});
+
+console.log(`\n✅ Client "${client.name}" created\n`);
+console.log(`   client_id:     ${client.clientId}`);
+console.log(`   client_secret: ${clientSecret || '(none - public client, use PKCE)'}`);
+console.log(`   grants:        ${client.grantTypes.join(', ') || '(introspection/revocation only)'}`);
+console.log(`   scopes:        ${client.scopes.join(' ') || '(none)'}`);
+console.log(`   redirect URIs: ${client.redirectUris.join(' ') || '(none)'}\n`);
+
+if (clientSecret) {
+  console.log('⚠️  Store the secret now - it cannot be shown again.\n');
+}
+
+await mongoose.disconnect();
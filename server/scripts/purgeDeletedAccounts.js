@@ -0,0 +1,23 @@
+/**
+ * Purge Deleted Accounts
+ *
+ * Hard-deletes the accounts whose deletion grace period is over (and their
+ * tokens, sessions, API keys...). The server does this on its own every
+ * ACCOUNT_PURGE_INTERVAL_MINUTES; set it to 0 and run this from cron instead.
+ *
+ * Usage:
+ * ```
+ * npm run accounts:purge
+ * ```
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '../src/config/database.js';
+import { purgeDeletedAccounts } from '../src/services/accountDeletionService.js';
+
+await connectDB();
+
+const purged = await purgeDeletedAccounts();
+console.log(`\n✅ Purged ${purged} deleted account(s)\n`);
+
+await mongoose.disconnect();
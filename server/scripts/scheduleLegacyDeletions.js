@@ -0,0 +1,25 @@
+/**
+ * Schedule Legacy Deletions
+ *
+ * Run once after upgrading: accounts deleted before deletions had a grace
+ * period are never purged, so their email stays taken. This schedules
+ * them like a deletion made today (ACCOUNT_DELETION_GRACE_DAYS); the
+ * purge removes them afterwards. Accounts an admin deactivated are left
+ * alone.
+ *
+ * Usage:
+ * ```
+ * npm run accounts:schedule-legacy-deletions
+ * ```
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '../src/config/database.js';
+import { scheduleLegacyDeletions } from '../src/services/accountDeletionService.js';
+
+await connectDB();
+
+const scheduled = await scheduleLegacyDeletions();
+console.log(`\n✅ Scheduled ${scheduled} deleted account(s) for purging\n`);
+
+await mongoose.disconnect();
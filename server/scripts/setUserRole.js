@@ -0,0 +1,40 @@
+/**
+ * Set User Role
+ *
+ * Assigns a role to a user: user, support or admin (what each one can do
+ * is listed in src/config/roles.js).
+ *
+ * Usage:
+ * ```
+ * npm run user:role -- user@example.com admin
+ * ```
+ *
+ * The new role applies to the user's next request (roles are read from
+ * the database, not from the token).
+ */
+
+import mongoose from 'mongoose';
+import connectDB from '../src/config/database.js';
+import User from '../src/models/User.js';
+
+const [email, role] = process.argv.slice(2);
+const roles = User.schema.path('role').enumValues;
+
+if (!email || !roles.includes(role)) {
+  console.error(`Usage: npm run user:role -- <email> <${roles.join('|')}>`);
+  process.exit(1);
+}
+
+await connectDB();
+
+const user = await User.findByEmail(email);
+
+if (!user) {
+  console.error(`❌ No active user with email ${email}`);
+} else {
+  user.role = role;
+  await user.save();
+  console.log(`\n✅ ${user.email} is now ${role}\n`);
+}
+
+await mongoose.disconnect();
@@ -11,6 +11,8 @@
 import app from './src/app.js';
 import connectDB from './src/config/database.js';
 import config from './src/config/env.js';
+import { reloadKeys } from './src/services/keyService.js';
+import { startPurgeJob } from './src/services/accountDeletionService.js';
 
 /**
  * Handle uncaught exceptions
@@ -45,6 +47,23 @@ const startServer = async () => {
       console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     });
 
+    // 3. Purge deleted accounts whose grace period is over
+    startPurgeJob();
+
+    /**
+     * Reload JWT signing keys (key rotation without downtime)
+     * Usage: kill -HUP <pid>
+     */
+    process.on('SIGHUP', () => {
+      try {
+        reloadKeys();
+        console.log('🔑 JWT signing keys reloaded');
+      } catch (error) {
+        // Keep serving with the previous keys
+        console.error('❌ Failed to reload JWT signing keys:', error.message);
+      }
+    });
+
     /**
      * Handle unhandled promise rejections
      * These are async errors that weren't caught with try-catch or .catch()
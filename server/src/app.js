@@ -7,9 +7,13 @@ import express from 'express';
 import helmet from 'helmet';
 import cors from 'cors';
 import { rateLimit } from 'express-rate-limit';
+import cookieParser from 'cookie-parser';
 import config from './config/env.js';
 import errorHandler, { notFoundHandler } from './middleware/errorHandler.js';
+import { csrfProtection } from './middleware/csrfMiddleware.js';
 import authRoutes from './routes/authRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import wellKnownRoutes from './routes/wellKnownRoutes.js';
 
 const app = express();
 
@@ -18,10 +22,23 @@ const app = express();
  */
 app.use(helmet());
 
+// OpenID Connect endpoints are called by other apps' frontends (public
+// clients), from any origin. They never rely on cookies.
+const PUBLIC_CORS_PATHS = [
+  '/api/auth/oauth/token',
+  '/api/auth/oauth/userinfo',
+  '/.well-known/openid-configuration',
+  '/.well-known/jwks.json',
+];
+
 app.use(
-  cors({
-    origin: config.clientUrl,
-    credentials: true,
+  cors((req, callback) => {
+    callback(
+      null,
+      PUBLIC_CORS_PATHS.includes(req.path)
+        ? { origin: '*' }
+        : { origin: config.clientUrl, credentials: true }
+    );
   })
 );
 
@@ -30,6 +47,9 @@ app.use(
  * For development: 10 requests per minute (easy to test)
  * For production: 100 requests per 15 minutes
  */
+// Token endpoints for OAuth clients (paths relative to /api)
+const CLIENT_ENDPOINTS = ['/auth/introspect', '/auth/revoke', '/auth/oauth/token'];
+
 const limiter = rateLimit({
   windowMs: config.isDevelopment()
     ? 60 * 1000
@@ -45,6 +65,14 @@ const limiter = rateLimit({
   skipSuccessfulRequests: false,
   // Skip certain requests (like health checks in production)
   skip: (req) => {
+    // Introspection is called by our own services for every API request
+    // they receive, workers fetch tokens. Callers must authenticate with a
+    // 256-bit client secret (or a single-use 256-bit code + PKCE for public
+    // clients), so rate limiting adds no protection here.
+    if (CLIENT_ENDPOINTS.includes(req.path)) {
+      return true;
+    }
+
     // Don't rate limit health checks in development
     return config.isDevelopment() && req.path === '/health';
   },
@@ -66,6 +94,12 @@ app.use('/api/', limiter);
  */
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
+app.use(cookieParser());
+
+/**
+ * CSRF PROTECTION (cookie mode only, see csrfMiddleware.js)
+ */
+app.use('/api/', csrfProtection);
 
 /**
  * ROUTES
@@ -81,9 +115,15 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Discovery documents (JWKS, OpenID configuration) - public, not rate limited
+app.use('/.well-known', wellKnownRoutes);
+
 // Auth routes (rate limited)
 app.use('/api/auth', authRoutes);
 
+// Admin routes (rate limited, staff permissions required)
+app.use('/api/admin', adminRoutes);
+
 /**
  * ERROR HANDLING
  */
@@ -34,6 +34,14 @@ const validateEnv = () => {
 
 validateEnv();
 
+/**
+ * Parse an integer variable (unlike `parseInt() || default`, 0 is kept)
+ */
+const intEnv = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
 const config = {
   // Server
   env: process.env.NODE_ENV || 'development',
@@ -49,10 +57,39 @@ const config = {
   jwt: {
     secret: process.env.JWT_SECRET,
     expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+    // Access token signing: HS256 (JWT_SECRET) or RS256/ES256 (PEM key pair)
+    algorithm: process.env.JWT_ALGORITHM || 'HS256',
+    privateKeyPath: process.env.JWT_PRIVATE_KEY_PATH,
+    publicKeyPath: process.env.JWT_PUBLIC_KEY_PATH,
+    // Optional keyring for key rotation (overrides the keys above)
+    keyringPath: process.env.JWT_KEYRING_PATH,
+    // Who issues the tokens, and which services they're meant for
+    issuer: process.env.JWT_ISSUER || 'your-app-name',
+    // Comma-separated: a token is accepted by any of these audiences
+    audience: (process.env.JWT_AUDIENCE || 'your-app-users')
+      .split(',')
+      .map((audience) => audience.trim())
+      .filter(Boolean),
     refreshSecret: process.env.JWT_REFRESH_SECRET,
     refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d',
   },
 
+  // Sessions ("remember me" decides which lifetime applies)
+  session: {
+    // Absolute lifetime without "remember me" (browser session).
+    // With "remember me" it is jwt.refreshExpiresIn.
+    lifetime: process.env.SESSION_LIFETIME || '12h',
+    // Minutes without a token refresh after which a session ends (0 = off)
+    idleTimeoutMinutes: intEnv(process.env.SESSION_IDLE_TIMEOUT_MINUTES, 15),
+    rememberMeIdleTimeoutMinutes: intEnv(
+      process.env.REMEMBER_ME_IDLE_TIMEOUT_MINUTES,
+      7 * 24 * 60 // 7 days
+    ),
+    // Seconds after the last login / re-authentication during which
+    // sensitive actions are allowed (see requireRecentAuth)
+    reauthMaxAgeSeconds: intEnv(process.env.REAUTH_MAX_AGE_SECONDS, 5 * 60),
+  },
+
   // Email
   email: {
     host: process.env.EMAIL_HOST,
@@ -75,6 +112,70 @@ const config = {
     rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 900000,
     rateLimitMaxRequests:
       parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100,
+    // 32-byte key for encrypting secrets at rest (utils/encryption.js)
+    encryptionKey: process.env.ENCRYPTION_KEY,
+  },
+
+  twoFactor: {
+    // Account name shown in authenticator apps ("Issuer: user@example.com")
+    issuer: process.env.TOTP_ISSUER || 'Auth Module',
+  },
+
+  // New-device confirmation: password logins from an unknown browser need
+  // a code sent by email; confirmed browsers are trusted for trustDays
+  trustedDevices: {
+    confirmNewDevices: process.env.NEW_DEVICE_CONFIRMATION !== 'false',
+    trustDays: intEnv(process.env.TRUSTED_DEVICE_DAYS, 30),
+  },
+
+  // Account deletion: deleted accounts can be restored by logging in for
+  // graceDays, then the purge job removes them for good
+  accountDeletion: {
+    graceDays: intEnv(process.env.ACCOUNT_DELETION_GRACE_DAYS, 30),
+    // How often the server runs the purge job (0 = off, use
+    // `npm run accounts:purge` from cron instead)
+    purgeIntervalMinutes: intEnv(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES, 60),
+  },
+
+  // Personal data export (GET /api/auth/me/export): accounts with more
+  // records than asyncThreshold get their archive by email instead
+  dataExport: {
+    asyncThreshold: intEnv(process.env.DATA_EXPORT_ASYNC_THRESHOLD, 1000),
+    // Lifetime of the emailed download link
+    linkHours: intEnv(process.env.DATA_EXPORT_LINK_HOURS, 24),
+  },
+
+  // Passkeys (WebAuthn): credentials are bound to the relying party ID
+  // (a domain) and only accepted from the expected origin (the React client)
+  webauthn: {
+    rpName: process.env.WEBAUTHN_RP_NAME || 'Auth Module',
+    rpId:
+      process.env.WEBAUTHN_RP_ID ||
+      new URL(process.env.CLIENT_URL || 'http://localhost:5173').hostname,
+    origin: process.env.WEBAUTHN_ORIGIN || process.env.CLIENT_URL || 'http://localhost:5173',
+  },
+
+  // Cookie mode: tokens in httpOnly cookies instead of the response body
+  // (state-changing requests then need a CSRF token, see csrfMiddleware.js)
+  cookies: {
+    enabled: process.env.AUTH_COOKIE_MODE === 'true',
+    sameSite: process.env.COOKIE_SAMESITE || 'strict',
+    domain: process.env.COOKIE_DOMAIN || undefined,
+  },
+
+  // OAuth 2.0 clients (machine identities)
+  oauth: {
+    // Lifetime of tokens issued at the token endpoint (client_credentials,
+    // and access/ID tokens of OpenID Connect clients) - no refresh tokens
+    clientTokenExpiresIn: process.env.OAUTH_CLIENT_TOKEN_EXPIRES_IN || '1h',
+    // OpenID Connect issuer: the public URL of this server (iss of ID tokens)
+    issuer:
+      process.env.OIDC_ISSUER || `http://localhost:${parseInt(process.env.PORT, 10) || 5000}`,
+  },
+
+  impersonation: {
+    // Lifetime of the access token an admin gets to act as a user
+    expiresIn: process.env.IMPERSONATION_TOKEN_EXPIRES_IN || '15m',
   },
 
   google: {
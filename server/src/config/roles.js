@@ -0,0 +1,64 @@
+/**
+ * Roles and Permissions
+ *
+ * Every user has one role (User.role, 'user' by default). A role is a
+ * named set of permissions, and routes check permissions, not roles
+ * (authMiddleware.requirePermission): giving support staff a new ability
+ * is a change here, not in every route.
+ *
+ * Permissions are named `<resource>:<action>`, like OAuth scopes.
+ *
+ * Assign a role with: npm run user:role -- user@example.com support
+ * Roles are read from the database on every request (not from the token):
+ * a change applies to the user's next request.
+ */
+
+// Every permission, with what it allows
+export const PERMISSIONS = {
+  'users:read': 'Search users and see their account details',
+  'users:write': 'Support actions on accounts (verify, unlock, deactivate, reset, sessions)',
+  'users:impersonate': 'Act as a user (every request is audited)',
+};
+
+// Role → permissions
+export const ROLES = {
+  user: [],
+  support: ['users:read', 'users:write'],
+  admin: Object.keys(PERMISSIONS),
+};
+
+export const DEFAULT_ROLE = 'user';
+
+/**
+ * Permissions granted by a role
+ *
+ * @param {string} role - Role name (unknown roles grant nothing)
+ * @returns {string[]}
+ */
+export const getPermissions = (role) => ROLES[role] || [];
+
+/**
+ * Check if a role grants a permission
+ *
+ * @param {string} role - Role name
+ * @param {string} permission - e.g. 'users:write'
+ * @returns {boolean}
+ */
+export const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+/**
+ * Check if a role grants any permission (staff, as opposed to end users)
+ *
+ * @param {string} role - Role name
+ * @returns {boolean}
+ */
+export const isStaffRole = (role) => getPermissions(role).length > 0;
+
+export default {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE,
+  getPermissions,
+  hasPermission,
+  isStaffRole,
+};
@@ -0,0 +1,36 @@
+/**
+ * Access Token Claims
+ *
+ * Extra claims embedded in every access token issued for a user.
+ * Downstream services can read them from the verified token instead of
+ * looking the user up on every request.
+ *
+ * KEEP IN MIND:
+ * - JWTs are signed, NOT encrypted: never put secrets or sensitive data here
+ * - Claims are a snapshot: they only change when a new access token is
+ *   issued (login or refresh), so keep access tokens short-lived if you
+ *   rely on values that can change
+ * - Every claim makes every request bigger
+ *
+ * Reserved claims (id, type, jti, sid, iss, aud, exp, ...) can't be
+ * overridden from here.
+ *
+ * Examples:
+ * ```
+ * const tokenClaims = (user) => ({
+ *   email_verified: user.isEmailVerified,
+ *   role: user.role,
+ *   tenant_id: user.tenantId?.toString(),
+ * });
+ * ```
+ *
+ * Claims can also be replaced at runtime with jwtService.setClaimsProvider().
+ *
+ * @param {Object} user - User document the token is issued for
+ * @returns {Object} - Claims to add to the access token
+ */
+const tokenClaims = (user) => ({
+  email_verified: !!user.isEmailVerified,
+});
+
+export default tokenClaims;
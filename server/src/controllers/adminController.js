@@ -0,0 +1,194 @@
+/**
+ * Admin Controller
+ * 
+ * Account administration endpoints.
+ * Each route requires the permission it acts with (users:read, users:write
+ * or users:impersonate, see adminRoutes and config/roles.js).
+ */
+
+import * as authService from '../services/authService.js';
+import * as impersonationService from '../services/impersonationService.js';
+import * as adminUserService from '../services/adminUserService.js';
+import catchAsync from '../utils/catchAsync.js';
+import getRequestContext from '../utils/requestContext.js';
+
+/**
+ * List Users
+ * 
+ * GET /api/admin/users
+ * Query: { search?, verified?, locked?, active?, page?, limit? }
+ */
+export const listUsers = catchAsync(async (req, res) => {
+  const { search, verified, locked, active, page, limit } = req.query;
+
+  const result = await adminUserService.listUsers({
+    search,
+    verified,
+    locked,
+    active,
+    page,
+    limit,
+  });
+
+  res.status(200).json(result);
+});
+
+/**
+ * Get User
+ * 
+ * GET /api/admin/users/:id
+ * Params: { id }
+ */
+export const getUser = catchAsync(async (req, res) => {
+  const result = await adminUserService.getUser(req.params.id);
+
+  res.status(200).json(result);
+});
+
+/**
+ * Verify User Email
+ * 
+ * POST /api/admin/users/:id/verify-email
+ * Params: { id }
+ */
+export const verifyUserEmail = catchAsync(async (req, res) => {
+  const result = await adminUserService.verifyUserEmail(
+    req.user,
+    req.params.id,
+    getRequestContext(req)
+  );
+
+  res.status(200).json(result);
+});
+
+/**
+ * Unlock User
+ * 
+ * POST /api/admin/users/:id/unlock
+ * Params: { id }
+ */
+export const unlockUser = catchAsync(async (req, res) => {
+  const result = await adminUserService.unlockUser(
+    req.user,
+    req.params.id,
+    getRequestContext(req)
+  );
+
+  res.status(200).json(result);
+});
+
+/**
+ * Deactivate User
+ * 
+ * POST /api/admin/users/:id/deactivate
+ * Params: { id }
+ * Body: { reason }
+ */
+export const deactivateUser = catchAsync(async (req, res) => {
+  const result = await adminUserService.deactivateUser(
+    req.user,
+    req.params.id,
+    req.body.reason,
+    getRequestContext(req)
+  );
+
+  res.status(200).json(result);
+});
+
+/**
+ * Reactivate User
+ * 
+ * POST /api/admin/users/:id/reactivate
+ * Params: { id }
+ */
+export const reactivateUser = catchAsync(async (req, res) => {
+  const result = await adminUserService.reactivateUser(
+    req.user,
+    req.params.id,
+    getRequestContext(req)
+  );
+
+  res.status(200).json(result);
+});
+
+/**
+ * Send Password Reset
+ * 
+ * POST /api/admin/users/:id/password-reset
+ * Params: { id }
+ */
+export const sendUserPasswordReset = catchAsync(async (req, res) => {
+  const result = await adminUserService.sendUserPasswordReset(
+    req.user,
+    req.params.id,
+    getRequestContext(req)
+  );
+
+  res.status(200).json(result);
+});
+
+/**
+ * Revoke User Session
+ * 
+ * DELETE /api/admin/users/:id/sessions/:sessionId
+ * Params: { id, sessionId }
+ */
+export const revokeUserSession = catchAsync(async (req, res) => {
+  const result = await adminUserService.revokeUserSession(
+    req.user,
+    req.params.id,
+    req.params.sessionId,
+    getRequestContext(req)
+  );
+
+  res.status(200).json(result);
+});
+
+/**
+ * Log User Out Everywhere
+ * 
+ * POST /api/admin/users/:id/logout-everywhere
+ * Params: { id }
+ * 
+ * Invalidates every token of the user (e.g. after a security incident).
+ */
+export const logoutUserEverywhere = catchAsync(async (req, res) => {
+  const result = await authService.logoutEverywhere(req.params.id, 'revoked-by-admin');
+
+  console.log(`🔒 Admin ${req.user.email} logged out user ${req.params.id} everywhere`);
+
+  res.status(200).json(result);
+});
+
+/**
+ * Impersonate User
+ * 
+ * POST /api/admin/users/:id/impersonate
+ * Params: { id }
+ * Body: { reason }
+ * 
+ * Returns a short-lived access token to act as the user (support).
+ */
+export const impersonateUser = catchAsync(async (req, res) => {
+  const result = await impersonationService.startImpersonation(
+    req.user,
+    req.params.id,
+    req.body.reason,
+    getRequestContext(req)
+  );
+
+  res.status(200).json(result);
+});
+
+export default {
+  listUsers,
+  getUser,
+  verifyUserEmail,
+  unlockUser,
+  deactivateUser,
+  reactivateUser,
+  sendUserPasswordReset,
+  revokeUserSession,
+  logoutUserEverywhere,
+  impersonateUser,
+};
@@ -0,0 +1,56 @@
+/**
+ * API Key Controller
+ * 
+ * Lets users manage their personal API keys.
+ * All routes require a logged-in session (API keys can't manage keys).
+ */
+
+import * as apiKeyService from '../services/apiKeyService.js';
+import catchAsync from '../utils/catchAsync.js';
+
+/**
+ * List API Keys
+ * 
+ * GET /api/auth/api-keys
+ */
+export const listApiKeys = catchAsync(async (req, res) => {
+  const result = await apiKeyService.listApiKeys(req.user.id);
+
+  res.status(200).json(result);
+});
+
+/**
+ * Create API Key
+ * 
+ * POST /api/auth/api-keys
+ * Body: { name, scopes, expiresInDays? }
+ */
+export const createApiKey = catchAsync(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  const result = await apiKeyService.createApiKey(req.user.id, {
+    name,
+    scopes,
+    expiresInDays,
+  });
+
+  res.status(201).json(result);
+});
+
+/**
+ * Revoke API Key
+ * 
+ * DELETE /api/auth/api-keys/:id
+ * Params: { id }
+ */
+export const revokeApiKey = catchAsync(async (req, res) => {
+  const result = await apiKeyService.revokeApiKey(req.user.id, req.params.id);
+
+  res.status(200).json(result);
+});
+
+export default {
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+};
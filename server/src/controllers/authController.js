@@ -8,7 +8,7 @@
  * 2. Call appropriate service function
  * 3. Format response
  * 4. Set HTTP status codes
- * 5. Handle cookies (if using)
+ * 5. Handle cookies (cookie mode, see utils/authCookies.js)
  * 
  * WHAT CONTROLLERS SHOULD NOT DO:
  * - Business logic (that's in services)
@@ -20,7 +20,18 @@
  */
 
 import * as authService from '../services/authService.js';
+import * as impersonationService from '../services/impersonationService.js';
+import * as emailChangeService from '../services/emailChangeService.js';
+import * as accountDeletionService from '../services/accountDeletionService.js';
 import catchAsync from '../utils/catchAsync.js';
+import getRequestContext from '../utils/requestContext.js';
+import config from '../config/env.js';
+import {
+  sendTokenResponse,
+  clearAuthCookies,
+  REFRESH_TOKEN_COOKIE,
+  TRUSTED_DEVICE_COOKIE,
+} from '../utils/authCookies.js';
 
 /**
  * Signup
@@ -48,22 +59,20 @@ export const signup = catchAsync(async (req, res) => {
  * Login
  * 
  * POST /api/auth/login
- * Body: { email, password }
+ * Body: { email, password, rememberMe? }
  */
 export const login = catchAsync(async (req, res) => {
-  const { email, password } = req.body;
+  const { email, password, rememberMe } = req.body;
 
-  const result = await authService.login({ email, password });
+  const result = await authService.login(
+    { email, password, rememberMe },
+    getRequestContext(req),
+    // Browser confirmed by email before (skips the new-device code)
+    { deviceToken: req.cookies?.[TRUSTED_DEVICE_COOKIE] }
+  );
 
-  // Optional: Set JWT in httpOnly cookie (more secure than localStorage)
-  // res.cookie('accessToken', result.data.accessToken, {
-  //   httpOnly: true,
-  //   secure: config.isProduction(), // Only over HTTPS in production
-  //   sameSite: 'strict',
-  //   maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-  // });
-
-  res.status(200).json(result);
+  // Cookie mode: tokens go into httpOnly cookies instead of the body
+  sendTokenResponse(res, result);
 });
 
 /**
@@ -75,9 +84,9 @@ export const login = catchAsync(async (req, res) => {
 export const verifyEmail = catchAsync(async (req, res) => {
   const { token } = req.params;
 
-  const result = await authService.verifyEmail(token);
+  const result = await authService.verifyEmail(token, getRequestContext(req));
 
-  res.status(200).json(result);
+  sendTokenResponse(res, result);
 });
 
 /**
@@ -128,35 +137,92 @@ export const resetPassword = catchAsync(async (req, res) => {
  * Refresh Token
  * 
  * POST /api/auth/refresh-token
- * Body: { refreshToken }
+ * Body: { refreshToken } (or refreshToken cookie in cookie mode)
+ * 
+ * Returns a new access token AND a new refresh token.
+ * The refresh token sent in the request can't be used again.
  */
 export const refreshToken = catchAsync(async (req, res) => {
-  const { refreshToken } = req.body;
+  const refreshToken =
+    req.body.refreshToken ||
+    (config.cookies.enabled ? req.cookies[REFRESH_TOKEN_COOKIE] : undefined);
 
-  const result = await authService.refreshAccessToken(refreshToken);
+  const result = await authService.refreshAccessToken(
+    refreshToken,
+    getRequestContext(req)
+  );
 
-  res.status(200).json(result);
+  sendTokenResponse(res, result);
 });
 
 /**
  * Logout
  * 
  * POST /api/auth/logout
+ * Requires authentication middleware
  * 
- * With JWT, logout is client-side (delete token from localStorage/cookies).
- * This endpoint is optional and mainly for clearing cookies if you use them.
+ * Revokes the current session (refresh token) and the access token
+ * used for this request. The client should still delete its stored tokens.
  */
 export const logout = catchAsync(async (req, res) => {
-  // Clear cookie if you're using cookies
-  res.cookie('accessToken', '', {
-    httpOnly: true,
-    expires: new Date(0),
-  });
+  // req.token is the decoded access token, set by authenticate middleware
+  const result = await authService.logout(req.token);
 
-  res.status(200).json({
-    status: 'success',
-    message: 'Logged out successfully',
-  });
+  // Cookie mode: remove token cookies from the browser
+  clearAuthCookies(res);
+
+  res.status(200).json(result);
+});
+
+/**
+ * Log Out Everywhere
+ * 
+ * POST /api/auth/logout-all
+ * Requires authentication middleware
+ * 
+ * Invalidates every token of the user, on every device (this one too).
+ */
+export const logoutAll = catchAsync(async (req, res) => {
+  const result = await authService.logoutEverywhere(req.user.id, 'logout-all');
+
+  clearAuthCookies(res);
+
+  res.status(200).json(result);
+});
+
+/**
+ * Re-authenticate
+ * 
+ * POST /api/auth/reauthenticate
+ * Body: { password } (or { idToken } for accounts linked to Google)
+ * 
+ * Returns a new access token with a fresh auth_time, for routes
+ * behind requireRecentAuth. The refresh token doesn't change.
+ */
+export const reauthenticate = catchAsync(async (req, res) => {
+  const result = await authService.reauthenticate(
+    req.user.id,
+    req.user.sessionId,
+    req.body
+  );
+
+  sendTokenResponse(res, result);
+});
+
+/**
+ * End Impersonation
+ * 
+ * DELETE /api/auth/impersonation
+ * Requires an impersonation token (admin acting as a user)
+ */
+export const endImpersonation = catchAsync(async (req, res) => {
+  const result = await impersonationService.endImpersonation(
+    req.user,
+    req.token,
+    getRequestContext(req)
+  );
+
+  res.status(200).json(result);
 });
 
 /**
@@ -169,6 +235,11 @@ export const getMe = catchAsync(async (req, res) => {
   // req.user is set by authenticate middleware
   const result = await authService.getCurrentUser(req.user.id);
 
+  // Admin acting as this user (the client shows a banner)
+  if (req.user.impersonator) {
+    result.data.impersonator = req.user.impersonator;
+  }
+
   res.status(200).json(result);
 });
 
@@ -200,16 +271,22 @@ export const updatePassword = catchAsync(async (req, res) => {
   user.password = newPassword;
   await user.save();
 
-  // Generate new tokens (invalidate old ones)
-  const { generateTokens } = await import('../services/jwtService.js');
-  const { accessToken, refreshToken } = generateTokens(user._id.toString());
+  // End all existing sessions and start a new one for this device
+  const { restartSession } = await import('../services/sessionService.js');
+  const { session, accessToken, refreshToken } = await restartSession(
+    user,
+    req.user.sessionId,
+    'password-changed',
+    getRequestContext(req)
+  );
 
-  res.status(200).json({
+  sendTokenResponse(res, {
     status: 'success',
     message: 'Password updated successfully',
     data: {
       accessToken,
       refreshToken,
+      rememberMe: session.rememberMe,
     },
   });
 });
@@ -218,11 +295,14 @@ export const updatePassword = catchAsync(async (req, res) => {
  * Update Profile
  * 
  * PATCH /api/auth/profile
- * Body: { firstName?, lastName? }
+ * Body: { firstName?, lastName?, email? }
  * Requires authentication middleware
+ * 
+ * A new email isn't applied here: it's stored as pending until the link
+ * sent to it is clicked (see emailChangeService).
  */
 export const updateProfile = catchAsync(async (req, res) => {
-  const { firstName, lastName } = req.body;
+  const { firstName, lastName, email } = req.body;
 
   const User = (await import('../models/User.js')).default;
   const user = await User.findById(req.user.id);
@@ -233,13 +313,22 @@ export const updateProfile = catchAsync(async (req, res) => {
 
   await user.save();
 
+  // Email change (confirmation link sent to the new address)
+  let emailChange = null;
+  if (email !== undefined && email.toLowerCase() !== user.email) {
+    emailChange = await emailChangeService.requestEmailChange(user._id, email);
+  }
+
   res.status(200).json({
     status: 'success',
-    message: 'Profile updated successfully',
+    message: emailChange
+      ? `Profile updated. ${emailChange.message}`
+      : 'Profile updated successfully',
     data: {
       user: {
         id: user._id,
         email: user.email,
+        pendingEmail: emailChange ? emailChange.data.pendingEmail : user.pendingEmail,
         firstName: user.firstName,
         lastName: user.lastName,
         fullName: user.fullName,
@@ -249,21 +338,20 @@ export const updateProfile = catchAsync(async (req, res) => {
 });
 
 /**
- * Delete Account (soft delete)
+ * Delete Account (restorable by logging in during the grace period)
  * 
  * DELETE /api/auth/account
  * Requires authentication middleware
  */
 export const deleteAccount = catchAsync(async (req, res) => {
-  const User = (await import('../models/User.js')).default;
-  
-  // Soft delete (set isActive to false)
-  await User.findByIdAndUpdate(req.user.id, { isActive: false });
+  const result = await accountDeletionService.scheduleAccountDeletion(
+    req.user.id,
+    getRequestContext(req)
+  );
 
-  res.status(200).json({
-    status: 'success',
-    message: 'Account deleted successfully',
-  });
+  clearAuthCookies(res);
+
+  res.status(200).json(result);
 });
 
 export default {
@@ -275,6 +363,8 @@ export default {
   resetPassword,
   refreshToken,
   logout,
+  logoutAll,
+  reauthenticate,
   getMe,
   updatePassword,
   updateProfile,
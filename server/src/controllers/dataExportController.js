@@ -0,0 +1,86 @@
+/**
+ * Data Export Controller
+ *
+ * Archives are sent as JSON file downloads (Content-Disposition:
+ * attachment), so the emailed link works straight from the mail client.
+ */
+
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import * as dataExportService from '../services/dataExportService.js';
+import catchAsync from '../utils/catchAsync.js';
+import getRequestContext from '../utils/requestContext.js';
+
+/**
+ * Send an archive as a file download
+ *
+ * @param {Object} res - Express response
+ * @param {string} archive - JSON text
+ * @param {string} filename - Download file name
+ */
+const sendArchive = (res, archive, filename) => {
+  setDownloadHeaders(res, filename);
+  res.status(200).send(archive);
+};
+
+/**
+ * Download headers (JSON file, never cached)
+ *
+ * @param {Object} res - Express response
+ * @param {string} filename - Download file name
+ */
+const setDownloadHeaders = (res, filename) => {
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.set('Cache-Control', 'no-store');
+  res.type('application/json');
+};
+
+/**
+ * Export My Data
+ *
+ * GET /api/auth/me/export
+ * 200 with the archive, or 202 when it will be emailed
+ */
+export const exportMyData = catchAsync(async (req, res) => {
+  const result = await dataExportService.exportUserData(
+    req.user.id,
+    getRequestContext(req)
+  );
+
+  if (!result.archive) {
+    return res.status(202).json(result);
+  }
+
+  sendArchive(res, JSON.stringify(result.archive, null, 2), result.filename);
+});
+
+/**
+ * Download an Export (emailed link)
+ *
+ * GET /api/auth/exports/:token
+ * Params: { token }
+ */
+export const downloadExport = catchAsync(async (req, res) => {
+  const { chunks, size, filename } = await dataExportService.downloadExport(
+    req.params.token,
+    getRequestContext(req)
+  );
+
+  // Streamed: large archives never sit in memory as a whole
+  setDownloadHeaders(res, filename);
+  res.set('Content-Length', String(size));
+  res.status(200);
+
+  try {
+    await pipeline(Readable.from(chunks), res);
+  } catch (error) {
+    // Headers are sent: all that's left is to cut the response short
+    console.error('Data export download failed:', error);
+    res.destroy();
+  }
+});
+
+export default {
+  exportMyData,
+  downloadExport,
+};
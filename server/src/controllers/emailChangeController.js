@@ -0,0 +1,53 @@
+/**
+ * Email Change Controller
+ *
+ * The change itself is requested with PATCH /api/auth/profile { email }
+ * (see authController.updateProfile). Both links sent by email are public:
+ * whoever opens them may not be logged in.
+ *
+ * Both actions log out everywhere, so this browser's cookies are cleared.
+ */
+
+import * as emailChangeService from '../services/emailChangeService.js';
+import catchAsync from '../utils/catchAsync.js';
+import getRequestContext from '../utils/requestContext.js';
+import { clearAuthCookies } from '../utils/authCookies.js';
+
+/**
+ * Confirm Email Change
+ *
+ * POST /api/auth/confirm-email-change/:token
+ * Params: { token }
+ */
+export const confirmEmailChange = catchAsync(async (req, res) => {
+  const result = await emailChangeService.confirmEmailChange(
+    req.params.token,
+    getRequestContext(req)
+  );
+
+  clearAuthCookies(res);
+
+  res.status(200).json(result);
+});
+
+/**
+ * Revert Email Change
+ *
+ * POST /api/auth/revert-email-change/:token
+ * Params: { token }
+ */
+export const revertEmailChange = catchAsync(async (req, res) => {
+  const result = await emailChangeService.revertEmailChange(
+    req.params.token,
+    getRequestContext(req)
+  );
+
+  clearAuthCookies(res);
+
+  res.status(200).json(result);
+});
+
+export default {
+  confirmEmailChange,
+  revertEmailChange,
+};
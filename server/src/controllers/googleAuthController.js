@@ -6,27 +6,31 @@
 
 import * as googleAuthService from '../services/googleAuthService.js';
 import catchAsync from '../utils/catchAsync.js';
+import getRequestContext from '../utils/requestContext.js';
+import { sendTokenResponse } from '../utils/authCookies.js';
 import { badRequest } from '../utils/AppError.js';
 
 /**
  * Google OAuth Login
  * 
  * POST /api/auth/google
- * Body: { idToken }
+ * Body: { idToken, rememberMe? }
  * 
  * The frontend gets the idToken from Google Sign-In,
  * then sends it here for verification and authentication.
  */
 export const googleLogin = catchAsync(async (req, res) => {
-  const { idToken } = req.body;
+  const { idToken, rememberMe } = req.body;
 
   if (!idToken) {
     throw badRequest('Google ID token is required');
   }
 
-  const result = await googleAuthService.googleAuth(idToken);
+  const result = await googleAuthService.googleAuth(idToken, getRequestContext(req), {
+    rememberMe: rememberMe === true,
+  });
 
-  res.status(200).json(result);
+  sendTokenResponse(res, result);
 });
 
 export default {
@@ -0,0 +1,49 @@
+/**
+ * Introspection Controller
+ *
+ * Token introspection and revocation for confidential clients.
+ * All routes require client authentication (req.client is set).
+ */
+
+import * as introspectionService from '../services/introspectionService.js';
+import catchAsync from '../utils/catchAsync.js';
+
+/**
+ * Introspect Token (RFC 7662)
+ *
+ * POST /api/auth/introspect
+ * Body: { token, token_type_hint? }
+ */
+export const introspect = catchAsync(async (req, res) => {
+  const { token, token_type_hint: tokenTypeHint } = req.body;
+
+  const result = await introspectionService.introspectToken(token, tokenTypeHint);
+
+  // Token state can change at any moment - never cache the answer
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json(result);
+});
+
+/**
+ * Revoke Token (RFC 7009)
+ *
+ * POST /api/auth/revoke
+ * Body: { token, token_type_hint? }
+ *
+ * Always 200 for a valid request, even if the token was invalid.
+ */
+export const revoke = catchAsync(async (req, res) => {
+  const { token, token_type_hint: tokenTypeHint } = req.body;
+
+  await introspectionService.revokeToken(token, tokenTypeHint, req.client);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Token revoked',
+  });
+});
+
+export default {
+  introspect,
+  revoke,
+};
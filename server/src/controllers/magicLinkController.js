@@ -0,0 +1,48 @@
+/**
+ * Magic Link Controller
+ * 
+ * Passwordless sign-in by email (see magicLinkService.js).
+ */
+
+import * as magicLinkService from '../services/magicLinkService.js';
+import catchAsync from '../utils/catchAsync.js';
+import getRequestContext from '../utils/requestContext.js';
+import { sendTokenResponse } from '../utils/authCookies.js';
+
+/**
+ * Request a Magic Link
+ * 
+ * POST /api/auth/magic-link
+ * Body: { email, rememberMe? }
+ */
+export const requestMagicLink = catchAsync(async (req, res) => {
+  const { email, rememberMe } = req.body;
+
+  const result = await magicLinkService.requestMagicLink(email, { rememberMe });
+
+  res.status(200).json(result);
+});
+
+/**
+ * Sign In With a Magic Link
+ * 
+ * POST /api/auth/magic-link/:token
+ * Params: { token }
+ * Body: { rememberMe? }
+ */
+export const loginWithMagicLink = catchAsync(async (req, res) => {
+  const result = await magicLinkService.loginWithMagicLink(
+    req.params.token,
+    { rememberMe: req.body.rememberMe },
+    getRequestContext(req)
+  );
+
+  // Cookie mode: tokens go into httpOnly cookies instead of the body
+  // (a 2FA challenge is returned as-is)
+  sendTokenResponse(res, result);
+});
+
+export default {
+  requestMagicLink,
+  loginWithMagicLink,
+};
@@ -0,0 +1,120 @@
+/**
+ * OAuth Controller
+ *
+ * OAuth 2.0 / OpenID Connect endpoints for registered clients:
+ * - authorize + consent: the browser part of the authorization code flow
+ * - token: requires client authentication (req.client is set)
+ * - userinfo: requires an access token from the token endpoint
+ *
+ * See oauthService.js and oidcService.js.
+ */
+
+import * as oauthService from '../services/oauthService.js';
+import * as oidcService from '../services/oidcService.js';
+import { extractTokenFromHeader } from '../services/jwtService.js';
+import { unauthorized } from '../utils/AppError.js';
+import catchAsync from '../utils/catchAsync.js';
+import config from '../config/env.js';
+
+/**
+ * Authorization Endpoint
+ *
+ * GET /api/auth/oauth/authorize
+ * Query: { client_id, redirect_uri, response_type, scope, state?, nonce?,
+ *          code_challenge?, code_challenge_method? }
+ *
+ * Checks the request, then sends the browser to the consent page of the
+ * React client (which handles login). Errors the client should know about
+ * go back to its redirect URI.
+ */
+export const authorize = catchAsync(async (req, res) => {
+  try {
+    await oidcService.validateAuthorizationRequest(req.query);
+  } catch (error) {
+    if (error.redirectTo) {
+      return res.redirect(error.redirectTo);
+    }
+    throw error;
+  }
+
+  const params = new URLSearchParams(oidcService.pickAuthorizationParams(req.query));
+  res.redirect(`${config.clientUrl}/oauth/consent?${params}`);
+});
+
+/**
+ * Get Consent Details
+ *
+ * GET /api/auth/oauth/consent
+ * Query: authorization request parameters (as received by /authorize)
+ */
+export const getConsent = catchAsync(async (req, res) => {
+  const result = await oidcService.getConsentDetails(req.query);
+
+  res.status(200).json(result);
+});
+
+/**
+ * Approve or Deny
+ *
+ * POST /api/auth/oauth/consent
+ * Body: { approve, ...authorization request parameters }
+ *
+ * Responds with { redirectTo }: the consent page sends the browser there.
+ */
+export const decideConsent = catchAsync(async (req, res) => {
+  const result = await oidcService.decideAuthorization(req.user, req.body, req.body.approve);
+
+  res.status(200).json(result);
+});
+
+/**
+ * Token Endpoint
+ *
+ * POST /api/auth/oauth/token
+ * Body (form-urlencoded or JSON):
+ *   { grant_type: 'client_credentials', scope? }
+ *   { grant_type: 'authorization_code', code, redirect_uri, code_verifier? }
+ *
+ * Responds in the OAuth 2.0 format (RFC 6749, section 5.1), not { status, data }.
+ */
+export const token = catchAsync(async (req, res) => {
+  const result = await oauthService.issueToken(req.client, req.body);
+
+  // Tokens must not be cached (RFC 6749, section 5.1)
+  res.set({ 'Cache-Control': 'no-store', Pragma: 'no-cache' });
+  res.status(200).json(result);
+});
+
+/**
+ * UserInfo Endpoint
+ *
+ * GET or POST /api/auth/oauth/userinfo
+ * Headers: Authorization: Bearer <access token from the token endpoint>
+ *
+ * Responds with the claims allowed by the token's scopes (OpenID Connect
+ * Core, section 5.3), not { status, data }.
+ */
+export const userinfo = catchAsync(async (req, res) => {
+  const accessToken = extractTokenFromHeader(req.headers.authorization);
+
+  // RFC 6750: tell the client how to authenticate
+  res.set('WWW-Authenticate', 'Bearer realm="api"');
+
+  if (!accessToken) {
+    throw unauthorized('No token provided.');
+  }
+
+  const claims = await oidcService.getUserInfo(accessToken);
+
+  res.removeHeader('WWW-Authenticate');
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json(claims);
+});
+
+export default {
+  authorize,
+  getConsent,
+  decideConsent,
+  token,
+  userinfo,
+};
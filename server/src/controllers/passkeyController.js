@@ -0,0 +1,138 @@
+/**
+ * Passkey Controller
+ * 
+ * Managing passkeys requires a logged-in session; logging in with one
+ * (passwordless or as second factor) is public.
+ * 
+ * Every ceremony has two calls: get the options (challenge) for
+ * navigator.credentials, then send back what the authenticator returned.
+ */
+
+import * as passkeyService from '../services/passkeyService.js';
+import catchAsync from '../utils/catchAsync.js';
+import getRequestContext from '../utils/requestContext.js';
+import { sendTokenResponse } from '../utils/authCookies.js';
+
+/**
+ * List Passkeys
+ * 
+ * GET /api/auth/passkeys
+ */
+export const listPasskeys = catchAsync(async (req, res) => {
+  const result = await passkeyService.listPasskeys(req.user.id);
+
+  res.status(200).json(result);
+});
+
+/**
+ * Registration Options
+ * 
+ * POST /api/auth/passkeys/register/options
+ */
+export const registrationOptions = catchAsync(async (req, res) => {
+  const result = await passkeyService.getRegistrationOptions(req.user.id);
+
+  res.status(200).json(result);
+});
+
+/**
+ * Register Passkey
+ * 
+ * POST /api/auth/passkeys/register
+ * Body: { challengeToken, response, name? }
+ */
+export const register = catchAsync(async (req, res) => {
+  const { challengeToken, response, name } = req.body;
+
+  const result = await passkeyService.verifyRegistration(
+    req.user.id,
+    { challengeToken, response, name },
+    getRequestContext(req)
+  );
+
+  res.status(201).json(result);
+});
+
+/**
+ * Remove Passkey
+ * 
+ * DELETE /api/auth/passkeys/:id
+ */
+export const deletePasskey = catchAsync(async (req, res) => {
+  const result = await passkeyService.deletePasskey(
+    req.user.id,
+    req.params.id,
+    getRequestContext(req)
+  );
+
+  res.status(200).json(result);
+});
+
+/**
+ * Passwordless Login Options
+ * 
+ * POST /api/auth/passkeys/login/options
+ */
+export const loginOptions = catchAsync(async (req, res) => {
+  const result = await passkeyService.getAuthenticationOptions();
+
+  res.status(200).json(result);
+});
+
+/**
+ * Passwordless Login
+ * 
+ * POST /api/auth/passkeys/login
+ * Body: { challengeToken, response, rememberMe? }
+ */
+export const login = catchAsync(async (req, res) => {
+  const { challengeToken, response, rememberMe } = req.body;
+
+  const result = await passkeyService.loginWithPasskey(
+    { challengeToken, response, rememberMe },
+    getRequestContext(req)
+  );
+
+  // Cookie mode: tokens go into httpOnly cookies instead of the body
+  sendTokenResponse(res, result);
+});
+
+/**
+ * Second Factor Options
+ * 
+ * POST /api/auth/login/2fa/passkey/options
+ * Body: { challengeToken } (from the first login step)
+ */
+export const secondFactorOptions = catchAsync(async (req, res) => {
+  const result = await passkeyService.getSecondFactorOptions(req.body.challengeToken);
+
+  res.status(200).json(result);
+});
+
+/**
+ * Complete Login With a Passkey
+ * 
+ * POST /api/auth/login/2fa/passkey
+ * Body: { challengeToken, passkeyChallengeToken, response }
+ */
+export const completeSecondFactor = catchAsync(async (req, res) => {
+  const { challengeToken, passkeyChallengeToken, response } = req.body;
+
+  const result = await passkeyService.completePasskeySecondFactor(
+    { challengeToken, passkeyChallengeToken, response },
+    getRequestContext(req)
+  );
+
+  sendTokenResponse(res, result);
+});
+
+export default {
+  listPasskeys,
+  registrationOptions,
+  register,
+  deletePasskey,
+  loginOptions,
+  login,
+  secondFactorOptions,
+  completeSecondFactor,
+};
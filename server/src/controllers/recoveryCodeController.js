@@ -0,0 +1,66 @@
+/**
+ * Recovery Code Controller
+ * 
+ * Generating codes requires a logged-in session; recovering an account
+ * with a code is public (the user can't log in).
+ */
+
+import * as recoveryCodeService from '../services/recoveryCodeService.js';
+import catchAsync from '../utils/catchAsync.js';
+import getRequestContext from '../utils/requestContext.js';
+import { setTrustedDeviceCookie } from '../utils/authCookies.js';
+
+/**
+ * Recovery Code Status
+ * 
+ * GET /api/auth/recovery-codes
+ */
+export const getStatus = catchAsync(async (req, res) => {
+  const result = await recoveryCodeService.getRecoveryCodeStatus(req.user.id);
+
+  res.status(200).json(result);
+});
+
+/**
+ * Generate Recovery Codes
+ * 
+ * POST /api/auth/recovery-codes
+ * Body: { password }
+ */
+export const generate = catchAsync(async (req, res) => {
+  const result = await recoveryCodeService.generateRecoveryCodes(
+    req.user.id,
+    req.body.password,
+    getRequestContext(req)
+  );
+
+  res.status(201).json(result);
+});
+
+/**
+ * Recover Account
+ * 
+ * POST /api/auth/recover-account
+ * Body: { email, code, password, passwordConfirm }
+ */
+export const recoverAccount = catchAsync(async (req, res) => {
+  const { email, code, password } = req.body;
+
+  const { deviceToken, ...result } = await recoveryCodeService.recoverAccount(
+    { email, code, password },
+    getRequestContext(req)
+  );
+
+  // This browser can log in without an emailed code
+  if (deviceToken) {
+    setTrustedDeviceCookie(res, deviceToken);
+  }
+
+  res.status(200).json(result);
+});
+
+export default {
+  getStatus,
+  generate,
+  recoverAccount,
+};
@@ -0,0 +1,56 @@
+/**
+ * Session Controller
+ * 
+ * Lets users see where they are signed in and end sessions remotely.
+ * All routes require authentication (req.user is set).
+ */
+
+import * as sessionService from '../services/sessionService.js';
+import catchAsync from '../utils/catchAsync.js';
+
+/**
+ * List Sessions
+ * 
+ * GET /api/auth/sessions
+ */
+export const listSessions = catchAsync(async (req, res) => {
+  const result = await sessionService.listSessions(
+    req.user.id,
+    req.user.sessionId
+  );
+
+  res.status(200).json(result);
+});
+
+/**
+ * Revoke Session
+ * 
+ * DELETE /api/auth/sessions/:id
+ * Params: { id }
+ */
+export const revokeSession = catchAsync(async (req, res) => {
+  const result = await sessionService.revokeSession(req.user.id, req.params.id);
+
+  res.status(200).json(result);
+});
+
+/**
+ * Sign Out All Other Devices
+ * 
+ * DELETE /api/auth/sessions
+ * Keeps the session of the current request.
+ */
+export const revokeOtherSessions = catchAsync(async (req, res) => {
+  const result = await sessionService.revokeOtherSessions(
+    req.user.id,
+    req.user.sessionId
+  );
+
+  res.status(200).json(result);
+});
+
+export default {
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+};
@@ -0,0 +1,93 @@
+/**
+ * Trusted Device Controller
+ *
+ * Confirming a new browser (second step of a password login) is public;
+ * reviewing and forgetting trusted devices requires a logged-in session.
+ *
+ * The trustedDevice cookie is set here in both header and cookie mode:
+ * it's what makes the browser known on its next login.
+ */
+
+import * as trustedDeviceService from '../services/trustedDeviceService.js';
+import catchAsync from '../utils/catchAsync.js';
+import getRequestContext from '../utils/requestContext.js';
+import {
+  sendTokenResponse,
+  setTrustedDeviceCookie,
+  clearTrustedDeviceCookie,
+  TRUSTED_DEVICE_COOKIE,
+} from '../utils/authCookies.js';
+
+/**
+ * Confirm Device (second login step)
+ *
+ * POST /api/auth/login/confirm-device
+ * Body: { challengeToken, code }
+ */
+export const confirmDevice = catchAsync(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  const { deviceToken, ...result } = await trustedDeviceService.confirmDevice(
+    challengeToken,
+    code,
+    getRequestContext(req)
+  );
+
+  setTrustedDeviceCookie(res, deviceToken);
+
+  sendTokenResponse(res, result);
+});
+
+/**
+ * List Trusted Devices
+ *
+ * GET /api/auth/trusted-devices
+ */
+export const listTrustedDevices = catchAsync(async (req, res) => {
+  const result = await trustedDeviceService.listTrustedDevices(
+    req.user.id,
+    req.cookies?.[TRUSTED_DEVICE_COOKIE]
+  );
+
+  res.status(200).json(result);
+});
+
+/**
+ * Forget Trusted Device
+ *
+ * DELETE /api/auth/trusted-devices/:id
+ * Params: { id }
+ */
+export const forgetTrustedDevice = catchAsync(async (req, res) => {
+  const result = await trustedDeviceService.forgetTrustedDevice(
+    req.user.id,
+    req.params.id,
+    getRequestContext(req)
+  );
+
+  res.status(200).json(result);
+});
+
+/**
+ * Forget All Trusted Devices
+ *
+ * DELETE /api/auth/trusted-devices
+ * This browser too: its cookie is cleared.
+ */
+export const forgetAllTrustedDevices = catchAsync(async (req, res) => {
+  const result = await trustedDeviceService.forgetAllTrustedDevices(
+    req.user.id,
+    getRequestContext(req)
+  );
+
+  clearTrustedDeviceCookie(res);
+
+  res.status(200).json(result);
+});
+
+export default {
+  confirmDevice,
+  listTrustedDevices,
+  forgetTrustedDevice,
+  forgetAllTrustedDevices,
+};
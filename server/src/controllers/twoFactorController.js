@@ -0,0 +1,82 @@
+/**
+ * Two-Factor Authentication Controller
+ * 
+ * Enrollment and removal of TOTP 2FA (logged-in session required),
+ * and the second step of login (public, uses the challenge token).
+ */
+
+import * as twoFactorService from '../services/twoFactorService.js';
+import catchAsync from '../utils/catchAsync.js';
+import getRequestContext from '../utils/requestContext.js';
+import { sendTokenResponse } from '../utils/authCookies.js';
+
+/**
+ * Complete Login With a Code
+ * 
+ * POST /api/auth/login/2fa
+ * Body: { challengeToken, code }
+ */
+export const completeLogin = catchAsync(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  const result = await twoFactorService.completeTwoFactorLogin(
+    challengeToken,
+    code,
+    getRequestContext(req)
+  );
+
+  // Cookie mode: tokens go into httpOnly cookies instead of the body
+  sendTokenResponse(res, result);
+});
+
+/**
+ * Start Enrollment
+ * 
+ * POST /api/auth/2fa/setup
+ */
+export const setup = catchAsync(async (req, res) => {
+  const result = await twoFactorService.setupTwoFactor(req.user.id);
+
+  res.status(200).json(result);
+});
+
+/**
+ * Confirm Enrollment
+ * 
+ * POST /api/auth/2fa/enable
+ * Body: { code }
+ */
+export const enable = catchAsync(async (req, res) => {
+  const result = await twoFactorService.enableTwoFactor(
+    req.user.id,
+    req.body.code,
+    getRequestContext(req)
+  );
+
+  res.status(200).json(result);
+});
+
+/**
+ * Disable 2FA
+ * 
+ * POST /api/auth/2fa/disable
+ * Body: { password, code }
+ */
+export const disable = catchAsync(async (req, res) => {
+  const { password, code } = req.body;
+
+  const result = await twoFactorService.disableTwoFactor(
+    req.user.id,
+    { password, code },
+    getRequestContext(req)
+  );
+
+  res.status(200).json(result);
+});
+
+export default {
+  completeLogin,
+  setup,
+  enable,
+  disable,
+};
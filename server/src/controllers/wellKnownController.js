@@ -0,0 +1,38 @@
+/**
+ * Well-Known Controller
+ * 
+ * Public discovery documents served under /.well-known (RFC 8615).
+ */
+
+import { getJwks } from '../services/keyService.js';
+import { getDiscoveryDocument } from '../services/oidcService.js';
+
+/**
+ * JSON Web Key Set
+ * 
+ * GET /.well-known/jwks.json
+ * 
+ * Public keys other services use to verify our access tokens.
+ * Cacheable: verifiers should refetch when they see an unknown kid.
+ */
+export const jwks = (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json(getJwks());
+};
+
+/**
+ * OpenID Provider Configuration
+ * 
+ * GET /.well-known/openid-configuration
+ * 
+ * Endpoints and supported features, for OpenID Connect client libraries.
+ */
+export const openidConfiguration = (req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.status(200).json(getDiscoveryDocument());
+};
+
+export default {
+  jwks,
+  openidConfiguration,
+};
@@ -18,22 +18,66 @@
  */
 
 import User from '../models/User.js';
-import { verifyAccessToken, extractTokenFromHeader } from '../services/jwtService.js';
-import { unauthorized } from '../utils/AppError.js';
+import ApiKey from '../models/ApiKey.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import { extractTokenFromHeader } from '../services/jwtService.js';
+import { validateAccessToken } from '../services/authService.js';
+import { validateApiKey } from '../services/apiKeyService.js';
+import { validateClientAccessToken } from '../services/oauthService.js';
+import { unauthorized, forbidden, oauthError } from '../utils/AppError.js';
 import catchAsync from '../utils/catchAsync.js';
+import getRequestContext from '../utils/requestContext.js';
+import config from '../config/env.js';
+import { getPermissions } from '../config/roles.js';
+import { ACCESS_TOKEN_COOKIE } from '../utils/authCookies.js';
+
+// Requests an API key with the 'read' scope may make
+const READ_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Get the access token of a request
+ * 
+ * Authorization header first (API clients), then the httpOnly cookie
+ * in cookie mode (browser).
+ * 
+ * @param {Object} req - Express request
+ * @returns {string|null} - Access token or null
+ */
+const getAccessToken = (req) => {
+  const headerToken = extractTokenFromHeader(req.headers.authorization);
+  if (headerToken) {
+    return headerToken;
+  }
+
+  if (config.cookies.enabled && req.cookies) {
+    return req.cookies[ACCESS_TOKEN_COOKIE] || null;
+  }
+
+  return null;
+};
 
 /**
  * Authenticate User
  * 
- * Verifies JWT token and attaches user to request object.
+ * Verifies JWT token (or API key) and attaches user to request object.
  * 
  * Flow:
- * 1. Extract token from Authorization header
- * 2. Verify token
- * 3. Check if user still exists
+ * 1. Extract token from Authorization header (or cookie in cookie mode)
+ * 2. Verify token and check it wasn't revoked (logout)
+ * 3. Check if user still exists (and is active)
  * 4. Check if user changed password after token was issued
- * 5. Attach user to request object
- * 6. Call next()
+ * 5. Check if email is verified and the session is still active
+ * 6. Attach user to request object
+ * 7. Call next()
+ * 
+ * API KEYS (Authorization: Bearer ak_...):
+ * Accepted instead of a JWT. Steps 2-5 are replaced by the key checks
+ * (see apiKeyService), and the key needs the 'read' scope for GET/HEAD
+ * requests, 'write' for everything else. req.apiKey is set.
+ * 
+ * IMPERSONATION (token with an `act` claim, see impersonationService):
+ * req.user is the impersonated user, req.user.impersonator the admin.
+ * Every request is recorded as a SecurityEvent before it runs.
  * 
  * Usage:
  * ```
@@ -41,8 +85,8 @@ import catchAsync from '../utils/catchAsync.js';
  * ```
  */
 export const authenticate = catchAsync(async (req, res, next) => {
-  // 1. Extract token from Authorization header
-  const token = extractTokenFromHeader(req.headers.authorization);
+  // 1. Extract token from Authorization header (or cookie)
+  const token = getAccessToken(req);
 
   if (!token) {
     throw unauthorized(
@@ -50,32 +94,22 @@ export const authenticate = catchAsync(async (req, res, next) => {
     );
   }
 
-  // 2. Verify token (throws error if invalid)
-  const decoded = verifyAccessToken(token);
-
-  // 3. Check if user still exists
-  // User might have been deleted after token was issued
-  const user = await User.findById(decoded.id).select('+passwordChangedAt');
-
-  if (!user) {
-    throw unauthorized(
-      'The user belonging to this token no longer exists. Please log in again.'
-    );
-  }
+  let decoded = null;
+  let apiKey = null;
+  let actor = null;
+  let user;
 
-  // 4. Check if user changed password after token was issued
-  // If they did, the token should be invalid
-  if (user.changedPasswordAfter(decoded.iat)) {
-    throw unauthorized(
-      'You recently changed your password. Please log in again.'
-    );
-  }
+  if (ApiKey.isApiKey(token)) {
+    // API key: check key and owner, then the scope for this request
+    ({ apiKey, user } = await validateApiKey(token));
 
-  // 5. Check if email is verified
-  if (!user.isEmailVerified) {
-    throw unauthorized(
-      'Please verify your email before accessing this resource.'
-    );
+    const scope = READ_METHODS.includes(req.method) ? 'read' : 'write';
+    if (!apiKey.hasScope(scope)) {
+      throw forbidden(`This API key doesn't have the "${scope}" scope.`);
+    }
+  } else {
+    // 2-5. Verify token and run the user/session checks (see authService)
+    ({ decoded, user, actor } = await validateAccessToken(token));
   }
 
   // 6. Attach user to request object (available in next middleware/controller)
@@ -85,8 +119,30 @@ export const authenticate = catchAsync(async (req, res, next) => {
     firstName: user.firstName,
     lastName: user.lastName,
     isEmailVerified: user.isEmailVerified,
+    role: user.role,
+    // Granted by the role (see config/roles.js and requirePermission)
+    permissions: getPermissions(user.role),
+    sessionId: decoded?.sid || null,
+    // Admin acting as this user (null for normal logins)
+    impersonator: actor && { id: actor._id, email: actor.email },
   };
 
+  // Audit every impersonated request (fails the request if it can't be recorded)
+  if (actor) {
+    await SecurityEvent.record('impersonation-request', {
+      userId: user._id,
+      actorId: actor._id,
+      ...getRequestContext(req),
+      details: { method: req.method, path: req.originalUrl, jti: decoded.jti },
+    });
+  }
+
+  // Decoded token (jti, exp, sid) - needed to revoke it on logout
+  req.token = decoded;
+
+  // API key used for this request (null for JWTs)
+  req.apiKey = apiKey && { id: apiKey._id, name: apiKey.name, scopes: apiKey.scopes };
+
   // 7. Grant access to protected route
   next();
 });
@@ -106,23 +162,29 @@ export const authenticate = catchAsync(async (req, res, next) => {
  */
 export const optionalAuth = catchAsync(async (req, res, next) => {
   try {
-    const token = extractTokenFromHeader(req.headers.authorization);
+    const token = getAccessToken(req);
 
     if (!token) {
       return next(); // No token, but that's okay
     }
 
-    const decoded = verifyAccessToken(token);
-    const user = await User.findById(decoded.id);
+    // Same checks as authenticate (revoked, session ended, client token...)
+    const { decoded, user } = await validateAccessToken(token);
 
-    if (user && !user.changedPasswordAfter(decoded.iat)) {
+    // Impersonation tokens are only accepted by authenticate (audited)
+    if (!decoded.act) {
       req.user = {
         id: user._id,
         email: user.email,
         firstName: user.firstName,
         lastName: user.lastName,
         isEmailVerified: user.isEmailVerified,
+        role: user.role,
+        permissions: getPermissions(user.role),
+        sessionId: decoded.sid || null,
+        impersonator: null,
       };
+      req.token = decoded;
     }
   } catch (error) {
     // Silently fail - invalid token just means unauthenticated
@@ -157,12 +219,85 @@ export const requireEmailVerification = catchAsync(async (req, res, next) => {
 });
 
 /**
- * Restrict To Roles
+ * Require Recent Authentication (step-up)
  * 
- * Restricts access to specific user roles.
+ * Must be used AFTER authenticate middleware.
+ * Sensitive actions need the user to have entered their credentials
+ * recently (auth_time claim: login or POST /api/auth/reauthenticate),
+ * not just any valid token - it may be days old.
+ * 
+ * Responds like RFC 9470 (OAuth 2.0 Step Up Authentication Challenge):
+ * 401 with error "insufficient_user_authentication" and the allowed age,
+ * so clients know to ask for the password and retry (not to refresh).
+ * API keys and impersonation tokens have no auth_time and are rejected.
+ * 
+ * Usage:
+ * ```
+ * router.delete('/account', authenticate, requireRecentAuth(), controller.deleteAccount);
+ * router.post('/transfer', authenticate, requireRecentAuth(60), controller.transfer);
+ * ```
+ * 
+ * @param {number} maxAgeSeconds - Allowed seconds since authentication
+ *   (default: REAUTH_MAX_AGE_SECONDS)
+ * @returns {Function} - Middleware function
+ */
+export const requireRecentAuth = (maxAgeSeconds = config.session.reauthMaxAgeSeconds) => {
+  return catchAsync(async (req, res, next) => {
+    if (!req.user) {
+      throw unauthorized('Authentication required');
+    }
+
+    const authTime = req.token?.auth_time;
+
+    if (!authTime || Date.now() / 1000 - authTime > maxAgeSeconds) {
+      const message = 'Please confirm your password to continue.';
+      res.set(
+        'WWW-Authenticate',
+        `Bearer error="insufficient_user_authentication", error_description="${message}", max_age=${maxAgeSeconds}`
+      );
+      throw oauthError('insufficient_user_authentication', message, 401);
+    }
+
+    next();
+  });
+};
+
+/**
+ * Require Session
+ * 
+ * Must be used AFTER authenticate middleware.
+ * Rejects API keys: managing the account (password, sessions, API keys...)
+ * requires a real login, so a leaked key can't take over the account.
+ * Rejects impersonation too: support staff may look, not take over.
+ * 
+ * Usage:
+ * ```
+ * router.post('/api-keys', authenticate, requireSession, controller.createApiKey);
+ * ```
+ */
+export const requireSession = catchAsync(async (req, res, next) => {
+  if (!req.user) {
+    throw unauthorized('Authentication required');
+  }
+
+  if (req.apiKey) {
+    throw forbidden('API keys cannot be used for this action. Please log in.');
+  }
+
+  if (req.user.impersonator) {
+    throw forbidden('This action is not available while impersonating a user.');
+  }
+
+  next();
+});
+
+/**
+ * Restrict To Roles
  * 
- * NOTE: We haven't implemented roles yet, but this shows the pattern.
- * You'd need to add a 'role' field to User model.
+ * Restricts access to specific user roles (User.role, see config/roles.js).
+ * Prefer requirePermission: routes that check a permission keep working
+ * when roles are added or changed.
+ * Must be used AFTER authenticate middleware.
  * 
  * Usage:
  * ```
@@ -174,9 +309,10 @@ export const requireEmailVerification = catchAsync(async (req, res, next) => {
  */
 export const restrictTo = (...roles) => {
   return catchAsync(async (req, res, next) => {
-    // req.user.role would be set by authenticate middleware
+    // req.user.role is set by authenticate middleware
+    // 403, not 401: the user is logged in, just not allowed
     if (!roles.includes(req.user.role)) {
-      throw unauthorized(
+      throw forbidden(
         'You do not have permission to perform this action.'
       );
     }
@@ -184,6 +320,113 @@ export const restrictTo = (...roles) => {
   });
 };
 
+/**
+ * Require Permission
+ * 
+ * The user's role must grant ALL listed permissions (config/roles.js).
+ * Must be used AFTER authenticate middleware.
+ * 
+ * Usage:
+ * ```
+ * router.post('/users/:id/unlock', authenticate, requirePermission('users:write'), controller.unlock);
+ * ```
+ * 
+ * @param  {...string} permissions - Required permissions
+ * @returns {Function} - Middleware function
+ */
+export const requirePermission = (...permissions) => {
+  return catchAsync(async (req, res, next) => {
+    // req.user.permissions is set by authenticate middleware
+    const granted = req.user?.permissions || [];
+    const missing = permissions.filter((permission) => !granted.includes(permission));
+
+    // 403, not 401: the user is logged in, just not allowed
+    if (missing.length > 0) {
+      throw forbidden(
+        `You do not have permission to perform this action (requires ${missing.join(', ')}).`
+      );
+    }
+    next();
+  });
+};
+
+/**
+ * Authenticate Service
+ * 
+ * For routes called by other services (machine identities), not users.
+ * Accepts client access tokens from POST /api/auth/oauth/token
+ * (client_credentials grant) in the Authorization header.
+ * 
+ * Flow:
+ * 1. Extract Bearer token
+ * 2. Verify token, denylist and client (oauthService)
+ * 3. Attach client and granted scopes to request
+ * 
+ * Usage:
+ * ```
+ * router.get('/users/:id', authenticateService, requireScope('users:read'), controller.getUser);
+ * ```
+ */
+export const authenticateService = catchAsync(async (req, res, next) => {
+  // 1. Extract token (no cookies: services aren't browsers)
+  const token = extractTokenFromHeader(req.headers.authorization);
+
+  if (!token) {
+    res.set('WWW-Authenticate', 'Bearer realm="api"');
+    throw unauthorized('No token provided. Please authenticate.');
+  }
+
+  // 2. Validate token
+  const { decoded, client } = await validateClientAccessToken(token);
+
+  // 3. Attach client to request
+  req.client = {
+    id: client._id,
+    clientId: client.clientId,
+    name: client.name,
+  };
+  req.scopes = decoded.scope ? decoded.scope.split(' ') : [];
+  req.token = token;
+
+  next();
+});
+
+/**
+ * Require Scope
+ * 
+ * The scope counterpart of requirePermission: the client token must have been
+ * granted ALL listed scopes.
+ * Must be used AFTER authenticateService middleware.
+ * 
+ * Usage:
+ * ```
+ * router.post('/emails', authenticateService, requireScope('emails:send'), controller.send);
+ * ```
+ * 
+ * @param  {...string} scopes - Required scopes
+ * @returns {Function} - Middleware function
+ */
+export const requireScope = (...scopes) => {
+  return catchAsync(async (req, res, next) => {
+    const granted = req.scopes || [];
+    const missing = scopes.filter((scope) => !granted.includes(scope));
+
+    // 403 insufficient_scope (RFC 6750, section 3.1)
+    if (missing.length > 0) {
+      res.set(
+        'WWW-Authenticate',
+        `Bearer error="insufficient_scope", scope="${scopes.join(' ')}"`
+      );
+      throw oauthError(
+        'insufficient_scope',
+        `Missing required scope: ${missing.join(' ')}`,
+        403
+      );
+    }
+    next();
+  });
+};
+
 /**
  * Rate Limit By User
  * 
@@ -202,7 +445,12 @@ export default {
   authenticate,
   optionalAuth,
   requireEmailVerification,
+  requireRecentAuth,
+  requireSession,
   restrictTo,
+  requirePermission,
+  authenticateService,
+  requireScope,
   rateLimitByUser,
 };
 
@@ -220,7 +468,7 @@ export default {
  *   '/admin/users',
  *   authenticate,
  *   requireEmailVerification,
- *   restrictTo('admin'),
+ *   requirePermission('users:write'),
  *   createUser
  * );
  * ```
@@ -243,4 +491,14 @@ export default {
  * router.put('/me', updateMe);
  * router.delete('/me', deleteMe);
  * ```
+ * 
+ * 5. Service-to-service route (client_credentials token):
+ * ```
+ * router.get('/internal/users', authenticateService, requireScope('users:read'), listUsers);
+ * ```
+ * 
+ * 6. Sensitive action (password entered in the last 5 minutes):
+ * ```
+ * router.delete('/account', authenticate, requireSession, requireRecentAuth(), deleteAccount);
+ * ```
  */
@@ -0,0 +1,149 @@
+/**
+ * Client Authentication Middleware
+ *
+ * Authenticates confidential clients (other services, see OAuthClient model)
+ * on endpoints that aren't meant for end users, like token introspection.
+ *
+ * Credentials can be sent like in OAuth 2.0 (RFC 6749, section 2.3.1):
+ * 1. HTTP Basic auth (preferred):
+ *    Authorization: Basic base64(client_id:client_secret)
+ * 2. In the request body:
+ *    client_id=...&client_secret=...
+ *
+ * Public clients (SPAs, mobile apps) have no secret. They may only call the
+ * token endpoint, identified by client_id alone (authenticateTokenClient) -
+ * PKCE proves the request is theirs.
+ */
+
+import OAuthClient from '../models/OAuthClient.js';
+import { oauthError } from '../utils/AppError.js';
+import catchAsync from '../utils/catchAsync.js';
+
+/**
+ * Read client credentials from the request
+ *
+ * @param {Object} req - Express request
+ * @returns {Object|null} - { clientId, clientSecret } or null
+ */
+const getClientCredentials = (req) => {
+  const header = req.headers.authorization;
+
+  if (header && header.startsWith('Basic ')) {
+    const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+
+    if (separator === -1) {
+      return null;
+    }
+
+    try {
+      // Basic auth values are form-urlencoded before being base64 encoded
+      return {
+        clientId: decodeURIComponent(decoded.slice(0, separator)),
+        clientSecret: decodeURIComponent(decoded.slice(separator + 1)),
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const { client_id: clientId, client_secret: clientSecret } = req.body || {};
+
+  if (typeof clientId === 'string' && typeof clientSecret === 'string') {
+    return { clientId, clientSecret };
+  }
+
+  return null;
+};
+
+/**
+ * Client data attached to the request (req.client)
+ */
+const toRequestClient = (client) => ({
+  id: client._id,
+  clientId: client.clientId,
+  name: client.name,
+  isPublic: client.isPublic,
+  scopes: client.scopes,
+  grantTypes: client.grantTypes,
+});
+
+/**
+ * Authenticate Client
+ *
+ * Flow:
+ * 1. Read credentials (Basic auth header or body)
+ * 2. Load active client by clientId
+ * 3. Compare secret (constant time)
+ * 4. Attach client to request (req.client)
+ *
+ * Usage:
+ * ```
+ * router.post('/introspect', authenticateClient, controller.introspect);
+ * ```
+ */
+export const authenticateClient = catchAsync(async (req, res, next) => {
+  // 1. Read credentials
+  const credentials = getClientCredentials(req);
+
+  // Same error for every failure - don't reveal which client IDs exist
+  const invalidClient = () => {
+    res.set('WWW-Authenticate', 'Basic realm="api"');
+    return oauthError('invalid_client', 'Client authentication failed', 401);
+  };
+
+  if (!credentials) {
+    throw invalidClient();
+  }
+
+  // 2. Load client
+  const client = await OAuthClient.findOne({
+    clientId: credentials.clientId,
+    isActive: true,
+  }).select('+clientSecretHash');
+
+  // 3. Compare secret
+  if (!client || !client.compareSecret(credentials.clientSecret)) {
+    throw invalidClient();
+  }
+
+  // 4. Attach client to request
+  req.client = toRequestClient(client);
+
+  next();
+});
+
+/**
+ * Authenticate Token Client
+ *
+ * For the token endpoint: like authenticateClient, but public clients may
+ * identify themselves with only a client_id in the body.
+ *
+ * Usage:
+ * ```
+ * router.post('/oauth/token', authenticateTokenClient, controller.token);
+ * ```
+ */
+export const authenticateTokenClient = catchAsync(async (req, res, next) => {
+  const { client_id: clientId, client_secret: clientSecret } = req.body || {};
+
+  // Any secret (header or body) → confidential client
+  if (req.headers.authorization || clientSecret !== undefined || typeof clientId !== 'string') {
+    return authenticateClient(req, res, next);
+  }
+
+  const client = await OAuthClient.findOne({ clientId, isActive: true, isPublic: true });
+
+  if (!client) {
+    return authenticateClient(req, res, next);
+  }
+
+  req.client = toRequestClient(client);
+
+  next();
+});
+
+export default {
+  authenticateClient,
+  authenticateTokenClient,
+};
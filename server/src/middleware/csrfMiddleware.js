@@ -0,0 +1,71 @@
+/**
+ * CSRF Protection Middleware (double-submit cookie)
+ * 
+ * Only active in cookie mode. When tokens live in cookies, the browser
+ * attaches them to ANY request to our API - including one triggered by a
+ * malicious site (Cross-Site Request Forgery).
+ * 
+ * DOUBLE-SUBMIT PATTERN:
+ * 1. On login we set a random, JavaScript-readable `csrfToken` cookie
+ * 2. Our client reads it and sends it back in the X-CSRF-Token header
+ * 3. Another site can make the browser SEND our cookies,
+ *    but it can't READ them - so it can't set the header
+ * 4. Header must equal cookie, otherwise the request is rejected
+ * 
+ * Requests without auth cookies (e.g. login, API clients using the
+ * Authorization header) carry no ambient credentials and are let through.
+ */
+
+import crypto from 'crypto';
+import config from '../config/env.js';
+import { forbidden } from '../utils/AppError.js';
+import {
+  ACCESS_TOKEN_COOKIE,
+  REFRESH_TOKEN_COOKIE,
+  CSRF_COOKIE,
+  CSRF_HEADER,
+} from '../utils/authCookies.js';
+
+// Methods that must not change state, so they don't need protection
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Constant-time string comparison
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Require a valid CSRF token on state-changing requests
+ * 
+ * Usage:
+ * ```
+ * app.use('/api', csrfProtection);
+ * ```
+ */
+export const csrfProtection = (req, res, next) => {
+  if (!config.cookies.enabled || SAFE_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const cookies = req.cookies || {};
+  const hasAuthCookie = cookies[ACCESS_TOKEN_COOKIE] || cookies[REFRESH_TOKEN_COOKIE];
+
+  if (!hasAuthCookie) {
+    return next();
+  }
+
+  const cookieToken = cookies[CSRF_COOKIE];
+  const headerToken = req.get(CSRF_HEADER);
+
+  if (!cookieToken || !headerToken || !safeEqual(cookieToken, headerToken)) {
+    return next(forbidden('Invalid or missing CSRF token. Please refresh the page and try again.'));
+  }
+
+  next();
+};
+
+export default csrfProtection;
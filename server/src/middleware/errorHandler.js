@@ -47,6 +47,12 @@ const handleJWTError = () =>
 const handleJWTExpiredError = () => 
   new AppError('Your token has expired. Please log in again.', 401);
 
+/**
+ * OAuth 2.0 error fields (see oauthError in AppError.js)
+ */
+const oauthFields = (err) =>
+  err.oauthError ? { error: err.oauthError, error_description: err.message } : {};
+
 /**
  * Send error response in development mode
  * Includes stack trace for debugging
@@ -57,6 +63,7 @@ const sendErrorDev = (err, res) => {
     message: err.message,
     error: err,
     stack: err.stack,
+    ...oauthFields(err),
   });
 };
 
@@ -70,6 +77,7 @@ const sendErrorProd = (err, res) => {
     res.status(err.statusCode).json({
       status: err.status,
       message: err.message,
+      ...oauthFields(err),
     });
   } 
   // Programming or unknown error: don't leak error details
@@ -0,0 +1,165 @@
+/**
+ * ApiKey Model
+ *
+ * Personal access tokens for scripts and integrations (CI jobs...), so they
+ * don't have to log in with a real password.
+ *
+ * KEY SECURITY PRINCIPLES (same as the Token model):
+ * - Keys are cryptographically random (256 bits)
+ * - Only the SHA256 hash is stored, the key is shown ONCE at creation
+ * - Keys are limited by scopes and can expire or be revoked at any time
+ *
+ * KEY FORMAT:
+ *   ak_3f9c1e0b7d...   ("ak_" + 64 hex characters)
+ * The prefix tells the auth middleware it's an API key, not a JWT, and
+ * makes leaked keys easy to find with secret scanners.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+export const API_KEY_PREFIX = 'ak_';
+
+// What a key may do: read = GET/HEAD requests, write = everything else
+export const API_KEY_SCOPES = ['read', 'write'];
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    // Owner of the key (requests act as this user)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    // Label chosen by the user ("GitHub Actions deploy")
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+
+    // SHA256 hash of the key
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+
+    // First characters of the key, to recognize it in the list
+    prefix: {
+      type: String,
+      required: true,
+    },
+
+    scopes: {
+      type: [String],
+      enum: API_KEY_SCOPES,
+      required: true,
+    },
+
+    // Null = never expires
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Hash a key for storage / lookup
+ *
+ * SHA256 is enough: keys are random, not guessable passwords.
+ *
+ * @param {string} key - Raw API key
+ * @returns {string} - SHA256 hex digest
+ */
+apiKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Check if a string looks like an API key (rather than a JWT)
+ *
+ * @param {string} value - Bearer token
+ * @returns {boolean}
+ */
+apiKeySchema.statics.isApiKey = function (value) {
+  return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+};
+
+/**
+ * Generate a New API Key
+ *
+ * Flow:
+ * 1. Generate random key (crypto-secure)
+ * 2. Store its hash (never the key itself)
+ * 3. Return the key (shown to the user once)
+ *
+ * @param {ObjectId} userId - Owner
+ * @param {Object} options - { name, scopes, expiresAt }
+ * @returns {Promise<{apiKey: ApiKey, key: string}>}
+ */
+apiKeySchema.statics.generateKey = async function (userId, { name, scopes, expiresAt = null }) {
+  // 1. Generate random key
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+  // 2. Store hash
+  const apiKey = await this.create({
+    userId,
+    name,
+    keyHash: this.hashKey(key),
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    scopes,
+    expiresAt,
+  });
+
+  // 3. Return unhashed key
+  return { apiKey, key };
+};
+
+/**
+ * Find a key by its raw value
+ *
+ * @param {string} key - Raw API key
+ * @returns {Promise<ApiKey|null>}
+ */
+apiKeySchema.statics.findByKey = function (key) {
+  return this.findOne({ keyHash: this.hashKey(key) });
+};
+
+/**
+ * Check if the key can still be used
+ */
+apiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+};
+
+/**
+ * Check if the key grants a scope
+ *
+ * @param {string} scope - 'read' or 'write'
+ */
+apiKeySchema.methods.hasScope = function (scope) {
+  return this.scopes.includes(scope);
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,170 @@
+/**
+ * AuthorizationCode Model
+ *
+ * Short-lived, single-use codes of the OAuth 2.0 authorization code flow
+ * (see oidcService.js). The user approves a client on the consent screen,
+ * the client receives a code on its redirect URI and exchanges it for
+ * tokens at the token endpoint.
+ *
+ * KEY SECURITY PRINCIPLES:
+ * - Codes are cryptographically random, only the SHA256 hash is stored
+ * - Codes expire after 1 minute and can be used ONCE
+ * - A code is bound to the client, the redirect URI and (with PKCE) the
+ *   code challenge it was issued for
+ *
+ * Used codes are kept until they expire, so a second use can be detected.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// RFC 6749 recommends a maximum lifetime of 10 minutes - clients exchange
+// the code right away, so 1 minute is plenty
+const CODE_TTL_MS = 60 * 1000;
+
+const authorizationCodeSchema = new mongoose.Schema(
+  {
+    // SHA256 hash of the code
+    codeHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // Client the code was issued to (OAuthClient.clientId)
+    clientId: {
+      type: String,
+      required: true,
+    },
+
+    // User who approved the request
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    // Must be sent again, identical, at the token endpoint
+    redirectUri: {
+      type: String,
+      required: true,
+    },
+
+    // Approved scopes (e.g. ['openid', 'email'])
+    scopes: {
+      type: [String],
+      required: true,
+    },
+
+    // OIDC nonce, copied into the ID token (replay protection for the client)
+    nonce: {
+      type: String,
+      default: null,
+    },
+
+    // PKCE (RFC 7636): BASE64URL(SHA256(code_verifier)), S256 only
+    codeChallenge: {
+      type: String,
+      default: null,
+    },
+
+    // When the user logged in (auth_time claim of the ID token)
+    authTime: {
+      type: Date,
+      required: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// MongoDB deletes the document once expiresAt has passed
+authorizationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Hash a code for storage / lookup
+ *
+ * @param {string} code - Raw authorization code
+ * @returns {string} - SHA256 hex digest
+ */
+authorizationCodeSchema.statics.hashCode = function (code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+};
+
+/**
+ * Issue a New Code
+ *
+ * @param {Object} data - { clientId, userId, redirectUri, scopes, nonce, codeChallenge, authTime }
+ * @returns {Promise<string>} - Raw code (sent to the client, never stored)
+ */
+authorizationCodeSchema.statics.issue = async function (data) {
+  const code = crypto.randomBytes(32).toString('base64url');
+
+  await this.create({
+    ...data,
+    codeHash: this.hashCode(code),
+    expiresAt: new Date(Date.now() + CODE_TTL_MS),
+  });
+
+  return code;
+};
+
+/**
+ * Consume a Code
+ *
+ * Marks the code as used in a single atomic update, so two parallel
+ * requests can't both exchange it.
+ *
+ * @param {string} code - Raw authorization code
+ * @returns {Promise<AuthorizationCode|null>} - The code (before it was
+ *   marked as used), or null if it is unknown, expired or already used
+ */
+authorizationCodeSchema.statics.consume = function (code) {
+  return this.findOneAndUpdate(
+    {
+      codeHash: this.hashCode(code),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } }
+  );
+};
+
+/**
+ * Check a PKCE code verifier against the stored challenge
+ *
+ * @param {string} codeVerifier - Verifier sent to the token endpoint
+ * @returns {boolean}
+ */
+authorizationCodeSchema.methods.verifyCodeVerifier = function (codeVerifier) {
+  if (!this.codeChallenge) {
+    // No challenge at /authorize → no verifier expected
+    return !codeVerifier;
+  }
+
+  if (typeof codeVerifier !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(this.codeChallenge);
+  const actual = Buffer.from(
+    crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+  );
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const AuthorizationCode = mongoose.model('AuthorizationCode', authorizationCodeSchema);
+
+export default AuthorizationCode;
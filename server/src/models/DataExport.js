@@ -0,0 +1,83 @@
+/**
+ * Data Export Model
+ *
+ * Personal data archives that were too large to build during the request
+ * (see dataExportService). The archive is generated in the background and
+ * the user gets a download link by email.
+ *
+ * LIFECYCLE:
+ * 1. Export requested → pending (one at a time per user)
+ * 2. Archive built → stored in DataExportChunk, ready, download token
+ *    hash stored, link emailed
+ * 3. Link used → document and chunks deleted (links work once)
+ * 4. Link expires → document and chunks deleted by their TTL indexes
+ *
+ * KEY SECURITY PRINCIPLES:
+ * - Only a hash of the download token is stored
+ * - Archives don't outlive their link: nothing is kept after the download
+ *   or after expiresAt
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const dataExportSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    status: {
+      type: String,
+      enum: ['pending', 'ready', 'failed'],
+      default: 'pending',
+    },
+
+    // SHA256 of the token in the emailed link (set once ready)
+    tokenHash: {
+      type: String,
+      select: false,
+      index: true,
+    },
+
+    // Size of the archive in bytes
+    size: {
+      type: Number,
+      default: 0,
+    },
+
+    downloadedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Pending: when to give up. Ready: when the link expires.
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// MongoDB deletes the document once expiresAt has passed
+dataExportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Hash a download token for storage / lookup
+ *
+ * @param {string} token - Token from the link
+ * @returns {string} - SHA256 hex digest
+ */
+dataExportSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+export default DataExport;
@@ -0,0 +1,91 @@
+/**
+ * Data Export Chunk Model
+ *
+ * The archive of a DataExport, split into pieces: a single document can't
+ * exceed 16MB, which the archive of a busy account can (same idea as
+ * GridFS, without a second API to learn).
+ *
+ * LIFECYCLE:
+ * 1. Archive built → stored as numbered chunks (see storeArchive)
+ * 2. Link used → chunks streamed in order, then deleted with the export
+ * 3. Link never used → deleted by the TTL index when the link expires
+ */
+
+import mongoose from 'mongoose';
+
+// Like GridFS: well below the document limit, few round trips
+const CHUNK_SIZE = 255 * 1024;
+
+const dataExportChunkSchema = new mongoose.Schema({
+  exportId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DataExport',
+    required: true,
+  },
+
+  // Position in the archive (0, 1, 2...)
+  n: {
+    type: Number,
+    required: true,
+  },
+
+  data: {
+    type: Buffer,
+    required: true,
+  },
+
+  // Same as the export's link
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// One chunk per position, read in order
+dataExportChunkSchema.index({ exportId: 1, n: 1 }, { unique: true });
+
+// MongoDB deletes the chunk once expiresAt has passed
+dataExportChunkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Store an archive
+ *
+ * @param {ObjectId} exportId - DataExport the archive belongs to
+ * @param {string} archive - JSON text
+ * @param {Date} expiresAt - When the download link expires
+ * @returns {Promise<number>} - Size in bytes
+ */
+dataExportChunkSchema.statics.storeArchive = async function (exportId, archive, expiresAt) {
+  const bytes = Buffer.from(archive);
+  const chunks = [];
+
+  for (let offset = 0; offset < bytes.length; offset += CHUNK_SIZE) {
+    chunks.push({
+      exportId,
+      n: chunks.length,
+      data: bytes.subarray(offset, offset + CHUNK_SIZE),
+      expiresAt,
+    });
+  }
+
+  await this.insertMany(chunks);
+  return bytes.length;
+};
+
+/**
+ * Read an archive chunk by chunk (never all of it in memory)
+ *
+ * @param {ObjectId} exportId - DataExport the archive belongs to
+ * @returns {AsyncGenerator<Buffer>}
+ */
+dataExportChunkSchema.statics.readArchive = async function* (exportId) {
+  const cursor = this.find({ exportId }).sort({ n: 1 }).cursor();
+
+  for await (const chunk of cursor) {
+    yield chunk.data;
+  }
+};
+
+const DataExportChunk = mongoose.model('DataExportChunk', dataExportChunkSchema);
+
+export default DataExportChunk;
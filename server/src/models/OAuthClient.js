@@ -0,0 +1,193 @@
+/**
+ * OAuthClient Model
+ *
+ * A confidential client is another service (API gateway, backend worker...)
+ * that calls our token endpoints with its own credentials, e.g. to
+ * introspect or revoke tokens.
+ *
+ * KEY SECURITY PRINCIPLES:
+ * - The client secret is shown ONCE, when the client is created
+ * - Only the SHA256 hash of the secret is stored (secrets are 256-bit random
+ *   values, so a slow hash like bcrypt isn't needed)
+ * - Secrets are compared in constant time
+ * - Disabling a client (isActive: false) locks it out immediately
+ *
+ * PUBLIC CLIENTS:
+ * Single-page and mobile apps can't keep a secret. They are registered as
+ * public clients (no secret), may only use the authorization_code grant,
+ * and must use PKCE (see oidcService.js).
+ *
+ * MACHINE IDENTITIES:
+ * Clients with the client_credentials grant can get access tokens for
+ * themselves (POST /api/auth/oauth/token), limited to their allowed scopes.
+ * Backend workers use these instead of a fake user account.
+ *
+ * Create clients with:
+ *   npm run client:create -- "API Gateway"
+ *   npm run client:create -- "Email worker" --grant client_credentials --scopes users:read,emails:send
+ *   npm run client:create -- "Forum" --grant authorization_code --scopes openid,profile,email \
+ *     --redirect-uri https://forum.example.com/callback [--public]
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Grants a client may use at the token endpoint
+export const GRANT_TYPES = ['client_credentials', 'authorization_code'];
+
+// Grants a public client (no secret) may use
+export const PUBLIC_GRANT_TYPES = ['authorization_code'];
+
+// Plain http is only acceptable for local development
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Check a redirect URI: absolute, no fragment (RFC 6749, section 3.1.2),
+ * https unless it's a loopback address. Custom schemes (mobile apps) are allowed.
+ */
+const isValidRedirectUri = (uri) => {
+  if (!URL.canParse(uri) || uri.includes('#')) {
+    return false;
+  }
+
+  const { protocol, hostname } = new URL(uri);
+  return protocol !== 'http:' || LOOPBACK_HOSTS.includes(hostname);
+};
+
+// Scope names: "resource:action" style, no spaces (scopes are space-separated)
+export const SCOPE_PATTERN = /^[a-z0-9_.:-]+$/i;
+
+const oauthClientSchema = new mongoose.Schema(
+  {
+    // Public identifier, sent as the username in Basic auth
+    clientId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // Confidential clients authenticate with a secret, public clients can't
+    isPublic: {
+      type: Boolean,
+      default: false,
+    },
+
+    // SHA256 hash of the client secret (confidential clients only)
+    clientSecretHash: {
+      type: String,
+      required: function () {
+        return !this.isPublic;
+      },
+      select: false,
+    },
+
+    // Human readable name (shown in logs)
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Scopes the client may request (e.g. ['users:read', 'emails:send'])
+    scopes: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (scopes) => scopes.every((scope) => SCOPE_PATTERN.test(scope)),
+        message: 'Invalid scope name',
+      },
+    },
+
+    // Grants the client may use (empty: introspection/revocation only)
+    grantTypes: {
+      type: [String],
+      enum: GRANT_TYPES,
+      default: [],
+      validate: {
+        validator: function (grantTypes) {
+          return !this.isPublic || grantTypes.every((grant) => PUBLIC_GRANT_TYPES.includes(grant));
+        },
+        message: 'Public clients may only use the authorization_code grant',
+      },
+    },
+
+    // Where users are sent back after /authorize (exact match, no wildcards)
+    redirectUris: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (uris) => uris.every(isValidRedirectUri),
+        message: 'Redirect URIs must be absolute https URLs without a fragment',
+      },
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Hash a client secret for storage / comparison
+ *
+ * @param {string} secret - Raw client secret
+ * @returns {string} - SHA256 hex digest
+ */
+oauthClientSchema.statics.hashSecret = function (secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+/**
+ * Register a new client
+ *
+ * @param {string} name - Client name
+ * @param {Object} options - { scopes, grantTypes, redirectUris, isPublic } (default: none)
+ * @returns {Promise<Object>} - { client, clientSecret } (secret is only available here,
+ *   null for public clients)
+ */
+oauthClientSchema.statics.register = async function (
+  name,
+  { scopes = [], grantTypes = [], redirectUris = [], isPublic = false } = {}
+) {
+  const clientSecret = isPublic ? null : crypto.randomBytes(32).toString('base64url');
+
+  const client = await this.create({
+    clientId: crypto.randomBytes(12).toString('hex'),
+    isPublic,
+    ...(clientSecret && { clientSecretHash: this.hashSecret(clientSecret) }),
+    name,
+    scopes,
+    grantTypes,
+    redirectUris,
+  });
+
+  return { client, clientSecret };
+};
+
+/**
+ * Compare a secret with the stored hash
+ *
+ * Requires clientSecretHash to be selected.
+ * Always false for public clients (they have no secret).
+ *
+ * @param {string} candidateSecret - Secret sent by the client
+ * @returns {boolean}
+ */
+oauthClientSchema.methods.compareSecret = function (candidateSecret) {
+  if (!this.clientSecretHash) {
+    return false;
+  }
+
+  const expected = Buffer.from(this.clientSecretHash, 'hex');
+  const actual = Buffer.from(this.constructor.hashSecret(candidateSecret), 'hex');
+
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+const OAuthClient = mongoose.model('OAuthClient', oauthClientSchema);
+
+export default OAuthClient;
@@ -0,0 +1,96 @@
+/**
+ * Passkey Model
+ *
+ * WebAuthn credentials registered by users (Touch ID, Windows Hello,
+ * phones, security keys, password managers...).
+ *
+ * HOW PASSKEYS WORK:
+ * The authenticator creates a key pair for our domain (the relying party).
+ * We store the PUBLIC key; to log in, the authenticator signs a random
+ * challenge with the private key, which never leaves the device.
+ *
+ * KEY SECURITY PRINCIPLES:
+ * - Nothing secret is stored here (a leaked public key is useless)
+ * - Credentials are bound to our domain: phishing sites can't use them
+ * - The signature counter helps detect cloned authenticators
+ */
+
+import mongoose from 'mongoose';
+
+// Passkeys a user may have at the same time
+export const MAX_PASSKEYS_PER_USER = 10;
+
+const passkeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    // Credential ID chosen by the authenticator (base64url)
+    credentialId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // COSE public key (base64url)
+    publicKey: {
+      type: String,
+      required: true,
+    },
+
+    // Signature counter (0 for authenticators that don't count)
+    counter: {
+      type: Number,
+      default: 0,
+    },
+
+    // How the browser can reach the authenticator ('internal', 'usb', 'hybrid'...)
+    transports: {
+      type: [String],
+      default: [],
+    },
+
+    // 'singleDevice' or 'multiDevice' (synced passkey)
+    deviceType: String,
+    backedUp: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Label chosen by the user ("MacBook", "YubiKey")
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+      default: 'Passkey',
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Credential in the format of @simplewebauthn/server
+ */
+passkeySchema.methods.toWebAuthnCredential = function () {
+  return {
+    id: this.credentialId,
+    publicKey: Buffer.from(this.publicKey, 'base64url'),
+    counter: this.counter,
+    transports: this.transports,
+  };
+};
+
+const Passkey = mongoose.model('Passkey', passkeySchema);
+
+export default Passkey;
@@ -0,0 +1,136 @@
+/**
+ * RecoveryCode Model
+ *
+ * Single-use codes the user generates from their settings and keeps offline
+ * (printed, password manager). A code plus the account email sets a new
+ * password when the user can't receive the password reset email anymore.
+ *
+ * KEY SECURITY PRINCIPLES (same as the Token model):
+ * - Codes are cryptographically random (50 bits each, 10 per set)
+ * - Only the SHA256 hash is stored, the codes are shown ONCE
+ * - A code works once; generating a new set invalidates the old one
+ *
+ * CODE FORMAT:
+ *   7f3k2-9qh4x   (10 characters, dash for readability)
+ * Case, dashes and spaces are ignored when a code is entered.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+export const RECOVERY_CODE_COUNT = 10;
+
+// No 0/o, 1/l/i: codes are read from paper and typed by hand
+const CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const CODE_LENGTH = 10;
+
+const recoveryCodeSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    // SHA256 hash of the normalized code
+    codeHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+recoveryCodeSchema.index({ userId: 1, codeHash: 1 });
+
+/**
+ * Normalize a code as typed by the user ("7F3K2 9QH4X" → "7f3k29qh4x")
+ *
+ * @param {string} code - Code as entered
+ * @returns {string}
+ */
+const normalizeCode = (code) => String(code).toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * Hash a code for storage / lookup
+ *
+ * @param {string} code - Code (any formatting)
+ * @returns {string} - SHA256 hex digest
+ */
+recoveryCodeSchema.statics.hashCode = function (code) {
+  return crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+};
+
+/**
+ * Generate a New Set of Codes
+ *
+ * Flow:
+ * 1. Delete the previous set (old codes stop working)
+ * 2. Generate random codes (crypto-secure)
+ * 3. Store their hashes
+ * 4. Return the codes (shown to the user once)
+ *
+ * @param {ObjectId} userId - Owner
+ * @returns {Promise<string[]>} - Formatted codes
+ */
+recoveryCodeSchema.statics.generateForUser = async function (userId) {
+  // 1. Invalidate the previous set
+  await this.deleteMany({ userId });
+
+  // 2. Generate codes
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i += 1) {
+      code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+  // 3. Store hashes
+  await this.insertMany(
+    codes.map((code) => ({ userId, codeHash: this.hashCode(code) }))
+  );
+
+  // 4. Return the codes
+  return codes;
+};
+
+/**
+ * Consume a Code
+ *
+ * Marks the code as used in a single atomic update, so two parallel
+ * requests can't both use it.
+ *
+ * @param {ObjectId} userId - Owner
+ * @param {string} code - Code as entered by the user
+ * @returns {Promise<RecoveryCode|null>} - The code, or null if unknown or already used
+ */
+recoveryCodeSchema.statics.consume = function (userId, code) {
+  return this.findOneAndUpdate(
+    { userId, codeHash: this.hashCode(code), usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+};
+
+/**
+ * Count the codes a user can still use
+ *
+ * @param {ObjectId} userId - Owner
+ * @returns {Promise<number>}
+ */
+recoveryCodeSchema.statics.countRemaining = function (userId) {
+  return this.countDocuments({ userId, usedAt: null });
+};
+
+const RecoveryCode = mongoose.model('RecoveryCode', recoveryCodeSchema);
+
+export default RecoveryCode;
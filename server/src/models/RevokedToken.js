@@ -0,0 +1,85 @@
+/**
+ * RevokedToken Model
+ *
+ * Denylist of access tokens that were revoked before they expired
+ * (e.g. on logout). Access tokens are stateless JWTs, so the only way to
+ * stop one early is to remember its ID (the `jti` claim) until it expires.
+ *
+ * Entries remove themselves: the TTL index deletes each document once the
+ * token it refers to would have expired anyway.
+ */
+
+import mongoose from 'mongoose';
+
+const revokedTokenSchema = new mongoose.Schema(
+  {
+    // JWT ID (jti claim) of the revoked token
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // Expiry of the revoked token (after this, the entry is useless)
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// MongoDB deletes the document once expiresAt has passed
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Revoke a token by its jti
+ *
+ * Upsert keeps this idempotent (logging out twice is not an error).
+ *
+ * @param {string} jti - JWT ID
+ * @param {Date} expiresAt - Token expiry
+ * @returns {Promise<void>}
+ */
+revokedTokenSchema.statics.revoke = async function (jti, expiresAt) {
+  await this.updateOne(
+    { jti },
+    { $setOnInsert: { jti, expiresAt } },
+    { upsert: true }
+  );
+};
+
+/**
+ * Use a single-use token (e.g. a passkey challenge)
+ *
+ * Atomic: of two parallel requests with the same token, only one gets true.
+ *
+ * @param {string} jti - JWT ID
+ * @param {Date} expiresAt - Token expiry
+ * @returns {Promise<boolean>} - False if the token was already used or revoked
+ */
+revokedTokenSchema.statics.consume = async function (jti, expiresAt) {
+  const result = await this.updateOne(
+    { jti },
+    { $setOnInsert: { jti, expiresAt } },
+    { upsert: true }
+  );
+
+  return result.upsertedCount === 1;
+};
+
+/**
+ * Check if a token has been revoked
+ *
+ * @param {string} jti - JWT ID
+ * @returns {Promise<boolean>}
+ */
+revokedTokenSchema.statics.isRevoked = async function (jti) {
+  return !!(await this.exists({ jti }));
+};
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+export default RevokedToken;
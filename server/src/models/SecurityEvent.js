@@ -0,0 +1,105 @@
+/**
+ * SecurityEvent Model
+ *
+ * Audit trail of security-relevant actions, kept in the database so it
+ * can be reviewed later (who did what to which account, from where).
+ *
+ * Events are append-only: nothing in the app updates or deletes them,
+ * except the purge of a deleted account (see accountDeletionService).
+ */
+
+import mongoose from 'mongoose';
+
+export const SECURITY_EVENT_TYPES = [
+  // An admin started acting as a user
+  'impersonation-started',
+  // A request made while impersonating (one event per request)
+  'impersonation-request',
+  // The admin ended impersonation
+  'impersonation-ended',
+  // Two-factor authentication turned on / off
+  'two-factor-enabled',
+  'two-factor-disabled',
+  // A new set of recovery codes was generated (the old set stopped working)
+  'recovery-codes-generated',
+  // A recovery code was used to set a new password
+  'recovery-code-used',
+  // A passkey was registered / removed
+  'passkey-added',
+  'passkey-removed',
+  // A browser was confirmed by email (new-device login) / forgotten
+  'trusted-device-added',
+  'trusted-device-removed',
+  // The email address was changed (confirmed from the new address)
+  'email-changed',
+  // The change was undone from the old address ("this wasn't me")
+  'email-change-reverted',
+  // The account was deleted (hidden until purged) / restored by logging in
+  // during the grace period (purging it deletes its events)
+  'account-deletion-scheduled',
+  'account-restored',
+  // The user downloaded their personal data (directly or from the emailed link)
+  'data-exported',
+  // Support actions of an admin (actorId) on a user's account
+  'admin-verified-email',
+  'admin-unlocked-account',
+  'admin-deactivated-account',
+  'admin-reactivated-account',
+  'admin-sent-password-reset',
+  'admin-revoked-session',
+];
+
+const securityEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: SECURITY_EVENT_TYPES,
+      required: true,
+    },
+
+    // Account the event is about
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    // Who did it, if not the user themselves (e.g. an admin)
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    ip: String,
+    userAgent: String,
+
+    // Event specific data (reason, request method and path, token ID...)
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// "What happened to this account" / "what did this admin do"
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+securityEventSchema.index({ actorId: 1, createdAt: -1 });
+
+/**
+ * Record an event
+ *
+ * @param {string} type - One of SECURITY_EVENT_TYPES
+ * @param {Object} data - { userId, actorId?, ip?, userAgent?, details? }
+ * @returns {Promise<SecurityEvent>}
+ */
+securityEventSchema.statics.record = function (type, data) {
+  return this.create({ type, ...data });
+};
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+export default SecurityEvent;
@@ -0,0 +1,194 @@
+/**
+ * Session Model
+ *
+ * A session represents one signed-in device. It is created on login and
+ * holds the refresh token "family" that grows out of that login:
+ *
+ *   login → RT1 → (refresh) → RT2 → (refresh) → RT3 ...
+ *
+ * KEY SECURITY PRINCIPLES:
+ * - Only the SHA256 hash of the CURRENT refresh token is stored
+ * - Every refresh rotates the token (the old one stops working)
+ * - Presenting an already-rotated token means it was copied somewhere,
+ *   so the whole session (family) is revoked
+ * - Expired sessions are removed automatically by a TTL index
+ *
+ * TIMEOUTS:
+ * - Absolute: expiresAt is fixed at login. Rotated refresh tokens keep the
+ *   same expiry, so a session can't be extended forever.
+ * - Idle: the session ends after idleTimeoutMinutes without a refresh
+ *   (lastUsedAt is updated on every refresh)
+ *
+ * RE-AUTHENTICATION:
+ * authTime is when the user last proved who they are on this device
+ * (login, or re-entering the password). Access tokens carry it as the
+ * auth_time claim, and sensitive actions require it to be recent
+ * (see requireRecentAuth).
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const sessionSchema = new mongoose.Schema(
+  {
+    // Owner of the session
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    // SHA256 hash of the refresh token currently valid for this session
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    // Device information captured at login
+    userAgent: {
+      type: String,
+      default: null,
+    },
+
+    // Last IP address the session was used from
+    ip: {
+      type: String,
+      default: null,
+    },
+
+    // Updated every time the refresh token is rotated
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // "Remember me": long-lived session instead of a browser session
+    rememberMe: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Minutes without a refresh before the session ends (null = no limit)
+    idleTimeoutMinutes: {
+      type: Number,
+      default: null,
+    },
+
+    // Login or last re-authentication (auth_time claim of access tokens).
+    // No default: sessions from before it existed fall back to createdAt
+    authTime: {
+      type: Date,
+    },
+
+    // Set when the session is ended (logout, reuse detected, ...)
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+
+    // Absolute expiry (refresh tokens of the session expire at this time)
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// MongoDB deletes the document once expiresAt has passed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Hash a refresh token for storage / lookup
+ *
+ * @param {string} token - Raw refresh token
+ * @returns {string} - SHA256 hex digest
+ */
+sessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Find the active sessions of a user (most recently used first)
+ *
+ * @param {ObjectId} userId - User's ID
+ * @returns {Promise<Session[]>}
+ */
+sessionSchema.statics.findActiveByUser = async function (userId) {
+  const sessions = await this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+
+  // Idle timeouts differ per session, so they're checked here
+  return sessions.filter((session) => !session.isIdle());
+};
+
+/**
+ * Revoke every active session of a user
+ *
+ * @param {ObjectId} userId - User's ID
+ * @param {string} reason - Why the sessions are revoked
+ * @param {ObjectId} exceptSessionId - Optional: session to keep (current device)
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+sessionSchema.statics.revokeUserSessions = async function (
+  userId,
+  reason,
+  exceptSessionId = null
+) {
+  const query = { userId, revokedAt: null };
+
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const result = await this.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+  return result.modifiedCount;
+};
+
+/**
+ * Check if the session timed out for inactivity
+ */
+sessionSchema.methods.isIdle = function () {
+  if (!this.idleTimeoutMinutes) {
+    return false;
+  }
+
+  return this.lastUsedAt.getTime() + this.idleTimeoutMinutes * 60 * 1000 <= Date.now();
+};
+
+/**
+ * Check if the session can still be used
+ */
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > Date.now() && !this.isIdle();
+};
+
+/**
+ * Revoke this session
+ *
+ * @param {string} reason - Why the session is revoked
+ */
+sessionSchema.methods.revoke = async function (reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -4,6 +4,8 @@
  * This model handles temporary security tokens for:
  * 1. Email verification
  * 2. Password reset
+ * 3. Magic link sign-in (passwordless login by email)
+ * 4. Email change (confirm the new address, revert from the old one)
  *
  * KEY SECURITY PRINCIPLES:
  * - Tokens are single-use (deleted after verification)
@@ -51,9 +53,15 @@ const tokenSchema = new mongoose.Schema(
     // What is this token for?
     type: {
       type: String,
-      enum: ['email-verification', 'password-reset'],
+      enum: [
+        'email-verification',
+        'password-reset',
+        'magic-login',
+        'email-change',
+        'email-change-revert',
+      ],
       required: true,
-      // Enum ensures only these two values are allowed
+      // Enum ensures only these values are allowed
     },
 
     // ==========================================
@@ -124,7 +132,8 @@ tokenSchema.index({ token: 1, type: 1 });
  * 4. Return UNHASHED token (send to user's email)
  *
  * @param {ObjectId} userId - User's ID
- * @param {string} type - 'email-verification' or 'password-reset'
+ * @param {string} type - 'email-verification', 'password-reset', 'magic-login',
+ *   'email-change' or 'email-change-revert'
  * @param {number} expiresInMs - Expiry time in milliseconds
  * @returns {Promise<{token: string, hashedToken: string}>}
  */
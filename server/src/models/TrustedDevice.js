@@ -0,0 +1,114 @@
+/**
+ * Trusted Device Model
+ *
+ * Browsers a user confirmed by email after logging in from them
+ * (see trustedDeviceService). Password logins from any other browser are
+ * held until the emailed code is entered: a leaked password alone (e.g.
+ * credential stuffing) isn't enough to get in.
+ *
+ * LIFECYCLE:
+ * 1. Login from an unknown browser → pending device (codeHash set,
+ *    confirmedAt null, expires with the code)
+ * 2. Code entered → confirmed, trusted until expiresAt
+ *    (the browser gets a signed cookie naming this device)
+ * 3. User forgets the device → document deleted, the cookie stops working
+ *
+ * KEY SECURITY PRINCIPLES:
+ * - Only a hash of the code is stored, and it is cleared once used
+ * - The device cookie is a signed token, checked against this collection
+ *   on every login: deleting the document revokes it
+ * - Expired devices (and unconfirmed ones) are removed by a TTL index
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const trustedDeviceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    // SHA256 of the emailed code (pending devices only)
+    codeHash: {
+      type: String,
+      select: false,
+    },
+
+    // Set when the code was entered (null = pending)
+    confirmedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Browser that logged in
+    userAgent: {
+      type: String,
+      default: null,
+    },
+
+    // IP address the device was confirmed from
+    ip: {
+      type: String,
+      default: null,
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Pending: when the code expires. Confirmed: end of the trust period.
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// MongoDB deletes the document once expiresAt has passed
+trustedDeviceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Hash a confirmation code for storage / comparison
+ *
+ * Salted with the device ID: the same code hashes differently per device.
+ *
+ * @param {ObjectId} deviceId - Pending device
+ * @param {string} code - 6-digit code
+ * @returns {string} - SHA256 hex digest
+ */
+trustedDeviceSchema.statics.hashCode = function (deviceId, code) {
+  return crypto.createHash('sha256').update(`${deviceId}:${code}`).digest('hex');
+};
+
+/**
+ * Find the confirmed, unexpired devices of a user (most recently used first)
+ *
+ * @param {ObjectId} userId - User's ID
+ * @returns {Promise<TrustedDevice[]>}
+ */
+trustedDeviceSchema.statics.findTrustedByUser = function (userId) {
+  return this.find({
+    userId,
+    confirmedAt: { $ne: null },
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+/**
+ * Check if the device is confirmed and still trusted
+ */
+trustedDeviceSchema.methods.isTrusted = function () {
+  return !!this.confirmedAt && this.expiresAt > Date.now();
+};
+
+const TrustedDevice = mongoose.model('TrustedDevice', trustedDeviceSchema);
+
+export default TrustedDevice;
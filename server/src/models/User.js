@@ -7,6 +7,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import config from '../config/env.js';
+import { ROLES, DEFAULT_ROLE, hasPermission, isStaffRole } from '../config/roles.js';
 
 /**
  * ============================================
@@ -104,21 +105,96 @@ const userSchema = new mongoose.Schema(
       default: null, // Null until verified
     },
 
+    // ==========================================
+    // EMAIL CHANGE FIELDS (see emailChangeService)
+    // ==========================================
+    // New address waiting for its confirmation link (email stays the same until then)
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
+    },
+
+    // Address before the last change, for the "this wasn't me" revert link
+    previousEmail: {
+      type: String,
+      select: false,
+    },
+
     // ==========================================
     // SECURITY FIELDS
     // ==========================================
+    // false = deleted (hidden from all find queries, see PART 7)
     isActive: {
       type: Boolean,
       default: true,
       select: false, // Hidden from queries
     },
 
+    // When a deleted account gets purged (see accountDeletionService).
+    // Until then, logging in restores it.
+    deletionScheduledFor: {
+      type: Date,
+      default: null,
+      select: false,
+      index: true,
+    },
+
     passwordChangedAt: {
       type: Date,
       select: false,
       // Used to invalidate old JWTs after password change
     },
 
+    // Embedded in every token (ver claim). Incrementing it invalidates all
+    // tokens of the user at once ("log out everywhere").
+    // Not hidden: every token we sign needs the current value.
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+
+    // Role assignment: grants the permissions listed in config/roles.js
+    // (checked by requirePermission() / restrictTo() in the auth middleware)
+    role: {
+      type: String,
+      enum: Object.keys(ROLES),
+      default: DEFAULT_ROLE,
+    },
+
+    // ==========================================
+    // TWO-FACTOR AUTHENTICATION (TOTP)
+    // ==========================================
+    // Secrets are encrypted at rest (utils/encryption.js) and never selected
+    // unless needed. See twoFactorService.js.
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+
+      // Active secret (set once enrollment is confirmed)
+      secret: {
+        type: String,
+        select: false,
+      },
+
+      // Secret waiting for its first code (enrollment in progress)
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+
+      // TOTP time step of the last accepted code (a code can't be used twice)
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+
+      enabledAt: Date,
+    },
+
     // ==========================================
     // LOGIN TRACKING (Prevent Brute Force)
     // ==========================================
@@ -312,6 +388,39 @@ userSchema.methods.changedPasswordAfter = function (JWTTimestamp) {
   return false; // Password never changed
 };
 
+/**
+ * Check if a token was issued for the current token version
+ *
+ * Tokens issued before token versions existed have no ver claim (0).
+ *
+ * @param {number} tokenVersion - ver claim of the token
+ * @returns {boolean} - False if the token was invalidated ("log out everywhere")
+ */
+userSchema.methods.hasTokenVersion = function (tokenVersion = 0) {
+  return tokenVersion === (this.tokenVersion || 0);
+};
+
+/**
+ * Check if the user's role grants a permission (see config/roles.js)
+ *
+ * @param {string} permission - e.g. 'users:write'
+ * @returns {boolean}
+ */
+userSchema.methods.hasPermission = function (permission) {
+  return hasPermission(this.role, permission);
+};
+
+/**
+ * Check if the user is staff (their role grants any permission)
+ *
+ * Staff accounts can't be impersonated or deactivated by other staff.
+ *
+ * @returns {boolean}
+ */
+userSchema.methods.isStaff = function () {
+  return isStaffRole(this.role);
+};
+
 /**
  * Check if account is locked due to failed login attempts
  */
@@ -319,6 +428,20 @@ userSchema.methods.isLocked = function () {
   return !!(this.lockUntil && this.lockUntil > Date.now());
 };
 
+/**
+ * Check if a deleted account is still in its grace period
+ *
+ * Needs isActive and deletionScheduledFor selected
+ * (see findByEmailIncludingDeleted).
+ */
+userSchema.methods.canBeRestored = function () {
+  return (
+    this.isActive === false &&
+    !!this.deletionScheduledFor &&
+    this.deletionScheduledFor > Date.now()
+  );
+};
+
 /**
  * Increment login attempts and lock if needed
  */
@@ -380,6 +503,39 @@ userSchema.statics.findByEmailWithPassword = function (email) {
   return this.findOne({ email: email.toLowerCase() }).select('+password');
 };
 
+/**
+ * Find user by email, deleted accounts included
+ * (their deletion state is selected: see canBeRestored)
+ */
+userSchema.statics.findByEmailIncludingDeleted = function (email) {
+  return this.findOne({ email: email.toLowerCase() })
+    .select('+isActive +deletionScheduledFor')
+    .setOptions({ includeInactive: true });
+};
+
+/**
+ * Find user by ID, deleted accounts included
+ * (second step of a login restoring the account)
+ */
+userSchema.statics.findByIdIncludingDeleted = function (id) {
+  return this.findById(id)
+    .select('+isActive +deletionScheduledFor')
+    .setOptions({ includeInactive: true });
+};
+
+/**
+ * Invalidate all tokens of a user
+ *
+ * Works for deactivated users too (updateOne skips the find middleware).
+ *
+ * @param {ObjectId} userId - User's ID
+ * @returns {Promise<boolean>} - False if the user doesn't exist
+ */
+userSchema.statics.incrementTokenVersion = async function (userId) {
+  const result = await this.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  return result.matchedCount > 0;
+};
+
 /**
  * ============================================
  * PART 7: QUERY MIDDLEWARE
@@ -395,6 +551,12 @@ userSchema.statics.findByEmailWithPassword = function (email) {
  * This means User.find() automatically filters out deleted users
  */
 userSchema.pre(/^find/, function (next) {
+  // Opt out with query.setOptions({ includeInactive: true })
+  // (login restoring an account, purge job)
+  if (this.getOptions().includeInactive) {
+    return next();
+  }
+
   // 'this' is the query object
   this.find({ isActive: { $ne: false } });
   next();
@@ -0,0 +1,153 @@
+/**
+ * Admin Routes
+ *
+ * Endpoints for staff. Every route requires a valid JWT (logged-in
+ * session) and the permission it lists (see config/roles.js):
+ * - users:read        search and view users ('support', 'admin')
+ * - users:write       support actions on accounts ('support', 'admin')
+ * - users:impersonate act as a user ('admin')
+ *
+ * Assign a role with: npm run user:role -- user@example.com support
+ */
+
+import express from 'express';
+import * as adminController from '../controllers/adminController.js';
+import * as authMiddleware from '../middleware/authMiddleware.js';
+import {
+  userIdValidation,
+  impersonationValidation,
+  deactivateUserValidation,
+  adminSessionIdValidation,
+  listUsersValidation,
+} from '../utils/validators.js';
+
+const router = express.Router();
+
+/**
+ * ADMIN ROUTES (authentication required, permission checked per route)
+ */
+router.use(authMiddleware.authenticate, authMiddleware.requireSession);
+
+const canRead = authMiddleware.requirePermission('users:read');
+const canWrite = authMiddleware.requirePermission('users:write');
+const canImpersonate = authMiddleware.requirePermission('users:impersonate');
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    Search users (email, name) with filters, paginated
+ *          (deactivated and deleted accounts included)
+ * @access  Private (permission users:read)
+ * @query   search?, verified?, locked?, active?, page? (1), limit? (20, max 100)
+ */
+router.get('/users', canRead, listUsersValidation, adminController.listUsers);
+
+/**
+ * @route   GET /api/admin/users/:id
+ * @desc    User details, active sessions and recent security events
+ * @access  Private (permission users:read)
+ * @params  id - User ID
+ */
+router.get('/users/:id', canRead, userIdValidation, adminController.getUser);
+
+/**
+ * @route   POST /api/admin/users/:id/verify-email
+ * @desc    Mark the user's email as verified
+ * @access  Private (permission users:write)
+ * @params  id - User ID
+ */
+router.post(
+  '/users/:id/verify-email',
+  canWrite,
+  userIdValidation,
+  adminController.verifyUserEmail
+);
+
+/**
+ * @route   POST /api/admin/users/:id/unlock
+ * @desc    Clear failed login attempts and the account lock
+ * @access  Private (permission users:write)
+ * @params  id - User ID
+ */
+router.post('/users/:id/unlock', canWrite, userIdValidation, adminController.unlockUser);
+
+/**
+ * @route   POST /api/admin/users/:id/deactivate
+ * @desc    Deactivate the account (hidden, logged out everywhere, kept)
+ * @access  Private (permission users:write)
+ * @params  id - User ID
+ * @body    { reason }
+ */
+router.post(
+  '/users/:id/deactivate',
+  canWrite,
+  deactivateUserValidation,
+  adminController.deactivateUser
+);
+
+/**
+ * @route   POST /api/admin/users/:id/reactivate
+ * @desc    Reactivate a deactivated account (cancels a pending deletion too)
+ * @access  Private (permission users:write)
+ * @params  id - User ID
+ */
+router.post(
+  '/users/:id/reactivate',
+  canWrite,
+  userIdValidation,
+  adminController.reactivateUser
+);
+
+/**
+ * @route   POST /api/admin/users/:id/password-reset
+ * @desc    Email the user a password reset link
+ * @access  Private (permission users:write)
+ * @params  id - User ID
+ */
+router.post(
+  '/users/:id/password-reset',
+  canWrite,
+  userIdValidation,
+  adminController.sendUserPasswordReset
+);
+
+/**
+ * @route   DELETE /api/admin/users/:id/sessions/:sessionId
+ * @desc    Revoke one session of a user
+ * @access  Private (permission users:write)
+ * @params  id - User ID, sessionId - Session ID
+ */
+router.delete(
+  '/users/:id/sessions/:sessionId',
+  canWrite,
+  adminSessionIdValidation,
+  adminController.revokeUserSession
+);
+
+/**
+ * @route   POST /api/admin/users/:id/logout-everywhere
+ * @desc    Invalidate all tokens and sessions of a user (revoke all sessions)
+ * @access  Private (permission users:write)
+ * @params  id - User ID
+ */
+router.post(
+  '/users/:id/logout-everywhere',
+  canWrite,
+  userIdValidation,
+  adminController.logoutUserEverywhere
+);
+
+/**
+ * @route   POST /api/admin/users/:id/impersonate
+ * @desc    Get a short-lived token to act as a user (every request is audited)
+ * @access  Private (permission users:impersonate)
+ * @params  id - User ID
+ * @body    { reason }
+ */
+router.post(
+  '/users/:id/impersonate',
+  canImpersonate,
+  impersonationValidation,
+  adminController.impersonateUser
+);
+
+export default router;
@@ -24,15 +24,52 @@ import express from 'express';
 import * as authController from '../controllers/authController.js';
 import * as authMiddleware from '../middleware/authMiddleware.js';
 import * as googleAuthController from '../controllers/googleAuthController.js';
+import * as sessionController from '../controllers/sessionController.js';
+import * as introspectionController from '../controllers/introspectionController.js';
+import * as apiKeyController from '../controllers/apiKeyController.js';
+import * as oauthController from '../controllers/oauthController.js';
+import * as twoFactorController from '../controllers/twoFactorController.js';
+import * as recoveryCodeController from '../controllers/recoveryCodeController.js';
+import * as passkeyController from '../controllers/passkeyController.js';
+import * as trustedDeviceController from '../controllers/trustedDeviceController.js';
+import * as magicLinkController from '../controllers/magicLinkController.js';
+import * as emailChangeController from '../controllers/emailChangeController.js';
+import * as dataExportController from '../controllers/dataExportController.js';
+import {
+  authenticateClient,
+  authenticateTokenClient,
+} from '../middleware/clientAuthMiddleware.js';
 import {
   signupValidation,
   loginValidation,
   forgotPasswordValidation,
   resetPasswordValidation,
+  magicLinkRequestValidation,
+  magicLinkLoginValidation,
   verifyEmailValidation,
+  emailChangeTokenValidation,
+  dataExportTokenValidation,
   resendVerificationValidation,
   changePasswordValidation,
   updateProfileValidation,
+  sessionIdValidation,
+  tokenIntrospectionValidation,
+  createApiKeyValidation,
+  apiKeyIdValidation,
+  consentValidation,
+  twoFactorLoginValidation,
+  enableTwoFactorValidation,
+  disableTwoFactorValidation,
+  reauthenticateValidation,
+  generateRecoveryCodesValidation,
+  recoverAccountValidation,
+  registerPasskeyValidation,
+  passkeyLoginValidation,
+  passkeySecondFactorOptionsValidation,
+  passkeySecondFactorValidation,
+  passkeyIdValidation,
+  confirmDeviceValidation,
+  trustedDeviceIdValidation,
 } from '../utils/validators.js';
 
 const router = express.Router();
@@ -53,10 +90,82 @@ router.post('/signup', signupValidation, authController.signup);
  * @route   POST /api/auth/login
  * @desc    Login user
  * @access  Public
- * @body    { email, password }
+ * @body    { email, password, rememberMe? }
  */
 router.post('/login', loginValidation, authController.login);
 
+/**
+ * @route   POST /api/auth/google
+ * @desc    Google OAuth login/signup (like /login: may answer with a 2FA challenge)
+ * @access  Public
+ * @body    { idToken, rememberMe? }
+ */
+router.post('/google', googleAuthController.googleLogin);
+
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Second step of login for users with 2FA (code from the authenticator app)
+ * @access  Public (challenge token from /login)
+ * @body    { challengeToken, code }
+ */
+router.post(
+  '/login/2fa',
+  twoFactorLoginValidation,
+  twoFactorController.completeLogin
+);
+
+/**
+ * @route   POST /api/auth/login/2fa/passkey/options
+ * @desc    Passkey challenge for the second login step (passkeys of that user)
+ * @access  Public (challenge token from /login)
+ * @body    { challengeToken }
+ */
+router.post(
+  '/login/2fa/passkey/options',
+  passkeySecondFactorOptionsValidation,
+  passkeyController.secondFactorOptions
+);
+
+/**
+ * @route   POST /api/auth/login/2fa/passkey
+ * @desc    Second step of login with a passkey instead of a code
+ * @access  Public (challenge token from /login)
+ * @body    { challengeToken, passkeyChallengeToken, response }
+ */
+router.post(
+  '/login/2fa/passkey',
+  passkeySecondFactorValidation,
+  passkeyController.completeSecondFactor
+);
+
+/**
+ * @route   POST /api/auth/login/confirm-device
+ * @desc    Second step of a login from an unknown browser (code sent by email);
+ *          sets the trustedDevice cookie
+ * @access  Public (challenge token from /login)
+ * @body    { challengeToken, code }
+ */
+router.post(
+  '/login/confirm-device',
+  confirmDeviceValidation,
+  trustedDeviceController.confirmDevice
+);
+
+/**
+ * @route   POST /api/auth/passkeys/login/options
+ * @desc    Passkey challenge for passwordless login
+ * @access  Public
+ */
+router.post('/passkeys/login/options', passkeyController.loginOptions);
+
+/**
+ * @route   POST /api/auth/passkeys/login
+ * @desc    Passwordless login with a passkey
+ * @access  Public
+ * @body    { challengeToken, response, rememberMe? }
+ */
+router.post('/passkeys/login', passkeyLoginValidation, passkeyController.login);
+
 /**
  * @route   GET /api/auth/verify-email/:token
  * @desc    Verify email address
@@ -69,6 +178,43 @@ router.get(
   authController.verifyEmail
 );
 
+/**
+ * @route   POST /api/auth/confirm-email-change/:token
+ * @desc    Confirm a new email address (link sent to it); logs out everywhere
+ * @access  Public
+ * @params  token - Token from the email
+ */
+router.post(
+  '/confirm-email-change/:token',
+  emailChangeTokenValidation,
+  emailChangeController.confirmEmailChange
+);
+
+/**
+ * @route   POST /api/auth/revert-email-change/:token
+ * @desc    Undo an email change from the old address ("this wasn't me");
+ *          logs out everywhere
+ * @access  Public
+ * @params  token - Token from the notification
+ */
+router.post(
+  '/revert-email-change/:token',
+  emailChangeTokenValidation,
+  emailChangeController.revertEmailChange
+);
+
+/**
+ * @route   GET /api/auth/exports/:token
+ * @desc    Download a personal data export (link emailed for large accounts)
+ * @access  Public (the token is the credential)
+ * @params  token - Token from the email
+ */
+router.get(
+  '/exports/:token',
+  dataExportTokenValidation,
+  dataExportController.downloadExport
+);
+
 /**
  * @route   POST /api/auth/resend-verification
  * @desc    Resend email verification link
@@ -106,17 +252,118 @@ router.post(
   authController.resetPassword
 );
 
+/**
+ * @route   POST /api/auth/magic-link
+ * @desc    Email a one-time sign-in link (passwordless login)
+ * @access  Public
+ * @body    { email, rememberMe? }
+ */
+router.post(
+  '/magic-link',
+  magicLinkRequestValidation,
+  magicLinkController.requestMagicLink
+);
+
+/**
+ * @route   POST /api/auth/magic-link/:token
+ * @desc    Sign in with the token from the link (2FA users get a challenge)
+ * @access  Public
+ * @params  token - Token from the email
+ * @body    { rememberMe? }
+ */
+router.post(
+  '/magic-link/:token',
+  magicLinkLoginValidation,
+  magicLinkController.loginWithMagicLink
+);
+
+/**
+ * @route   POST /api/auth/recover-account
+ * @desc    Set a new password with a recovery code (no access to the mailbox)
+ * @access  Public
+ * @body    { email, code, password, passwordConfirm }
+ */
+router.post(
+  '/recover-account',
+  recoverAccountValidation,
+  recoveryCodeController.recoverAccount
+);
+
 /**
  * @route   POST /api/auth/refresh-token
- * @desc    Get new access token using refresh token
+ * @desc    Get new access token using refresh token (rotates the refresh token)
  * @access  Public
  * @body    { refreshToken }
  */
 router.post('/refresh-token', authController.refreshToken);
 
+/**
+ * @route   GET /api/auth/oauth/authorize
+ * @desc    OpenID Connect authorization endpoint: checks the request and
+ *          redirects the browser to the consent page
+ * @access  Public (browser redirect from another app)
+ * @query   { client_id, redirect_uri, response_type: 'code', scope, state?, nonce?,
+ *            code_challenge?, code_challenge_method: 'S256' }
+ */
+router.get('/oauth/authorize', oauthController.authorize);
+
+/**
+ * CLIENT ROUTES (client authentication required)
+ * For other services (API gateway...), not for end users.
+ * Credentials: Basic auth (client_id:client_secret) or in the body.
+ */
+
+/**
+ * @route   POST /api/auth/introspect
+ * @desc    Check if an access or refresh token is active (RFC 7662)
+ * @access  Confidential clients
+ * @body    { token, token_type_hint? } (JSON or form-urlencoded)
+ */
+router.post(
+  '/introspect',
+  authenticateClient,
+  tokenIntrospectionValidation,
+  introspectionController.introspect
+);
+
+/**
+ * @route   POST /api/auth/revoke
+ * @desc    Revoke an access or refresh token (RFC 7009)
+ * @access  Confidential clients
+ * @body    { token, token_type_hint? } (JSON or form-urlencoded)
+ */
+router.post(
+  '/revoke',
+  authenticateClient,
+  tokenIntrospectionValidation,
+  introspectionController.revoke
+);
+
+/**
+ * @route   POST /api/auth/oauth/token
+ * @desc    Issue tokens: for the client itself (client_credentials grant), or
+ *          access + ID token for a user (authorization_code grant)
+ * @access  Clients with the grant (public clients: authorization_code only,
+ *          identified by client_id in the body)
+ * @body    { grant_type: 'client_credentials', scope? } or
+ *          { grant_type: 'authorization_code', code, redirect_uri, code_verifier? }
+ *          (JSON or form-urlencoded)
+ */
+router.post('/oauth/token', authenticateTokenClient, oauthController.token);
+
+/**
+ * @route   GET|POST /api/auth/oauth/userinfo
+ * @desc    Claims about the user (OpenID Connect)
+ * @access  Access token from the authorization_code grant
+ */
+router
+  .route('/oauth/userinfo')
+  .get(oauthController.userinfo)
+  .post(oauthController.userinfo);
+
 /**
  * PROTECTED ROUTES (authentication required)
- * All routes below this middleware require a valid JWT
+ * All routes below this middleware require a valid JWT (or API key)
  */
 router.use(authMiddleware.authenticate);
 
@@ -127,47 +374,285 @@ router.use(authMiddleware.authenticate);
  */
 router.get('/me', authController.getMe);
 
+/**
+ * @route   DELETE /api/auth/impersonation
+ * @desc    End impersonation (revokes the act-as token)
+ * @access  Private (impersonation token)
+ */
+router.delete('/impersonation', authController.endImpersonation);
+
+/**
+ * ACCOUNT ROUTES (login required, API keys are rejected)
+ * A leaked API key must not be able to take over the account
+ */
+router.use(authMiddleware.requireSession);
+
+/**
+ * @route   POST /api/auth/reauthenticate
+ * @desc    Confirm the password again; returns an access token with a fresh
+ *          auth_time for routes that require a recent login (requireRecentAuth)
+ * @access  Private
+ * @body    { password } or { idToken } (accounts linked to Google)
+ */
+router.post(
+  '/reauthenticate',
+  reauthenticateValidation,
+  authController.reauthenticate
+);
+
 /**
  * @route   PATCH /api/auth/update-password
- * @desc    Update password (requires current password)
+ * @desc    Update password (requires current password and a recent login)
  * @access  Private
  * @body    { currentPassword, newPassword, passwordConfirm }
  */
 router.patch(
   '/update-password',
+  authMiddleware.requireRecentAuth(),
   changePasswordValidation,
   authController.updatePassword
 );
 
+/**
+ * @route   GET /api/auth/me/export
+ * @desc    Download everything stored about the current user (JSON file);
+ *          large accounts get 202 and a download link by email
+ * @access  Private
+ */
+router.get('/me/export', dataExportController.exportMyData);
+
+// A new email changes who can reset the password: it needs a recent
+// login, like the password itself. Name changes don't.
+const requireRecentAuthForEmailChange = (req, res, next) => {
+  const { email } = req.body;
+
+  if (email === undefined || email.toLowerCase() === req.user.email) {
+    return next();
+  }
+
+  return authMiddleware.requireRecentAuth()(req, res, next);
+};
+
 /**
  * @route   PATCH /api/auth/profile
- * @desc    Update user profile
+ * @desc    Update user profile (a new email is confirmed by a link sent to it
+ *          and requires a recent login)
  * @access  Private
- * @body    { firstName?, lastName? }
+ * @body    { firstName?, lastName?, email? }
  */
-router.patch('/profile', updateProfileValidation, authController.updateProfile);
+router.patch(
+  '/profile',
+  updateProfileValidation,
+  requireRecentAuthForEmailChange,
+  authController.updateProfile
+);
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (clear cookies)
+ * @desc    Logout user (revokes current session and access token)
  * @access  Private
  */
 router.post('/logout', authController.logout);
 
 /**
- * @route   DELETE /api/auth/account
- * @desc    Delete user account (soft delete)
+ * @route   POST /api/auth/logout-all
+ * @desc    Log out of all devices (invalidates every token of the user)
  * @access  Private
  */
-router.delete('/account', authController.deleteAccount);
+router.post('/logout-all', authController.logoutAll);
 
 /**
- * @route   POST /api/auth/google
- * @desc    Google OAuth login/signup
- * @access  Public
- * @body    { idToken }
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (devices) of the current user
+ * @access  Private
  */
-router.post('/google', googleAuthController.googleLogin);
+router.get('/sessions', sessionController.listSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out all other devices (keeps the current session)
+ * @access  Private
+ */
+router.delete('/sessions', sessionController.revokeOtherSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke a single session
+ * @access  Private
+ * @params  id - Session ID
+ */
+router.delete(
+  '/sessions/:id',
+  sessionIdValidation,
+  sessionController.revokeSession
+);
+
+/**
+ * @route   GET /api/auth/api-keys
+ * @desc    List API keys of the current user
+ * @access  Private
+ */
+router.get('/api-keys', apiKeyController.listApiKeys);
+
+/**
+ * @route   POST /api/auth/api-keys
+ * @desc    Create an API key (the key is only returned in this response)
+ * @access  Private
+ * @body    { name, scopes: ['read', 'write'], expiresInDays? }
+ */
+router.post('/api-keys', createApiKeyValidation, apiKeyController.createApiKey);
+
+/**
+ * @route   DELETE /api/auth/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private
+ * @params  id - API key ID
+ */
+router.delete('/api-keys/:id', apiKeyIdValidation, apiKeyController.revokeApiKey);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrollment (returns the otpauth URI and a QR code,
+ *          requires a recent login)
+ * @access  Private
+ */
+router.post('/2fa/setup', authMiddleware.requireRecentAuth(), twoFactorController.setup);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with the first code from the app
+ *          (requires a recent login)
+ * @access  Private
+ * @body    { code }
+ */
+router.post(
+  '/2fa/enable',
+  authMiddleware.requireRecentAuth(),
+  enableTwoFactorValidation,
+  twoFactorController.enable
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn 2FA off
+ * @access  Private
+ * @body    { password, code }
+ */
+router.post('/2fa/disable', disableTwoFactorValidation, twoFactorController.disable);
+
+/**
+ * @route   GET /api/auth/recovery-codes
+ * @desc    Number of unused recovery codes
+ * @access  Private
+ */
+router.get('/recovery-codes', recoveryCodeController.getStatus);
+
+/**
+ * @route   POST /api/auth/recovery-codes
+ * @desc    Generate a new set of recovery codes (replaces the old set, shown once)
+ * @access  Private
+ * @body    { password }
+ */
+router.post(
+  '/recovery-codes',
+  generateRecoveryCodesValidation,
+  recoveryCodeController.generate
+);
+
+/**
+ * @route   GET /api/auth/passkeys
+ * @desc    List passkeys of the current user
+ * @access  Private
+ */
+router.get('/passkeys', passkeyController.listPasskeys);
+
+/**
+ * @route   POST /api/auth/passkeys/register/options
+ * @desc    Passkey challenge for registering a new passkey (requires a recent login)
+ * @access  Private
+ */
+router.post(
+  '/passkeys/register/options',
+  authMiddleware.requireRecentAuth(),
+  passkeyController.registrationOptions
+);
+
+/**
+ * @route   POST /api/auth/passkeys/register
+ * @desc    Register a passkey (verifies the authenticator's response,
+ *          requires a recent login)
+ * @access  Private
+ * @body    { challengeToken, response, name? }
+ */
+router.post(
+  '/passkeys/register',
+  authMiddleware.requireRecentAuth(),
+  registerPasskeyValidation,
+  passkeyController.register
+);
+
+/**
+ * @route   DELETE /api/auth/passkeys/:id
+ * @desc    Remove a passkey (requires a recent login)
+ * @access  Private
+ * @params  id - Passkey ID
+ */
+router.delete(
+  '/passkeys/:id',
+  authMiddleware.requireRecentAuth(),
+  passkeyIdValidation,
+  passkeyController.deletePasskey
+);
+
+/**
+ * @route   GET /api/auth/trusted-devices
+ * @desc    List browsers that skip the new-device code
+ * @access  Private
+ */
+router.get('/trusted-devices', trustedDeviceController.listTrustedDevices);
+
+/**
+ * @route   DELETE /api/auth/trusted-devices
+ * @desc    Forget all trusted devices (this browser too)
+ * @access  Private
+ */
+router.delete('/trusted-devices', trustedDeviceController.forgetAllTrustedDevices);
+
+/**
+ * @route   DELETE /api/auth/trusted-devices/:id
+ * @desc    Forget a trusted device (its next login needs a code again)
+ * @access  Private
+ * @params  id - Trusted device ID
+ */
+router.delete(
+  '/trusted-devices/:id',
+  trustedDeviceIdValidation,
+  trustedDeviceController.forgetTrustedDevice
+);
+
+/**
+ * @route   GET /api/auth/oauth/consent
+ * @desc    What an app asks for (shown on the consent page)
+ * @access  Private
+ * @query   Authorization request parameters (from /oauth/authorize)
+ */
+router.get('/oauth/consent', oauthController.getConsent);
+
+/**
+ * @route   POST /api/auth/oauth/consent
+ * @desc    Approve or deny an app; returns the URL to send the browser to
+ * @access  Private
+ * @body    { approve, ...authorization request parameters }
+ */
+router.post('/oauth/consent', consentValidation, oauthController.decideConsent);
+
+/**
+ * @route   DELETE /api/auth/account
+ * @desc    Delete user account (requires a recent login); purged after the
+ *          grace period unless the user logs in again
+ * @access  Private
+ */
+router.delete('/account', authMiddleware.requireRecentAuth(), authController.deleteAccount);
 
 export default router;
 
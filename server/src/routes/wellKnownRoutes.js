@@ -0,0 +1,26 @@
+/**
+ * Well-Known Routes
+ *
+ * Mounted at /.well-known (outside /api, where verifiers expect it).
+ */
+
+import express from 'express';
+import * as wellKnownController from '../controllers/wellKnownController.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /.well-known/jwks.json
+ * @desc    Public keys for verifying access tokens (JWK Set)
+ * @access  Public
+ */
+router.get('/jwks.json', wellKnownController.jwks);
+
+/**
+ * @route   GET /.well-known/openid-configuration
+ * @desc    OpenID Connect discovery document
+ * @access  Public
+ */
+router.get('/openid-configuration', wellKnownController.openidConfiguration);
+
+export default router;
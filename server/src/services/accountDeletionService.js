@@ -0,0 +1,235 @@
+/**
+ * Account Deletion Service
+ *
+ * Deleting an account is reversible for a grace period, then final.
+ *
+ * LIFECYCLE:
+ * 1. DELETE /api/auth/account → isActive false (hidden from every find
+ *    query), deletionScheduledFor = now + ACCOUNT_DELETION_GRACE_DAYS,
+ *    logged out everywhere, notice sent by email
+ * 2. Logging in (password or Google) before that date restores the account,
+ *    once the whole login succeeded (second factor, new-device code)
+ * 3. After it, the purge job deletes the user and everything that belongs
+ *    to it (tokens, sessions, API keys, passkeys, security events...):
+ *    the email can be used to sign up again
+ *
+ * The purge runs in the server every ACCOUNT_PURGE_INTERVAL_MINUTES, or
+ * from cron with `npm run accounts:purge`.
+ *
+ * Security events about the account go with it (they hold its IP
+ * addresses, browsers and emails). Events of actions it took on other
+ * accounts (staff) stay in their audit trail, without its IP address
+ * and browser.
+ *
+ * Accounts an admin deactivated are inactive too, but have no
+ * deletionScheduledFor: they are never purged.
+ */
+
+import User from '../models/User.js';
+import Token from '../models/Token.js';
+import Session from '../models/Session.js';
+import ApiKey from '../models/ApiKey.js';
+import Passkey from '../models/Passkey.js';
+import RecoveryCode from '../models/RecoveryCode.js';
+import TrustedDevice from '../models/TrustedDevice.js';
+import AuthorizationCode from '../models/AuthorizationCode.js';
+import DataExport from '../models/DataExport.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import { logoutEverywhere } from './authService.js';
+import { sendAccountDeletionScheduledEmail } from './emailService.js';
+import { notFound } from '../utils/AppError.js';
+import config from '../config/env.js';
+
+// Everything stored per user, removed with the account
+const USER_DATA_MODELS = [
+  Token,
+  Session,
+  ApiKey,
+  Passkey,
+  RecoveryCode,
+  TrustedDevice,
+  AuthorizationCode,
+  DataExport,
+  SecurityEvent,
+];
+
+/**
+ * Schedule Account Deletion
+ *
+ * Flow:
+ * 1. Find user
+ * 2. Hide the account (soft delete) until the purge date
+ * 3. Log out everywhere
+ * 4. Send the notice (how to restore)
+ *
+ * @param {string} userId - User's MongoDB _id
+ * @param {Object} context - { userAgent, ip } (audit)
+ * @returns {Promise<Object>} - Success message with the purge date
+ */
+export const scheduleAccountDeletion = async (userId, context = {}) => {
+  // 1. Find user
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw notFound('User not found');
+  }
+
+  // 2. Soft delete
+  const deletionScheduledFor = new Date(
+    Date.now() + config.accountDeletion.graceDays * 24 * 60 * 60 * 1000
+  );
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { isActive: false, deletionScheduledFor } }
+  );
+
+  // 3. Sign the account out everywhere
+  await logoutEverywhere(user._id, 'account-deleted');
+
+  await SecurityEvent.record('account-deletion-scheduled', {
+    userId: user._id,
+    ...context,
+    details: { deletionScheduledFor },
+  });
+
+  // 4. Send notice
+  try {
+    await sendAccountDeletionScheduledEmail(user, deletionScheduledFor);
+  } catch (error) {
+    console.error('Failed to send account deletion notice:', error);
+    // Don't fail the deletion if the email fails
+  }
+
+  return {
+    status: 'success',
+    message: `Account deleted. Log in before ${deletionScheduledFor.toDateString()} if you change your mind.`,
+    data: {
+      deletionScheduledFor,
+    },
+  };
+};
+
+/**
+ * Restore an Account (login during the grace period)
+ *
+ * Called once the whole login succeeded (every factor checked, see
+ * twoFactorService.startLoginSession). The caller loaded the user with
+ * findByEmailIncludingDeleted / findByIdIncludingDeleted.
+ *
+ * @param {Object} user - Deleted user (canBeRestored)
+ * @param {Object} context - { userAgent, ip } (audit)
+ * @returns {Promise<void>}
+ */
+export const restoreAccount = async (user, context = {}) => {
+  user.isActive = true;
+  user.deletionScheduledFor = null;
+  await user.save();
+
+  await SecurityEvent.record('account-restored', {
+    userId: user._id,
+    ...context,
+  });
+};
+
+/**
+ * Purge Deleted Accounts
+ *
+ * Hard-deletes the accounts whose grace period is over, with their data.
+ * Each account is removed on its own: one failure doesn't stop the rest.
+ *
+ * @returns {Promise<number>} - Number of accounts purged
+ */
+export const purgeDeletedAccounts = async () => {
+  const users = await User.find({
+    isActive: false,
+    deletionScheduledFor: { $ne: null, $lte: new Date() },
+  })
+    .select('_id')
+    .setOptions({ includeInactive: true });
+
+  let purged = 0;
+
+  for (const { _id: userId } of users) {
+    try {
+      await Promise.all([
+        ...USER_DATA_MODELS.map((Model) => Model.deleteMany({ userId })),
+        // Staff actions on other accounts: who did it stays, not from where
+        SecurityEvent.updateMany({ actorId: userId }, { $unset: { ip: 1, userAgent: 1 } }),
+      ]);
+      await User.deleteOne({ _id: userId, isActive: false });
+
+      purged += 1;
+    } catch (error) {
+      console.error(`Failed to purge account ${userId}:`, error);
+    }
+  }
+
+  return purged;
+};
+
+/**
+ * Schedule Legacy Deletions (one-off, after upgrading)
+ *
+ * Accounts deleted before the grace period existed are inactive without
+ * a deletionScheduledFor: the purge never picks them up, and their email
+ * stays taken. This gives them the grace period, starting now.
+ *
+ * Accounts an admin deactivated look the same; their
+ * 'admin-deactivated-account' event tells them apart.
+ *
+ * @returns {Promise<number>} - Number of accounts scheduled for deletion
+ */
+export const scheduleLegacyDeletions = async () => {
+  const deactivated = await SecurityEvent.distinct('userId', {
+    type: 'admin-deactivated-account',
+  });
+
+  const deletionScheduledFor = new Date(
+    Date.now() + config.accountDeletion.graceDays * 24 * 60 * 60 * 1000
+  );
+
+  const { modifiedCount } = await User.updateMany(
+    { isActive: false, deletionScheduledFor: null, _id: { $nin: deactivated } },
+    { $set: { deletionScheduledFor } }
+  );
+
+  return modifiedCount;
+};
+
+/**
+ * Start the purge job (runs every ACCOUNT_PURGE_INTERVAL_MINUTES)
+ *
+ * The timer doesn't keep the process alive.
+ *
+ * @returns {NodeJS.Timeout|null} - null when the job is turned off
+ */
+export const startPurgeJob = () => {
+  const { purgeIntervalMinutes } = config.accountDeletion;
+
+  if (!purgeIntervalMinutes) {
+    return null;
+  }
+
+  const run = async () => {
+    try {
+      const purged = await purgeDeletedAccounts();
+      if (purged > 0) {
+        console.log(`🗑️  Purged ${purged} deleted account(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Account purge failed:', error.message);
+    }
+  };
+
+  run();
+  return setInterval(run, purgeIntervalMinutes * 60 * 1000).unref();
+};
+
+export default {
+  scheduleAccountDeletion,
+  restoreAccount,
+  purgeDeletedAccounts,
+  scheduleLegacyDeletions,
+  startPurgeJob,
+};
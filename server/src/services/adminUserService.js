@@ -0,0 +1,415 @@
+/**
+ * Admin User Service
+ *
+ * User management for support staff: find an account, look at it, and fix
+ * the usual problems without editing User documents in the database.
+ *
+ * ENDPOINTS (/api/admin/users, users:read to look, users:write to act):
+ * - GET  /                          search (email, name) + filters, paginated
+ * - GET  /:id                       details, active sessions, recent events
+ * - POST /:id/verify-email          mark the email as verified
+ * - POST /:id/unlock                clear failed login attempts / lock
+ * - POST /:id/deactivate            hide the account, log it out everywhere
+ * - POST /:id/reactivate            undo deactivation (or a pending deletion)
+ * - POST /:id/password-reset        email the user a reset link
+ * - DELETE /:id/sessions/:sessionId revoke one session
+ *   (all sessions: POST /:id/logout-everywhere)
+ *
+ * Deactivated and deleted accounts are included (setOptions includeInactive):
+ * admins need to find them to reactivate them.
+ *
+ * Every action is recorded as a SecurityEvent with the admin as actor.
+ */
+
+import User from '../models/User.js';
+import Token from '../models/Token.js';
+import Passkey from '../models/Passkey.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import { logoutEverywhere } from './authService.js';
+import { listSessions, revokeSession } from './sessionService.js';
+import { sendPasswordResetEmail } from './emailService.js';
+import { badRequest, forbidden, notFound } from '../utils/AppError.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const RECENT_EVENTS_LIMIT = 20;
+const PASSWORD_RESET_EXPIRES_IN_MS = 60 * 60 * 1000; // 1 hour (like forgot password)
+
+// Hidden fields admins need to see
+const ADMIN_FIELDS = '+isActive +deletionScheduledFor +loginAttempts +lockUntil +googleId';
+
+/**
+ * Escape a search string for use in a regular expression
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Summary of a user for lists
+ *
+ * @param {Object} user - User loaded with ADMIN_FIELDS
+ * @returns {Object}
+ */
+const toUserSummary = (user) => ({
+  id: user._id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  role: user.role,
+  isEmailVerified: user.isEmailVerified,
+  isActive: user.isActive !== false,
+  isLocked: user.isLocked(),
+  deletionScheduledFor: user.deletionScheduledFor || null,
+  lastLoginAt: user.lastLoginAt || null,
+  createdAt: user.createdAt,
+});
+
+/**
+ * Find a user for an admin action (deactivated ones included)
+ *
+ * @param {string} userId - User's MongoDB _id
+ * @returns {Promise<Object>} - User loaded with ADMIN_FIELDS
+ * @throws {AppError} - 404 if the user doesn't exist
+ */
+const findUser = async (userId) => {
+  const user = await User.findById(userId)
+    .select(ADMIN_FIELDS)
+    .setOptions({ includeInactive: true });
+
+  if (!user) {
+    throw notFound('User not found');
+  }
+
+  return user;
+};
+
+/**
+ * Record an admin action on a user
+ */
+const recordAction = (type, admin, userId, context, details = {}) =>
+  SecurityEvent.record(type, {
+    userId,
+    actorId: admin.id,
+    ...context,
+    details,
+  });
+
+/**
+ * List Users
+ *
+ * @param {Object} query - { search, verified, locked, active, page, limit }
+ *   (booleans already converted by the validator; undefined = no filter)
+ * @returns {Promise<Object>} - Users of the page, with pagination info
+ */
+export const listUsers = async ({
+  search,
+  verified,
+  locked,
+  active,
+  page = 1,
+  limit = DEFAULT_PAGE_SIZE,
+} = {}) => {
+  const now = new Date();
+  const conditions = [];
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    conditions.push({
+      $or: [{ email: pattern }, { firstName: pattern }, { lastName: pattern }],
+    });
+  }
+
+  if (verified !== undefined) {
+    conditions.push({ isEmailVerified: verified });
+  }
+
+  if (locked !== undefined) {
+    conditions.push(
+      locked
+        ? { lockUntil: { $gt: now } }
+        : { $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }] }
+    );
+  }
+
+  if (active !== undefined) {
+    conditions.push({ isActive: active ? { $ne: false } : false });
+  }
+
+  const filter = conditions.length > 0 ? { $and: conditions } : {};
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .select(ADMIN_FIELDS)
+      .setOptions({ includeInactive: true })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    User.countDocuments(filter),
+  ]);
+
+  return {
+    status: 'success',
+    results: users.length,
+    data: {
+      users: users.map(toUserSummary),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    },
+  };
+};
+
+/**
+ * Get User Details
+ *
+ * @param {string} userId - User's MongoDB _id
+ * @returns {Promise<Object>} - Account state, active sessions, recent security events
+ */
+export const getUser = async (userId) => {
+  const user = await findUser(userId);
+
+  const [sessions, passkeys, events] = await Promise.all([
+    listSessions(user._id),
+    Passkey.countDocuments({ userId: user._id }),
+    SecurityEvent.find({ userId: user._id })
+      .sort({ createdAt: -1 })
+      .limit(RECENT_EVENTS_LIMIT),
+  ]);
+
+  return {
+    status: 'success',
+    data: {
+      user: {
+        ...toUserSummary(user),
+        pendingEmail: user.pendingEmail || null,
+        emailVerifiedAt: user.emailVerifiedAt,
+        passwordChangedAt: user.passwordChangedAt || null,
+        loginAttempts: user.loginAttempts || 0,
+        lockUntil: user.lockUntil || null,
+        googleLinked: !!user.googleId,
+        twoFactorEnabled: !!user.twoFactor?.enabled,
+        passkeys,
+        updatedAt: user.updatedAt,
+      },
+      sessions: sessions.data.sessions,
+      securityEvents: events.map((event) => ({
+        id: event._id,
+        type: event.type,
+        actorId: event.actorId,
+        ip: event.ip,
+        userAgent: event.userAgent,
+        details: event.details,
+        createdAt: event.createdAt,
+      })),
+    },
+  };
+};
+
+/**
+ * Force Email Verification
+ *
+ * For users whose verification email never arrives.
+ *
+ * @param {Object} admin - Admin doing it (req.user)
+ * @param {string} userId - User's MongoDB _id
+ * @param {Object} context - { userAgent, ip } (audit)
+ * @returns {Promise<Object>} - Success message
+ */
+export const verifyUserEmail = async (admin, userId, context = {}) => {
+  const user = await findUser(userId);
+
+  if (user.isEmailVerified) {
+    throw badRequest('Email is already verified.');
+  }
+
+  user.isEmailVerified = true;
+  user.emailVerifiedAt = new Date();
+  await user.save();
+
+  // Pending verification links are no longer needed
+  await Token.deleteUserTokens(user._id, 'email-verification');
+
+  await recordAction('admin-verified-email', admin, user._id, context);
+
+  return {
+    status: 'success',
+    message: `${user.email} is now verified.`,
+  };
+};
+
+/**
+ * Unlock Account
+ *
+ * Clears failed login attempts and the lock (see User.incLoginAttempts).
+ *
+ * @param {Object} admin - Admin doing it (req.user)
+ * @param {string} userId - User's MongoDB _id
+ * @param {Object} context - { userAgent, ip } (audit)
+ * @returns {Promise<Object>} - Success message
+ */
+export const unlockUser = async (admin, userId, context = {}) => {
+  const user = await findUser(userId);
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { loginAttempts: 0 }, $unset: { lockUntil: 1 } }
+  );
+
+  await recordAction('admin-unlocked-account', admin, user._id, context, {
+    loginAttempts: user.loginAttempts || 0,
+    wasLocked: user.isLocked(),
+  });
+
+  return {
+    status: 'success',
+    message: `${user.email} has been unlocked.`,
+  };
+};
+
+/**
+ * Deactivate Account
+ *
+ * The account is hidden like a deleted one, but never purged and not
+ * restored by logging in: only an admin can reactivate it.
+ *
+ * @param {Object} admin - Admin doing it (req.user)
+ * @param {string} userId - User's MongoDB _id
+ * @param {string} reason - Why, kept in the audit trail
+ * @param {Object} context - { userAgent, ip } (audit)
+ * @returns {Promise<Object>} - Success message
+ */
+export const deactivateUser = async (admin, userId, reason, context = {}) => {
+  const user = await findUser(userId);
+
+  if (user._id.equals(admin.id)) {
+    throw badRequest('You cannot deactivate your own account.');
+  }
+
+  // Staff accounts are managed by changing their role first
+  if (user.isStaff()) {
+    throw forbidden('Staff accounts cannot be deactivated.');
+  }
+
+  if (user.isActive === false && !user.deletionScheduledFor) {
+    throw badRequest('Account is already deactivated.');
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { isActive: false, deletionScheduledFor: null } }
+  );
+
+  await logoutEverywhere(user._id, 'deactivated-by-admin');
+
+  await recordAction('admin-deactivated-account', admin, user._id, context, { reason });
+
+  console.log(`⛔ Admin ${admin.email} deactivated ${user.email}: ${reason}`);
+
+  return {
+    status: 'success',
+    message: `${user.email} has been deactivated and logged out everywhere.`,
+  };
+};
+
+/**
+ * Reactivate Account
+ *
+ * Also cancels a deletion the user asked for (the account stays).
+ *
+ * @param {Object} admin - Admin doing it (req.user)
+ * @param {string} userId - User's MongoDB _id
+ * @param {Object} context - { userAgent, ip } (audit)
+ * @returns {Promise<Object>} - Success message
+ */
+export const reactivateUser = async (admin, userId, context = {}) => {
+  const user = await findUser(userId);
+
+  if (user.isActive !== false) {
+    throw badRequest('Account is already active.');
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { isActive: true, deletionScheduledFor: null } }
+  );
+
+  await recordAction('admin-reactivated-account', admin, user._id, context, {
+    cancelledDeletion: !!user.deletionScheduledFor,
+  });
+
+  return {
+    status: 'success',
+    message: `${user.email} has been reactivated.`,
+  };
+};
+
+/**
+ * Send a Password Reset Link
+ *
+ * Like "forgot password", without the wait between emails: earlier reset
+ * links stop working.
+ *
+ * @param {Object} admin - Admin doing it (req.user)
+ * @param {string} userId - User's MongoDB _id
+ * @param {Object} context - { userAgent, ip } (audit)
+ * @returns {Promise<Object>} - Success message
+ */
+export const sendUserPasswordReset = async (admin, userId, context = {}) => {
+  const user = await findUser(userId);
+
+  if (user.isActive === false) {
+    throw badRequest('Reactivate the account before resetting its password.');
+  }
+
+  await Token.deleteUserTokens(user._id, 'password-reset');
+  const { token } = await Token.generateToken(
+    user._id,
+    'password-reset',
+    PASSWORD_RESET_EXPIRES_IN_MS
+  );
+
+  try {
+    await sendPasswordResetEmail(user, token);
+  } catch (error) {
+    console.error('Failed to send password reset email:', error);
+    throw badRequest('Failed to send password reset email. Please try again later.');
+  }
+
+  await recordAction('admin-sent-password-reset', admin, user._id, context);
+
+  return {
+    status: 'success',
+    message: `Password reset link sent to ${user.email}.`,
+  };
+};
+
+/**
+ * Revoke one Session of a User
+ *
+ * @param {Object} admin - Admin doing it (req.user)
+ * @param {string} userId - User's MongoDB _id
+ * @param {string} sessionId - Session to revoke
+ * @param {Object} context - { userAgent, ip } (audit)
+ * @returns {Promise<Object>} - Success message
+ */
+export const revokeUserSession = async (admin, userId, sessionId, context = {}) => {
+  const user = await findUser(userId);
+
+  const result = await revokeSession(user._id, sessionId, 'revoked-by-admin');
+
+  await recordAction('admin-revoked-session', admin, user._id, context, { sessionId });
+
+  return result;
+};
+
+export default {
+  listUsers,
+  getUser,
+  verifyUserEmail,
+  unlockUser,
+  deactivateUser,
+  reactivateUser,
+  sendUserPasswordReset,
+  revokeUserSession,
+};
@@ -0,0 +1,161 @@
+/**
+ * API Key Service
+ *
+ * Create, list, revoke and validate personal API keys (see ApiKey model).
+ *
+ * API KEYS vs JWT SESSIONS:
+ * - Sessions come from a login and refresh themselves; keys are long-lived
+ *   and managed by the user
+ * - Keys are limited by scopes (read / write)
+ * - Keys can't manage the account: creating keys, changing the password,
+ *   sessions etc. require a real login (authMiddleware.requireSession)
+ * - Keys are independent of sessions: logging out (everywhere) or changing
+ *   the password doesn't revoke them, deleting the account does
+ */
+
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import { unauthorized, notFound, badRequest } from '../utils/AppError.js';
+
+// Don't write lastUsedAt on every request
+const LAST_USED_PRECISION_MS = 60 * 1000;
+
+// Keys a user may have at the same time
+const MAX_KEYS_PER_USER = 25;
+
+/**
+ * Public representation of a key (never includes the hash)
+ */
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  createdAt: apiKey.createdAt,
+  expired: !apiKey.isActive(),
+});
+
+/**
+ * Create API Key
+ *
+ * @param {string} userId - Owner
+ * @param {Object} data - { name, scopes, expiresInDays? } (no expiry if omitted)
+ * @returns {Promise<Object>} - Key metadata and the key itself (shown once)
+ */
+export const createApiKey = async (userId, { name, scopes, expiresInDays }) => {
+  const count = await ApiKey.countDocuments({ userId, revokedAt: null });
+  if (count >= MAX_KEYS_PER_USER) {
+    throw badRequest(
+      `You can have at most ${MAX_KEYS_PER_USER} API keys. Revoke an unused key first.`
+    );
+  }
+
+  const expiresAt = expiresInDays
+    ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    : null;
+
+  const { apiKey, key } = await ApiKey.generateKey(userId, {
+    name,
+    scopes: [...new Set(scopes)],
+    expiresAt,
+  });
+
+  return {
+    status: 'success',
+    message: 'API key created. Copy it now - it will not be shown again.',
+    data: {
+      apiKey: formatApiKey(apiKey),
+      key,
+    },
+  };
+};
+
+/**
+ * List API Keys of a user (revoked keys are hidden)
+ *
+ * @param {string} userId - Owner
+ * @returns {Promise<Object>} - Key list
+ */
+export const listApiKeys = async (userId) => {
+  const apiKeys = await ApiKey.find({ userId, revokedAt: null }).sort({ createdAt: -1 });
+
+  return {
+    status: 'success',
+    results: apiKeys.length,
+    data: {
+      apiKeys: apiKeys.map(formatApiKey),
+    },
+  };
+};
+
+/**
+ * Revoke API Key
+ *
+ * @param {string} userId - Owner
+ * @param {string} apiKeyId - Key to revoke
+ * @returns {Promise<Object>} - Success message
+ */
+export const revokeApiKey = async (userId, apiKeyId) => {
+  // Scope by userId so users can't revoke each other's keys
+  const result = await ApiKey.updateOne(
+    { _id: apiKeyId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  if (result.matchedCount === 0) {
+    throw notFound('API key not found');
+  }
+
+  return {
+    status: 'success',
+    message: 'API key revoked successfully',
+  };
+};
+
+/**
+ * Validate API Key
+ *
+ * Used by the authenticate middleware.
+ *
+ * Flow:
+ * 1. Find key by hash
+ * 2. Check it isn't revoked or expired
+ * 3. Check the owner still exists (and is active) and is verified
+ * 4. Record usage (at most once a minute)
+ *
+ * @param {string} key - Raw API key
+ * @returns {Promise<Object>} - { apiKey, user }
+ * @throws {AppError} - 401 if the key can't be used
+ */
+export const validateApiKey = async (key) => {
+  // 1. Find key
+  const apiKey = await ApiKey.findByKey(key);
+
+  // 2. Check key
+  if (!apiKey || !apiKey.isActive()) {
+    throw unauthorized('Invalid or expired API key.');
+  }
+
+  // 3. Check owner (deactivated users are filtered out by the User model)
+  const user = await User.findById(apiKey.userId);
+
+  if (!user || !user.isEmailVerified) {
+    throw unauthorized('Invalid or expired API key.');
+  }
+
+  // 4. Record usage
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt > LAST_USED_PRECISION_MS) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } });
+  }
+
+  return { apiKey, user };
+};
+
+export default {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  validateApiKey,
+};
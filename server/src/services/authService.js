@@ -18,10 +18,17 @@
 
 import User from '../models/User.js';
 import Token from '../models/Token.js';
-import { generateTokens } from './jwtService.js';
+import RevokedToken from '../models/RevokedToken.js';
+import Session from '../models/Session.js';
+import { createSession, findSessionForRefreshToken, rotateSession, reauthenticateSession, revokeUserSessions, isSessionActive } from './sessionService.js';
+import { verifyAccessToken, verifyRefreshToken } from './jwtService.js';
 import { sendVerificationEmail, sendPasswordResetEmail, sendWelcomeEmail } from './emailService.js';
+import { createLoginChallenge, getSecondFactorMethods, startLoginSession } from './twoFactorService.js';
+import { verifyGoogleToken } from './googleAuthService.js';
+import { isTrustedDevice, createDeviceChallenge } from './trustedDeviceService.js';
 import { badRequest, unauthorized, conflict, notFound } from '../utils/AppError.js';
 import config from '../config/env.js';
+import { getPermissions } from '../config/roles.js';
 
 /**
  * User Signup
@@ -39,8 +46,20 @@ import config from '../config/env.js';
 export const signup = async (userData) => {
   const { email, password, firstName, lastName } = userData;
 
-  // 1. Check if user already exists
-  const existingUser = await User.findByEmail(email);
+  // 1. Check if user already exists (deleted accounts keep their email
+  // until they're purged)
+  const existingUser = await User.findByEmailIncludingDeleted(email);
+  if (existingUser?.canBeRestored()) {
+    throw conflict(
+      `This email belongs to a deleted account. Log in before ${existingUser.deletionScheduledFor.toDateString()} to restore it, or use a different email.`
+    );
+  }
+  // Deactivated by an admin (or a deletion waiting for the purge)
+  if (existingUser?.isActive === false) {
+    throw conflict(
+      'This email belongs to an account that is no longer active. Contact support or use a different email.'
+    );
+  }
   if (existingUser) {
     throw conflict('Email already in use. Please login or use a different email.');
   }
@@ -93,22 +112,33 @@ export const signup = async (userData) => {
  * 3. Check if email is verified
  * 4. Check if account is locked
  * 5. Verify password
- * 6. Reset login attempts
- * 7. Generate JWT tokens
- * 8. Return tokens and user data
+ * 6. Deleted account still in its grace period? → restore it once the
+ *    login completes (see accountDeletionService)
+ * 7. Second factor (authenticator app, passkey)? → challenge instead of tokens
+ *    (completed by twoFactorService.completeTwoFactorLogin)
+ * 8. Unknown browser? → code by email instead of tokens
+ *    (completed by trustedDeviceService.confirmDevice)
+ * 9. Restore the account (step 6), reset login attempts
+ * 10. Create session (JWT access + refresh tokens)
+ *    "Remember me" decides between a browser session and a long-lived one
+ * 11. Return tokens and user data (see twoFactorService.startLoginSession)
  * 
- * @param {Object} credentials - { email, password }
- * @returns {Promise<Object>} - { accessToken, refreshToken, user }
+ * @param {Object} credentials - { email, password, rememberMe? }
+ * @param {Object} context - { userAgent, ip } (stored on the session)
+ * @param {Object} options - { deviceToken } trustedDevice cookie of the browser
+ * @returns {Promise<Object>} - { accessToken, refreshToken, rememberMe, user }
+ *   or { twoFactorRequired, challengeToken } or { deviceConfirmationRequired, challengeToken }
  */
-export const login = async (credentials) => {
-  const { email, password } = credentials;
+export const login = async (credentials, context = {}, { deviceToken } = {}) => {
+  const { email, password, rememberMe = false } = credentials;
 
-  // 1. Find user with password (password is excluded by default)
-  const user = await User.findByEmailWithPassword(email);
+  // 1. Find user with password (password is excluded by default),
+  // deleted accounts included: logging in restores them
+  const user = await User.findByEmailIncludingDeleted(email).select('+password');
 
-  // 2. Check if user exists
+  // 2. Check if user exists (accounts past their grace period don't)
   // Use generic message to avoid revealing if email exists
-  if (!user) {
+  if (!user || (user.isActive === false && !user.canBeRestored())) {
     throw unauthorized('Invalid email or password');
   }
 
@@ -135,28 +165,27 @@ export const login = async (credentials) => {
     throw unauthorized('Invalid email or password');
   }
 
-  // 6. Reset login attempts on successful login
-  await user.resetLoginAttempts();
+  // 6. Deleted account in its grace period: restored once the login
+  // completes (after the second factor / device code, if any)
+  const restore = user.isActive === false;
 
-  // 7. Generate JWT tokens
-  const { accessToken, refreshToken } = generateTokens(user._id.toString());
+  // 7. Second factor required (login attempts are reset once it succeeds)
+  const secondFactors = await getSecondFactorMethods(user);
+  if (secondFactors.length > 0) {
+    return createLoginChallenge(user, { rememberMe, methods: secondFactors, restore });
+  }
 
-  // 8. Return tokens and user data (exclude sensitive fields)
-  return {
-    status: 'success',
-    message: 'Login successful',
-    data: {
-      accessToken,
-      refreshToken,
-      user: {
-        id: user._id,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        isEmailVerified: user.isEmailVerified,
-      },
-    },
-  };
+  // 8. Unknown browser: hold the login until the emailed code is entered
+  if (
+    config.trustedDevices.confirmNewDevices &&
+    !(await isTrustedDevice(user, deviceToken))
+  ) {
+    return createDeviceChallenge(user, { rememberMe, restore }, context);
+  }
+
+  // 9-11. Restore, reset login attempts, create session (access + refresh
+  // tokens), return tokens and user data
+  return startLoginSession(user, { rememberMe, restore }, context);
 };
 
 /**
@@ -171,9 +200,10 @@ export const login = async (credentials) => {
  * 6. Generate JWT tokens (auto-login after verification)
  * 
  * @param {string} token - Verification token from email
+ * @param {Object} context - { userAgent, ip } (stored on the session)
  * @returns {Promise<Object>} - { accessToken, refreshToken, user }
  */
-export const verifyEmail = async (token) => {
+export const verifyEmail = async (token, context = {}) => {
   // 1. Verify token (automatically deletes token if valid)
   const userId = await Token.verifyToken(token, 'email-verification');
 
@@ -207,8 +237,8 @@ export const verifyEmail = async (token) => {
     // Don't fail verification if welcome email fails
   }
 
-  // 6. Generate JWT tokens (auto-login after verification)
-  const { accessToken, refreshToken } = generateTokens(user._id.toString());
+  // 6. Create session (auto-login after verification)
+  const { accessToken, refreshToken } = await createSession(user, context);
 
   return {
     status: 'success',
@@ -216,6 +246,7 @@ export const verifyEmail = async (token) => {
     data: {
       accessToken,
       refreshToken,
+      rememberMe: false,
       user: {
         id: user._id,
         email: user.email,
@@ -344,7 +375,8 @@ export const forgotPassword = async (email) => {
  * 2. Find user
  * 3. Update password (will be hashed by model)
  * 4. Delete all tokens for user (invalidate other reset tokens)
- * 5. Return success
+ * 5. Revoke all sessions (someone else may be logged in)
+ * 6. Return success
  * 
  * @param {string} token - Reset token from email
  * @param {string} newPassword - New password
@@ -373,6 +405,9 @@ export const resetPassword = async (token, newPassword) => {
   // 4. Delete all tokens for this user (invalidate any other reset tokens)
   await Token.deleteUserTokens(userId);
 
+  // 5. Revoke all sessions (refresh tokens stop working)
+  await revokeUserSessions(userId, 'password-reset');
+
   return {
     status: 'success',
     message: 'Password reset successful! You can now log in with your new password.',
@@ -383,21 +418,22 @@ export const resetPassword = async (token, newPassword) => {
  * Refresh Access Token
  * 
  * Flow:
- * 1. Verify refresh token
+ * 1. Verify refresh token and load its session (detects reuse)
  * 2. Check if user still exists
- * 3. Generate new access token
- * 4. Return new access token
+ * 3. Check the token version (user may have logged out everywhere)
+ * 4. Rotate refresh token and generate new access token
+ * 5. Return both tokens (the old refresh token is no longer valid)
  * 
  * @param {string} refreshToken - Refresh token
- * @returns {Promise<Object>} - { accessToken }
+ * @param {Object} context - { ip } (last IP of the session)
+ * @returns {Promise<Object>} - { accessToken, refreshToken, rememberMe }
  */
-export const refreshAccessToken = async (refreshToken) => {
-  // 1. Verify refresh token
-  const { verifyRefreshToken } = await import('./jwtService.js');
-  const decoded = verifyRefreshToken(refreshToken);
+export const refreshAccessToken = async (refreshToken, context = {}) => {
+  // 1. Verify refresh token and load session
+  const { session, decoded } = await findSessionForRefreshToken(refreshToken);
 
   // 2. Check if user still exists and is active
-  const user = await User.findById(decoded.id);
+  const user = await User.findById(session.userId);
   if (!user) {
     throw unauthorized('User no longer exists. Please log in again.');
   }
@@ -406,18 +442,286 @@ export const refreshAccessToken = async (refreshToken) => {
     throw unauthorized('Email not verified. Please verify your email.');
   }
 
-  // 3. Generate new access token
-  const { generateAccessToken } = await import('./jwtService.js');
-  const accessToken = generateAccessToken(user._id.toString());
+  // 3. Check token version
+  if (!user.hasTokenVersion(decoded.ver)) {
+    await session.revoke('token-version');
+    throw unauthorized('Your session has ended. Please log in again.');
+  }
+
+  // 4. Rotate refresh token and generate new access token
+  const tokens = await rotateSession(session, refreshToken, user, context);
 
   return {
     status: 'success',
+    data: tokens,
+  };
+};
+
+/**
+ * Logout
+ * 
+ * Flow:
+ * 1. Revoke the session the access token belongs to (refresh token dies)
+ * 2. Denylist the access token itself until it expires
+ * 
+ * @param {Object} token - Decoded access token ({ jti, exp, sid })
+ * @returns {Promise<Object>} - Success message
+ */
+export const logout = async (token) => {
+  // 1. Revoke session
+  if (token.sid) {
+    await Session.updateOne(
+      { _id: token.sid, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
+  }
+
+  // 2. Denylist access token (exp is in seconds)
+  if (token.jti) {
+    await RevokedToken.revoke(token.jti, new Date(token.exp * 1000));
+  }
+
+  return {
+    status: 'success',
+    message: 'Logged out successfully',
+  };
+};
+
+/**
+ * Log Out Everywhere
+ * 
+ * Used by the user ("log out of all devices"), by admins after an incident
+ * and when an account is disabled.
+ * 
+ * Flow:
+ * 1. Increment the user's token version (every access and refresh token
+ *    issued so far fails the version check)
+ * 2. Revoke all sessions (so they disappear from the session list)
+ * 
+ * @param {string} userId - User's MongoDB _id
+ * @param {string} reason - Why (stored on the revoked sessions)
+ * @returns {Promise<Object>} - Success message
+ * @throws {AppError} - 404 if the user doesn't exist
+ */
+export const logoutEverywhere = async (userId, reason = 'logout-everywhere') => {
+  // 1. Invalidate all tokens
+  const found = await User.incrementTokenVersion(userId);
+
+  if (!found) {
+    throw notFound('User not found');
+  }
+
+  // 2. Revoke sessions
+  const revoked = await revokeUserSessions(userId, reason);
+
+  return {
+    status: 'success',
+    message: 'Logged out of all devices',
     data: {
-      accessToken,
+      revoked,
     },
   };
 };
 
+/**
+ * Re-authenticate
+ * 
+ * Sensitive actions (changing the password, deleting the account) require
+ * a recent login: a token stolen days ago, or a device left signed in,
+ * isn't enough (see requireRecentAuth). The user confirms who they are
+ * again without logging out.
+ * 
+ * Flow:
+ * 1. Find user, check it isn't locked
+ * 2. Check the password, or a new Google sign-in (Google accounts)
+ * 3. Wrong credentials → failed login attempt (a stolen session can't guess)
+ * 4. Move the session's auth time to now, issue an access token with it
+ * 
+ * @param {string} userId - Current user
+ * @param {string} sessionId - Session of the current access token
+ * @param {Object} credentials - { password } or { idToken } (Google)
+ * @returns {Promise<Object>} - { accessToken, rememberMe }
+ */
+export const reauthenticate = async (userId, sessionId, { password, idToken }) => {
+  // 1. Find user
+  const user = await User.findById(userId).select(
+    '+password +loginAttempts +lockUntil +googleId'
+  );
+
+  if (!user) {
+    throw unauthorized('User no longer exists. Please log in again.');
+  }
+
+  if (user.isLocked()) {
+    throw unauthorized(
+      'Your account has been locked due to too many failed login attempts. Please try again later or reset your password.'
+    );
+  }
+
+  // 2. Check credentials
+  let isValid;
+
+  if (idToken && user.googleId) {
+    const googleUser = await verifyGoogleToken(idToken);
+    isValid = googleUser.googleId === user.googleId;
+  } else if (user.password) {
+    isValid = !!password && (await user.comparePassword(password));
+  } else {
+    throw badRequest('Sign in with Google again to continue.');
+  }
+
+  // 3. Count failed attempts
+  if (!isValid) {
+    await user.incLoginAttempts();
+    throw unauthorized(idToken ? 'This is not the Google account you signed up with' : 'Incorrect password');
+  }
+
+  await user.resetLoginAttempts();
+
+  // 4. Fresh auth_time
+  const tokens = await reauthenticateSession(user, sessionId);
+
+  return {
+    status: 'success',
+    message: 'Identity confirmed',
+    data: tokens,
+  };
+};
+
+/**
+ * Check that the user behind a token may still use it
+ * 
+ * Shared by access and refresh token validation (and by the access tokens
+ * of OpenID Connect clients, see oidcService.js).
+ * 
+ * @param {Object} user - User document (with passwordChangedAt) or null
+ * @param {Object} decoded - Decoded token
+ * @throws {AppError} - 401 if the token must no longer be accepted
+ */
+export const assertTokenOwnerValid = (user, decoded) => {
+  // Deleted and deactivated users are both filtered out by the User model
+  if (!user) {
+    throw unauthorized(
+      'The user belonging to this token no longer exists. Please log in again.'
+    );
+  }
+
+  // Token issued before the user logged out everywhere
+  if (!user.hasTokenVersion(decoded.ver)) {
+    throw unauthorized('Your session has ended. Please log in again.');
+  }
+
+  // Token issued before the last password change
+  if (user.changedPasswordAfter(decoded.iat)) {
+    throw unauthorized(
+      'You recently changed your password. Please log in again.'
+    );
+  }
+
+  if (!user.isEmailVerified) {
+    throw unauthorized(
+      'Please verify your email before accessing this resource.'
+    );
+  }
+};
+
+/**
+ * Validate Access Token
+ * 
+ * Everything that must hold for an access token to be accepted.
+ * Used by the authenticate and optionalAuth middleware and by token
+ * introspection.
+ * 
+ * Flow:
+ * 1. Verify signature, expiry, issuer and audience
+ * 2. Check it wasn't revoked (logout)
+ * 3. Check the user still exists, is active and verified, didn't log out
+ *    everywhere and didn't change their password after the token was issued
+ * 4. Check the session the token belongs to is still active
+ * 5. Impersonation token (`act` claim): check the admin is still an admin
+ *    and hasn't logged out everywhere
+ * 
+ * @param {string} token - Access token
+ * @returns {Promise<Object>} - { decoded, user, actor } (actor: admin user
+ *   document for impersonation tokens, otherwise null)
+ * @throws {AppError} - 401 if the token is not active
+ */
+export const validateAccessToken = async (token) => {
+  // 1. Verify token (throws error if invalid)
+  const decoded = verifyAccessToken(token);
+
+  // Tokens issued to OAuth clients (client_credentials, OpenID Connect)
+  // are only for authenticateService and the userinfo endpoint
+  if (decoded.client_id) {
+    throw unauthorized('Client access tokens cannot be used here.');
+  }
+
+  // 2. Token was revoked before it expired (e.g. user logged out)
+  if (decoded.jti && (await RevokedToken.isRevoked(decoded.jti))) {
+    throw unauthorized('This token has been revoked. Please log in again.');
+  }
+
+  // 3. Check user
+  const user = await User.findById(decoded.id).select('+passwordChangedAt');
+  assertTokenOwnerValid(user, decoded);
+
+  // 4. Check if the session was revoked (e.g. signed out from another device)
+  if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+    throw unauthorized('Your session has ended. Please log in again.');
+  }
+
+  // 5. Check the admin behind an impersonation token (still allowed to impersonate)
+  let actor = null;
+  if (decoded.act) {
+    actor = await User.findById(decoded.act.sub);
+
+    if (!actor || !actor.hasPermission('users:impersonate') || !actor.hasTokenVersion(decoded.act.ver)) {
+      throw unauthorized('Impersonation has ended.');
+    }
+  }
+
+  return { decoded, user, actor };
+};
+
+/**
+ * Validate Refresh Token
+ * 
+ * Read-only check used by token introspection: unlike refreshAccessToken,
+ * presenting a rotated token here doesn't revoke the session.
+ * 
+ * Flow:
+ * 1. Verify signature, expiry, issuer and audience
+ * 2. Check the session is active and the token is its CURRENT refresh token
+ * 3. Check the user (same checks as for access tokens)
+ * 
+ * @param {string} token - Refresh token
+ * @returns {Promise<Object>} - { decoded, user, session }
+ * @throws {AppError} - 401 if the token is not active
+ */
+export const validateRefreshToken = async (token) => {
+  // 1. Verify token
+  const decoded = verifyRefreshToken(token);
+
+  // 2. Check session
+  const session = decoded.sid
+    ? await Session.findById(decoded.sid).select('+refreshTokenHash')
+    : null;
+
+  if (
+    !session ||
+    !session.isActive() ||
+    session.refreshTokenHash !== Session.hashToken(token)
+  ) {
+    throw unauthorized('Your session has ended. Please log in again.');
+  }
+
+  // 3. Check user
+  const user = await User.findById(decoded.id).select('+passwordChangedAt');
+  assertTokenOwnerValid(user, decoded);
+
+  return { decoded, user, session };
+};
+
 /**
  * Get Current User (for /me endpoint)
  * 
@@ -425,7 +729,8 @@ export const refreshAccessToken = async (refreshToken) => {
  * @returns {Promise<Object>} - User data
  */
 export const getCurrentUser = async (userId) => {
-  const user = await User.findById(userId);
+  // googleId is hidden by default (only whether it's set is returned)
+  const user = await User.findById(userId).select('+googleId');
 
   if (!user) {
     throw notFound('User not found');
@@ -437,10 +742,15 @@ export const getCurrentUser = async (userId) => {
       user: {
         id: user._id,
         email: user.email,
+        pendingEmail: user.pendingEmail || null,
         firstName: user.firstName,
         lastName: user.lastName,
         fullName: user.fullName, // Virtual property
         isEmailVerified: user.isEmailVerified,
+        twoFactorEnabled: !!user.twoFactor?.enabled,
+        googleLinked: !!user.googleId,
+        role: user.role,
+        permissions: getPermissions(user.role), // What the client may show (see config/roles.js)
         createdAt: user.createdAt,
         updatedAt: user.updatedAt,
       },
@@ -456,5 +766,11 @@ export default {
   forgotPassword,
   resetPassword,
   refreshAccessToken,
+  logout,
+  logoutEverywhere,
+  reauthenticate,
+  assertTokenOwnerValid,
+  validateAccessToken,
+  validateRefreshToken,
   getCurrentUser,
 };
@@ -0,0 +1,352 @@
+/**
+ * Data Export Service
+ *
+ * Data portability: users download everything stored about them as JSON,
+ * instead of asking support to run queries by hand.
+ *
+ * FLOW:
+ * 1. GET /api/auth/me/export
+ *    - Small accounts: the archive is the response (file download)
+ *    - More records than DATA_EXPORT_ASYNC_THRESHOLD: 202, the archive is
+ *      built in the background and a download link is emailed
+ * 2. (large accounts) GET /api/auth/exports/:token → the archive, streamed
+ *    from its chunks (DataExportChunk: no 16MB document limit)
+ *
+ * WHAT'S IN THE ARCHIVE:
+ * Profile, linked Google identity, login timestamps, sign-in methods
+ * (2FA, passkeys, recovery codes, trusted devices), sessions, API keys,
+ * outstanding email tokens and the security events about the account.
+ * Metadata only: no password hash, secrets, token values or key hashes.
+ *
+ * SECURITY:
+ * - Requires a logged-in session (API keys can't export)
+ * - Download links are random, hashed, work once and expire after
+ *   DATA_EXPORT_LINK_HOURS; the archive is deleted with them
+ */
+
+import crypto from 'crypto';
+import User from '../models/User.js';
+import Token from '../models/Token.js';
+import Session from '../models/Session.js';
+import ApiKey from '../models/ApiKey.js';
+import Passkey from '../models/Passkey.js';
+import RecoveryCode from '../models/RecoveryCode.js';
+import TrustedDevice from '../models/TrustedDevice.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import DataExport from '../models/DataExport.js';
+import DataExportChunk from '../models/DataExportChunk.js';
+import { describeDevice } from './sessionService.js';
+import { sendDataExportReadyEmail } from './emailService.js';
+import { badRequest, notFound } from '../utils/AppError.js';
+import config from '../config/env.js';
+
+const PENDING_EXPORT_EXPIRES_IN_MS = 60 * 60 * 1000; // 1 hour to build it
+
+/**
+ * Archive file name
+ *
+ * @param {Date} date - Export date
+ * @returns {string} - e.g. account-data-2024-05-01.json
+ */
+const archiveFilename = (date) => `account-data-${date.toISOString().slice(0, 10)}.json`;
+
+/**
+ * Count the records of a user that grow over time
+ *
+ * Decides between a direct download and an emailed link.
+ *
+ * @param {ObjectId} userId - User's ID
+ * @returns {Promise<number>}
+ */
+const countUserRecords = async (userId) => {
+  const counts = await Promise.all([
+    SecurityEvent.countDocuments({ userId }),
+    Session.countDocuments({ userId }),
+    Token.countDocuments({ userId }),
+  ]);
+
+  return counts.reduce((total, count) => total + count, 0);
+};
+
+/**
+ * Collect everything stored about a user
+ *
+ * @param {ObjectId} userId - User's ID
+ * @returns {Promise<Object>} - The archive
+ */
+export const collectUserData = async (userId) => {
+  const user = await User.findById(userId).select('+googleId');
+
+  if (!user) {
+    throw notFound('User not found');
+  }
+
+  const [tokens, sessions, apiKeys, passkeys, recoveryCodes, trustedDevices, events] =
+    await Promise.all([
+      Token.find({ userId }).sort({ createdAt: -1 }),
+      Session.find({ userId }).sort({ createdAt: -1 }),
+      ApiKey.find({ userId }).sort({ createdAt: -1 }),
+      Passkey.find({ userId }).sort({ createdAt: -1 }),
+      RecoveryCode.find({ userId }),
+      TrustedDevice.findTrustedByUser(userId),
+      SecurityEvent.find({ userId }).sort({ createdAt: -1 }),
+    ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      id: user._id,
+      email: user.email,
+      pendingEmail: user.pendingEmail || null,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      avatar: user.avatar || null,
+      role: user.role,
+      isEmailVerified: user.isEmailVerified,
+      emailVerifiedAt: user.emailVerifiedAt,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+    },
+    google: {
+      linked: !!user.googleId,
+      googleId: user.googleId || null,
+    },
+    logins: {
+      lastLoginAt: user.lastLoginAt || null,
+      passwordChangedAt: user.passwordChangedAt || null,
+    },
+    signInMethods: {
+      twoFactorEnabled: !!user.twoFactor?.enabled,
+      passkeys: passkeys.map((passkey) => ({
+        name: passkey.name,
+        backedUp: passkey.backedUp,
+        createdAt: passkey.createdAt,
+        lastUsedAt: passkey.lastUsedAt,
+      })),
+      recoveryCodes: {
+        total: recoveryCodes.length,
+        remaining: recoveryCodes.filter((code) => !code.usedAt).length,
+      },
+      trustedDevices: trustedDevices.map((device) => ({
+        device: describeDevice(device.userAgent),
+        userAgent: device.userAgent,
+        ip: device.ip,
+        confirmedAt: device.confirmedAt,
+        lastUsedAt: device.lastUsedAt,
+        expiresAt: device.expiresAt,
+      })),
+    },
+    sessions: sessions.map((session) => ({
+      device: describeDevice(session.userAgent),
+      userAgent: session.userAgent,
+      ip: session.ip,
+      rememberMe: session.rememberMe,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      revokedAt: session.revokedAt,
+      revokedReason: session.revokedReason,
+    })),
+    apiKeys: apiKeys.map((apiKey) => ({
+      name: apiKey.name,
+      scopes: apiKey.scopes,
+      createdAt: apiKey.createdAt,
+      lastUsedAt: apiKey.lastUsedAt,
+      expiresAt: apiKey.expiresAt,
+      revokedAt: apiKey.revokedAt,
+    })),
+    // Links sent by email that weren't used yet
+    tokens: tokens.map((token) => ({
+      type: token.type,
+      createdAt: token.createdAt,
+      expiresAt: token.expiresAt,
+    })),
+    securityEvents: events.map((event) => ({
+      type: event.type,
+      createdAt: event.createdAt,
+      ip: event.ip,
+      userAgent: event.userAgent,
+      // Done by someone else (an admin) rather than the user
+      byAnotherUser: !!event.actorId && !event.actorId.equals(userId),
+      details: event.details,
+    })),
+  };
+};
+
+/**
+ * Build a large export in the background and email the link
+ *
+ * Failures mark the export as failed (the user can ask again).
+ *
+ * @param {ObjectId} exportId - Pending DataExport
+ * @returns {Promise<void>}
+ */
+const generateExport = async (exportId) => {
+  const dataExport = await DataExport.findById(exportId);
+
+  try {
+    const user = await User.findById(dataExport.userId);
+    const archive = JSON.stringify(await collectUserData(dataExport.userId), null, 2);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + config.dataExport.linkHours * 60 * 60 * 1000);
+    const size = await DataExportChunk.storeArchive(exportId, archive, expiresAt);
+
+    dataExport.set({
+      status: 'ready',
+      size,
+      tokenHash: DataExport.hashToken(token),
+      expiresAt,
+    });
+    await dataExport.save();
+
+    // Served by this server (no login needed: the link is the credential)
+    const downloadLink = `${config.oauth.issuer}/api/auth/exports/${token}`;
+    await sendDataExportReadyEmail(user, downloadLink, expiresAt);
+  } catch (error) {
+    console.error(`Failed to generate data export ${exportId}:`, error);
+    await DataExportChunk.deleteMany({ exportId });
+    await DataExport.updateOne(
+      { _id: exportId },
+      { $set: { status: 'failed' }, $unset: { tokenHash: 1 } }
+    );
+  }
+};
+
+/**
+ * Export My Data
+ *
+ * Flow:
+ * 1. Count the user's records
+ * 2. Few: build the archive now (the response is the download)
+ * 3. Many: one pending export at a time, built in the background,
+ *    link emailed when ready
+ *
+ * @param {string} userId - User's MongoDB _id
+ * @param {Object} context - { userAgent, ip } (audit)
+ * @returns {Promise<Object>} - { archive, filename } or a 202 response
+ */
+export const exportUserData = async (userId, context = {}) => {
+  // 1. Count records
+  const records = await countUserRecords(userId);
+
+  // 2. Direct download
+  if (records <= config.dataExport.asyncThreshold) {
+    const archive = await collectUserData(userId);
+
+    await SecurityEvent.record('data-exported', {
+      userId,
+      ...context,
+      details: { delivery: 'download' },
+    });
+
+    return { archive, filename: archiveFilename(archive.exportedAt) };
+  }
+
+  // 3. Emailed link
+  const pending = await DataExport.findOne({
+    userId,
+    status: 'pending',
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (pending) {
+    throw badRequest(
+      "Your data export is being prepared. We'll email you a download link when it's ready."
+    );
+  }
+
+  const dataExport = await DataExport.create({
+    userId,
+    expiresAt: new Date(Date.now() + PENDING_EXPORT_EXPIRES_IN_MS),
+  });
+
+  // Not awaited: the request returns right away (an unhandled rejection
+  // would shut the server down, see server.js)
+  setImmediate(() =>
+    generateExport(dataExport._id).catch((error) =>
+      console.error(`Data export ${dataExport._id} failed:`, error)
+    )
+  );
+
+  return {
+    status: 'success',
+    message:
+      "Your account has a lot of data: we're preparing the export and will email you a download link.",
+    data: {
+      exportId: dataExport._id,
+    },
+  };
+};
+
+/**
+ * Delete a downloaded export and its archive
+ *
+ * @param {ObjectId} exportId - DataExport's ID
+ * @returns {Promise<void>}
+ */
+const deleteExport = async (exportId) => {
+  await DataExportChunk.deleteMany({ exportId });
+  await DataExport.deleteOne({ _id: exportId });
+};
+
+/**
+ * Download an Export (emailed link)
+ *
+ * Flow:
+ * 1. Claim the export: ready, not expired, not downloaded yet (atomic, so
+ *    a link used twice at the same time is only served once)
+ * 2. Audit
+ * 3. Stream the archive chunk by chunk, then delete it (even if the
+ *    download is interrupted: the user can request a new export)
+ *
+ * @param {string} token - Token from the link
+ * @param {Object} context - { userAgent, ip } (audit)
+ * @returns {Promise<Object>} - { chunks (async iterable of Buffers), size, filename }
+ */
+export const downloadExport = async (token, context = {}) => {
+  // 1. Claim
+  const dataExport = await DataExport.findOneAndUpdate(
+    {
+      tokenHash: DataExport.hashToken(token),
+      status: 'ready',
+      downloadedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { downloadedAt: new Date() } }
+  );
+
+  if (!dataExport) {
+    throw badRequest('Invalid or expired download link. Please request a new export.');
+  }
+
+  // 2. Audit
+  await SecurityEvent.record('data-exported', {
+    userId: dataExport.userId,
+    ...context,
+    details: { delivery: 'email-link', exportId: dataExport._id },
+  });
+
+  // 3. Stream, then delete
+  async function* chunks() {
+    try {
+      yield* DataExportChunk.readArchive(dataExport._id);
+    } finally {
+      await deleteExport(dataExport._id).catch((error) =>
+        console.error(`Failed to delete data export ${dataExport._id}:`, error)
+      );
+    }
+  }
+
+  return {
+    chunks: chunks(),
+    size: dataExport.size,
+    filename: archiveFilename(dataExport.createdAt),
+  };
+};
+
+export default {
+  collectUserData,
+  exportUserData,
+  downloadExport,
+};
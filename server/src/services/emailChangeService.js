@@ -0,0 +1,318 @@
+/**
+ * Email Change Service
+ *
+ * Changing the email address of an account is changing who can reset its
+ * password, so it's confirmed from both sides.
+ *
+ * FLOW:
+ * 1. PATCH /api/auth/profile { email } → the address is stored as
+ *    pendingEmail and a confirmation link is sent TO THE NEW ADDRESS
+ * 2. POST /api/auth/confirm-email-change/:token → the address is swapped,
+ *    all sessions end, and the OLD ADDRESS gets a notification with a
+ *    "this wasn't me" link
+ * 3. (optional) POST /api/auth/revert-email-change/:token → the old
+ *    address is restored, all sessions end again, the password is
+ *    replaced (a reset link goes to the old address) and every way in
+ *    that skips the password (passkeys, API keys, 2FA...) is removed
+ *
+ * SECURITY:
+ * - The email only changes once the new mailbox is proven (token, 24 hours)
+ * - Pending tokens (password reset, magic link...) are deleted on every
+ *   change: they were sent to an address that no longer owns the account
+ * - The revert link lets the owner of the old address take the account
+ *   back if a hijacked session changed it: whoever held the session may
+ *   know the password, and may have added a passkey, an API key or their
+ *   own authenticator app before changing the email
+ * - Changing the email requires a recent login (see authRoutes)
+ */
+
+import crypto from 'crypto';
+import User from '../models/User.js';
+import Token from '../models/Token.js';
+import ApiKey from '../models/ApiKey.js';
+import Passkey from '../models/Passkey.js';
+import RecoveryCode from '../models/RecoveryCode.js';
+import TrustedDevice from '../models/TrustedDevice.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import { logoutEverywhere } from './authService.js';
+import {
+  sendEmailChangeConfirmationEmail,
+  sendEmailChangedEmail,
+  sendPasswordResetEmail,
+} from './emailService.js';
+import { badRequest, conflict, notFound } from '../utils/AppError.js';
+
+const EMAIL_CHANGE_EXPIRES_IN_MS = 24 * 60 * 60 * 1000; // 24 hours
+// The revert link only goes to the address that owned the account (which
+// could reset the password before the change anyway) and ends in a password
+// reset, so it can stay valid as long as tokens live: an owner who reads
+// their mail the next day still gets the account back.
+const EMAIL_CHANGE_REVERT_EXPIRES_IN_MS = 24 * 60 * 60 * 1000; // 24 hours (Token TTL)
+const PASSWORD_RESET_EXPIRES_IN_MS = 60 * 60 * 1000; // 1 hour (like forgot password)
+
+/**
+ * Check that no other account uses an address
+ *
+ * @param {string} email - Address to check
+ * @param {ObjectId} userId - Account that wants it
+ * @throws {AppError} - 409 if another account has it
+ */
+const assertEmailAvailable = async (email, userId) => {
+  const existingUser = await User.findByEmail(email);
+
+  if (existingUser && !existingUser._id.equals(userId)) {
+    throw conflict('Email already registered. Please use a different email.');
+  }
+};
+
+/**
+ * Remove every way to sign in without the password
+ *
+ * Used when the account was taken over: the owner resets the password
+ * and sets the rest up again.
+ *
+ * @param {ObjectId} userId - User's MongoDB _id
+ * @returns {Promise<Object>} - How many of each were removed (audit)
+ */
+const revokeSignInMethods = async (userId) => {
+  const [apiKeys, passkeys, trustedDevices, recoveryCodes, twoFactor] = await Promise.all([
+    ApiKey.updateMany({ userId, revokedAt: null }, { $set: { revokedAt: new Date() } }),
+    Passkey.deleteMany({ userId }),
+    TrustedDevice.deleteMany({ userId }),
+    RecoveryCode.deleteMany({ userId }),
+    User.updateOne(
+      { _id: userId, 'twoFactor.enabled': true },
+      {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.lastUsedStep': 1,
+          'twoFactor.enabledAt': 1,
+        },
+      }
+    ),
+  ]);
+
+  return {
+    apiKeys: apiKeys.modifiedCount,
+    passkeys: passkeys.deletedCount,
+    trustedDevices: trustedDevices.deletedCount,
+    recoveryCodes: recoveryCodes.deletedCount,
+    twoFactorDisabled: twoFactor.modifiedCount > 0,
+  };
+};
+
+/**
+ * Request an Email Change
+ *
+ * Flow:
+ * 1. Find user, check the address is new and not taken
+ * 2. Store it as pending (replaces any earlier request)
+ * 3. Generate token (24 hours)
+ * 4. Send the confirmation link to the new address
+ *
+ * @param {string} userId - User's MongoDB _id
+ * @param {string} newEmail - Requested address
+ * @returns {Promise<Object>} - Success message with the pending address
+ */
+export const requestEmailChange = async (userId, newEmail) => {
+  // 1. Find user
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw notFound('User not found');
+  }
+
+  const email = newEmail.toLowerCase();
+
+  if (email === user.email) {
+    throw badRequest('This is already your email address.');
+  }
+
+  await assertEmailAvailable(email, user._id);
+
+  // 2. Store as pending
+  user.pendingEmail = email;
+  await user.save();
+
+  // 3. Generate token (only the newest link works)
+  await Token.deleteUserTokens(user._id, 'email-change');
+  const { token } = await Token.generateToken(
+    user._id,
+    'email-change',
+    EMAIL_CHANGE_EXPIRES_IN_MS
+  );
+
+  // 4. Send email
+  try {
+    await sendEmailChangeConfirmationEmail(user, email, token);
+  } catch (error) {
+    console.error('Failed to send email change confirmation:', error);
+    throw badRequest('Failed to send confirmation email. Please try again later.');
+  }
+
+  return {
+    status: 'success',
+    message: `We sent a confirmation link to ${email}. Your email will change once you click it.`,
+    data: {
+      pendingEmail: email,
+    },
+  };
+};
+
+/**
+ * Confirm an Email Change
+ *
+ * Flow:
+ * 1. Verify token (deleted once used)
+ * 2. Find user with a pending address, check it's still free
+ * 3. Swap the addresses (the new one is verified: the link proves it)
+ * 4. Delete pending tokens, log out everywhere
+ * 5. Notify the old address, with a revert link
+ *
+ * @param {string} token - Token from the link
+ * @param {Object} context - { userAgent, ip } (audit)
+ * @returns {Promise<Object>} - Success message
+ */
+export const confirmEmailChange = async (token, context = {}) => {
+  // 1. Verify token
+  const userId = await Token.verifyToken(token, 'email-change');
+
+  if (!userId) {
+    throw badRequest('Invalid or expired confirmation link. Please request the change again.');
+  }
+
+  // 2. Find user
+  const user = await User.findById(userId);
+
+  if (!user || !user.pendingEmail) {
+    throw badRequest('Invalid or expired confirmation link. Please request the change again.');
+  }
+
+  await assertEmailAvailable(user.pendingEmail, user._id);
+
+  // 3. Swap addresses
+  const previousEmail = user.email;
+  user.previousEmail = previousEmail;
+  user.email = user.pendingEmail;
+  user.pendingEmail = null;
+  user.isEmailVerified = true;
+  user.emailVerifiedAt = new Date();
+  await user.save();
+
+  // 4. Sent to the old address: no longer valid
+  await Token.deleteUserTokens(user._id);
+  await logoutEverywhere(user._id, 'email-changed');
+
+  await SecurityEvent.record('email-changed', {
+    userId: user._id,
+    ...context,
+    details: { previousEmail, newEmail: user.email },
+  });
+
+  // 5. Notify the old address
+  const { token: revertToken } = await Token.generateToken(
+    user._id,
+    'email-change-revert',
+    EMAIL_CHANGE_REVERT_EXPIRES_IN_MS
+  );
+
+  try {
+    await sendEmailChangedEmail(user, { previousEmail, revertToken });
+  } catch (error) {
+    console.error('Failed to send email change notification:', error);
+    // Don't fail the change: it was confirmed from the new address
+  }
+
+  return {
+    status: 'success',
+    message: 'Your email address has been changed. Please log in with your new email.',
+  };
+};
+
+/**
+ * Revert an Email Change ("this wasn't me")
+ *
+ * Flow:
+ * 1. Verify token (deleted once used)
+ * 2. Find user, check the old address is still free
+ * 3. Restore it, drop any pending change, replace the password with a
+ *    random one (whoever changed the email may know the current one)
+ * 4. Delete pending tokens (e.g. a reset sent to the new address),
+ *    log out everywhere
+ * 5. Remove passkeys, API keys, 2FA, recovery codes and trusted devices
+ *    (they may have been added with the hijacked session)
+ * 6. Email a password reset link to the restored address
+ *
+ * @param {string} token - Token from the notification
+ * @param {Object} context - { userAgent, ip } (audit)
+ * @returns {Promise<Object>} - Success message
+ */
+export const revertEmailChange = async (token, context = {}) => {
+  // 1. Verify token
+  const userId = await Token.verifyToken(token, 'email-change-revert');
+
+  if (!userId) {
+    throw badRequest('Invalid or expired link. Please contact support to recover your account.');
+  }
+
+  // 2. Find user
+  const user = await User.findById(userId).select('+previousEmail');
+
+  if (!user || !user.previousEmail) {
+    throw badRequest('Invalid or expired link. Please contact support to recover your account.');
+  }
+
+  await assertEmailAvailable(user.previousEmail, user._id);
+
+  // 3. Restore the old address
+  const revertedEmail = user.email;
+  user.email = user.previousEmail;
+  user.previousEmail = undefined;
+  user.pendingEmail = null;
+  user.isEmailVerified = true;
+  user.emailVerifiedAt = new Date();
+  // Nobody knows it: the owner sets a new one with the reset link
+  // (hashed and passwordChangedAt set by the User pre-save hook)
+  user.password = crypto.randomBytes(32).toString('hex');
+  await user.save();
+
+  // 4. Lock out whoever changed it
+  await Token.deleteUserTokens(user._id);
+  await logoutEverywhere(user._id, 'email-change-reverted');
+
+  // 5. ...and everything they may have added
+  const revoked = await revokeSignInMethods(user._id);
+
+  await SecurityEvent.record('email-change-reverted', {
+    userId: user._id,
+    ...context,
+    details: { revertedEmail, restoredEmail: user.email, revoked },
+  });
+
+  // 6. New password (step 4 deleted the other tokens)
+  const { token: resetToken } = await Token.generateToken(
+    user._id,
+    'password-reset',
+    PASSWORD_RESET_EXPIRES_IN_MS
+  );
+
+  try {
+    await sendPasswordResetEmail(user, resetToken);
+  } catch (error) {
+    console.error('Failed to send password reset email:', error);
+    // The account is safe either way: "forgot password" sends another link
+  }
+
+  return {
+    status: 'success',
+    message: `Your email address has been restored and all devices were signed out. Your password, passkeys, API keys, two-factor authentication and recovery codes were removed. We sent a link to ${user.email} to choose a new password.`,
+  };
+};
+
+export default {
+  requestEmailChange,
+  confirmEmailChange,
+  revertEmailChange,
+};
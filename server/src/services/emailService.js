@@ -149,6 +149,64 @@ const getPasswordResetEmailTemplate = (resetLink, firstName) => {
   `;
 };
 
+/**
+ * Generate magic link sign-in email HTML
+ */
+const getMagicLinkEmailTemplate = (magicLink, firstName) => {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Your Sign-In Link</title>
+    </head>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+        <h1 style="color: white; margin: 0;">Sign In</h1>
+      </div>
+      
+      <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+        <p>Hi${firstName ? ` ${firstName}` : ''},</p>
+        
+        <p>Click the button below to sign in. No password needed:</p>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${magicLink}" 
+             style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+                    color: white; 
+                    padding: 15px 40px; 
+                    text-decoration: none; 
+                    border-radius: 5px; 
+                    display: inline-block;
+                    font-weight: bold;">
+            Sign In
+          </a>
+        </div>
+        
+        <p style="color: #666; font-size: 14px;">
+          Or copy and paste this link into your browser:<br>
+          <a href="${magicLink}" style="color: #667eea; word-break: break-all;">
+            ${magicLink}
+          </a>
+        </p>
+        
+        <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+        
+        <p style="color: #666; font-size: 12px; margin-bottom: 0;">
+          This link will expire in 15 minutes and can only be used once.<br>
+          If you didn't ask to sign in, please ignore this email. Nobody can sign in without this link.
+        </p>
+      </div>
+      
+      <div style="text-align: center; margin-top: 20px; color: #999; font-size: 12px;">
+        <p>&copy; ${new Date().getFullYear()} Your App Name. All rights reserved.</p>
+      </div>
+    </body>
+    </html>
+  `;
+};
+
 /**
  * Plain text versions (fallback for email clients that don't support HTML)
  */
@@ -189,6 +247,22 @@ If you didn't request a password reset, please ignore this email and your passwo
   `.trim();
 };
 
+const getMagicLinkEmailText = (magicLink, firstName) => {
+  return `
+Hi${firstName ? ` ${firstName}` : ''},
+
+Click this link to sign in (no password needed):
+${magicLink}
+
+This link will expire in 15 minutes and can only be used once.
+
+If you didn't ask to sign in, please ignore this email. Nobody can sign in without this link.
+
+---
+© ${new Date().getFullYear()} Your App Name. All rights reserved.
+  `.trim();
+};
+
 /**
  * Email Service Functions
  */
@@ -245,6 +319,33 @@ export const sendPasswordResetEmail = async (user, token) => {
   console.log(`📧 Password reset email sent to ${user.email}`);
 };
 
+/**
+ * Send magic link sign-in email
+ * 
+ * @param {Object} user - User object
+ * @param {string} token - Magic login token
+ * @param {Object} options - { rememberMe } carried in the link
+ * @returns {Promise<void>}
+ */
+export const sendMagicLinkEmail = async (user, token, { rememberMe = false } = {}) => {
+  // Construct sign-in link (the login page's "remember me" travels with it)
+  const magicLink = `${config.clientUrl}/magic-login/${token}${rememberMe ? '?rememberMe=true' : ''}`;
+
+  // Get templates
+  const html = getMagicLinkEmailTemplate(magicLink, user.firstName);
+  const text = getMagicLinkEmailText(magicLink, user.firstName);
+
+  // Send email
+  await sendEmail({
+    to: user.email,
+    subject: 'Your Sign-In Link',
+    text,
+    html,
+  });
+
+  console.log(`📧 Magic link email sent to ${user.email}`);
+};
+
 /**
  * Send welcome email (after successful verification)
  * 
@@ -315,10 +416,437 @@ If you have any questions, feel free to reach out to our support team.
   console.log(`📧 Welcome email sent to ${user.email}`);
 };
 
+/**
+ * Send "recovery code used" notification
+ * 
+ * Sent after a recovery code reset the password: if it wasn't the user,
+ * they know their codes leaked.
+ * 
+ * @param {Object} user - User object
+ * @param {Object} details - { remaining, ip } codes left, IP of the request
+ * @returns {Promise<void>}
+ */
+export const sendRecoveryCodeUsedEmail = async (user, { remaining, ip }) => {
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+        <h1 style="color: white; margin: 0;">Recovery Code Used</h1>
+      </div>
+      
+      <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+        <p>Hi ${user.firstName || 'there'},</p>
+        
+        <p>One of your recovery codes was just used to set a new password for your account${ip ? ` (from IP address ${ip})` : ''}. All devices have been signed out.</p>
+        
+        <p>You have <strong>${remaining}</strong> recovery code${remaining === 1 ? '' : 's'} left.${remaining <= 3 ? ' Log in and generate a new set soon.' : ''}</p>
+        
+        <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+        
+        <p style="color: #666; font-size: 12px; margin-bottom: 0;">
+          If this wasn't you, someone has your recovery codes. Reset your password and contact our support team immediately.
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = `
+Hi ${user.firstName || 'there'},
+
+One of your recovery codes was just used to set a new password for your account${ip ? ` (from IP address ${ip})` : ''}. All devices have been signed out.
+
+You have ${remaining} recovery code${remaining === 1 ? '' : 's'} left.${remaining <= 3 ? ' Log in and generate a new set soon.' : ''}
+
+If this wasn't you, someone has your recovery codes. Reset your password and contact our support team immediately.
+  `.trim();
+
+  await sendEmail({
+    to: user.email,
+    subject: 'A recovery code was used on your account',
+    text,
+    html,
+  });
+
+  console.log(`📧 Recovery code notification sent to ${user.email}`);
+};
+
+/**
+ * Send new-device confirmation code
+ * 
+ * Sent when a password login comes from a browser the user hasn't
+ * confirmed yet. Doubles as an alert: if it wasn't them, their password
+ * is known to someone else.
+ * 
+ * @param {Object} user - User object
+ * @param {string} code - 6-digit confirmation code
+ * @param {Object} details - { device, ip } of the login
+ * @returns {Promise<void>}
+ */
+export const sendDeviceConfirmationEmail = async (user, code, { device, ip }) => {
+  const where = `${device}${ip ? ` (IP address ${ip})` : ''}`;
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+        <h1 style="color: white; margin: 0;">Confirm New Device</h1>
+      </div>
+      
+      <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+        <p>Hi ${user.firstName || 'there'},</p>
+        
+        <p>Someone signed in to your account from a browser we haven't seen before: <strong>${where}</strong>.</p>
+        
+        <p>If it was you, enter this code to finish signing in:</p>
+        
+        <p style="text-align: center; font-size: 32px; font-weight: bold; letter-spacing: 8px; margin: 30px 0;">${code}</p>
+        
+        <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+        
+        <p style="color: #666; font-size: 12px; margin-bottom: 0;">
+          This code will expire in 15 minutes.<br>
+          If this wasn't you, someone knows your password. Don't share the code, and change your password right away.
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = `
+Hi ${user.firstName || 'there'},
+
+Someone signed in to your account from a browser we haven't seen before: ${where}.
+
+If it was you, enter this code to finish signing in:
+
+${code}
+
+This code will expire in 15 minutes.
+
+If this wasn't you, someone knows your password. Don't share the code, and change your password right away.
+  `.trim();
+
+  await sendEmail({
+    to: user.email,
+    subject: `Your sign-in code: ${code}`,
+    text,
+    html,
+  });
+
+  console.log(`📧 Device confirmation code sent to ${user.email}`);
+};
+
+/**
+ * Send email change confirmation (to the NEW address)
+ * 
+ * The account's email only changes once this link is clicked: it proves
+ * the user can read the new mailbox.
+ * 
+ * @param {Object} user - User object (email is still the old address)
+ * @param {string} newEmail - Address to confirm
+ * @param {string} token - Email change token
+ * @returns {Promise<void>}
+ */
+export const sendEmailChangeConfirmationEmail = async (user, newEmail, token) => {
+  const confirmLink = `${config.clientUrl}/confirm-email-change/${token}`;
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+        <h1 style="color: white; margin: 0;">Confirm Your New Email</h1>
+      </div>
+      
+      <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+        <p>Hi ${user.firstName || 'there'},</p>
+        
+        <p>You asked to change the email address of your account to <strong>${newEmail}</strong>. Click the button below to confirm:</p>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${confirmLink}" 
+             style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+                    color: white; 
+                    padding: 15px 40px; 
+                    text-decoration: none; 
+                    border-radius: 5px; 
+                    display: inline-block;
+                    font-weight: bold;">
+            Confirm Email
+          </a>
+        </div>
+        
+        <p style="color: #666; font-size: 14px;">
+          Or copy and paste this link into your browser:<br>
+          <a href="${confirmLink}" style="color: #667eea; word-break: break-all;">
+            ${confirmLink}
+          </a>
+        </p>
+        
+        <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+        
+        <p style="color: #666; font-size: 12px; margin-bottom: 0;">
+          This link will expire in 24 hours. You will be signed out of all devices once the change is confirmed.<br>
+          If you didn't ask for this, please ignore this email. Your account stays unchanged.
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = `
+Hi ${user.firstName || 'there'},
+
+You asked to change the email address of your account to ${newEmail}. Click this link to confirm:
+${confirmLink}
+
+This link will expire in 24 hours. You will be signed out of all devices once the change is confirmed.
+
+If you didn't ask for this, please ignore this email. Your account stays unchanged.
+  `.trim();
+
+  await sendEmail({
+    to: newEmail,
+    subject: 'Confirm your new email address',
+    text,
+    html,
+  });
+
+  console.log(`📧 Email change confirmation sent to ${newEmail}`);
+};
+
+/**
+ * Send "email changed" notification (to the OLD address)
+ * 
+ * Includes a revert link: if someone else changed the address, the
+ * owner of the old mailbox can take the account back.
+ * 
+ * @param {Object} user - User object (email is already the new address)
+ * @param {Object} details - { previousEmail, revertToken }
+ * @returns {Promise<void>}
+ */
+export const sendEmailChangedEmail = async (user, { previousEmail, revertToken }) => {
+  const revertLink = `${config.clientUrl}/revert-email-change/${revertToken}`;
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+        <h1 style="color: white; margin: 0;">Email Address Changed</h1>
+      </div>
+      
+      <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+        <p>Hi ${user.firstName || 'there'},</p>
+        
+        <p>The email address of your account was changed from ${previousEmail} to <strong>${user.email}</strong>. All devices have been signed out.</p>
+        
+        <p>If this was you, there's nothing else to do.</p>
+        
+        <p><strong>This wasn't me:</strong> use the link below to change the address back and sign everyone out.</p>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${revertLink}" 
+             style="background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); 
+                    color: white; 
+                    padding: 15px 40px; 
+                    text-decoration: none; 
+                    border-radius: 5px; 
+                    display: inline-block;
+                    font-weight: bold;">
+            This Wasn't Me
+          </a>
+        </div>
+        
+        <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+        
+        <p style="color: #666; font-size: 12px; margin-bottom: 0;">
+          This link will expire in 24 hours. After reverting, reset your password: whoever changed the address may know it.
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = `
+Hi ${user.firstName || 'there'},
+
+The email address of your account was changed from ${previousEmail} to ${user.email}. All devices have been signed out.
+
+If this was you, there's nothing else to do.
+
+This wasn't me? Use this link to change the address back and sign everyone out:
+${revertLink}
+
+This link will expire in 24 hours. After reverting, reset your password: whoever changed the address may know it.
+  `.trim();
+
+  await sendEmail({
+    to: previousEmail,
+    subject: 'The email address of your account was changed',
+    text,
+    html,
+  });
+
+  console.log(`📧 Email change notification sent to ${previousEmail}`);
+};
+
+/**
+ * Send account deletion notice
+ * 
+ * The account is only purged after the grace period: logging in before
+ * then restores it.
+ * 
+ * @param {Object} user - User object
+ * @param {Date} deletionDate - When the account will be purged
+ * @returns {Promise<void>}
+ */
+export const sendAccountDeletionScheduledEmail = async (user, deletionDate) => {
+  const loginLink = `${config.clientUrl}/login`;
+  const date = deletionDate.toUTCString();
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+        <h1 style="color: white; margin: 0;">Account Deleted</h1>
+      </div>
+      
+      <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+        <p>Hi ${user.firstName || 'there'},</p>
+        
+        <p>Your account has been deleted and all devices were signed out. Your data will be permanently erased on <strong>${date}</strong>.</p>
+        
+        <p>Changed your mind? Log in before then and your account will be restored.</p>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${loginLink}" 
+             style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+                    color: white; 
+                    padding: 15px 40px; 
+                    text-decoration: none; 
+                    border-radius: 5px; 
+                    display: inline-block;
+                    font-weight: bold;">
+            Restore My Account
+          </a>
+        </div>
+        
+        <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+        
+        <p style="color: #666; font-size: 12px; margin-bottom: 0;">
+          If you didn't delete your account, log in now and change your password.
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = `
+Hi ${user.firstName || 'there'},
+
+Your account has been deleted and all devices were signed out. Your data will be permanently erased on ${date}.
+
+Changed your mind? Log in before then and your account will be restored:
+${loginLink}
+
+If you didn't delete your account, log in now and change your password.
+  `.trim();
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Your account has been deleted',
+    text,
+    html,
+  });
+
+  console.log(`📧 Account deletion notice sent to ${user.email}`);
+};
+
+/**
+ * Send data export download link
+ * 
+ * @param {Object} user - User object
+ * @param {string} downloadLink - Link to the archive (no login needed)
+ * @param {Date} expiresAt - When the link stops working
+ * @returns {Promise<void>}
+ */
+export const sendDataExportReadyEmail = async (user, downloadLink, expiresAt) => {
+  const expires = expiresAt.toUTCString();
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+        <h1 style="color: white; margin: 0;">Your Data Is Ready</h1>
+      </div>
+      
+      <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+        <p>Hi ${user.firstName || 'there'},</p>
+        
+        <p>The export of your personal data you requested is ready. Click the button below to download it (JSON file):</p>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${downloadLink}" 
+             style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+                    color: white; 
+                    padding: 15px 40px; 
+                    text-decoration: none; 
+                    border-radius: 5px; 
+                    display: inline-block;
+                    font-weight: bold;">
+            Download My Data
+          </a>
+        </div>
+        
+        <hr style="border: none; border-top: 1px solid #ddd; margin: 30px 0;">
+        
+        <p style="color: #666; font-size: 12px; margin-bottom: 0;">
+          This link works once, until ${expires}. Anyone with it can download your data: don't share it.<br>
+          If you didn't request this export, change your password.
+        </p>
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = `
+Hi ${user.firstName || 'there'},
+
+The export of your personal data you requested is ready. Download it (JSON file) here:
+${downloadLink}
+
+This link works once, until ${expires}. Anyone with it can download your data: don't share it.
+
+If you didn't request this export, change your password.
+  `.trim();
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Your data export is ready',
+    text,
+    html,
+  });
+
+  console.log(`📧 Data export link sent to ${user.email}`);
+};
+
 export default {
   sendVerificationEmail,
   sendPasswordResetEmail,
+  sendMagicLinkEmail,
   sendWelcomeEmail,
+  sendRecoveryCodeUsedEmail,
+  sendDeviceConfirmationEmail,
+  sendEmailChangeConfirmationEmail,
+  sendEmailChangedEmail,
+  sendAccountDeletionScheduledEmail,
+  sendDataExportReadyEmail,
 };
 
 /**
@@ -338,7 +866,14 @@ export default {
  * await sendPasswordResetEmail(user, resetToken);
  * ```
  * 
- * 3. Send welcome email:
+ * 3. Send magic link sign-in email:
+ * ```
+ * import { sendMagicLinkEmail } from './services/emailService.js';
+ * 
+ * await sendMagicLinkEmail(user, magicToken, { rememberMe: true });
+ * ```
+ * 
+ * 4. Send welcome email:
  * ```
  * import { sendWelcomeEmail } from './services/emailService.js';
  * 
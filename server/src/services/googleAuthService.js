@@ -19,8 +19,10 @@
 import axios from 'axios';
 import config from '../config/env.js';
 import User from '../models/User.js';
-import { generateTokens } from './jwtService.js';
-import { badRequest } from '../utils/AppError.js';
+import { createSession } from './sessionService.js';
+import { createLoginChallenge, getSecondFactorMethods } from './twoFactorService.js';
+import { restoreAccount } from './accountDeletionService.js';
+import { badRequest, unauthorized } from '../utils/AppError.js';
 
 /**
  * Verify Google ID token
@@ -64,14 +66,25 @@ export const verifyGoogleToken = async (idToken) => {
  * If user exists, log them in. If not, create account.
  * 
  * @param {string} idToken - Google ID token
+ * @param {Object} context - { userAgent, ip } (stored on the session)
+ * @param {Object} options - { rememberMe } long-lived session (default: false)
  * @returns {Promise<Object>} - Tokens and user data
+ *   (or a two-factor challenge if the user enabled 2FA)
  */
-export const googleAuth = async (idToken) => {
+export const googleAuth = async (idToken, context = {}, { rememberMe = false } = {}) => {
   // Verify token and get user info
   const googleUser = await verifyGoogleToken(idToken);
 
-  // Check if user exists
-  let user = await User.findByEmail(googleUser.email);
+  // Check if user exists (deleted accounts included: signing in restores them)
+  let user = await User.findByEmailIncludingDeleted(googleUser.email);
+
+  if (user?.isActive === false && !user.canBeRestored()) {
+    throw unauthorized('This account is no longer active.');
+  }
+
+  // Deleted account in its grace period: restored once the login
+  // completes (after the second factor, if any)
+  const restore = user?.isActive === false;
 
   if (user) {
     // User exists - log them in
@@ -82,6 +95,16 @@ export const googleAuth = async (idToken) => {
       await user.save();
     }
 
+    // Google is the first factor only
+    const secondFactors = await getSecondFactorMethods(user);
+    if (secondFactors.length > 0) {
+      return createLoginChallenge(user, { rememberMe, methods: secondFactors, restore });
+    }
+
+    if (restore) {
+      await restoreAccount(user, context);
+    }
+
     // Update last login
     await user.resetLoginAttempts();
   } else {
@@ -98,14 +121,19 @@ export const googleAuth = async (idToken) => {
     });
   }
 
-  // Generate JWT tokens
-  const tokens = generateTokens(user._id.toString());
+  // Create session (issues access + refresh tokens)
+  const { accessToken, refreshToken } = await createSession(user, context, {
+    rememberMe,
+  });
 
   return {
     status: 'success',
-    message: 'Login successful',
+    message: restore ? 'Welcome back! Your account has been restored.' : 'Login successful',
     data: {
-      ...tokens,
+      accessToken,
+      refreshToken,
+      rememberMe,
+      ...(restore && { restored: true }),
       user: {
         id: user._id,
         email: user.email,
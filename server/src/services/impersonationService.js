@@ -0,0 +1,134 @@
+/**
+ * Impersonation Service
+ *
+ * Lets support staff (admins) see the app exactly as a user sees it.
+ *
+ * HOW IT WORKS:
+ * 1. Admin calls POST /api/admin/users/:id/impersonate with a reason
+ * 2. We issue a short-lived access token for the user, with an `act`
+ *    claim naming the admin (no session, no refresh token)
+ * 3. Every request made with it is recorded (authMiddleware.authenticate)
+ * 4. The admin ends it (DELETE /api/auth/impersonation) or it expires
+ *
+ * LIMITS:
+ * - Admins can't impersonate other admins (no privilege laundering)
+ * - Impersonation can't manage the account: password, sessions, API keys,
+ *   deletion... are rejected (authMiddleware.requireSession)
+ * - The admin's own session is untouched; the client keeps both
+ */
+
+import User from '../models/User.js';
+import RevokedToken from '../models/RevokedToken.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import { generateImpersonationToken, getTokenExpiration } from './jwtService.js';
+import { badRequest, forbidden, notFound } from '../utils/AppError.js';
+
+/**
+ * Start Impersonation
+ *
+ * Flow:
+ * 1. Find the target user
+ * 2. Check the user can be impersonated
+ * 3. Issue the act-as token
+ * 4. Record the event (with the reason)
+ *
+ * @param {Object} admin - Admin doing it (req.user)
+ * @param {string} userId - User to impersonate
+ * @param {string} reason - Why (support ticket...), kept in the audit trail
+ * @param {Object} context - { userAgent, ip }
+ * @returns {Promise<Object>} - { accessToken, expiresAt, user }
+ */
+export const startImpersonation = async (admin, userId, reason, context = {}) => {
+  // 1. Find target (deleted and deactivated users are filtered out)
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw notFound('User not found');
+  }
+
+  // 2. Check target
+  if (user._id.equals(admin.id)) {
+    throw badRequest('You cannot impersonate yourself.');
+  }
+
+  // Acting as staff would hand out their permissions
+  if (user.isStaff()) {
+    throw forbidden('Staff accounts cannot be impersonated.');
+  }
+
+  if (!user.isEmailVerified) {
+    throw badRequest('Users who have not verified their email cannot be impersonated.');
+  }
+
+  // 3. Issue token (the admin document is needed for its token version)
+  const adminUser = await User.findById(admin.id);
+
+  if (!adminUser) {
+    throw notFound('Admin not found');
+  }
+
+  const accessToken = generateImpersonationToken(user, adminUser);
+
+  // 4. Audit
+  await SecurityEvent.record('impersonation-started', {
+    userId: user._id,
+    actorId: adminUser._id,
+    ...context,
+    details: { reason },
+  });
+
+  console.log(`🕵️  Admin ${adminUser.email} is impersonating ${user.email}: ${reason}`);
+
+  return {
+    status: 'success',
+    message: `You are now acting as ${user.email}`,
+    data: {
+      accessToken,
+      expiresAt: getTokenExpiration(accessToken),
+      user: {
+        id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        isEmailVerified: user.isEmailVerified,
+      },
+    },
+  };
+};
+
+/**
+ * End Impersonation
+ *
+ * Revokes the act-as token so it can't be used again.
+ *
+ * @param {Object} user - Impersonated user (req.user, with impersonator)
+ * @param {Object} decoded - Decoded impersonation token (req.token)
+ * @param {Object} context - { userAgent, ip }
+ * @returns {Promise<Object>} - Success message
+ */
+export const endImpersonation = async (user, decoded, context = {}) => {
+  if (!user.impersonator) {
+    throw badRequest('You are not impersonating anyone.');
+  }
+
+  await RevokedToken.revoke(decoded.jti, new Date(decoded.exp * 1000));
+
+  await SecurityEvent.record('impersonation-ended', {
+    userId: user.id,
+    actorId: user.impersonator.id,
+    ...context,
+    details: { jti: decoded.jti },
+  });
+
+  console.log(`🕵️  Admin ${user.impersonator.email} stopped impersonating ${user.email}`);
+
+  return {
+    status: 'success',
+    message: 'Impersonation ended',
+  };
+};
+
+export default {
+  startImpersonation,
+  endImpersonation,
+};
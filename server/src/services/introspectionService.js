@@ -0,0 +1,198 @@
+/**
+ * Introspection Service
+ *
+ * Lets other services (API gateway, microservices) ask us about tokens
+ * instead of validating them on their own.
+ *
+ * TOKEN INTROSPECTION (RFC 7662):
+ * A JWT signature only proves WE issued the token. Whether it is still
+ * usable (not logged out, session not revoked, password not changed...)
+ * is only known here. Introspection runs the same checks as our own
+ * authenticate middleware and answers with `active: true/false`.
+ *
+ * TOKEN REVOCATION (RFC 7009):
+ * - Refresh token → its session is revoked (the access tokens of that
+ *   session stop working too)
+ * - Access token → added to the denylist until it expires
+ *
+ * Access tokens issued at the OAuth token endpoint can be introspected and
+ * revoked too; they have a client_id and scope (and a user for tokens of
+ * OpenID Connect clients).
+ *
+ * Both endpoints are for authenticated clients only (clientAuthMiddleware).
+ * Responses follow the RFCs (not our usual { status, data } format), so
+ * standard OAuth libraries can talk to them.
+ */
+
+import Session from '../models/Session.js';
+import RevokedToken from '../models/RevokedToken.js';
+import { validateAccessToken, validateRefreshToken } from './authService.js';
+import { validateClientAccessToken } from './oauthService.js';
+import { validateDelegatedAccessToken } from './oidcService.js';
+import {
+  verifyAccessToken,
+  verifyClientAccessToken,
+  verifyDelegatedAccessToken,
+  verifyRefreshToken,
+} from './jwtService.js';
+
+// token_type_hint values (RFC 7662 / RFC 7009)
+const ACCESS_TOKEN = 'access_token';
+const REFRESH_TOKEN = 'refresh_token';
+
+/**
+ * Order in which to try the token types
+ *
+ * The hint is only an optimization: if the token isn't of the hinted
+ * type, the other type is tried too.
+ */
+const tokenTypesFor = (tokenTypeHint) =>
+  tokenTypeHint === REFRESH_TOKEN
+    ? [REFRESH_TOKEN, ACCESS_TOKEN]
+    : [ACCESS_TOKEN, REFRESH_TOKEN];
+
+/**
+ * Run a check and treat operational errors (invalid, expired, revoked...)
+ * as "not this kind of token" - database errors etc. are re-thrown
+ */
+const attempt = async (check) => {
+  try {
+    return await check();
+  } catch (error) {
+    if (error.isOperational) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Introspect an access token issued to an OAuth client
+ * (client_credentials or authorization_code grant)
+ *
+ * @param {string} token - Access token
+ * @returns {Promise<Object|null>} - RFC 7662 response, null if not active
+ */
+const introspectClientToken = async (token) => {
+  const result =
+    (await attempt(() => validateClientAccessToken(token))) ||
+    (await attempt(() => validateDelegatedAccessToken(token)));
+
+  if (!result) {
+    return null;
+  }
+
+  const { decoded, user } = result;
+
+  return {
+    active: true,
+    token_type: ACCESS_TOKEN,
+    client_id: decoded.client_id,
+    scope: decoded.scope,
+    sub: decoded.sub,
+    ...(user && { username: user.email }),
+    iss: decoded.iss,
+    aud: decoded.aud,
+    exp: decoded.exp,
+    iat: decoded.iat,
+    jti: decoded.jti,
+  };
+};
+
+/**
+ * Introspect Token
+ *
+ * Flow:
+ * 1. Validate the token as the hinted type, then as the other type
+ *    (access tokens: user token first, then client token)
+ * 2. Inactive in every case → { active: false } (no reason given, RFC 7662)
+ * 3. Active → token metadata
+ *
+ * @param {string} token - Token to introspect
+ * @param {string} tokenTypeHint - Optional: 'access_token' or 'refresh_token'
+ * @returns {Promise<Object>} - RFC 7662 introspection response
+ */
+export const introspectToken = async (token, tokenTypeHint) => {
+  for (const tokenType of tokenTypesFor(tokenTypeHint)) {
+    // 1. Validate
+    const validate = tokenType === ACCESS_TOKEN ? validateAccessToken : validateRefreshToken;
+    const result = await attempt(() => validate(token));
+
+    if (!result) {
+      const clientToken = tokenType === ACCESS_TOKEN && (await introspectClientToken(token));
+
+      if (clientToken) {
+        return clientToken;
+      }
+      continue;
+    }
+
+    // 3. Active token
+    const { decoded, user } = result;
+
+    return {
+      active: true,
+      token_type: tokenType,
+      sub: decoded.id,
+      username: user.email,
+      email: user.email,
+      email_verified: user.isEmailVerified,
+      iss: decoded.iss,
+      aud: decoded.aud,
+      exp: decoded.exp,
+      iat: decoded.iat,
+      jti: decoded.jti,
+      sid: decoded.sid,
+      // Admin acting as the user (impersonation token)
+      ...(decoded.act && { act: { sub: decoded.act.sub } }),
+    };
+  }
+
+  // 2. Not active
+  return { active: false };
+};
+
+/**
+ * Revoke Token
+ *
+ * Invalid, expired and unknown tokens are ignored: the client's goal
+ * (the token can't be used) is reached anyway, so RFC 7009 still
+ * answers with success.
+ *
+ * @param {string} token - Token to revoke
+ * @param {string} tokenTypeHint - Optional: 'access_token' or 'refresh_token'
+ * @param {Object} client - Client requesting the revocation (for logging)
+ * @returns {Promise<void>}
+ */
+export const revokeToken = async (token, tokenTypeHint, client) => {
+  for (const tokenType of tokenTypesFor(tokenTypeHint)) {
+    if (tokenType === REFRESH_TOKEN) {
+      const decoded = await attempt(() => verifyRefreshToken(token));
+
+      if (decoded?.sid) {
+        await Session.updateOne(
+          { _id: decoded.sid, revokedAt: null },
+          { $set: { revokedAt: new Date(), revokedReason: 'revoked-by-client' } }
+        );
+        console.log(`🔒 Session ${decoded.sid} revoked by client "${client.name}"`);
+        return;
+      }
+    } else {
+      const decoded =
+        (await attempt(() => verifyAccessToken(token))) ||
+        (await attempt(() => verifyClientAccessToken(token))) ||
+        (await attempt(() => verifyDelegatedAccessToken(token)));
+
+      if (decoded?.jti) {
+        await RevokedToken.revoke(decoded.jti, new Date(decoded.exp * 1000));
+        console.log(`🔒 Access token ${decoded.jti} revoked by client "${client.name}"`);
+        return;
+      }
+    }
+  }
+};
+
+export default {
+  introspectToken,
+  revokeToken,
+};
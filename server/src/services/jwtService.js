@@ -11,7 +11,7 @@
  * 
  * SECURITY PRINCIPLES:
  * 1. Never store sensitive data in JWT (it's just base64 encoded, not encrypted)
- * 2. Use strong secret keys (256+ bits)
+ * 2. Use strong secret keys (256+ bits), or asymmetric keys (see keyService.js)
  * 3. Set reasonable expiration times
  * 4. Verify signature on every request
  * 5. Use refresh tokens for long-lived sessions
@@ -23,30 +23,189 @@
  * We're using JWT for its scalability and modern approach.
  */
 
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
+import ms from 'ms';
 import config from '../config/env.js';
-import { unauthorized } from '../utils/AppError.js';
+import tokenClaims from '../config/tokenClaims.js';
+import { getSigningKey, getVerificationKeys } from './keyService.js';
+import { unauthorized, badRequest } from '../utils/AppError.js';
+
+// Claims we set ourselves - a claims provider can't override them
+const RESERVED_CLAIMS = [
+  'id', 'type', 'jti', 'sid', 'ver', 'client_id', 'scope',
+  'sub', 'iss', 'aud', 'exp', 'nbf', 'iat', 'nonce', 'auth_time', 'at_hash', 'act',
+];
+
+// Time to enter the second factor after the password
+const LOGIN_CHALLENGE_EXPIRES_IN = '5m';
+
+// Passkey ceremonies (the browser prompt) must finish within this time
+const WEBAUTHN_CHALLENGE_EXPIRES_IN = '5m';
+
+// Time to find the emailed code when logging in from a new browser
+const DEVICE_CHALLENGE_EXPIRES_IN = '15m';
+
+// Adds custom claims to access tokens (see config/tokenClaims.js)
+let claimsProvider = tokenClaims;
+
+/**
+ * Replace the access token claims provider
+ * 
+ * @param {Function} provider - (user) => ({ ...claims })
+ */
+export const setClaimsProvider = (provider) => {
+  claimsProvider = provider;
+};
+
+/**
+ * Common jwt.sign / jwt.verify options
+ * 
+ * Several audiences are signed as an array; verification accepts a token
+ * meant for any of them.
+ */
+const signOptions = () => ({
+  issuer: config.jwt.issuer,
+  audience:
+    config.jwt.audience.length === 1 ? config.jwt.audience[0] : config.jwt.audience,
+});
+
+const verifyOptions = () => ({
+  issuer: config.jwt.issuer,
+  audience: config.jwt.audience,
+});
+
+/**
+ * jwt.sign / jwt.verify options for tokens only this server accepts
+ * (e.g. login challenges)
+ * 
+ * They are signed with the access token keys, which other services can
+ * check (JWKS), and most carry a user id. Their own audience - never one
+ * of JWT_AUDIENCE - keeps those services from taking them for access tokens.
+ * 
+ * @param {string} purpose - e.g. 'login-challenge'
+ */
+const internalTokenOptions = (purpose) => ({
+  issuer: config.jwt.issuer,
+  audience: `${config.jwt.issuer}/${purpose}`,
+});
+
+/**
+ * Sign a token with the newest signing key
+ * 
+ * The key ID goes into the `kid` header so verifiers know which key to use,
+ * even after we've rotated to a newer one.
+ * 
+ * @param {Object} payload - Token claims
+ * @param {string} use - 'access' or 'refresh' (selects the key set)
+ * @param {Object} options - jwt.sign options (expiresIn, issuer, ...)
+ * @returns {string} - Signed JWT
+ */
+const signToken = (payload, use, options) => {
+  const { kid, alg, signingKey } = getSigningKey(use);
+
+  return jwt.sign(payload, signingKey, {
+    ...options,
+    algorithm: alg,
+    ...(kid && { keyid: kid }),
+  });
+};
+
+/**
+ * Verify a token against the key named in its `kid` header
+ * 
+ * Any key that hasn't reached its retirement date is accepted, so tokens
+ * signed before a key rotation keep working until they expire.
+ * 
+ * @param {string} token - JWT to verify
+ * @param {string} use - 'access' or 'refresh' (selects the key set)
+ * @param {Object} options - jwt.verify options (issuer, audience, ...)
+ * @returns {Object} - Decoded payload
+ * @throws {JsonWebTokenError|TokenExpiredError}
+ */
+const verifyToken = (token, use, options) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const keys = getVerificationKeys(use, decoded.header.kid);
+  if (keys.length === 0) {
+    throw new jwt.JsonWebTokenError('unknown or retired signing key');
+  }
+
+  let lastError;
+  for (const key of keys) {
+    try {
+      // Pinning the algorithm per key prevents "alg confusion" attacks
+      return jwt.verify(token, key.verificationKey, {
+        ...options,
+        algorithms: [key.alg],
+      });
+    } catch (error) {
+      // Wrong key: try the next one. Anything else (expired...) is final.
+      if (error.name !== 'JsonWebTokenError') {
+        throw error;
+      }
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+};
 
 /**
  * Generate Access Token
  * 
  * Access tokens are short-lived (7 days default) and used for API authentication.
+ * Custom claims (role, tenant, ...) come from the claims provider.
  * 
- * @param {string} userId - User's MongoDB _id
+ * @param {Object} user - User document (or any object with _id)
+ * @param {string} sessionId - Optional: session the token was issued for
+ * @param {Object} options - Optional: { maxLifetimeSeconds } caps the
+ *   configured lifetime (sessions with an idle timeout need short tokens),
+ *   { authTime } when the user last entered their credentials (Date)
  * @returns {string} - Signed JWT token
  */
-export const generateAccessToken = (userId) => {
+export const generateAccessToken = (
+  user,
+  sessionId,
+  { maxLifetimeSeconds, authTime } = {}
+) => {
+  // Custom claims first, so they can't override ours
+  const customClaims = { ...claimsProvider(user) };
+  RESERVED_CLAIMS.forEach((claim) => delete customClaims[claim]);
+
   // Payload - data we want to store in the token
   const payload = {
-    id: userId,
+    ...customClaims,
+    id: user._id.toString(),
     type: 'access',
+    // Token version: bumping user.tokenVersion invalidates the token
+    ver: user.tokenVersion || 0,
+    // Unique token ID, used to denylist the token on logout
+    jti: crypto.randomUUID(),
   };
 
-  // Sign the token with secret key
-  const token = jwt.sign(payload, config.jwt.secret, {
-    expiresIn: config.jwt.expiresIn, // e.g., '7d'
-    issuer: 'your-app-name', // Optional: who issued the token
-    audience: 'your-app-users', // Optional: who the token is for
+  // Lets the server revoke the token together with its session
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+
+  // When the user last entered their credentials (see requireRecentAuth)
+  if (authTime) {
+    payload.auth_time = Math.floor(authTime.getTime() / 1000);
+  }
+
+  let expiresIn = config.jwt.expiresIn; // e.g., '7d'
+  if (maxLifetimeSeconds) {
+    expiresIn = Math.min(Math.floor(ms(expiresIn) / 1000), maxLifetimeSeconds);
+  }
+
+  // Sign the token with the newest access key (secret or private key)
+  const token = signToken(payload, 'access', {
+    expiresIn,
+    ...signOptions(), // Who issued the token, and who it is for
   });
 
   return token;
@@ -60,37 +219,400 @@ export const generateAccessToken = (userId) => {
  * REFRESH TOKEN PATTERN:
  * 1. User logs in → gets access + refresh token
  * 2. Access token expires → frontend uses refresh token to get new access token
+ *    AND a new refresh token (the old one is rotated out)
  * 3. Refresh token expires → user must log in again
  * 
+ * Refresh tokens are bound to a server-side Session (see sessionService.js).
+ * Only this server accepts them: their audience is `<issuer>/refresh`, so
+ * other services reject them even when they share our keys (keyring).
+ * 
  * @param {string} userId - User's MongoDB _id
+ * @param {string} sessionId - Session the token belongs to
+ * @param {Object} options - Optional: { expiresIn } (e.g. '12h') or
+ *   { expiresAt } (Date, used to keep a session's absolute expiry on rotation),
+ *   { tokenVersion } (user.tokenVersion, default 0)
  * @returns {string} - Signed JWT refresh token
  */
-export const generateRefreshToken = (userId) => {
+export const generateRefreshToken = (
+  userId,
+  sessionId,
+  { expiresIn, expiresAt, tokenVersion = 0 } = {}
+) => {
   const payload = {
     id: userId,
+    sid: sessionId,
     type: 'refresh',
+    ver: tokenVersion,
+    // Makes every rotated token unique, even within the same second
+    jti: crypto.randomUUID(),
   };
 
-  const token = jwt.sign(payload, config.jwt.refreshSecret, {
-    expiresIn: config.jwt.refreshExpiresIn, // e.g., '30d'
-    issuer: 'your-app-name',
-    audience: 'your-app-users',
+  // exp in the payload and expiresIn can't be combined
+  if (expiresAt) {
+    payload.exp = Math.floor(expiresAt.getTime() / 1000);
+  }
+
+  const token = signToken(payload, 'refresh', {
+    ...(!expiresAt && { expiresIn: expiresIn || config.jwt.refreshExpiresIn }), // e.g., '30d'
+    ...internalTokenOptions('refresh'),
   });
 
   return token;
 };
 
 /**
- * Generate both access and refresh tokens
+ * Generate Impersonation Token
+ * 
+ * Short-lived access token that lets an admin act as a user (support).
+ * The `act` claim (RFC 8693, section 4.1) identifies the admin; every
+ * request made with the token is audited (see authMiddleware.authenticate).
+ * 
+ * No session and no refresh token: when it expires, impersonation ends.
+ * 
+ * @param {Object} user - Target user document
+ * @param {Object} admin - Admin user document
+ * @returns {string} - Signed JWT token
+ */
+export const generateImpersonationToken = (user, admin) => {
+  const customClaims = { ...claimsProvider(user) };
+  RESERVED_CLAIMS.forEach((claim) => delete customClaims[claim]);
+
+  const payload = {
+    ...customClaims,
+    id: user._id.toString(),
+    type: 'access',
+    ver: user.tokenVersion || 0,
+    jti: crypto.randomUUID(),
+    // The admin's token version too: logging the admin out everywhere
+    // ends their impersonations
+    act: {
+      sub: admin._id.toString(),
+      ver: admin.tokenVersion || 0,
+    },
+  };
+
+  return signToken(payload, 'access', {
+    expiresIn: config.impersonation.expiresIn, // e.g., '15m'
+    ...signOptions(),
+  });
+};
+
+/**
+ * Generate Client Access Token
+ * 
+ * Access token for a machine identity (OAuth client_credentials grant).
+ * There is no user: `sub` and `client_id` are the client, `scope` lists the
+ * granted scopes (space-separated, RFC 8693 style). Its audience is
+ * `<issuer>/client-credentials`, not JWT_AUDIENCE: the authenticate
+ * middleware and other services reject it - our service routes use
+ * authenticateService.
+ * 
+ * @param {Object} client - OAuthClient document
+ * @param {string[]} scopes - Granted scopes
+ * @returns {string} - Signed JWT token
+ */
+export const generateClientAccessToken = (client, scopes) => {
+  const payload = {
+    sub: client.clientId,
+    client_id: client.clientId,
+    scope: scopes.join(' '),
+    type: 'access',
+    jti: crypto.randomUUID(),
+  };
+
+  return signToken(payload, 'access', {
+    expiresIn: config.oauth.clientTokenExpiresIn, // e.g., '1h'
+    ...internalTokenOptions('client-credentials'),
+  });
+};
+
+/**
+ * Generate Delegated Access Token
+ * 
+ * Access token issued to an OIDC client on behalf of a user
+ * (authorization_code grant). It carries the user (`id`/`sub`), the client
+ * and the approved scopes, and is only accepted by the userinfo endpoint:
+ * its audience is `<issuer>/userinfo`, not JWT_AUDIENCE, so neither our
+ * authenticate middleware nor other services (JWKS) take it for a
+ * first-party access token.
+ * 
+ * @param {Object} user - User document
+ * @param {Object} client - OAuthClient document
+ * @param {string[]} scopes - Approved scopes
+ * @returns {string} - Signed JWT token
+ */
+export const generateDelegatedAccessToken = (user, client, scopes) => {
+  const payload = {
+    id: user._id.toString(),
+    sub: user._id.toString(),
+    client_id: client.clientId,
+    scope: scopes.join(' '),
+    type: 'access',
+    ver: user.tokenVersion || 0,
+    jti: crypto.randomUUID(),
+  };
+
+  return signToken(payload, 'access', {
+    expiresIn: config.oauth.clientTokenExpiresIn, // e.g., '1h'
+    ...internalTokenOptions('userinfo'),
+  });
+};
+
+/**
+ * Generate ID Token (OpenID Connect Core, section 2)
+ * 
+ * Tells the client WHO logged in. Signed with the access token keys, so
+ * clients can verify it with our JWKS (with RS256/ES256 - HS256 ID tokens
+ * can only be trusted because they come straight from our token endpoint).
+ * 
+ * Its audience is the client, and it has no `type` claim, so it is never
+ * accepted as an access token.
+ * 
+ * @param {string} userId - User's MongoDB _id (sub claim)
+ * @param {Object} client - OAuthClient document (aud claim)
+ * @param {Object} options - { claims (profile/email claims), nonce, authTime (Date),
+ *   accessToken (for the at_hash claim) }
+ * @returns {string} - Signed JWT ID token
+ */
+export const generateIdToken = (userId, client, { claims = {}, nonce, authTime, accessToken }) => {
+  const payload = {
+    ...claims,
+    sub: userId.toString(),
+    auth_time: Math.floor(authTime.getTime() / 1000),
+  };
+
+  if (nonce) {
+    payload.nonce = nonce;
+  }
+
+  // Left half of the access token's SHA-256 hash: binds the two tokens
+  // (every algorithm we support uses SHA-256)
+  if (accessToken) {
+    payload.at_hash = crypto
+      .createHash('sha256')
+      .update(accessToken)
+      .digest()
+      .subarray(0, 16)
+      .toString('base64url');
+  }
+
+  return signToken(payload, 'access', {
+    expiresIn: config.oauth.clientTokenExpiresIn,
+    issuer: config.oauth.issuer,
+    audience: client.clientId,
+  });
+};
+
+/**
+ * Generate Login Challenge Token
+ * 
+ * Proof that the first login step (password, Google...) succeeded, for a
+ * user with two-factor authentication. It is NOT an access token: it can
+ * only be exchanged for one at POST /api/auth/login/2fa with a valid code.
+ * 
+ * @param {string} userId - User's MongoDB _id
+ * @param {Object} options - { rememberMe, restore } applied once the login
+ *   completes (restore: the account is deleted, in its grace period)
+ * @returns {string} - Signed JWT challenge token (valid 5 minutes)
+ */
+export const generateLoginChallengeToken = (
+  userId,
+  { rememberMe = false, restore = false } = {}
+) => {
+  const payload = {
+    id: userId.toString(),
+    type: 'login-challenge',
+    rememberMe,
+    ...(restore && { restore }),
+    jti: crypto.randomUUID(),
+  };
+
+  return signToken(payload, 'access', {
+    expiresIn: LOGIN_CHALLENGE_EXPIRES_IN,
+    ...internalTokenOptions('login-challenge'),
+  });
+};
+
+/**
+ * Verify Login Challenge Token
+ * 
+ * @param {string} token - Challenge token from the first login step
+ * @returns {Object} - Decoded payload ({ id, rememberMe, restore? })
+ * @throws {AppError} - 401 if invalid or expired
+ */
+export const verifyLoginChallengeToken = (token) => {
+  try {
+    const decoded = verifyToken(token, 'access', internalTokenOptions('login-challenge'));
+
+    if (decoded.type !== 'login-challenge') {
+      throw unauthorized('Invalid token type');
+    }
+
+    return decoded;
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      throw unauthorized('Your login attempt has expired. Please log in again.');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Generate WebAuthn Challenge Token
+ * 
+ * Keeps the passkey challenge on the server side without storing it:
+ * the signed token carries the challenge the authenticator must sign, so
+ * the browser can't pick its own. Single-use (see passkeyService).
+ * 
+ * @param {string} challenge - Base64url challenge sent to the browser
+ * @param {Object} data - { purpose: 'registration' | 'authentication', userId? }
+ * @returns {string} - Signed JWT (valid 5 minutes)
+ */
+export const generateWebAuthnChallengeToken = (challenge, { purpose, userId = null }) => {
+  const payload = {
+    type: 'webauthn-challenge',
+    challenge,
+    purpose,
+    jti: crypto.randomUUID(),
+  };
+
+  if (userId) {
+    payload.id = userId.toString();
+  }
+
+  return signToken(payload, 'access', {
+    expiresIn: WEBAUTHN_CHALLENGE_EXPIRES_IN,
+    ...internalTokenOptions('webauthn-challenge'),
+  });
+};
+
+/**
+ * Verify WebAuthn Challenge Token
+ * 
+ * @param {string} token - Token from the options endpoint
+ * @param {string} purpose - Expected purpose (a registration challenge
+ *   can't be used to log in)
+ * @returns {Object} - Decoded payload ({ challenge, purpose, id?, jti, exp })
+ * @throws {AppError} - 400 if invalid or expired
+ */
+export const verifyWebAuthnChallengeToken = (token, purpose) => {
+  try {
+    const decoded = verifyToken(token, 'access', internalTokenOptions('webauthn-challenge'));
+
+    if (decoded.type !== 'webauthn-challenge' || decoded.purpose !== purpose) {
+      throw badRequest('Invalid passkey challenge');
+    }
+
+    return decoded;
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      throw badRequest('The passkey request has expired. Please try again.');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Generate Device Challenge Token
+ * 
+ * Like the login challenge (2FA), for a password login from an unknown
+ * browser: exchanged for tokens at POST /api/auth/login/confirm-device
+ * with the code that was emailed for the pending device.
+ * 
+ * @param {string} userId - User's MongoDB _id
+ * @param {string} deviceId - Pending TrustedDevice _id
+ * @param {Object} options - { rememberMe, restore } (applied once the login
+ *   completes, see generateLoginChallengeToken)
+ * @returns {string} - Signed JWT challenge token (valid 15 minutes)
+ */
+export const generateDeviceChallengeToken = (
+  userId,
+  deviceId,
+  { rememberMe = false, restore = false } = {}
+) => {
+  const payload = {
+    id: userId.toString(),
+    type: 'device-challenge',
+    did: deviceId.toString(),
+    rememberMe,
+    ...(restore && { restore }),
+    jti: crypto.randomUUID(),
+  };
+
+  return signToken(payload, 'access', {
+    expiresIn: DEVICE_CHALLENGE_EXPIRES_IN,
+    ...internalTokenOptions('device-challenge'),
+  });
+};
+
+/**
+ * Verify Device Challenge Token
+ * 
+ * @param {string} token - Challenge token from the login response
+ * @returns {Object} - Decoded payload ({ id, did, rememberMe, restore? })
+ * @throws {AppError} - 401 if invalid or expired
+ */
+export const verifyDeviceChallengeToken = (token) => {
+  try {
+    const decoded = verifyToken(token, 'access', internalTokenOptions('device-challenge'));
+
+    if (decoded.type !== 'device-challenge') {
+      throw unauthorized('Invalid token type');
+    }
+
+    return decoded;
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      throw unauthorized('Your login attempt has expired. Please log in again.');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Generate Trusted Device Token
+ * 
+ * Stored in the browser's trustedDevice cookie: names the confirmed
+ * device, so logins from this browser skip the email code. The signature
+ * stops forged cookies; deleting the TrustedDevice revokes it.
  * 
  * @param {string} userId - User's MongoDB _id
- * @returns {Object} - { accessToken, refreshToken }
+ * @param {string} deviceId - Confirmed TrustedDevice _id
+ * @param {Date} expiresAt - End of the trust period
+ * @returns {string} - Signed JWT
  */
-export const generateTokens = (userId) => {
-  return {
-    accessToken: generateAccessToken(userId),
-    refreshToken: generateRefreshToken(userId),
+export const generateTrustedDeviceToken = (userId, deviceId, expiresAt) => {
+  const payload = {
+    id: userId.toString(),
+    type: 'trusted-device',
+    did: deviceId.toString(),
   };
+
+  return signToken(payload, 'access', {
+    expiresIn: Math.max(1, Math.floor((expiresAt.getTime() - Date.now()) / 1000)),
+    ...internalTokenOptions('trusted-device'),
+  });
+};
+
+/**
+ * Verify Trusted Device Token
+ * 
+ * The cookie is optional: a bad one just means an unknown browser.
+ * 
+ * @param {string} token - Value of the trustedDevice cookie
+ * @returns {Object|null} - Decoded payload ({ id, did }), null if invalid
+ */
+export const verifyTrustedDeviceToken = (token) => {
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const decoded = verifyToken(token, 'access', internalTokenOptions('trusted-device'));
+    return decoded.type === 'trusted-device' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
 };
 
 /**
@@ -108,10 +630,7 @@ export const verifyAccessToken = (token) => {
     // 1. Signature is valid (not tampered)
     // 2. Token hasn't expired
     // 3. Issuer and audience match (if specified)
-    const decoded = jwt.verify(token, config.jwt.secret, {
-      issuer: 'your-app-name',
-      audience: 'your-app-users',
-    });
+    const decoded = verifyToken(token, 'access', verifyOptions());
 
     // Check token type
     if (decoded.type !== 'access') {
@@ -132,6 +651,66 @@ export const verifyAccessToken = (token) => {
   }
 };
 
+/**
+ * Verify Client Access Token
+ * 
+ * Access token of a machine client (see generateClientAccessToken):
+ * only accepted with the client-credentials audience.
+ * 
+ * @param {string} token - Access token from the token endpoint
+ * @returns {Object} - Decoded payload
+ * @throws {AppError} - 401 if invalid or expired
+ */
+export const verifyClientAccessToken = (token) => {
+  try {
+    const decoded = verifyToken(token, 'access', internalTokenOptions('client-credentials'));
+
+    if (decoded.type !== 'access') {
+      throw unauthorized('Invalid token type');
+    }
+
+    return decoded;
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw unauthorized('Token has expired.');
+    }
+    if (error.name === 'JsonWebTokenError') {
+      throw unauthorized('Invalid token.');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Verify Delegated Access Token
+ * 
+ * Access token of an OIDC client (see generateDelegatedAccessToken):
+ * only accepted with the userinfo audience.
+ * 
+ * @param {string} token - Access token from the token endpoint
+ * @returns {Object} - Decoded payload
+ * @throws {AppError} - 401 if invalid or expired
+ */
+export const verifyDelegatedAccessToken = (token) => {
+  try {
+    const decoded = verifyToken(token, 'access', internalTokenOptions('userinfo'));
+
+    if (decoded.type !== 'access') {
+      throw unauthorized('Invalid token type');
+    }
+
+    return decoded;
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw unauthorized('Token has expired.');
+    }
+    if (error.name === 'JsonWebTokenError') {
+      throw unauthorized('Invalid token.');
+    }
+    throw error;
+  }
+};
+
 /**
  * Verify Refresh Token
  * 
@@ -141,10 +720,7 @@ export const verifyAccessToken = (token) => {
  */
 export const verifyRefreshToken = (token) => {
   try {
-    const decoded = jwt.verify(token, config.jwt.refreshSecret, {
-      issuer: 'your-app-name',
-      audience: 'your-app-users',
-    });
+    const decoded = verifyToken(token, 'refresh', internalTokenOptions('refresh'));
 
     // Check token type
     if (decoded.type !== 'refresh') {
@@ -236,10 +812,24 @@ export const isTokenExpired = (token) => {
 };
 
 export default {
+  setClaimsProvider,
   generateAccessToken,
   generateRefreshToken,
-  generateTokens,
+  generateImpersonationToken,
+  generateClientAccessToken,
+  generateDelegatedAccessToken,
+  generateIdToken,
+  generateLoginChallengeToken,
+  verifyLoginChallengeToken,
+  generateWebAuthnChallengeToken,
+  verifyWebAuthnChallengeToken,
+  generateDeviceChallengeToken,
+  verifyDeviceChallengeToken,
+  generateTrustedDeviceToken,
+  verifyTrustedDeviceToken,
   verifyAccessToken,
+  verifyClientAccessToken,
+  verifyDelegatedAccessToken,
   verifyRefreshToken,
   decodeToken,
   extractTokenFromHeader,
@@ -250,9 +840,9 @@ export default {
 /**
  * USAGE EXAMPLES:
  * 
- * 1. Generate tokens on login:
+ * 1. Generate tokens on login (creates a server-side session):
  * ```
- * const { accessToken, refreshToken } = generateTokens(user._id);
+ * const { accessToken, refreshToken } = await createSession(user, context, { rememberMe: true });
  * res.json({ accessToken, refreshToken });
  * ```
  * 
@@ -263,13 +853,18 @@ export default {
  * req.user = { id: decoded.id };
  * ```
  * 
- * 3. Refresh access token:
+ * 3. Refresh access token (rotates the refresh token):
+ * ```
+ * const { session } = await findSessionForRefreshToken(refreshToken);
+ * const tokens = await rotateSession(session, refreshToken, user);
+ * ```
+ * 
+ * 4. Add custom claims (role, tenant, ...) - see config/tokenClaims.js:
  * ```
- * const decoded = verifyRefreshToken(refreshToken);
- * const newAccessToken = generateAccessToken(decoded.id);
+ * setClaimsProvider((user) => ({ role: user.role, tenant_id: user.tenantId }));
  * ```
  * 
- * 4. Check token expiration:
+ * 5. Check token expiration:
  * ```
  * if (isTokenExpired(token)) {
  *   // Redirect to login or refresh token
@@ -0,0 +1,330 @@
+/**
+ * Key Service
+ *
+ * Loads the keys used to sign and verify access and refresh tokens.
+ *
+ * SYMMETRIC vs ASYMMETRIC SIGNING:
+ * - HS256: one shared secret signs AND verifies. Every service that wants
+ *   to verify our tokens needs the secret, so it could also mint tokens.
+ * - RS256/ES256: the private key signs, the public key verifies.
+ *   We publish the public key (JWKS), other services can only verify.
+ *
+ * SUPPORTED ALGORITHMS:
+ * - HS256 (default) - JWT_SECRET
+ * - RS256 - RSA key pair (2048+ bits)
+ * - ES256 - ECDSA key pair on the P-256 curve
+ *
+ * KEY ROTATION (JWT_KEYRING_PATH):
+ * Without a keyring there is one access key (JWT_SECRET or the PEM pair)
+ * and one refresh key (JWT_REFRESH_SECRET). Changing them logs out everyone.
+ *
+ * A keyring is a JSON file listing several keys, each with a `kid`:
+ * ```json
+ * [
+ *   { "kid": "2026-10", "alg": "ES256", "privateKeyPath": "keys/2026-10.pem",
+ *     "activatesAt": "2026-10-01T00:00:00Z" },
+ *   { "kid": "2026-04", "alg": "ES256", "publicKeyPath": "keys/2026-04.pub.pem",
+ *     "retiresAt": "2026-11-15T00:00:00Z" },
+ *   { "kid": "legacy", "alg": "HS256", "secret": "...",
+ *     "retiresAt": "2026-11-15T00:00:00Z" }
+ * ]
+ * ```
+ * - New tokens are signed with the NEWEST active key that can sign
+ *   (latest `activatesAt`, has a private key / secret)
+ * - Tokens are verified with the key named by their `kid` header, as long
+ *   as that key hasn't reached `retiresAt`
+ * - Set `retiresAt` at least one refresh token lifetime (30d) after the next
+ *   key activates, so nobody is logged out by the rotation
+ * - Keys with a future `activatesAt` are already published in the JWKS,
+ *   so other services have them cached before the first token appears
+ *
+ * With a keyring, access and refresh tokens share the same keys, so the
+ * JWKS verifies both. Refresh tokens have their own audience (see
+ * jwtService.generateRefreshToken): services checking JWT_AUDIENCE reject
+ * them, and we only accept them as refresh tokens (the `type` claim).
+ *
+ * When switching to a keyring, add the current JWT_SECRET and
+ * JWT_REFRESH_SECRET as HS256 entries with a `retiresAt` date, so tokens
+ * issued before the switch stay valid.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import config from '../config/env.js';
+
+// Key type (as reported by Node's KeyObject) required for each algorithm
+const ASYMMETRIC_KEY_TYPES = {
+  RS256: 'rsa',
+  ES256: 'ec',
+};
+
+/**
+ * Read a key file (relative paths are resolved from the server directory)
+ */
+const readKeyFile = (filePath) => {
+  const resolved = path.resolve(process.cwd(), filePath);
+
+  try {
+    return fs.readFileSync(resolved, 'utf8');
+  } catch (error) {
+    throw new Error(`Unable to read JWT key file ${resolved}: ${error.message}`);
+  }
+};
+
+/**
+ * Compute a key ID (RFC 7638 JWK thumbprint)
+ *
+ * Used when a key has no configured kid: it is derived from the key itself,
+ * so it stays stable across restarts and servers.
+ */
+const computeKid = (publicJwk) => {
+  const members =
+    publicJwk.kty === 'RSA'
+      ? { e: publicJwk.e, kty: publicJwk.kty, n: publicJwk.n }
+      : { crv: publicJwk.crv, kty: publicJwk.kty, x: publicJwk.x, y: publicJwk.y };
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(members))
+    .digest('base64url');
+};
+
+/**
+ * Parse an optional date from the keyring
+ */
+const parseDate = (value, field, kid) => {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${field} for JWT key "${kid}"`);
+  }
+
+  return date;
+};
+
+/**
+ * Build a key from its definition
+ *
+ * @param {Object} definition - { kid?, alg, secret?, privateKeyPath?, publicKeyPath?, activatesAt?, retiresAt? }
+ * @returns {Object} - { kid, alg, signingKey, verificationKey, publicJwk, activatesAt, retiresAt }
+ * @throws {Error} - If the definition is invalid (fail fast on startup)
+ */
+const buildKey = (definition) => {
+  const { alg, secret, privateKeyPath, publicKeyPath } = definition;
+  const label = definition.kid || alg;
+
+  if (alg === 'HS256') {
+    if (!secret) {
+      throw new Error(`JWT key "${label}" (HS256) needs a secret`);
+    }
+
+    return {
+      kid: definition.kid || null,
+      alg,
+      signingKey: secret,
+      verificationKey: secret,
+      publicJwk: null,
+      activatesAt: parseDate(definition.activatesAt, 'activatesAt', label),
+      retiresAt: parseDate(definition.retiresAt, 'retiresAt', label),
+    };
+  }
+
+  const keyType = ASYMMETRIC_KEY_TYPES[alg];
+  if (!keyType) {
+    throw new Error(`Unsupported JWT algorithm "${alg}". Use HS256, RS256 or ES256.`);
+  }
+
+  if (!privateKeyPath && !publicKeyPath) {
+    throw new Error(`JWT key "${label}" (${alg}) needs a private or public key path`);
+  }
+
+  // A key without private key can only verify (e.g. a retiring key)
+  const privateKey = privateKeyPath
+    ? crypto.createPrivateKey(readKeyFile(privateKeyPath))
+    : null;
+  // The public key can be derived from the private key if not provided
+  const publicKey = publicKeyPath
+    ? crypto.createPublicKey(readKeyFile(publicKeyPath))
+    : crypto.createPublicKey(privateKey);
+
+  // Make sure the key matches the algorithm (e.g. no RSA key with ES256)
+  if (publicKey.asymmetricKeyType !== keyType) {
+    throw new Error(
+      `JWT key "${label}" is of type "${publicKey.asymmetricKeyType}" but ${alg} needs "${keyType}"`
+    );
+  }
+
+  if (
+    alg === 'ES256' &&
+    publicKey.asymmetricKeyDetails?.namedCurve !== 'prime256v1'
+  ) {
+    throw new Error(`JWT key "${label}": ES256 requires the P-256 (prime256v1) curve`);
+  }
+
+  const publicJwk = publicKey.export({ format: 'jwk' });
+
+  return {
+    kid: definition.kid || computeKid(publicJwk),
+    alg,
+    signingKey: privateKey,
+    verificationKey: publicKey,
+    publicJwk,
+    activatesAt: parseDate(definition.activatesAt, 'activatesAt', label),
+    retiresAt: parseDate(definition.retiresAt, 'retiresAt', label),
+  };
+};
+
+/**
+ * Load the keyring file
+ *
+ * @returns {Object[]} - Keys
+ */
+const loadKeyring = (keyringPath) => {
+  let definitions;
+
+  try {
+    definitions = JSON.parse(readKeyFile(keyringPath));
+  } catch (error) {
+    throw new Error(`Invalid JWT keyring ${keyringPath}: ${error.message}`);
+  }
+
+  if (!Array.isArray(definitions) || definitions.length === 0) {
+    throw new Error(`JWT keyring ${keyringPath} must be a non-empty array`);
+  }
+
+  const keys = definitions.map((definition) => {
+    if (!definition.kid) {
+      throw new Error(`Every key in JWT keyring ${keyringPath} needs a kid`);
+    }
+    return buildKey(definition);
+  });
+
+  const kids = keys.map((key) => key.kid);
+  const duplicate = kids.find((kid, index) => kids.indexOf(kid) !== index);
+  if (duplicate) {
+    throw new Error(`Duplicate kid "${duplicate}" in JWT keyring ${keyringPath}`);
+  }
+
+  return keys;
+};
+
+/**
+ * Load all keys from configuration
+ *
+ * @returns {Object} - { access: [...keys], refresh: [...keys] }
+ */
+const loadKeys = () => {
+  const { keyringPath, algorithm, secret, refreshSecret, privateKeyPath, publicKeyPath } =
+    config.jwt;
+
+  if (keyringPath) {
+    const keys = loadKeyring(keyringPath);
+    return { access: keys, refresh: keys };
+  }
+
+  return {
+    access: [
+      buildKey({
+        alg: algorithm,
+        secret,
+        privateKeyPath,
+        publicKeyPath,
+      }),
+    ],
+    refresh: [buildKey({ alg: 'HS256', secret: refreshSecret })],
+  };
+};
+
+// Loaded on startup - a broken key configuration should crash early
+let keys = loadKeys();
+
+/**
+ * Reload keys from disk (e.g. after adding a key to the keyring)
+ *
+ * If the new configuration is invalid, the current keys stay in use.
+ */
+export const reloadKeys = () => {
+  keys = loadKeys();
+};
+
+/**
+ * Check if a key hasn't reached its retirement date
+ */
+const isRetired = (key, now) => !!key.retiresAt && key.retiresAt <= now;
+
+/**
+ * Get the key used to sign new tokens
+ *
+ * @param {string} use - 'access' or 'refresh'
+ * @returns {Object} - { kid, alg, signingKey }
+ * @throws {Error} - If no key can currently sign
+ */
+export const getSigningKey = (use) => {
+  const now = new Date();
+
+  const candidates = keys[use].filter(
+    (key) =>
+      key.signingKey &&
+      !isRetired(key, now) &&
+      (!key.activatesAt || key.activatesAt <= now)
+  );
+
+  if (candidates.length === 0) {
+    throw new Error(`No active JWT signing key for ${use} tokens`);
+  }
+
+  // Newest key wins (keys without activatesAt count as oldest)
+  return candidates.reduce((newest, key) =>
+    (key.activatesAt || 0) > (newest.activatesAt || 0) ? key : newest
+  );
+};
+
+/**
+ * Get the keys that may have signed a token
+ *
+ * @param {string} use - 'access' or 'refresh'
+ * @param {string} kid - kid header of the token (tokens without kid try every key)
+ * @returns {Object[]} - Keys that are not retired
+ */
+export const getVerificationKeys = (use, kid) => {
+  const now = new Date();
+
+  return keys[use].filter(
+    (key) => !isRetired(key, now) && (!kid || key.kid === kid)
+  );
+};
+
+/**
+ * Get the public keys as a JWK Set (RFC 7517)
+ *
+ * Includes every asymmetric access key that isn't retired, so verifiers
+ * know upcoming keys before they're used and old keys until they retire.
+ * Symmetric secrets are never published.
+ *
+ * @returns {Object} - { keys: [...] }
+ */
+export const getJwks = () => {
+  const now = new Date();
+
+  return {
+    keys: keys.access
+      .filter((key) => key.publicJwk && !isRetired(key, now))
+      .map((key) => ({
+        ...key.publicJwk,
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig',
+      })),
+  };
+};
+
+export default {
+  reloadKeys,
+  getSigningKey,
+  getVerificationKeys,
+  getJwks,
+};
@@ -0,0 +1,141 @@
+/**
+ * Magic Link Service
+ *
+ * Passwordless sign-in by email, for users who sign in rarely and would
+ * rather not keep a password.
+ *
+ * FLOW:
+ * 1. POST /api/auth/magic-link { email } → email with a one-time link
+ * 2. The link opens the React client (/magic-login/:token), which
+ *    exchanges the token at POST /api/auth/magic-link/:token → JWTs
+ *
+ * SECURITY:
+ * - Same token handling as password reset (random, hashed, single-use,
+ *   15 minutes, see Token model)
+ * - Generic response whether the email exists or not
+ * - The link is the first factor only: users with 2FA still get a
+ *   challenge for their code or passkey
+ */
+
+import User from '../models/User.js';
+import Token from '../models/Token.js';
+import { sendMagicLinkEmail } from './emailService.js';
+import {
+  getSecondFactorMethods,
+  createLoginChallenge,
+  startLoginSession,
+} from './twoFactorService.js';
+import { badRequest, unauthorized } from '../utils/AppError.js';
+
+const MAGIC_LINK_EXPIRES_IN_MS = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Request a Magic Link
+ *
+ * Flow:
+ * 1. Find user (generic success if unknown)
+ * 2. Check if a link was sent recently (prevent spam)
+ * 3. Generate token (15 minutes)
+ * 4. Send email
+ *
+ * @param {string} email - User's email
+ * @param {Object} options - { rememberMe } (added to the link)
+ * @returns {Promise<Object>} - Success message
+ */
+export const requestMagicLink = async (email, { rememberMe = false } = {}) => {
+  const genericResponse = {
+    status: 'success',
+    message: 'If your email is registered, you will receive a sign-in link.',
+  };
+
+  // 1. Find user
+  const user = await User.findByEmail(email);
+
+  if (!user) {
+    return genericResponse;
+  }
+
+  // 2. Check if a link was sent recently
+  const hasValidToken = await Token.hasValidToken(user._id, 'magic-login');
+  if (hasValidToken) {
+    throw badRequest(
+      'A sign-in link was recently sent. Please check your inbox or spam folder. Wait a few minutes before requesting another.'
+    );
+  }
+
+  // 3. Generate token
+  const { token } = await Token.generateToken(
+    user._id,
+    'magic-login',
+    MAGIC_LINK_EXPIRES_IN_MS
+  );
+
+  // 4. Send email
+  try {
+    await sendMagicLinkEmail(user, token, { rememberMe });
+  } catch (error) {
+    console.error('Failed to send magic link email:', error);
+    throw badRequest('Failed to send sign-in email. Please try again later.');
+  }
+
+  return genericResponse;
+};
+
+/**
+ * Sign In With a Magic Link
+ *
+ * Flow:
+ * 1. Verify token (deleted once used)
+ * 2. Find user, check lockout
+ * 3. Mark email as verified (the link proves the user owns it)
+ * 4. Second factor? → challenge instead of tokens
+ * 5. Create session
+ *
+ * @param {string} token - Token from the link
+ * @param {Object} options - { rememberMe }
+ * @param {Object} context - { userAgent, ip } (stored on the session)
+ * @returns {Promise<Object>} - { accessToken, refreshToken, rememberMe, user }
+ *   or { twoFactorRequired, challengeToken }
+ */
+export const loginWithMagicLink = async (token, { rememberMe = false } = {}, context = {}) => {
+  // 1. Verify token
+  const userId = await Token.verifyToken(token, 'magic-login');
+
+  if (!userId) {
+    throw badRequest('Invalid or expired sign-in link. Please request a new one.');
+  }
+
+  // 2. Find user
+  const user = await User.findById(userId).select('+loginAttempts +lockUntil');
+
+  if (!user) {
+    throw unauthorized('Invalid or expired sign-in link. Please request a new one.');
+  }
+
+  if (user.isLocked()) {
+    throw unauthorized(
+      'Your account has been locked due to too many failed login attempts. Please try again later or reset your password.'
+    );
+  }
+
+  // 3. Email ownership proven
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+  }
+
+  // 4. Second factor
+  const secondFactors = await getSecondFactorMethods(user);
+  if (secondFactors.length > 0) {
+    return createLoginChallenge(user, { rememberMe, methods: secondFactors });
+  }
+
+  // 5. Create session
+  return startLoginSession(user, { rememberMe }, context);
+};
+
+export default {
+  requestMagicLink,
+  loginWithMagicLink,
+};
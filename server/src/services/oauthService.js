@@ -0,0 +1,151 @@
+/**
+ * OAuth Service
+ *
+ * OAuth 2.0 token endpoint for registered clients (see OAuthClient model).
+ *
+ * CLIENT CREDENTIALS GRANT (RFC 6749, section 4.4):
+ * For service-to-service calls, where no user is involved:
+ * 1. Worker authenticates with its client_id + client_secret
+ * 2. We issue a short-lived access token for the worker itself,
+ *    limited to the scopes it asked for (and is allowed to have)
+ * 3. Worker calls our APIs with `Authorization: Bearer <token>`
+ * 4. Routes check the token with authenticateService + requireScope
+ *
+ * There is no refresh token: when the token expires, the worker simply
+ * requests a new one with its credentials.
+ *
+ * AUTHORIZATION CODE GRANT:
+ * Sign-in of users into other apps (OpenID Connect), see oidcService.js.
+ */
+
+import OAuthClient, { GRANT_TYPES } from '../models/OAuthClient.js';
+import RevokedToken from '../models/RevokedToken.js';
+import {
+  generateClientAccessToken,
+  verifyClientAccessToken,
+  getTokenExpiration,
+} from './jwtService.js';
+import { exchangeAuthorizationCode } from './oidcService.js';
+import { oauthError, unauthorized } from '../utils/AppError.js';
+
+/**
+ * Work out the scopes to grant
+ *
+ * No scope requested → every scope the client is allowed to have.
+ *
+ * @param {string} requestedScope - Space-separated scopes (optional)
+ * @param {string[]} allowedScopes - Scopes registered for the client
+ * @returns {string[]} - Scopes to grant
+ * @throws {AppError} - invalid_scope if a scope isn't allowed
+ */
+const resolveScopes = (requestedScope, allowedScopes) => {
+  if (!requestedScope) {
+    return allowedScopes;
+  }
+
+  const requested = [...new Set(requestedScope.split(' ').filter(Boolean))];
+  const notAllowed = requested.filter((scope) => !allowedScopes.includes(scope));
+
+  if (notAllowed.length > 0) {
+    throw oauthError('invalid_scope', `Scope not allowed for this client: ${notAllowed.join(' ')}`);
+  }
+
+  return requested;
+};
+
+/**
+ * Issue Token
+ *
+ * Flow:
+ * 1. Check the grant type is supported and allowed for the client
+ *    (authorization_code: continue in oidcService)
+ * 2. Resolve the requested scopes
+ * 3. Sign an access token for the client
+ * 4. Return an RFC 6749 token response
+ *
+ * @param {Object} client - Authenticated client (req.client)
+ * @param {Object} params - Request body: { grant_type, scope? } or
+ *   { grant_type, code, redirect_uri, code_verifier? }
+ * @returns {Promise<Object>} - { access_token, token_type, expires_in, scope, id_token? }
+ */
+export const issueToken = async (client, params) => {
+  const { grant_type: grantType, scope } = params;
+
+  // 1. Check grant type
+  if (!grantType) {
+    throw oauthError('invalid_request', 'grant_type is required');
+  }
+
+  if (!GRANT_TYPES.includes(grantType)) {
+    throw oauthError('unsupported_grant_type', `Unsupported grant_type: ${grantType}`);
+  }
+
+  if (!client.grantTypes.includes(grantType)) {
+    throw oauthError('unauthorized_client', `This client may not use the ${grantType} grant`);
+  }
+
+  if (grantType === 'authorization_code') {
+    return exchangeAuthorizationCode(client, params);
+  }
+
+  // 2. Resolve scopes
+  const scopes = resolveScopes(scope, client.scopes);
+
+  // 3. Sign token
+  const accessToken = generateClientAccessToken(client, scopes);
+  const expiresIn = Math.round((getTokenExpiration(accessToken) - Date.now()) / 1000);
+
+  console.log(`🔑 Issued token to client "${client.name}" (${scopes.join(' ') || 'no scopes'})`);
+
+  // 4. Token response
+  return {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: expiresIn,
+    scope: scopes.join(' '),
+  };
+};
+
+/**
+ * Validate Client Access Token
+ *
+ * Used by the authenticateService middleware and by token introspection.
+ *
+ * Flow:
+ * 1. Verify signature, expiry, issuer and audience (client-credentials)
+ * 2. Check it's a client token (not a user token)
+ * 3. Check it wasn't revoked
+ * 4. Check the client still exists and is active
+ *
+ * @param {string} token - Access token
+ * @returns {Promise<Object>} - { decoded, client }
+ * @throws {AppError} - 401 if the token is not active
+ */
+export const validateClientAccessToken = async (token) => {
+  // 1. Verify token
+  const decoded = verifyClientAccessToken(token);
+
+  // 2. User tokens have no client_id, tokens of OIDC clients have a user
+  if (!decoded.client_id || decoded.id) {
+    throw unauthorized('This endpoint requires a client access token.');
+  }
+
+  // 3. Check denylist (POST /api/auth/revoke)
+  if (decoded.jti && (await RevokedToken.isRevoked(decoded.jti))) {
+    throw unauthorized('This token has been revoked.');
+  }
+
+  // 4. Check client
+  const client = await OAuthClient.findOne({ clientId: decoded.client_id, isActive: true });
+
+  if (!client) {
+    throw unauthorized('The client belonging to this token is no longer active.');
+  }
+
+  return { decoded, client };
+};
+
+export default {
+  issueToken,
+  validateClientAccessToken,
+};
@@ -0,0 +1,501 @@
+/**
+ * OpenID Connect Service
+ *
+ * Lets our other apps offer "Sign in with <our account>": this server is
+ * the OpenID Connect provider, the apps are clients (see OAuthClient model).
+ *
+ * AUTHORIZATION CODE FLOW (with PKCE):
+ * 1. The app sends the browser to GET /api/auth/oauth/authorize
+ *    ?client_id&redirect_uri&response_type=code&scope=openid email&state
+ *    &nonce&code_challenge&code_challenge_method=S256
+ * 2. We check the request and forward the browser to the consent page of
+ *    our React client (the user logs in first if needed)
+ * 3. The user approves → we issue a single-use code and send the browser
+ *    back to redirect_uri?code&state
+ * 4. The app exchanges the code at POST /api/auth/oauth/token
+ *    (with its secret, or the PKCE code_verifier for public clients)
+ * 5. The app gets an ID token (who logged in) and an access token for
+ *    GET /api/auth/oauth/userinfo
+ *
+ * PKCE (RFC 7636):
+ * The app keeps a random code_verifier and sends only its hash
+ * (code_challenge) in step 1. Someone who intercepts the code can't
+ * exchange it without the verifier. Required for public clients (SPAs,
+ * mobile apps), recommended for everyone. Only S256 is supported.
+ *
+ * NOT SUPPORTED (yet):
+ * - Remembered consent: the user approves every sign-in
+ * - Refresh tokens / offline_access: apps run the flow again
+ * - Implicit and hybrid flows (response_type other than "code")
+ */
+
+import OAuthClient from '../models/OAuthClient.js';
+import AuthorizationCode from '../models/AuthorizationCode.js';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import RevokedToken from '../models/RevokedToken.js';
+import { assertTokenOwnerValid } from './authService.js';
+import {
+  generateDelegatedAccessToken,
+  generateIdToken,
+  verifyDelegatedAccessToken,
+  getTokenExpiration,
+} from './jwtService.js';
+import { getSigningKey } from './keyService.js';
+import { badRequest, unauthorized, oauthError } from '../utils/AppError.js';
+import config from '../config/env.js';
+
+// Scopes defined by OpenID Connect that we support
+export const OIDC_SCOPES = ['openid', 'profile', 'email'];
+
+// Authorization request parameters kept between /authorize and the consent page
+const AUTHORIZATION_PARAMS = [
+  'client_id',
+  'redirect_uri',
+  'response_type',
+  'scope',
+  'state',
+  'nonce',
+  'code_challenge',
+  'code_challenge_method',
+  'prompt',
+];
+
+// PKCE code challenge: BASE64URL(SHA256(verifier)) is always 43 characters
+const CODE_CHALLENGE_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+/**
+ * Keep only the authorization parameters of a request (query or body)
+ *
+ * @param {Object} params - req.query or req.body
+ * @returns {Object} - Known parameters, as strings
+ */
+export const pickAuthorizationParams = (params = {}) =>
+  Object.fromEntries(
+    AUTHORIZATION_PARAMS.filter((name) => typeof params[name] === 'string').map((name) => [
+      name,
+      params[name],
+    ])
+  );
+
+/**
+ * Build the URL that sends the browser back to the client
+ *
+ * @param {string} redirectUri - Registered redirect URI
+ * @param {Object} params - Query parameters (code/error, state)
+ * @returns {string} - Redirect URL
+ */
+const buildRedirectUrl = (redirectUri, params) => {
+  const url = new URL(redirectUri);
+
+  Object.entries(params).forEach(([name, value]) => {
+    if (value) {
+      url.searchParams.set(name, value);
+    }
+  });
+
+  return url.toString();
+};
+
+/**
+ * An error the client must receive on its redirect URI (RFC 6749, section 4.1.2.1)
+ *
+ * @returns {AppError} - oauthError with `redirectTo` set
+ */
+const redirectError = (request, code, description) => {
+  const error = oauthError(code, description);
+
+  error.redirectTo = buildRedirectUrl(request.redirectUri, {
+    error: code,
+    error_description: description,
+    state: request.state,
+  });
+
+  return error;
+};
+
+/**
+ * Validate Authorization Request
+ *
+ * Flow:
+ * 1. Find the client and check redirect_uri is registered for it
+ *    (failures here must NOT redirect: we can't trust the redirect URI)
+ * 2. Check response_type, scopes and PKCE
+ *    (failures are sent to the client on its redirect URI)
+ *
+ * @param {Object} params - Authorization request parameters
+ * @returns {Promise<Object>} - { client, redirectUri, scopes, state, nonce, codeChallenge }
+ * @throws {AppError} - 400; with `redirectTo` if the client should be told
+ */
+export const validateAuthorizationRequest = async (params) => {
+  const {
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    response_type: responseType,
+    scope = '',
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: codeChallengeMethod,
+    prompt = '',
+  } = pickAuthorizationParams(params);
+
+  // 1. Client and redirect URI
+  const client = clientId ? await OAuthClient.findOne({ clientId, isActive: true }) : null;
+
+  if (!client || !client.grantTypes.includes('authorization_code')) {
+    throw badRequest('Unknown application. Please go back and try again.');
+  }
+
+  if (!redirectUri || !client.redirectUris.includes(redirectUri)) {
+    throw badRequest('This application sent an invalid redirect URI.');
+  }
+
+  const request = { client, redirectUri, state, nonce: nonce || null };
+
+  // 2. Request parameters
+  if (responseType !== 'code') {
+    throw redirectError(request, 'unsupported_response_type', 'Only response_type=code is supported');
+  }
+
+  const scopes = [...new Set(scope.split(' ').filter(Boolean))];
+
+  if (!scopes.includes('openid')) {
+    throw redirectError(request, 'invalid_scope', 'The openid scope is required');
+  }
+
+  const notAllowed = scopes.filter(
+    (name) => !OIDC_SCOPES.includes(name) || !client.scopes.includes(name)
+  );
+  if (notAllowed.length > 0) {
+    throw redirectError(request, 'invalid_scope', `Scope not allowed: ${notAllowed.join(' ')}`);
+  }
+
+  if (codeChallenge || codeChallengeMethod) {
+    if (codeChallengeMethod !== 'S256') {
+      throw redirectError(request, 'invalid_request', 'code_challenge_method must be S256');
+    }
+    if (!CODE_CHALLENGE_PATTERN.test(codeChallenge || '')) {
+      throw redirectError(request, 'invalid_request', 'Invalid code_challenge');
+    }
+  } else if (client.isPublic) {
+    throw redirectError(request, 'invalid_request', 'PKCE (code_challenge) is required');
+  }
+
+  // Every sign-in needs the user's consent, so it can't happen silently
+  if (prompt.split(' ').includes('none')) {
+    throw redirectError(request, 'consent_required', 'User consent is required');
+  }
+
+  return {
+    ...request,
+    scopes,
+    codeChallenge: codeChallenge || null,
+  };
+};
+
+/**
+ * Get Consent Details
+ *
+ * What the consent page shows: which app asks for what.
+ *
+ * @param {Object} params - Authorization request parameters
+ * @returns {Promise<Object>} - Client name, scopes and redirect URI
+ */
+export const getConsentDetails = async (params) => {
+  const { client, redirectUri, scopes } = await validateAuthorizationRequest(params);
+
+  return {
+    status: 'success',
+    data: {
+      client: {
+        name: client.name,
+      },
+      scopes,
+      // Shown so users can spot look-alike apps
+      redirectOrigin: new URL(redirectUri).origin,
+    },
+  };
+};
+
+/**
+ * Decide Authorization (consent given or refused)
+ *
+ * Flow:
+ * 1. Validate the request again (the consent page is not trusted)
+ * 2. Refused → access_denied for the client
+ * 3. Approved → issue a single-use code bound to client, redirect URI,
+ *    scopes and PKCE challenge
+ * 4. Return the URL the browser must go to
+ *
+ * @param {Object} user - Logged in user (req.user)
+ * @param {Object} params - Authorization request parameters
+ * @param {boolean} approved - The user's decision
+ * @returns {Promise<Object>} - { redirectTo }
+ */
+export const decideAuthorization = async (user, params, approved) => {
+  // 1. Validate request
+  let request;
+  try {
+    request = await validateAuthorizationRequest(params);
+  } catch (error) {
+    if (error.redirectTo) {
+      return { status: 'success', data: { redirectTo: error.redirectTo } };
+    }
+    throw error;
+  }
+
+  // 2. Refused
+  if (!approved) {
+    return {
+      status: 'success',
+      data: {
+        redirectTo: buildRedirectUrl(request.redirectUri, {
+          error: 'access_denied',
+          error_description: 'The user denied the request',
+          state: request.state,
+        }),
+      },
+    };
+  }
+
+  // 3. Issue code - auth_time is when the user last entered their credentials
+  const session = user.sessionId ? await Session.findById(user.sessionId) : null;
+
+  const code = await AuthorizationCode.issue({
+    clientId: request.client.clientId,
+    userId: user.id,
+    redirectUri: request.redirectUri,
+    scopes: request.scopes,
+    nonce: request.nonce,
+    codeChallenge: request.codeChallenge,
+    authTime: session?.authTime || session?.createdAt || new Date(),
+  });
+
+  console.log(`🔑 User ${user.email} authorized client "${request.client.name}"`);
+
+  // 4. Back to the client
+  return {
+    status: 'success',
+    data: {
+      redirectTo: buildRedirectUrl(request.redirectUri, { code, state: request.state }),
+    },
+  };
+};
+
+/**
+ * Claims about the user, limited to the approved scopes
+ *
+ * Shared by the ID token and the userinfo endpoint.
+ *
+ * @param {Object} user - User document
+ * @param {string[]} scopes - Approved scopes
+ * @returns {Object} - Claims (OpenID Connect Core, section 5.1)
+ */
+const userClaims = (user, scopes) => {
+  const claims = {};
+
+  if (scopes.includes('profile')) {
+    claims.name = user.fullName;
+    claims.given_name = user.firstName;
+    claims.family_name = user.lastName;
+    if (user.avatar) {
+      claims.picture = user.avatar;
+    }
+    claims.updated_at = Math.floor(user.updatedAt.getTime() / 1000);
+  }
+
+  if (scopes.includes('email')) {
+    claims.email = user.email;
+    claims.email_verified = !!user.isEmailVerified;
+  }
+
+  return claims;
+};
+
+/**
+ * Exchange Authorization Code (authorization_code grant)
+ *
+ * Called by oauthService.issueToken, after client authentication.
+ *
+ * Flow:
+ * 1. Consume the code (single use, atomic)
+ * 2. Check it was issued to this client, for this redirect URI
+ * 3. Check the PKCE code verifier
+ * 4. Check the user can still sign in
+ * 5. Issue access token + ID token
+ *
+ * @param {Object} client - Authenticated client (req.client)
+ * @param {Object} params - { code, redirect_uri, code_verifier }
+ * @returns {Promise<Object>} - Token response (RFC 6749 + id_token)
+ */
+export const exchangeAuthorizationCode = async (
+  client,
+  { code, redirect_uri: redirectUri, code_verifier: codeVerifier }
+) => {
+  if (typeof code !== 'string' || typeof redirectUri !== 'string') {
+    throw oauthError('invalid_request', 'code and redirect_uri are required');
+  }
+
+  // Same error for every case - don't help attackers probe codes
+  const invalidGrant = () =>
+    oauthError('invalid_grant', 'Invalid, expired or already used authorization code');
+
+  // 1. Consume code
+  const authorizationCode = await AuthorizationCode.consume(code);
+
+  if (!authorizationCode) {
+    throw invalidGrant();
+  }
+
+  // 2. Client and redirect URI
+  if (
+    authorizationCode.clientId !== client.clientId ||
+    authorizationCode.redirectUri !== redirectUri
+  ) {
+    throw invalidGrant();
+  }
+
+  // 3. PKCE
+  if (!authorizationCode.verifyCodeVerifier(codeVerifier)) {
+    throw invalidGrant();
+  }
+
+  // 4. User (deleted or deactivated users are filtered out by the User model)
+  const user = await User.findById(authorizationCode.userId);
+
+  if (!user || !user.isEmailVerified) {
+    throw invalidGrant();
+  }
+
+  // 5. Tokens
+  const { scopes } = authorizationCode;
+  const accessToken = generateDelegatedAccessToken(user, client, scopes);
+  const idToken = generateIdToken(user._id, client, {
+    claims: userClaims(user, scopes),
+    nonce: authorizationCode.nonce,
+    authTime: authorizationCode.authTime,
+    accessToken,
+  });
+
+  console.log(`🔑 Issued ID token for ${user.email} to client "${client.name}"`);
+
+  return {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: Math.round((getTokenExpiration(accessToken) - Date.now()) / 1000),
+    scope: scopes.join(' '),
+    id_token: idToken,
+  };
+};
+
+/**
+ * Validate Delegated Access Token
+ *
+ * Access token an OIDC client got for a user (authorization_code grant).
+ *
+ * Flow:
+ * 1. Verify signature, expiry, issuer and audience (userinfo)
+ * 2. Check it was issued to a client for a user
+ * 3. Check it wasn't revoked
+ * 4. Check the user (same checks as for our own access tokens)
+ * 5. Check the client is still active
+ *
+ * @param {string} token - Access token
+ * @returns {Promise<Object>} - { decoded, user, client }
+ * @throws {AppError} - 401 if the token is not active
+ */
+export const validateDelegatedAccessToken = async (token) => {
+  // 1. Verify token
+  const decoded = verifyDelegatedAccessToken(token);
+
+  // 2. Client tokens (client_credentials) have no user
+  if (!decoded.client_id || !decoded.id) {
+    throw unauthorized('Invalid token.');
+  }
+
+  // 3. Check denylist (POST /api/auth/revoke)
+  if (decoded.jti && (await RevokedToken.isRevoked(decoded.jti))) {
+    throw unauthorized('This token has been revoked.');
+  }
+
+  // 4. Check user (logging out everywhere revokes these tokens too)
+  const user = await User.findById(decoded.id).select('+passwordChangedAt');
+  assertTokenOwnerValid(user, decoded);
+
+  // 5. Check client
+  const client = await OAuthClient.findOne({ clientId: decoded.client_id, isActive: true });
+
+  if (!client) {
+    throw unauthorized('The application belonging to this token is no longer active.');
+  }
+
+  return { decoded, user, client };
+};
+
+/**
+ * Get User Info (OpenID Connect Core, section 5.3)
+ *
+ * @param {string} token - Access token from the token endpoint
+ * @returns {Promise<Object>} - { sub, ...claims allowed by the token's scopes }
+ */
+export const getUserInfo = async (token) => {
+  const { decoded, user } = await validateDelegatedAccessToken(token);
+  const scopes = decoded.scope.split(' ');
+
+  if (!scopes.includes('openid')) {
+    throw oauthError('insufficient_scope', 'The openid scope is required', 403);
+  }
+
+  return {
+    sub: user._id.toString(),
+    ...userClaims(user, scopes),
+  };
+};
+
+/**
+ * Discovery Document (OpenID Connect Discovery 1.0)
+ *
+ * Served at /.well-known/openid-configuration. OIDC libraries configure
+ * themselves from it: endpoints, keys, supported features.
+ *
+ * @returns {Object} - Provider metadata
+ */
+export const getDiscoveryDocument = () => {
+  const { issuer } = config.oauth;
+
+  return {
+    issuer,
+    authorization_endpoint: `${issuer}/api/auth/oauth/authorize`,
+    token_endpoint: `${issuer}/api/auth/oauth/token`,
+    userinfo_endpoint: `${issuer}/api/auth/oauth/userinfo`,
+    jwks_uri: `${issuer}/.well-known/jwks.json`,
+    introspection_endpoint: `${issuer}/api/auth/introspect`,
+    revocation_endpoint: `${issuer}/api/auth/revoke`,
+    scopes_supported: OIDC_SCOPES,
+    response_types_supported: ['code'],
+    response_modes_supported: ['query'],
+    grant_types_supported: ['authorization_code', 'client_credentials'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: [getSigningKey('access').alg],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+    code_challenge_methods_supported: ['S256'],
+    claims_supported: [
+      'sub', 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce', 'at_hash',
+      'name', 'given_name', 'family_name', 'picture', 'updated_at',
+      'email', 'email_verified',
+    ],
+  };
+};
+
+export default {
+  OIDC_SCOPES,
+  pickAuthorizationParams,
+  validateAuthorizationRequest,
+  getConsentDetails,
+  decideAuthorization,
+  exchangeAuthorizationCode,
+  validateDelegatedAccessToken,
+  getUserInfo,
+  getDiscoveryDocument,
+};
@@ -0,0 +1,434 @@
+/**
+ * Passkey Service
+ *
+ * WebAuthn ceremonies, run on the server with @simplewebauthn/server:
+ * we create the challenges and verify what the authenticator signed, the
+ * browser only relays them (navigator.credentials.create / get).
+ *
+ * CEREMONIES:
+ * 1. Registration (logged in): options → browser creates a credential →
+ *    verify attestation → store the public key (Passkey model)
+ * 2. Passwordless login: options → browser signs with any passkey of our
+ *    domain → verify assertion → session. User verification (PIN,
+ *    fingerprint) is required, so the passkey alone counts as two factors.
+ * 3. Second factor: after the password, the login challenge token can be
+ *    completed with a passkey of that user instead of a TOTP code.
+ *
+ * CHALLENGES:
+ * Each options endpoint returns a signed challengeToken carrying the
+ * challenge (jwtService.generateWebAuthnChallengeToken). It is used once:
+ * its jti is consumed in the RevokedToken collection.
+ */
+
+import {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+} from '@simplewebauthn/server';
+import User from '../models/User.js';
+import Passkey, { MAX_PASSKEYS_PER_USER } from '../models/Passkey.js';
+import RevokedToken from '../models/RevokedToken.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import {
+  generateWebAuthnChallengeToken,
+  verifyWebAuthnChallengeToken,
+  verifyLoginChallengeToken,
+} from './jwtService.js';
+import { findLoginUser, startLoginSession } from './twoFactorService.js';
+import { badRequest, unauthorized, notFound } from '../utils/AppError.js';
+import config from '../config/env.js';
+
+/**
+ * Public representation of a passkey (no key material)
+ */
+const formatPasskey = (passkey) => ({
+  id: passkey._id,
+  name: passkey.name,
+  deviceType: passkey.deviceType,
+  backedUp: passkey.backedUp,
+  lastUsedAt: passkey.lastUsedAt,
+  createdAt: passkey.createdAt,
+});
+
+/**
+ * Verify and use up a challenge token
+ *
+ * @param {string} challengeToken - From an options endpoint
+ * @param {string} purpose - 'registration' | 'authentication' | 'second-factor'
+ * @returns {Promise<Object>} - Decoded token ({ challenge, id? })
+ */
+const consumeChallenge = async (challengeToken, purpose) => {
+  const decoded = verifyWebAuthnChallengeToken(challengeToken, purpose);
+
+  if (!(await RevokedToken.consume(decoded.jti, new Date(decoded.exp * 1000)))) {
+    throw badRequest('This passkey request was already used. Please try again.');
+  }
+
+  return decoded;
+};
+
+/**
+ * Verify an Assertion (authentication response)
+ *
+ * @param {Object} response - AuthenticationResponseJSON from the browser
+ * @param {string} challenge - Expected challenge
+ * @param {Object} options - { userId } restrict to this user's passkeys,
+ *   { requireUserVerification } PIN / biometrics required
+ * @returns {Promise<Passkey>} - The passkey that signed
+ */
+const verifyAssertion = async (response, challenge, { userId = null, requireUserVerification }) => {
+  const passkey = await Passkey.findOne({ credentialId: response?.id });
+
+  if (!passkey || (userId && passkey.userId.toString() !== userId.toString())) {
+    throw unauthorized('This passkey is not registered.');
+  }
+
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge: challenge,
+      expectedOrigin: config.webauthn.origin,
+      expectedRPID: config.webauthn.rpId,
+      credential: passkey.toWebAuthnCredential(),
+      requireUserVerification,
+    });
+  } catch (error) {
+    throw unauthorized(`Passkey verification failed: ${error.message}`);
+  }
+
+  if (!verification.verified) {
+    throw unauthorized('Passkey verification failed');
+  }
+
+  // The counter must grow (unless the authenticator doesn't count): a
+  // smaller value means the credential was cloned
+  passkey.counter = verification.authenticationInfo.newCounter;
+  passkey.lastUsedAt = new Date();
+  await passkey.save();
+
+  return passkey;
+};
+
+/**
+ * Registration Options
+ *
+ * @param {string} userId - Current user
+ * @returns {Promise<Object>} - { options (for the browser), challengeToken }
+ */
+export const getRegistrationOptions = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw notFound('User not found');
+  }
+
+  const passkeys = await Passkey.find({ userId: user._id });
+
+  if (passkeys.length >= MAX_PASSKEYS_PER_USER) {
+    throw badRequest(
+      `You can have at most ${MAX_PASSKEYS_PER_USER} passkeys. Remove an unused passkey first.`
+    );
+  }
+
+  const options = await generateRegistrationOptions({
+    rpName: config.webauthn.rpName,
+    rpID: config.webauthn.rpId,
+    userID: Buffer.from(user._id.toString()),
+    userName: user.email,
+    userDisplayName: user.fullName || user.email,
+    attestationType: 'none',
+    // Don't register the same authenticator twice
+    excludeCredentials: passkeys.map((passkey) => ({
+      id: passkey.credentialId,
+      transports: passkey.transports,
+    })),
+    // Discoverable credential: passwordless login without typing the email
+    authenticatorSelection: {
+      residentKey: 'required',
+      userVerification: 'preferred',
+    },
+  });
+
+  return {
+    status: 'success',
+    data: {
+      options,
+      challengeToken: generateWebAuthnChallengeToken(options.challenge, {
+        purpose: 'registration',
+        userId: user._id,
+      }),
+    },
+  };
+};
+
+/**
+ * Verify Registration
+ *
+ * @param {string} userId - Current user
+ * @param {Object} data - { challengeToken, response (RegistrationResponseJSON), name? }
+ * @param {Object} context - { userAgent, ip } (audit)
+ * @returns {Promise<Object>} - The new passkey
+ */
+export const verifyRegistration = async (userId, { challengeToken, response, name }, context = {}) => {
+  const { challenge, id } = await consumeChallenge(challengeToken, 'registration');
+
+  // The challenge was created for this user
+  if (id !== userId.toString()) {
+    throw badRequest('Invalid passkey challenge');
+  }
+
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge: challenge,
+      expectedOrigin: config.webauthn.origin,
+      expectedRPID: config.webauthn.rpId,
+      requireUserVerification: false,
+    });
+  } catch (error) {
+    throw badRequest(`Passkey registration failed: ${error.message}`);
+  }
+
+  if (!verification.verified) {
+    throw badRequest('Passkey registration failed');
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+  if (await Passkey.exists({ credentialId: credential.id })) {
+    throw badRequest('This passkey is already registered.');
+  }
+
+  const passkey = await Passkey.create({
+    userId,
+    credentialId: credential.id,
+    publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+    counter: credential.counter,
+    transports: credential.transports || [],
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp,
+    name: name || undefined,
+  });
+
+  await SecurityEvent.record('passkey-added', {
+    userId,
+    ...context,
+    details: { passkeyId: passkey._id, name: passkey.name },
+  });
+
+  return {
+    status: 'success',
+    message: 'Passkey added. You can now use it to log in.',
+    data: { passkey: formatPasskey(passkey) },
+  };
+};
+
+/**
+ * List Passkeys
+ *
+ * @param {string} userId - Current user
+ * @returns {Promise<Object>} - { passkeys }
+ */
+export const listPasskeys = async (userId) => {
+  const passkeys = await Passkey.find({ userId }).sort({ createdAt: -1 });
+
+  return {
+    status: 'success',
+    results: passkeys.length,
+    data: { passkeys: passkeys.map(formatPasskey) },
+  };
+};
+
+/**
+ * Remove a Passkey
+ *
+ * @param {string} userId - Current user (can only remove their own passkeys)
+ * @param {string} passkeyId - Passkey to remove
+ * @param {Object} context - { userAgent, ip } (audit)
+ * @returns {Promise<Object>} - Success message
+ */
+export const deletePasskey = async (userId, passkeyId, context = {}) => {
+  const passkey = await Passkey.findOneAndDelete({ _id: passkeyId, userId });
+
+  if (!passkey) {
+    throw notFound('Passkey not found');
+  }
+
+  await SecurityEvent.record('passkey-removed', {
+    userId,
+    ...context,
+    details: { passkeyId: passkey._id, name: passkey.name },
+  });
+
+  return {
+    status: 'success',
+    message: 'Passkey removed',
+  };
+};
+
+/**
+ * Passwordless Login Options
+ *
+ * No email needed: the browser lets the user pick one of their passkeys
+ * for our domain (discoverable credentials).
+ *
+ * @returns {Promise<Object>} - { options, challengeToken }
+ */
+export const getAuthenticationOptions = async () => {
+  const options = await generateAuthenticationOptions({
+    rpID: config.webauthn.rpId,
+    userVerification: 'required',
+  });
+
+  return {
+    status: 'success',
+    data: {
+      options,
+      challengeToken: generateWebAuthnChallengeToken(options.challenge, {
+        purpose: 'authentication',
+      }),
+    },
+  };
+};
+
+/**
+ * Passwordless Login
+ *
+ * Flow:
+ * 1. Use up the challenge
+ * 2. Verify the assertion (user verification required)
+ * 3. Find user, check email verification and lockout
+ * 4. Create session
+ *
+ * @param {Object} data - { challengeToken, response (AuthenticationResponseJSON), rememberMe? }
+ * @param {Object} context - { userAgent, ip } (stored on the session)
+ * @returns {Promise<Object>} - { accessToken, refreshToken, rememberMe, user }
+ */
+export const loginWithPasskey = async ({ challengeToken, response, rememberMe = false }, context = {}) => {
+  // 1. Use up the challenge
+  const { challenge } = await consumeChallenge(challengeToken, 'authentication');
+
+  // 2. Verify the assertion
+  const passkey = await verifyAssertion(response, challenge, { requireUserVerification: true });
+
+  // 3. Find user
+  const user = await User.findById(passkey.userId).select('+loginAttempts +lockUntil');
+
+  if (!user) {
+    throw unauthorized('This passkey is not registered.');
+  }
+
+  if (!user.isEmailVerified) {
+    throw unauthorized(
+      'Please verify your email before logging in. Check your inbox for the verification link.'
+    );
+  }
+
+  if (user.isLocked()) {
+    throw unauthorized(
+      'Your account has been locked due to too many failed login attempts. Please try again later or reset your password.'
+    );
+  }
+
+  // 4. Create session
+  return startLoginSession(user, { rememberMe }, context);
+};
+
+/**
+ * Second Factor Options
+ *
+ * For a login waiting for its second factor: only the passkeys of that user.
+ *
+ * @param {string} challengeToken - Challenge token from the first login step
+ * @returns {Promise<Object>} - { options, passkeyChallengeToken }
+ */
+export const getSecondFactorOptions = async (challengeToken) => {
+  const { id } = verifyLoginChallengeToken(challengeToken);
+
+  const passkeys = await Passkey.find({ userId: id });
+
+  if (passkeys.length === 0) {
+    throw badRequest('No passkey is registered for this account.');
+  }
+
+  const options = await generateAuthenticationOptions({
+    rpID: config.webauthn.rpId,
+    allowCredentials: passkeys.map((passkey) => ({
+      id: passkey.credentialId,
+      transports: passkey.transports,
+    })),
+    userVerification: 'preferred',
+  });
+
+  return {
+    status: 'success',
+    data: {
+      options,
+      passkeyChallengeToken: generateWebAuthnChallengeToken(options.challenge, {
+        purpose: 'second-factor',
+        userId: id,
+      }),
+    },
+  };
+};
+
+/**
+ * Complete Login With a Passkey (second step)
+ *
+ * @param {Object} data - { challengeToken (first login step), passkeyChallengeToken
+ *   (from getSecondFactorOptions), response (AuthenticationResponseJSON) }
+ * @param {Object} context - { userAgent, ip } (stored on the session)
+ * @returns {Promise<Object>} - { accessToken, refreshToken, rememberMe, user }
+ */
+export const completePasskeySecondFactor = async (
+  { challengeToken, passkeyChallengeToken, response },
+  context = {}
+) => {
+  const { id, rememberMe, restore } = verifyLoginChallengeToken(challengeToken);
+  const { challenge, id: challengeUserId } = await consumeChallenge(
+    passkeyChallengeToken,
+    'second-factor'
+  );
+
+  if (challengeUserId !== id) {
+    throw badRequest('Invalid passkey challenge');
+  }
+
+  const user = await findLoginUser(id, { restore }, '+loginAttempts +lockUntil');
+
+  if (!user) {
+    throw unauthorized('Your login attempt has expired. Please log in again.');
+  }
+
+  if (user.isLocked()) {
+    throw unauthorized(
+      'Your account has been locked due to too many failed login attempts. Please try again later or reset your password.'
+    );
+  }
+
+  try {
+    await verifyAssertion(response, challenge, {
+      userId: user._id,
+      requireUserVerification: false,
+    });
+  } catch (error) {
+    await user.incLoginAttempts();
+    throw error;
+  }
+
+  return startLoginSession(user, { rememberMe, restore }, context);
+};
+
+export default {
+  getRegistrationOptions,
+  verifyRegistration,
+  listPasskeys,
+  deletePasskey,
+  getAuthenticationOptions,
+  loginWithPasskey,
+  getSecondFactorOptions,
+  completePasskeySecondFactor,
+};
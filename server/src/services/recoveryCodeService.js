@@ -0,0 +1,162 @@
+/**
+ * Recovery Code Service
+ *
+ * Offline account recovery for users who lost access to their mailbox
+ * (so the password reset email can't reach them).
+ *
+ * FLOW:
+ * 1. Logged in, the user generates a set of codes (POST /api/auth/recovery-codes)
+ *    and stores them somewhere safe - they are shown once
+ * 2. Locked out, they enter their email, one code and a new password
+ *    (POST /api/auth/recover-account)
+ * 3. The password is replaced, every session is signed out, and an email
+ *    tells the user a code was used (in case it wasn't them)
+ * 4. The browser becomes a trusted device: logging in from it won't ask
+ *    for a code sent to the mailbox they lost (see trustedDeviceService)
+ *
+ * SECURITY:
+ * - Codes are hashed like Token values (see RecoveryCode model)
+ * - Wrong codes count as failed logins (account lockout)
+ * - Same error for unknown emails and wrong codes (no account enumeration)
+ */
+
+import User from '../models/User.js';
+import Token from '../models/Token.js';
+import RecoveryCode from '../models/RecoveryCode.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import { revokeUserSessions } from './sessionService.js';
+import { trustCurrentDevice } from './trustedDeviceService.js';
+import { sendRecoveryCodeUsedEmail } from './emailService.js';
+import { badRequest, unauthorized, notFound } from '../utils/AppError.js';
+import config from '../config/env.js';
+
+/**
+ * Recovery Code Status
+ *
+ * @param {string} userId - Current user
+ * @returns {Promise<Object>} - { remaining } codes left (0 = none generated)
+ */
+export const getRecoveryCodeStatus = async (userId) => {
+  const remaining = await RecoveryCode.countRemaining(userId);
+
+  return {
+    status: 'success',
+    data: { remaining },
+  };
+};
+
+/**
+ * Generate Recovery Codes
+ *
+ * Replaces any previous set. Requires the password: codes can take over
+ * the account, a stolen session alone must not be enough to get them.
+ *
+ * @param {string} userId - Current user
+ * @param {string} password - Current password
+ * @param {Object} context - { userAgent, ip } (audit)
+ * @returns {Promise<Object>} - { codes } (shown once)
+ */
+export const generateRecoveryCodes = async (userId, password, context = {}) => {
+  const user = await User.findById(userId).select('+password');
+
+  if (!user) {
+    throw notFound('User not found');
+  }
+
+  if (!(await user.comparePassword(password))) {
+    throw unauthorized('Incorrect password');
+  }
+
+  const codes = await RecoveryCode.generateForUser(user._id);
+
+  await SecurityEvent.record('recovery-codes-generated', { userId: user._id, ...context });
+
+  return {
+    status: 'success',
+    message: 'Save these codes somewhere safe. Each code can be used once, and they will not be shown again.',
+    data: { codes },
+  };
+};
+
+/**
+ * Recover Account
+ *
+ * Flow:
+ * 1. Find user (generic error if unknown)
+ * 2. Check if account is locked
+ * 3. Consume the code (wrong code → failed login attempt)
+ * 4. Set the new password (hashed by pre-save hook)
+ * 5. Invalidate reset tokens and sign out every session
+ * 6. Trust this browser (new-device confirmation)
+ * 7. Email the user that a code was used
+ *
+ * @param {Object} data - { email, code, password }
+ * @param {Object} context - { userAgent, ip } (audit + notification)
+ * @returns {Promise<Object>} - Success message, plus deviceToken for the
+ *   trustedDevice cookie when new devices need confirming
+ */
+export const recoverAccount = async ({ email, code, password }, context = {}) => {
+  // 1. Find user
+  const user = await User.findByEmail(email).select('+loginAttempts +lockUntil');
+
+  if (!user) {
+    throw badRequest('Invalid email or recovery code');
+  }
+
+  // 2. Check if account is locked
+  if (user.isLocked()) {
+    throw unauthorized(
+      'Your account has been locked due to too many failed login attempts. Please try again later.'
+    );
+  }
+
+  // 3. Consume code
+  const recoveryCode = await RecoveryCode.consume(user._id, code);
+
+  if (!recoveryCode) {
+    await user.incLoginAttempts();
+    throw badRequest('Invalid email or recovery code');
+  }
+
+  // 4. Set new password
+  user.password = password;
+  await user.save();
+  await user.resetLoginAttempts();
+
+  // 5. Invalidate reset links and sessions
+  await Token.deleteUserTokens(user._id, 'password-reset');
+  await revokeUserSessions(user._id, 'account-recovery');
+
+  const remaining = await RecoveryCode.countRemaining(user._id);
+
+  await SecurityEvent.record('recovery-code-used', {
+    userId: user._id,
+    ...context,
+    details: { remaining },
+  });
+
+  // 6. Trust this browser
+  const deviceToken = config.trustedDevices.confirmNewDevices
+    ? await trustCurrentDevice(user, context, 'account-recovery')
+    : undefined;
+
+  // 7. Notify (don't fail the recovery if the email can't be sent)
+  try {
+    await sendRecoveryCodeUsedEmail(user, { remaining, ip: context.ip });
+  } catch (error) {
+    console.error('Failed to send recovery code email:', error);
+  }
+
+  return {
+    status: 'success',
+    message: 'Your password has been reset. You can now log in with your new password.',
+    data: { remaining },
+    deviceToken,
+  };
+};
+
+export default {
+  getRecoveryCodeStatus,
+  generateRecoveryCodes,
+  recoverAccount,
+};
@@ -0,0 +1,404 @@
+/**
+ * Session Service
+ *
+ * Manages server-side refresh token sessions.
+ *
+ * WHY STATEFUL REFRESH TOKENS?
+ * A stateless refresh token is valid until it expires, no matter what.
+ * If it leaks, the attacker has access for 30 days and we can't tell.
+ *
+ * ROTATION + REUSE DETECTION:
+ * 1. Login creates a Session and returns refresh token RT1 (hash stored)
+ * 2. Refreshing with RT1 returns RT2 and replaces the stored hash
+ * 3. RT1 is now "rotated" - presenting it again means two parties hold
+ *    tokens from the same family (legit user + attacker)
+ * 4. We can't know which one is the attacker, so the whole session is revoked
+ *
+ * "REMEMBER ME":
+ * - Off: browser session, ends after config.session.lifetime (12h) or
+ *   config.session.idleTimeoutMinutes (15) without a refresh
+ * - On: ends after config.jwt.refreshExpiresIn (30d) or
+ *   config.session.rememberMeIdleTimeoutMinutes (7 days) without a refresh
+ */
+
+import Session from '../models/Session.js';
+import {
+  generateAccessToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  getTokenExpiration,
+} from './jwtService.js';
+import { unauthorized, notFound } from '../utils/AppError.js';
+import config from '../config/env.js';
+
+/**
+ * Generate an access token for a session
+ *
+ * With an idle timeout, access tokens live at most half of it: an active
+ * client then refreshes (and resets the idle timer) before it runs out.
+ * Refreshed tokens keep the session's auth_time: refreshing doesn't
+ * count as entering the credentials again.
+ */
+const generateSessionAccessToken = (user, session) =>
+  generateAccessToken(user, session._id.toString(), {
+    maxLifetimeSeconds: session.idleTimeoutMinutes
+      ? (session.idleTimeoutMinutes * 60) / 2
+      : undefined,
+    authTime: session.authTime || session.createdAt,
+  });
+
+/**
+ * Create Session
+ *
+ * Flow:
+ * 1. Create session document (in memory, to get its _id)
+ * 2. Sign refresh token bound to the session (lifetime depends on rememberMe)
+ * 3. Store refresh token hash and expiry
+ * 4. Return access + refresh tokens
+ *
+ * @param {Object} user - User document
+ * @param {Object} context - { userAgent, ip } of the request that logged in
+ * @param {Object} options - { rememberMe } long-lived session (default: false)
+ * @returns {Promise<Object>} - { session, accessToken, refreshToken }
+ */
+export const createSession = async (user, context = {}, { rememberMe = false } = {}) => {
+  const userId = user._id.toString();
+  const idleTimeoutMinutes = rememberMe
+    ? config.session.rememberMeIdleTimeoutMinutes
+    : config.session.idleTimeoutMinutes;
+
+  // 1. Create session document
+  const session = new Session({
+    userId,
+    userAgent: context.userAgent,
+    ip: context.ip,
+    rememberMe,
+    idleTimeoutMinutes: idleTimeoutMinutes || null,
+    authTime: new Date(),
+  });
+
+  // 2. Sign refresh token bound to this session
+  const refreshToken = generateRefreshToken(userId, session._id.toString(), {
+    expiresIn: rememberMe ? config.jwt.refreshExpiresIn : config.session.lifetime,
+    tokenVersion: user.tokenVersion,
+  });
+
+  // 3. Store hashed token (its expiry is the session's absolute expiry)
+  session.refreshTokenHash = Session.hashToken(refreshToken);
+  session.expiresAt = getTokenExpiration(refreshToken);
+  await session.save();
+
+  // 4. Return tokens
+  return {
+    session,
+    accessToken: generateSessionAccessToken(user, session),
+    refreshToken,
+  };
+};
+
+/**
+ * Find Session for Refresh Token
+ *
+ * Verifies the refresh token and loads its session.
+ * Revokes the session if the token was already rotated (reuse).
+ *
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @returns {Promise<Object>} - { session, decoded } active session and token claims
+ * @throws {AppError} - 401 if token/session is invalid or reused
+ */
+export const findSessionForRefreshToken = async (refreshToken) => {
+  if (!refreshToken) {
+    throw unauthorized('Refresh token is required');
+  }
+
+  // 1. Verify signature and expiry
+  const decoded = verifyRefreshToken(refreshToken);
+
+  // Tokens issued before sessions existed have no sid
+  if (!decoded.sid) {
+    throw unauthorized('Invalid refresh token. Please log in again.');
+  }
+
+  // 2. Load session
+  const session = await Session.findById(decoded.sid).select('+refreshTokenHash');
+
+  if (session && !session.revokedAt && session.isIdle()) {
+    await session.revoke('idle-timeout');
+    throw unauthorized('Your session expired due to inactivity. Please log in again.');
+  }
+
+  if (!session || !session.isActive()) {
+    throw unauthorized('Your session has ended. Please log in again.');
+  }
+
+  // 3. Reuse detection: token is valid but no longer the current one
+  if (session.refreshTokenHash !== Session.hashToken(refreshToken)) {
+    await session.revoke('reuse-detected');
+    console.warn(
+      `⚠️  Refresh token reuse detected for session ${session._id} (user ${session.userId}). Session revoked.`
+    );
+    throw unauthorized('Your session has ended. Please log in again.');
+  }
+
+  return { session, decoded };
+};
+
+/**
+ * Rotate Session
+ *
+ * Issues a new refresh token for the session and invalidates the old one.
+ * The update is conditional on the old hash, so two concurrent refreshes
+ * with the same token can't both succeed.
+ * The new token expires with the session (absolute timeout), and the
+ * refresh resets the idle timer.
+ *
+ * @param {Session} session - Session from findSessionForRefreshToken
+ * @param {string} refreshToken - Refresh token being rotated out
+ * @param {Object} user - User document (for the new access token's claims)
+ * @param {Object} context - { ip } of the refresh request
+ * @returns {Promise<Object>} - { accessToken, refreshToken, rememberMe }
+ */
+export const rotateSession = async (session, refreshToken, user, context = {}) => {
+  const userId = session.userId.toString();
+  const sessionId = session._id.toString();
+  const newRefreshToken = generateRefreshToken(userId, sessionId, {
+    expiresAt: session.expiresAt,
+    tokenVersion: user.tokenVersion,
+  });
+
+  const rotated = await Session.findOneAndUpdate(
+    {
+      _id: session._id,
+      refreshTokenHash: Session.hashToken(refreshToken),
+      revokedAt: null,
+    },
+    {
+      $set: {
+        refreshTokenHash: Session.hashToken(newRefreshToken),
+        lastUsedAt: new Date(),
+        ...(context.ip && { ip: context.ip }),
+      },
+    }
+  );
+
+  // Lost the race against another refresh with the same token
+  if (!rotated) {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'reuse-detected' } }
+    );
+    throw unauthorized('Your session has ended. Please log in again.');
+  }
+
+  return {
+    accessToken: generateSessionAccessToken(user, session),
+    refreshToken: newRefreshToken,
+    rememberMe: session.rememberMe,
+  };
+};
+
+/**
+ * Re-authenticate Session
+ *
+ * The user entered their credentials again (see authService.reauthenticate):
+ * moves the session's auth time to now and issues an access token with
+ * the new auth_time. The refresh token stays the same.
+ *
+ * @param {Object} user - User document (for the access token's claims)
+ * @param {string} sessionId - Session of the current access token
+ * @returns {Promise<Object>} - { accessToken, rememberMe }
+ * @throws {AppError} - 401 if the session has ended
+ */
+export const reauthenticateSession = async (user, sessionId) => {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, userId: user._id, revokedAt: null },
+    { $set: { authTime: new Date() } },
+    { new: true }
+  );
+
+  if (!session || !session.isActive()) {
+    throw unauthorized('Your session has ended. Please log in again.');
+  }
+
+  return {
+    accessToken: generateSessionAccessToken(user, session),
+    rememberMe: session.rememberMe,
+  };
+};
+
+/**
+ * Check if a session is still active
+ *
+ * Used by the authenticate middleware so that revoking a session also
+ * stops the access tokens issued for it.
+ *
+ * @param {string} sessionId - Session ID from the access token
+ * @returns {Promise<boolean>}
+ */
+export const isSessionActive = async (sessionId) => {
+  const session = await Session.findById(sessionId);
+  return !!session && session.isActive();
+};
+
+/**
+ * Describe a device from its user agent
+ *
+ * Good enough for "Chrome on Windows" in a session list.
+ * Not meant for anything security related.
+ *
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} - Human readable device description
+ */
+export const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    return userAgent.slice(0, 50);
+  }
+
+  return [browser?.[0], system?.[0]].filter(Boolean).join(' on ');
+};
+
+/**
+ * List active sessions of a user
+ *
+ * @param {string} userId - User's MongoDB _id
+ * @param {string} currentSessionId - Session of the request (marked as current)
+ * @returns {Promise<Object>} - Session list
+ */
+export const listSessions = async (userId, currentSessionId) => {
+  const sessions = await Session.findActiveByUser(userId);
+
+  return {
+    status: 'success',
+    results: sessions.length,
+    data: {
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        device: describeDevice(session.userAgent),
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        rememberMe: session.rememberMe,
+        current: !!currentSessionId && session._id.equals(currentSessionId),
+      })),
+    },
+  };
+};
+
+/**
+ * Revoke one session of a user
+ *
+ * @param {string} userId - User's MongoDB _id
+ * @param {string} sessionId - Session to revoke
+ * @param {string} reason - Stored on the session (the user, or an admin)
+ * @returns {Promise<Object>} - Success message
+ */
+export const revokeSession = async (userId, sessionId, reason = 'revoked-by-user') => {
+  // Scope by userId so users can't revoke each other's sessions
+  const session = await Session.findOne({ _id: sessionId, userId });
+
+  if (!session || !session.isActive()) {
+    throw notFound('Session not found');
+  }
+
+  await session.revoke(reason);
+
+  return {
+    status: 'success',
+    message: 'Session revoked successfully',
+  };
+};
+
+/**
+ * Sign out all other devices
+ *
+ * @param {string} userId - User's MongoDB _id
+ * @param {string} currentSessionId - Session of the request (kept active)
+ * @returns {Promise<Object>} - Success message with revoked count
+ */
+export const revokeOtherSessions = async (userId, currentSessionId) => {
+  const revoked = await Session.revokeUserSessions(
+    userId,
+    'revoked-by-user',
+    currentSessionId
+  );
+
+  return {
+    status: 'success',
+    message: `Signed out of ${revoked} other session${revoked === 1 ? '' : 's'}`,
+    data: {
+      revoked,
+    },
+  };
+};
+
+/**
+ * Restart Session
+ *
+ * Revokes every session of the user and starts a new one for the current
+ * device, with the same "remember me" choice (e.g. after a password change).
+ *
+ * @param {Object} user - User document
+ * @param {string} currentSessionId - Session of the request
+ * @param {string} reason - Why the sessions are revoked
+ * @param {Object} context - { userAgent, ip } of the request
+ * @returns {Promise<Object>} - { session, accessToken, refreshToken }
+ */
+export const restartSession = async (user, currentSessionId, reason, context = {}) => {
+  const current = currentSessionId ? await Session.findById(currentSessionId) : null;
+
+  await Session.revokeUserSessions(user._id, reason);
+
+  return createSession(user, context, { rememberMe: !!current?.rememberMe });
+};
+
+/**
+ * Revoke all sessions of a user
+ *
+ * Used after password changes/resets.
+ *
+ * @param {string} userId - User's MongoDB _id
+ * @param {string} reason - Why the sessions are revoked
+ * @param {string} exceptSessionId - Optional: session to keep
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+export const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+  return Session.revokeUserSessions(userId, reason, exceptSessionId);
+};
+
+export default {
+  createSession,
+  findSessionForRefreshToken,
+  rotateSession,
+  reauthenticateSession,
+  isSessionActive,
+  describeDevice,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  restartSession,
+  revokeUserSessions,
+};
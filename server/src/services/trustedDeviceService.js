@@ -0,0 +1,350 @@
+/**
+ * Trusted Device Service
+ *
+ * New-device confirmation: a correct password from a browser the user
+ * hasn't confirmed before isn't enough. The login is held until the user
+ * enters a code sent to their email, which blocks credential stuffing
+ * (passwords leaked elsewhere) without making everyone set up 2FA.
+ *
+ * LOGIN FROM AN UNKNOWN BROWSER:
+ * 1. POST /api/auth/login (password) → challengeToken, code sent by email
+ * 2. POST /api/auth/login/confirm-device with challengeToken + code →
+ *    tokens, and a trustedDevice cookie for this browser
+ * 3. Next logins from this browser skip the code (for TRUSTED_DEVICE_DAYS)
+ *
+ * A browser is known only when it sends a valid trustedDevice cookie. The
+ * user agent and IP address are easy to copy or share (same office,
+ * same browser version): they never stand in for the cookie.
+ *
+ * Recovering the account with a recovery code also trusts the browser:
+ * the user may have lost the mailbox the code would be sent to.
+ *
+ * Users with two-factor authentication skip all of this: their second
+ * factor already stops a leaked password.
+ *
+ * SECURITY:
+ * - Codes are random, hashed, single-use and expire in 15 minutes
+ * - Wrong codes count as failed logins (account lockout)
+ * - Users can review and forget trusted devices (GET/DELETE /trusted-devices)
+ */
+
+import crypto from 'crypto';
+import TrustedDevice from '../models/TrustedDevice.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import { describeDevice } from './sessionService.js';
+import { findLoginUser, startLoginSession } from './twoFactorService.js';
+import { sendDeviceConfirmationEmail } from './emailService.js';
+import {
+  generateDeviceChallengeToken,
+  verifyDeviceChallengeToken,
+  generateTrustedDeviceToken,
+  verifyTrustedDeviceToken,
+} from './jwtService.js';
+import { unauthorized, notFound } from '../utils/AppError.js';
+import config from '../config/env.js';
+
+const CODE_EXPIRES_IN_MS = 15 * 60 * 1000; // 15 minutes (like the challenge token)
+
+/**
+ * End of the trust period of a device confirmed now
+ *
+ * @returns {Date}
+ */
+const trustedUntil = () =>
+  new Date(Date.now() + config.trustedDevices.trustDays * 24 * 60 * 60 * 1000);
+
+/**
+ * Check if a login comes from a trusted browser
+ *
+ * Updates the device's last use when it does.
+ *
+ * @param {Object} user - User logging in
+ * @param {string} deviceToken - trustedDevice cookie (may be missing)
+ * @returns {Promise<boolean>}
+ */
+export const isTrustedDevice = async (user, deviceToken) => {
+  const decoded = verifyTrustedDeviceToken(deviceToken);
+
+  if (!decoded || decoded.id !== user._id.toString()) {
+    return false;
+  }
+
+  const device = await TrustedDevice.findOne({ _id: decoded.did, userId: user._id });
+
+  if (!device || !device.isTrusted()) {
+    return false;
+  }
+
+  // The IP stays the one it was confirmed from
+  await TrustedDevice.updateOne({ _id: device._id }, { $set: { lastUsedAt: new Date() } });
+
+  return true;
+};
+
+/**
+ * Create Device Challenge
+ *
+ * Used by the password login for an unknown browser, once the password
+ * was checked. Nothing is issued until the emailed code is entered.
+ *
+ * Flow:
+ * 1. Drop earlier pending devices of the user (only the newest code works)
+ * 2. Store a pending device with the hashed code
+ * 3. Email the code
+ * 4. Return a challenge token for the second request
+ *
+ * @param {Object} user - User logging in
+ * @param {Object} options - { rememberMe, restore } (see createLoginChallenge)
+ * @param {Object} context - { userAgent, ip } of the login
+ * @returns {Promise<Object>} - Response for the client (no tokens)
+ */
+export const createDeviceChallenge = async (
+  user,
+  { rememberMe = false, restore = false } = {},
+  context = {}
+) => {
+  // 1. One pending device at a time
+  await TrustedDevice.deleteMany({ userId: user._id, confirmedAt: null });
+
+  // 2. Pending device
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const device = new TrustedDevice({
+    userId: user._id,
+    userAgent: context.userAgent,
+    ip: context.ip,
+    expiresAt: new Date(Date.now() + CODE_EXPIRES_IN_MS),
+  });
+  device.codeHash = TrustedDevice.hashCode(device._id, code);
+  await device.save();
+
+  // 3. Email the code
+  await sendDeviceConfirmationEmail(user, code, {
+    device: describeDevice(context.userAgent),
+    ip: context.ip,
+  });
+
+  // 4. Challenge
+  return {
+    status: 'success',
+    message: "We don't recognize this browser. Enter the code we sent to your email.",
+    data: {
+      deviceConfirmationRequired: true,
+      challengeToken: generateDeviceChallengeToken(user._id, device._id, {
+        rememberMe,
+        restore,
+      }),
+    },
+  };
+};
+
+/**
+ * Confirm Device (second login step)
+ *
+ * Flow:
+ * 1. Verify the challenge token
+ * 2. Find user, check it isn't locked
+ * 3. Check the code (wrong code → failed login attempt)
+ * 4. Trust the device (atomic: a code works once)
+ * 5. Restore a deleted account, reset login attempts, create session
+ *    (JWT access + refresh tokens)
+ *
+ * @param {string} challengeToken - From the login response
+ * @param {string} code - 6-digit code from the email
+ * @param {Object} context - { userAgent, ip } (stored on the session)
+ * @returns {Promise<Object>} - Login response, plus deviceToken for the cookie
+ */
+export const confirmDevice = async (challengeToken, code, context = {}) => {
+  const expired = () => unauthorized('Your login attempt has expired. Please log in again.');
+
+  // 1. Verify challenge
+  const { id, did, rememberMe, restore } = verifyDeviceChallengeToken(challengeToken);
+
+  // 2. Find user
+  const user = await findLoginUser(id, { restore }, '+loginAttempts +lockUntil');
+
+  if (!user) {
+    throw expired();
+  }
+
+  if (user.isLocked()) {
+    throw unauthorized(
+      'Your account has been locked due to too many failed login attempts. Please try again later or reset your password.'
+    );
+  }
+
+  // 3. Check code
+  const device = await TrustedDevice.findOne({
+    _id: did,
+    userId: user._id,
+    confirmedAt: null,
+  }).select('+codeHash');
+
+  if (!device || device.expiresAt <= Date.now()) {
+    throw expired();
+  }
+
+  const codeHash = TrustedDevice.hashCode(device._id, code);
+
+  if (codeHash !== device.codeHash) {
+    await user.incLoginAttempts();
+    throw unauthorized('Invalid confirmation code');
+  }
+
+  // 4. Trust the device
+  const expiresAt = trustedUntil();
+  const confirmed = await TrustedDevice.findOneAndUpdate(
+    { _id: device._id, confirmedAt: null, codeHash },
+    {
+      $set: { confirmedAt: new Date(), lastUsedAt: new Date(), expiresAt },
+      $unset: { codeHash: 1 },
+    }
+  );
+
+  if (!confirmed) {
+    throw expired();
+  }
+
+  await SecurityEvent.record('trusted-device-added', {
+    userId: user._id,
+    ...context,
+    details: { deviceId: device._id },
+  });
+
+  // 5. Create session
+  const result = await startLoginSession(user, { rememberMe, restore }, context);
+
+  return {
+    ...result,
+    deviceToken: generateTrustedDeviceToken(user._id, device._id, expiresAt),
+  };
+};
+
+/**
+ * Trust the Current Browser
+ *
+ * For steps that already proved more than the emailed code would
+ * (account recovery with a recovery code): the next password login from
+ * this browser doesn't ask for a code the user may not be able to read.
+ *
+ * @param {Object} user - User document
+ * @param {Object} context - { userAgent, ip } of the request
+ * @param {string} reason - Why it was trusted (audit)
+ * @returns {Promise<string>} - deviceToken for the trustedDevice cookie
+ */
+export const trustCurrentDevice = async (user, context = {}, reason) => {
+  const now = new Date();
+  const device = await TrustedDevice.create({
+    userId: user._id,
+    userAgent: context.userAgent,
+    ip: context.ip,
+    confirmedAt: now,
+    lastUsedAt: now,
+    expiresAt: trustedUntil(),
+  });
+
+  await SecurityEvent.record('trusted-device-added', {
+    userId: user._id,
+    ...context,
+    details: { deviceId: device._id, reason },
+  });
+
+  return generateTrustedDeviceToken(user._id, device._id, device.expiresAt);
+};
+
+/**
+ * List Trusted Devices
+ *
+ * @param {string} userId - User's MongoDB _id
+ * @param {string} deviceToken - trustedDevice cookie of the request (marked as current)
+ * @returns {Promise<Object>} - Device list
+ */
+export const listTrustedDevices = async (userId, deviceToken) => {
+  const devices = await TrustedDevice.findTrustedByUser(userId);
+  const current = verifyTrustedDeviceToken(deviceToken);
+
+  return {
+    status: 'success',
+    results: devices.length,
+    data: {
+      devices: devices.map((device) => ({
+        id: device._id,
+        device: describeDevice(device.userAgent),
+        userAgent: device.userAgent,
+        ip: device.ip,
+        confirmedAt: device.confirmedAt,
+        lastUsedAt: device.lastUsedAt,
+        expiresAt: device.expiresAt,
+        current: !!current && device._id.equals(current.did),
+      })),
+    },
+  };
+};
+
+/**
+ * Forget a Trusted Device
+ *
+ * The next password login from it needs an emailed code again.
+ *
+ * @param {string} userId - User's MongoDB _id
+ * @param {string} deviceId - Device to forget
+ * @param {Object} context - { userAgent, ip } (audit)
+ * @returns {Promise<Object>} - Success message
+ */
+export const forgetTrustedDevice = async (userId, deviceId, context = {}) => {
+  // Scope by userId so users can't remove each other's devices
+  const { deletedCount } = await TrustedDevice.deleteOne({
+    _id: deviceId,
+    userId,
+    confirmedAt: { $ne: null },
+  });
+
+  if (!deletedCount) {
+    throw notFound('Trusted device not found');
+  }
+
+  await SecurityEvent.record('trusted-device-removed', {
+    userId,
+    ...context,
+    details: { deviceId },
+  });
+
+  return {
+    status: 'success',
+    message: 'Device forgotten. Logging in from it will require a code again.',
+  };
+};
+
+/**
+ * Forget All Trusted Devices
+ *
+ * @param {string} userId - User's MongoDB _id
+ * @param {Object} context - { userAgent, ip } (audit)
+ * @returns {Promise<Object>} - Success message with the number of devices
+ */
+export const forgetAllTrustedDevices = async (userId, context = {}) => {
+  const { deletedCount } = await TrustedDevice.deleteMany({ userId });
+
+  await SecurityEvent.record('trusted-device-removed', {
+    userId,
+    ...context,
+    details: { all: true, count: deletedCount },
+  });
+
+  return {
+    status: 'success',
+    message: 'All devices forgotten. Every browser will need a code again.',
+    data: {
+      forgotten: deletedCount,
+    },
+  };
+};
+
+export default {
+  isTrustedDevice,
+  createDeviceChallenge,
+  confirmDevice,
+  trustCurrentDevice,
+  listTrustedDevices,
+  forgetTrustedDevice,
+  forgetAllTrustedDevices,
+};
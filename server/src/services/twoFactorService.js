@@ -0,0 +1,413 @@
+/**
+ * Two-Factor Authentication Service
+ *
+ * TOTP (RFC 6238) with authenticator apps (Google Authenticator, 1Password...).
+ *
+ * HOW TOTP WORKS:
+ * We and the app share a random secret. Every 30 seconds both compute a
+ * 6-digit code from the secret and the current time. A matching code
+ * proves the user has the device with the secret.
+ *
+ * ENROLLMENT:
+ * 1. POST /api/auth/2fa/setup → new secret (otpauth URI + QR code),
+ *    stored as pending
+ * 2. User scans the QR code
+ * 3. POST /api/auth/2fa/enable with the first code → 2FA is on
+ *    (confirming proves the app was set up correctly - no lockout)
+ *
+ * LOGIN:
+ * 1. POST /api/auth/login (password) → challengeToken instead of tokens
+ * 2. POST /api/auth/login/2fa with challengeToken + code → tokens
+ *    (or a passkey, see passkeyService.completePasskeySecondFactor)
+ *
+ * Users with a passkey get the challenge too, even without an
+ * authenticator app: the passkey is their second factor.
+ *
+ * SECURITY:
+ * - Secrets are encrypted at rest (AES-256-GCM, utils/encryption.js)
+ * - A code is accepted once (replay protection via the last used time step)
+ * - Wrong codes count as failed logins (account lockout)
+ */
+
+import { authenticator as defaultAuthenticator } from 'otplib';
+import QRCode from 'qrcode';
+import User from '../models/User.js';
+import SecurityEvent from '../models/SecurityEvent.js';
+import Passkey from '../models/Passkey.js';
+import { createSession } from './sessionService.js';
+import { restoreAccount } from './accountDeletionService.js';
+import {
+  generateLoginChallengeToken,
+  verifyLoginChallengeToken,
+} from './jwtService.js';
+import { encrypt, decrypt } from '../utils/encryption.js';
+import { badRequest, unauthorized, notFound } from '../utils/AppError.js';
+import config from '../config/env.js';
+
+// Accept the previous and next code too (clock drift between server and phone)
+const authenticator = defaultAuthenticator.clone({ window: 1 });
+
+// 160-bit secrets, as recommended by RFC 4226
+const SECRET_BYTES = 20;
+
+/**
+ * Check a TOTP code against an encrypted secret
+ *
+ * @param {string} code - 6-digit code from the app
+ * @param {string} encryptedSecret - Stored secret
+ * @param {number} lastUsedStep - Time step of the last accepted code (replay protection)
+ * @returns {number|null} - Time step of the code if valid, otherwise null
+ */
+const checkCode = (code, encryptedSecret, lastUsedStep) => {
+  const delta = authenticator.checkDelta(code, decrypt(encryptedSecret));
+
+  if (delta === null) {
+    return null;
+  }
+
+  const step = Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+
+  // Same code (or an older one) again: replay
+  if (lastUsedStep !== undefined && step <= lastUsedStep) {
+    return null;
+  }
+
+  return step;
+};
+
+/**
+ * Start Enrollment
+ *
+ * Generates a new secret. Calling it again replaces a pending secret
+ * (e.g. the user lost the QR code before confirming).
+ *
+ * @param {string} userId - User enabling 2FA
+ * @returns {Promise<Object>} - { otpauthUri, qrCode (data URL), secret (manual entry) }
+ */
+export const setupTwoFactor = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw notFound('User not found');
+  }
+
+  if (user.twoFactor?.enabled) {
+    throw badRequest('Two-factor authentication is already enabled.');
+  }
+
+  const secret = authenticator.generateSecret(SECRET_BYTES);
+  const otpauthUri = authenticator.keyuri(user.email, config.twoFactor.issuer, secret);
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'twoFactor.pendingSecret': encrypt(secret) } }
+  );
+
+  return {
+    status: 'success',
+    message: 'Scan the QR code with your authenticator app, then enter the code it shows.',
+    data: {
+      otpauthUri,
+      qrCode: await QRCode.toDataURL(otpauthUri),
+      secret,
+    },
+  };
+};
+
+/**
+ * Confirm Enrollment
+ *
+ * @param {string} userId - User enabling 2FA
+ * @param {string} code - First code from the app
+ * @param {Object} context - { userAgent, ip } (audit)
+ * @returns {Promise<Object>} - Success message
+ */
+export const enableTwoFactor = async (userId, code, context = {}) => {
+  const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+
+  if (!user) {
+    throw notFound('User not found');
+  }
+
+  if (user.twoFactor?.enabled) {
+    throw badRequest('Two-factor authentication is already enabled.');
+  }
+
+  if (!user.twoFactor?.pendingSecret) {
+    throw badRequest('Start the two-factor setup first.');
+  }
+
+  const step = checkCode(code, user.twoFactor.pendingSecret);
+
+  if (step === null) {
+    throw badRequest('Invalid code. Check the time on your device and try again.');
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': user.twoFactor.pendingSecret,
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.enabledAt': new Date(),
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 },
+    }
+  );
+
+  await SecurityEvent.record('two-factor-enabled', { userId: user._id, ...context });
+
+  return {
+    status: 'success',
+    message: 'Two-factor authentication is now enabled.',
+  };
+};
+
+/**
+ * Disable 2FA
+ *
+ * Requires the password AND a current code: a stolen session alone
+ * can't remove the second factor.
+ *
+ * @param {string} userId - User disabling 2FA
+ * @param {Object} data - { password, code }
+ * @param {Object} context - { userAgent, ip } (audit)
+ * @returns {Promise<Object>} - Success message
+ */
+export const disableTwoFactor = async (userId, { password, code }, context = {}) => {
+  const user = await User.findById(userId).select(
+    '+password +twoFactor.secret +twoFactor.lastUsedStep'
+  );
+
+  if (!user) {
+    throw notFound('User not found');
+  }
+
+  if (!user.twoFactor?.enabled) {
+    throw badRequest('Two-factor authentication is not enabled.');
+  }
+
+  if (!(await user.comparePassword(password))) {
+    throw unauthorized('Incorrect password');
+  }
+
+  if (checkCode(code, user.twoFactor.secret, user.twoFactor.lastUsedStep) === null) {
+    throw unauthorized('Invalid two-factor code');
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.enabledAt': 1,
+      },
+    }
+  );
+
+  await SecurityEvent.record('two-factor-disabled', { userId: user._id, ...context });
+
+  return {
+    status: 'success',
+    message: 'Two-factor authentication has been disabled.',
+  };
+};
+
+/**
+ * Second Factors of a User
+ *
+ * @param {Object} user - User document
+ * @returns {Promise<string[]>} - 'totp' and/or 'passkey' (empty: password is enough)
+ */
+export const getSecondFactorMethods = async (user) => {
+  const methods = [];
+
+  if (user.twoFactor?.enabled) {
+    methods.push('totp');
+  }
+
+  if (await Passkey.exists({ userId: user._id })) {
+    methods.push('passkey');
+  }
+
+  return methods;
+};
+
+/**
+ * Create Login Challenge
+ *
+ * Used by login flows (password, Google) once the first factor succeeded
+ * for a user with a second factor. Nothing is issued until it is checked.
+ *
+ * @param {Object} user - User document
+ * @param {Object} options - { rememberMe, methods, restore } (methods: see
+ *   getSecondFactorMethods; restore: deleted account, restored once the
+ *   second factor is checked)
+ * @returns {Object} - Response for the client (no tokens)
+ */
+export const createLoginChallenge = (
+  user,
+  { rememberMe = false, methods = ['totp'], restore = false } = {}
+) => ({
+  status: 'success',
+  message: methods.includes('totp')
+    ? 'Enter the code from your authenticator app.'
+    : 'Confirm the login with your passkey.',
+  data: {
+    twoFactorRequired: true,
+    methods,
+    challengeToken: generateLoginChallengeToken(user._id, { rememberMe, restore }),
+  },
+});
+
+/**
+ * Find the User of a Pending Login
+ *
+ * For the second step of a login (2FA code, passkey, device code).
+ * A deleted account is only found when the first step was going to
+ * restore it (restore flag of the challenge) and still can be.
+ *
+ * @param {string} userId - From the challenge token
+ * @param {Object} options - { restore } flag of the challenge token
+ * @param {string} fields - Extra fields to select (e.g. '+loginAttempts')
+ * @returns {Promise<User|null>}
+ */
+export const findLoginUser = async (userId, { restore = false } = {}, fields = '') => {
+  const user = await User.findByIdIncludingDeleted(userId).select(fields);
+
+  if (!user || (user.isActive === false && !(restore && user.canBeRestored()))) {
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * Start the Session of a Completed Login
+ *
+ * Last step of every login (password, 2FA code, passkey, device code):
+ * restores a deleted account, resets the failed attempts and issues
+ * the tokens.
+ *
+ * @param {Object} user - User document
+ * @param {Object} options - { rememberMe, restore } (restore: deleted
+ *   account in its grace period, see accountDeletionService)
+ * @param {Object} context - { userAgent, ip } (stored on the session)
+ * @returns {Promise<Object>} - { accessToken, refreshToken, rememberMe, restored?, user }
+ */
+export const startLoginSession = async (
+  user,
+  { rememberMe = false, restore = false } = {},
+  context = {}
+) => {
+  // Only now: the account comes back once the whole login succeeded
+  const restored = restore && user.isActive === false;
+  if (restored) {
+    await restoreAccount(user, context);
+  }
+
+  await user.resetLoginAttempts();
+
+  const { accessToken, refreshToken } = await createSession(user, context, { rememberMe });
+
+  return {
+    status: 'success',
+    message: restored ? 'Welcome back! Your account has been restored.' : 'Login successful',
+    data: {
+      accessToken,
+      refreshToken,
+      rememberMe,
+      ...(restored && { restored }),
+      user: {
+        id: user._id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        isEmailVerified: user.isEmailVerified,
+      },
+    },
+  };
+};
+
+/**
+ * Complete Login (second step)
+ *
+ * Flow:
+ * 1. Verify the challenge token (first step succeeded < 5 minutes ago)
+ * 2. Find user, check it isn't locked
+ * 3. Check the code (wrong code → failed login attempt)
+ * 4. Claim the code's time step (no replay, even by a concurrent request)
+ * 5. Restore a deleted account, reset login attempts, create session
+ *    (JWT access + refresh tokens)
+ *
+ * @param {string} challengeToken - From the first login step
+ * @param {string} code - 6-digit code from the app
+ * @param {Object} context - { userAgent, ip } (stored on the session)
+ * @returns {Promise<Object>} - { accessToken, refreshToken, rememberMe, user }
+ */
+export const completeTwoFactorLogin = async (challengeToken, code, context = {}) => {
+  // 1. Verify challenge
+  const { id, rememberMe, restore } = verifyLoginChallengeToken(challengeToken);
+
+  // 2. Find user
+  const user = await findLoginUser(
+    id,
+    { restore },
+    '+twoFactor.secret +twoFactor.lastUsedStep +loginAttempts +lockUntil'
+  );
+
+  if (!user || !user.twoFactor?.enabled) {
+    throw unauthorized('Your login attempt has expired. Please log in again.');
+  }
+
+  if (user.isLocked()) {
+    throw unauthorized(
+      'Your account has been locked due to too many failed login attempts. Please try again later or reset your password.'
+    );
+  }
+
+  // 3. Check code
+  const step = checkCode(code, user.twoFactor.secret, user.twoFactor.lastUsedStep);
+
+  if (step === null) {
+    await user.incLoginAttempts();
+    throw unauthorized('Invalid two-factor code');
+  }
+
+  // 4. No replay: only one login can move lastUsedStep to this step
+  //    (two requests with the same code both pass the check above).
+  //    { lastUsedStep: null } also matches users who never used a code.
+  const { modifiedCount } = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $lt: step } },
+        { 'twoFactor.lastUsedStep': null },
+      ],
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+
+  if (modifiedCount === 0) {
+    await user.incLoginAttempts();
+    throw unauthorized('Invalid two-factor code');
+  }
+
+  // 5. Create session
+  return startLoginSession(user, { rememberMe, restore }, context);
+};
+
+export default {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  getSecondFactorMethods,
+  createLoginChallenge,
+  findLoginUser,
+  startLoginSession,
+  completeTwoFactorLogin,
+};
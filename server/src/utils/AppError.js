@@ -72,4 +72,20 @@ export const tooManyRequests = (message = 'Too many requests') =>
 export const serverError = (message = 'Internal server error') => 
   new AppError(message, 500);
 
+/**
+ * OAuth 2.0 error (RFC 6749, section 5.2)
+ * 
+ * OAuth clients expect { error, error_description } - the error handler
+ * adds both next to our usual { status, message }.
+ * 
+ * @param {string} code - e.g. 'invalid_scope', 'unsupported_grant_type'
+ * @param {string} description - Human-readable message
+ * @param {number} statusCode - HTTP status code (400, or 401 for invalid_client)
+ */
+export const oauthError = (code, description, statusCode = 400) => {
+  const error = new AppError(description, statusCode);
+  error.oauthError = code;
+  return error;
+};
+
 export default AppError;
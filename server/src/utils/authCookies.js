@@ -0,0 +1,160 @@
+/**
+ * Auth Cookie Helpers
+ * 
+ * Used in cookie mode (AUTH_COOKIE_MODE=true), where tokens live in
+ * httpOnly cookies instead of localStorage.
+ * 
+ * WHY httpOnly COOKIES?
+ * - JavaScript can't read them, so an XSS bug can't steal the tokens
+ * - The browser sends them automatically... which is why we also need
+ *   CSRF protection (see middleware/csrfMiddleware.js)
+ * 
+ * COOKIES:
+ * - accessToken  (httpOnly)  - sent to the whole API
+ * - refreshToken (httpOnly)  - only sent to /api/auth (refresh, logout)
+ * - csrfToken    (readable)  - double-submit token, echoed in X-CSRF-Token
+ * 
+ * The trustedDevice cookie (httpOnly, only sent to /api/auth) is set in
+ * both modes: it marks a browser confirmed by email (see trustedDeviceService).
+ */
+
+import crypto from 'crypto';
+import config from '../config/env.js';
+import { getTokenExpiration } from '../services/jwtService.js';
+
+export const ACCESS_TOKEN_COOKIE = 'accessToken';
+export const REFRESH_TOKEN_COOKIE = 'refreshToken';
+export const CSRF_COOKIE = 'csrfToken';
+export const CSRF_HEADER = 'x-csrf-token';
+export const TRUSTED_DEVICE_COOKIE = 'trustedDevice';
+
+// The refresh token (and the trusted device) is only needed by the auth routes
+const REFRESH_TOKEN_PATH = '/api/auth';
+
+/**
+ * Base cookie options
+ */
+const baseOptions = () => ({
+  secure: config.isProduction(), // Only over HTTPS in production
+  sameSite: config.cookies.sameSite,
+  domain: config.cookies.domain,
+});
+
+const cookieOptions = (expires) => ({ ...baseOptions(), expires });
+
+/**
+ * Set auth cookies (access, refresh and CSRF token)
+ * 
+ * Cookies expire together with the tokens they hold. Without "remember me"
+ * they are session cookies, deleted when the browser is closed.
+ * 
+ * @param {Object} res - Express response
+ * @param {Object} tokens - { accessToken, refreshToken?, rememberMe? }
+ */
+export const setAuthCookies = (res, { accessToken, refreshToken, rememberMe = true }) => {
+  // Session cookie: no expiry date
+  const expiresWith = (token) => (rememberMe ? getTokenExpiration(token) : undefined);
+
+  res.cookie(ACCESS_TOKEN_COOKIE, accessToken, {
+    ...cookieOptions(expiresWith(accessToken)),
+    httpOnly: true,
+    path: '/',
+  });
+
+  if (refreshToken) {
+    const refreshExpires = expiresWith(refreshToken);
+
+    res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, {
+      ...cookieOptions(refreshExpires),
+      httpOnly: true,
+      path: REFRESH_TOKEN_PATH,
+    });
+
+    // Readable by the client, which sends it back in the X-CSRF-Token header
+    res.cookie(CSRF_COOKIE, crypto.randomBytes(32).toString('hex'), {
+      ...cookieOptions(refreshExpires),
+      httpOnly: false,
+      path: '/',
+    });
+  }
+};
+
+/**
+ * Clear auth cookies (logout)
+ * 
+ * Options must match the ones used to set the cookies.
+ * 
+ * @param {Object} res - Express response
+ */
+export const clearAuthCookies = (res) => {
+  // No expires here: clearCookie sets an expiry date in the past
+  const options = baseOptions();
+
+  res.clearCookie(ACCESS_TOKEN_COOKIE, { ...options, httpOnly: true, path: '/' });
+  res.clearCookie(REFRESH_TOKEN_COOKIE, {
+    ...options,
+    httpOnly: true,
+    path: REFRESH_TOKEN_PATH,
+  });
+  res.clearCookie(CSRF_COOKIE, { ...options, path: '/' });
+};
+
+/**
+ * Set the trusted device cookie (browser confirmed by email)
+ * 
+ * Expires with the trust period, whatever "remember me" was.
+ * 
+ * @param {Object} res - Express response
+ * @param {string} deviceToken - Signed trusted device token
+ */
+export const setTrustedDeviceCookie = (res, deviceToken) => {
+  res.cookie(TRUSTED_DEVICE_COOKIE, deviceToken, {
+    ...cookieOptions(getTokenExpiration(deviceToken)),
+    httpOnly: true,
+    path: REFRESH_TOKEN_PATH,
+  });
+};
+
+/**
+ * Clear the trusted device cookie (device forgotten)
+ * 
+ * @param {Object} res - Express response
+ */
+export const clearTrustedDeviceCookie = (res) => {
+  res.clearCookie(TRUSTED_DEVICE_COOKIE, {
+    ...baseOptions(),
+    httpOnly: true,
+    path: REFRESH_TOKEN_PATH,
+  });
+};
+
+/**
+ * Send a response that contains tokens
+ * 
+ * - Header mode: tokens stay in the JSON body (client stores them)
+ * - Cookie mode: tokens move into httpOnly cookies and are removed
+ *   from the body, so client-side JavaScript never sees them
+ * 
+ * @param {Object} res - Express response
+ * @param {Object} result - Service result ({ status, message, data: { accessToken, refreshToken, ... } })
+ * @param {number} statusCode - HTTP status code
+ */
+export const sendTokenResponse = (res, result, statusCode = 200) => {
+  if (config.cookies.enabled && result.data?.accessToken) {
+    const { accessToken, refreshToken, ...data } = result.data;
+
+    setAuthCookies(res, { accessToken, refreshToken, rememberMe: data.rememberMe });
+
+    return res.status(statusCode).json({ ...result, data });
+  }
+
+  return res.status(statusCode).json(result);
+};
+
+export default {
+  setAuthCookies,
+  clearAuthCookies,
+  setTrustedDeviceCookie,
+  clearTrustedDeviceCookie,
+  sendTokenResponse,
+};
@@ -0,0 +1,98 @@
+/**
+ * Encryption Helper
+ *
+ * Encrypts small secrets before they're stored in the database (2FA
+ * secrets...), so a database leak alone doesn't reveal them.
+ *
+ * Unlike passwords, these secrets must be READ back (to check TOTP codes),
+ * so they are encrypted (reversible), not hashed.
+ *
+ * ALGORITHM: AES-256-GCM
+ * - Authenticated: tampered ciphertexts fail to decrypt
+ * - Random 96-bit IV per value: the same secret encrypts differently each time
+ *
+ * Stored format: "v1:<iv>:<auth tag>:<ciphertext>" (base64url parts).
+ * The version prefix leaves room for key rotation later.
+ *
+ * Key: ENCRYPTION_KEY (32 bytes, hex or base64).
+ */
+
+import crypto from 'crypto';
+import config from '../config/env.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+const IV_LENGTH = 12;
+
+/**
+ * Load the key from the configuration
+ *
+ * Checked on use rather than on startup: only features that store
+ * encrypted secrets need it.
+ *
+ * @returns {Buffer} - 32-byte key
+ * @throws {Error} - If ENCRYPTION_KEY is missing or not 32 bytes
+ */
+const getKey = () => {
+  const { encryptionKey } = config.security;
+
+  if (!encryptionKey) {
+    throw new Error('ENCRYPTION_KEY is not configured');
+  }
+
+  const key = /^[0-9a-f]{64}$/i.test(encryptionKey)
+    ? Buffer.from(encryptionKey, 'hex')
+    : Buffer.from(encryptionKey, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error('ENCRYPTION_KEY must be 32 bytes (64 hex or 44 base64 characters)');
+  }
+
+  return key;
+};
+
+/**
+ * Encrypt a string
+ *
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} - Encrypted value (safe to store)
+ */
+export const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [VERSION, iv, authTag, ciphertext]
+    .map((part) => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+    .join(':');
+};
+
+/**
+ * Decrypt a value produced by encrypt()
+ *
+ * @param {string} payload - Encrypted value
+ * @returns {string} - Plaintext
+ * @throws {Error} - If the value is malformed, tampered with or the key is wrong
+ */
+export const decrypt = (payload) => {
+  const [version, iv, authTag, ciphertext] = payload.split(':');
+
+  if (version !== VERSION || !iv || !authTag || ciphertext === undefined) {
+    throw new Error('Invalid encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64url'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final(),
+  ]).toString('utf8');
+};
+
+export default {
+  encrypt,
+  decrypt,
+};
@@ -0,0 +1,20 @@
+/**
+ * Request Context Helper
+ * 
+ * Extracts client information from a request so services can record
+ * where a session was created or used, without depending on Express.
+ * 
+ * NOTE: req.ip is only the real client IP if 'trust proxy' is configured
+ * when running behind a load balancer / reverse proxy.
+ */
+
+/**
+ * @param {Object} req - Express request
+ * @returns {Object} - { userAgent, ip }
+ */
+const getRequestContext = (req) => ({
+  userAgent: req.get('user-agent') || null,
+  ip: req.ip || null,
+});
+
+export default getRequestContext;
@@ -22,8 +22,9 @@
  * - Clear error messages
  */
 
-import { body, param, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import AppError from './AppError.js';
+import { API_KEY_SCOPES } from '../models/ApiKey.js';
 
 /**
  * Middleware to handle validation errors
@@ -122,6 +123,14 @@ export const validateToken = () =>
     .isHexadecimal()
     .withMessage('Invalid token format');
 
+/**
+ * MongoDB ObjectId validation (for URL parameters)
+ */
+export const validateObjectId = (fieldName = 'id') =>
+  param(fieldName)
+    .isMongoId()
+    .withMessage(`Invalid ${fieldName}`);
+
 /**
  * VALIDATION RULE SETS
  * 
@@ -164,6 +173,12 @@ export const loginValidation = [
     .notEmpty()
     .withMessage('Password is required'),
 
+  body('rememberMe')
+    .optional()
+    .isBoolean()
+    .withMessage('rememberMe must be true or false')
+    .toBoolean(),
+
   handleValidationErrors,
 ];
 
@@ -196,6 +211,36 @@ export const resetPasswordValidation = [
   handleValidationErrors,
 ];
 
+/**
+ * Magic link request validation
+ */
+export const magicLinkRequestValidation = [
+  validateEmail(),
+
+  body('rememberMe')
+    .optional()
+    .isBoolean()
+    .withMessage('rememberMe must be true or false')
+    .toBoolean(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Magic link sign-in validation
+ */
+export const magicLinkLoginValidation = [
+  validateToken(),
+
+  body('rememberMe')
+    .optional()
+    .isBoolean()
+    .withMessage('rememberMe must be true or false')
+    .toBoolean(),
+
+  handleValidationErrors,
+];
+
 /**
  * Email verification validation
  */
@@ -204,6 +249,22 @@ export const verifyEmailValidation = [
   handleValidationErrors,
 ];
 
+/**
+ * Email change confirmation / revert validation (token from the email)
+ */
+export const emailChangeTokenValidation = [
+  validateToken(),
+  handleValidationErrors,
+];
+
+/**
+ * Data export download validation (token from the emailed link)
+ */
+export const dataExportTokenValidation = [
+  validateToken(),
+  handleValidationErrors,
+];
+
 /**
  * Resend verification email validation
  */
@@ -242,7 +303,7 @@ export const updateProfileValidation = [
   validateName('firstName'),
   validateName('lastName'),
   
-  // Email update (if allowed)
+  // New email (only changes once confirmed, see emailChangeService)
   body('email')
     .optional()
     .trim()
@@ -253,6 +314,334 @@ export const updateProfileValidation = [
   handleValidationErrors,
 ];
 
+/**
+ * Session ID validation (revoke a session)
+ */
+export const sessionIdValidation = [
+  validateObjectId('id'),
+  handleValidationErrors,
+];
+
+/**
+ * User ID validation (admin routes)
+ */
+export const userIdValidation = [
+  validateObjectId('id'),
+  handleValidationErrors,
+];
+
+/**
+ * Impersonation validation (admin routes)
+ */
+export const impersonationValidation = [
+  validateObjectId('id'),
+  body('reason')
+    .isString()
+    .withMessage('Reason is required')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters'),
+  handleValidationErrors,
+];
+
+/**
+ * Deactivate user validation (admin routes)
+ */
+export const deactivateUserValidation = impersonationValidation;
+
+/**
+ * Admin: revoke one session of a user
+ */
+export const adminSessionIdValidation = [
+  validateObjectId('id'),
+  validateObjectId('sessionId'),
+  handleValidationErrors,
+];
+
+/**
+ * Admin user search validation (query string)
+ */
+export const listUsersValidation = [
+  query('search')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search must be at most 100 characters'),
+
+  ...['verified', 'locked', 'active'].map((field) =>
+    query(field)
+      .optional()
+      .isBoolean()
+      .withMessage(`${field} must be true or false`)
+      .toBoolean()
+  ),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100')
+    .toInt(),
+
+  handleValidationErrors,
+];
+
+/**
+ * Create API key validation
+ */
+export const createApiKeyValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`),
+
+  body('expiresInDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('expiresInDays must be between 1 and 365')
+    .toInt(),
+
+  handleValidationErrors,
+];
+
+/**
+ * API key ID validation (revoke a key)
+ */
+export const apiKeyIdValidation = [
+  validateObjectId('id'),
+  handleValidationErrors,
+];
+
+/**
+ * Token introspection / revocation validation (RFC 7662 / RFC 7009)
+ * 
+ * token_type_hint is optional and unknown values are ignored (RFC 7009)
+ */
+export const tokenIntrospectionValidation = [
+  body('token')
+    .isString()
+    .withMessage('Token is required')
+    .notEmpty()
+    .withMessage('Token is required'),
+  body('token_type_hint')
+    .optional()
+    .isString()
+    .withMessage('token_type_hint must be a string'),
+  handleValidationErrors,
+];
+
+/**
+ * OAuth consent validation (approve or deny an app)
+ *
+ * The authorization request parameters are checked by oidcService.
+ */
+export const consentValidation = [
+  body('approve')
+    .isBoolean()
+    .withMessage('approve must be true or false')
+    .toBoolean(),
+  handleValidationErrors,
+];
+
+/**
+ * TOTP code validation (6 digits from the authenticator app)
+ */
+export const validateTwoFactorCode = () =>
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Code is required')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits');
+
+/**
+ * Two-factor login validation (second step of login)
+ */
+export const twoFactorLoginValidation = [
+  body('challengeToken')
+    .isString()
+    .withMessage('Challenge token is required')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  validateTwoFactorCode(),
+  handleValidationErrors,
+];
+
+/**
+ * Enable 2FA validation
+ */
+export const enableTwoFactorValidation = [
+  validateTwoFactorCode(),
+  handleValidationErrors,
+];
+
+/**
+ * Disable 2FA validation
+ */
+export const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  validateTwoFactorCode(),
+  handleValidationErrors,
+];
+
+/**
+ * New-device confirmation validation (second step of login)
+ * Same shape as the 2FA step: challenge token + 6-digit code (from the email)
+ */
+export const confirmDeviceValidation = twoFactorLoginValidation;
+
+/**
+ * Trusted device ID validation
+ */
+export const trustedDeviceIdValidation = [
+  validateObjectId('id'),
+  handleValidationErrors,
+];
+
+/**
+ * Re-authentication validation
+ * Password, or a Google ID token for accounts linked to Google
+ */
+export const reauthenticateValidation = [
+  body('password')
+    .if(body('idToken').not().exists())
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('idToken')
+    .optional()
+    .isString()
+    .withMessage('Invalid Google token'),
+  handleValidationErrors,
+];
+
+/**
+ * Generate recovery codes validation
+ */
+export const generateRecoveryCodesValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  handleValidationErrors,
+];
+
+/**
+ * Recover account validation (recovery code + new password)
+ */
+export const recoverAccountValidation = [
+  validateEmail(),
+
+  body('code')
+    .isString()
+    .withMessage('Recovery code is required')
+    .trim()
+    .notEmpty()
+    .withMessage('Recovery code is required')
+    .isLength({ max: 20 })
+    .withMessage('Invalid recovery code'),
+
+  validatePassword('password'),
+
+  body('passwordConfirm')
+    .notEmpty()
+    .withMessage('Please confirm your password')
+    .custom((value, { req }) => {
+      if (value !== req.body.password) {
+        throw new Error('Passwords do not match');
+      }
+      return true;
+    }),
+
+  handleValidationErrors,
+];
+
+/**
+ * Token from an earlier step (login challenge, passkey challenge)
+ */
+const validateChallengeToken = (fieldName = 'challengeToken') =>
+  body(fieldName)
+    .isString()
+    .withMessage(`${fieldName} is required`)
+    .notEmpty()
+    .withMessage(`${fieldName} is required`);
+
+/**
+ * Authenticator response (verified by @simplewebauthn/server)
+ */
+const validateWebAuthnResponse = () =>
+  body('response')
+    .isObject()
+    .withMessage('Passkey response is required');
+
+/**
+ * Register passkey validation
+ */
+export const registerPasskeyValidation = [
+  validateChallengeToken(),
+  validateWebAuthnResponse(),
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  handleValidationErrors,
+];
+
+/**
+ * Passwordless passkey login validation
+ */
+export const passkeyLoginValidation = [
+  validateChallengeToken(),
+  validateWebAuthnResponse(),
+  body('rememberMe')
+    .optional()
+    .isBoolean()
+    .withMessage('rememberMe must be true or false')
+    .toBoolean(),
+  handleValidationErrors,
+];
+
+/**
+ * Passkey second factor validation
+ */
+export const passkeySecondFactorOptionsValidation = [
+  validateChallengeToken(),
+  handleValidationErrors,
+];
+
+export const passkeySecondFactorValidation = [
+  validateChallengeToken(),
+  validateChallengeToken('passkeyChallengeToken'),
+  validateWebAuthnResponse(),
+  handleValidationErrors,
+];
+
+/**
+ * Passkey ID validation (remove a passkey)
+ */
+export const passkeyIdValidation = [
+  validateObjectId('id'),
+  handleValidationErrors,
+];
+
 /**
  * Custom validator example: Check if email already exists
  * 
@@ -266,10 +655,37 @@ export default {
   loginValidation,
   forgotPasswordValidation,
   resetPasswordValidation,
+  magicLinkRequestValidation,
+  magicLinkLoginValidation,
   verifyEmailValidation,
+  emailChangeTokenValidation,
+  dataExportTokenValidation,
   resendVerificationValidation,
   changePasswordValidation,
   updateProfileValidation,
+  sessionIdValidation,
+  userIdValidation,
+  impersonationValidation,
+  deactivateUserValidation,
+  adminSessionIdValidation,
+  listUsersValidation,
+  tokenIntrospectionValidation,
+  createApiKeyValidation,
+  apiKeyIdValidation,
+  consentValidation,
+  twoFactorLoginValidation,
+  enableTwoFactorValidation,
+  disableTwoFactorValidation,
+  reauthenticateValidation,
+  confirmDeviceValidation,
+  trustedDeviceIdValidation,
+  generateRecoveryCodesValidation,
+  recoverAccountValidation,
+  registerPasskeyValidation,
+  passkeyLoginValidation,
+  passkeySecondFactorOptionsValidation,
+  passkeySecondFactorValidation,
+  passkeyIdValidation,
   handleValidationErrors,
 };
 
@@ -0,0 +1,229 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { authenticator } from 'otplib';
+import User from '../src/models/User.js';
+import Token from '../src/models/Token.js';
+import Session from '../src/models/Session.js';
+import ApiKey from '../src/models/ApiKey.js';
+import Passkey from '../src/models/Passkey.js';
+import RecoveryCode from '../src/models/RecoveryCode.js';
+import TrustedDevice from '../src/models/TrustedDevice.js';
+import AuthorizationCode from '../src/models/AuthorizationCode.js';
+import DataExport from '../src/models/DataExport.js';
+import SecurityEvent from '../src/models/SecurityEvent.js';
+import { login, signup } from '../src/services/authService.js';
+import { completeTwoFactorLogin } from '../src/services/twoFactorService.js';
+import { confirmDevice } from '../src/services/trustedDeviceService.js';
+import {
+  purgeDeletedAccounts,
+  scheduleLegacyDeletions,
+} from '../src/services/accountDeletionService.js';
+import { encrypt } from '../src/utils/encryption.js';
+import { mockQuery, buildUser, context, PASSWORD } from './helpers.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const secret = authenticator.generateSecret(20);
+
+// Deleted 10 days ago, purged in 20 days
+const buildDeletedUser = (fields = {}) =>
+  buildUser({
+    isActive: false,
+    deletionScheduledFor: new Date(Date.now() + 20 * DAY),
+    loginAttempts: 0,
+    ...fields,
+  });
+
+let user;
+
+beforeEach(() => {
+  jest.spyOn(User, 'findByEmailIncludingDeleted').mockImplementation(() => mockQuery(user));
+  jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(user));
+  jest.spyOn(User, 'updateOne').mockImplementation(() => mockQuery({ matchedCount: 1 }));
+  jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(User.prototype, 'updateOne').mockImplementation(() =>
+    mockQuery({ matchedCount: 1 })
+  );
+  jest.spyOn(Passkey, 'exists').mockImplementation(() => mockQuery(null));
+  jest.spyOn(Session.prototype, 'save').mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(SecurityEvent, 'record').mockResolvedValue({});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('restoring a deleted account by logging in', () => {
+  const passwordLogin = () => login({ email: user.email, password: PASSWORD }, context);
+
+  it('waits for the second factor', async () => {
+    user = buildDeletedUser({ twoFactor: { enabled: true, secret: encrypt(secret) } });
+
+    const { challengeToken } = (await passwordLogin()).data;
+
+    expect(user.isActive).toBe(false);
+
+    const result = await completeTwoFactorLogin(
+      challengeToken,
+      authenticator.generate(secret),
+      context
+    );
+
+    expect(user.isActive).toBe(true);
+    expect(user.deletionScheduledFor).toBeNull();
+    expect(result.data.restored).toBe(true);
+    expect(result.message).toBe('Welcome back! Your account has been restored.');
+  });
+
+  it('does not happen when the second factor fails', async () => {
+    user = buildDeletedUser({ twoFactor: { enabled: true, secret: encrypt(secret) } });
+    const code = authenticator.generate(secret) === '000000' ? '111111' : '000000';
+
+    const { challengeToken } = (await passwordLogin()).data;
+
+    await expect(completeTwoFactorLogin(challengeToken, code, context)).rejects.toMatchObject({
+      message: 'Invalid two-factor code',
+    });
+    expect(user.isActive).toBe(false);
+    expect(SecurityEvent.record).not.toHaveBeenCalledWith('account-restored', expect.anything());
+  });
+
+  it('waits for the new-device code', async () => {
+    user = buildDeletedUser();
+    jest.spyOn(crypto, 'randomInt').mockReturnValue(123456);
+    let device;
+    jest.spyOn(TrustedDevice, 'deleteMany').mockImplementation(() =>
+      mockQuery({ deletedCount: 0 })
+    );
+    jest.spyOn(TrustedDevice.prototype, 'save').mockImplementation(function () {
+      device = this;
+      return Promise.resolve(this);
+    });
+    jest.spyOn(TrustedDevice, 'findOne').mockImplementation(() => mockQuery(device));
+    jest.spyOn(TrustedDevice, 'findOneAndUpdate').mockImplementation(() => mockQuery(device));
+
+    const { challengeToken } = (await passwordLogin()).data;
+
+    expect(user.isActive).toBe(false);
+
+    const result = await confirmDevice(challengeToken, '123456', context);
+
+    expect(user.isActive).toBe(true);
+    expect(result.data.restored).toBe(true);
+  });
+
+  it('only lets a challenge of a restoring login find the deleted account', async () => {
+    user = buildUser({ twoFactor: { enabled: true, secret: encrypt(secret) } });
+    const { challengeToken } = (await passwordLogin()).data;
+
+    // Deleted while the login waited for its code
+    user.isActive = false;
+    user.deletionScheduledFor = new Date(Date.now() + 30 * DAY);
+
+    await expect(
+      completeTwoFactorLogin(challengeToken, authenticator.generate(secret), context)
+    ).rejects.toMatchObject({ message: 'Your login attempt has expired. Please log in again.' });
+    expect(user.isActive).toBe(false);
+  });
+
+  it('is refused once the grace period is over', async () => {
+    user = buildDeletedUser({ deletionScheduledFor: new Date(Date.now() - DAY) });
+
+    await expect(passwordLogin()).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Invalid email or password',
+    });
+  });
+});
+
+describe('signup with the email of an inactive account', () => {
+  const signupAs = () =>
+    signup({ email: user.email, password: PASSWORD, firstName: 'Jane', lastName: 'Doe' });
+
+  it('offers to restore an account in its grace period', async () => {
+    user = buildDeletedUser();
+
+    await expect(signupAs()).rejects.toMatchObject({
+      statusCode: 409,
+      message: expect.stringContaining('to restore it'),
+    });
+  });
+
+  it('does not offer to restore an account deactivated by an admin', async () => {
+    user = buildDeletedUser({ deletionScheduledFor: null });
+
+    await expect(signupAs()).rejects.toMatchObject({
+      statusCode: 409,
+      message:
+        'This email belongs to an account that is no longer active. Contact support or use a different email.',
+    });
+  });
+});
+
+describe('purgeDeletedAccounts', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const DATA_MODELS = [
+    Token,
+    Session,
+    ApiKey,
+    Passkey,
+    RecoveryCode,
+    TrustedDevice,
+    AuthorizationCode,
+    DataExport,
+    SecurityEvent,
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(User, 'find').mockImplementation(() => mockQuery([{ _id: userId }]));
+    jest.spyOn(User, 'deleteOne').mockImplementation(() => mockQuery({ deletedCount: 1 }));
+    DATA_MODELS.forEach((Model) =>
+      jest.spyOn(Model, 'deleteMany').mockImplementation(() => mockQuery({ deletedCount: 1 }))
+    );
+    jest.spyOn(SecurityEvent, 'updateMany').mockImplementation(() =>
+      mockQuery({ modifiedCount: 1 })
+    );
+  });
+
+  it('deletes the account and everything stored about it', async () => {
+    await expect(purgeDeletedAccounts()).resolves.toBe(1);
+
+    DATA_MODELS.forEach((Model) => expect(Model.deleteMany).toHaveBeenCalledWith({ userId }));
+    expect(User.deleteOne).toHaveBeenCalledWith({ _id: userId, isActive: false });
+  });
+
+  it('keeps no trace of the account in the audit trail', async () => {
+    await purgeDeletedAccounts();
+
+    expect(SecurityEvent.record).not.toHaveBeenCalled();
+    expect(SecurityEvent.updateMany).toHaveBeenCalledWith(
+      { actorId: userId },
+      { $unset: { ip: 1, userAgent: 1 } }
+    );
+  });
+});
+
+describe('scheduleLegacyDeletions', () => {
+  it('schedules old deletions, not accounts deactivated by an admin', async () => {
+    const deactivatedId = new mongoose.Types.ObjectId();
+    jest.spyOn(SecurityEvent, 'distinct').mockImplementation(() =>
+      mockQuery([deactivatedId])
+    );
+    jest.spyOn(User, 'updateMany').mockImplementation(() => mockQuery({ modifiedCount: 2 }));
+
+    await expect(scheduleLegacyDeletions()).resolves.toBe(2);
+
+    expect(SecurityEvent.distinct).toHaveBeenCalledWith('userId', {
+      type: 'admin-deactivated-account',
+    });
+    expect(User.updateMany).toHaveBeenCalledWith(
+      { isActive: false, deletionScheduledFor: null, _id: { $nin: [deactivatedId] } },
+      { $set: { deletionScheduledFor: expect.any(Date) } }
+    );
+  });
+});
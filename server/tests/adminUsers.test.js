@@ -0,0 +1,151 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import RevokedToken from '../src/models/RevokedToken.js';
+import SecurityEvent from '../src/models/SecurityEvent.js';
+import { createSession } from '../src/services/sessionService.js';
+import { mockQuery, buildUser, context } from './helpers.js';
+
+let customer;
+let admin;
+
+// Stand in for the users and security_events collections
+let users;
+let events;
+
+beforeEach(() => {
+  customer = buildUser({ email: 'customer@example.com', loginAttempts: 5 });
+  admin = buildUser({ email: 'admin@example.com', role: 'admin' });
+  users = new Map([customer, admin].map((user) => [user._id.toString(), user]));
+  events = [];
+
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  // A copy, like a document loaded from the database
+  jest.spyOn(User, 'findById').mockImplementation((id) => {
+    const user = users.get(id.toString());
+    return mockQuery(user ? User.hydrate(user.toObject()) : null);
+  });
+  jest.spyOn(User, 'find').mockImplementation(() => mockQuery([customer, admin]));
+  jest.spyOn(User, 'countDocuments').mockImplementation(() => mockQuery(2));
+  jest.spyOn(User, 'updateOne').mockImplementation(({ _id }, update) => {
+    const user = users.get(_id.toString());
+    user.set(update.$set);
+    Object.keys(update.$unset || {}).forEach((field) => user.set(field, undefined));
+    return mockQuery({ matchedCount: 1 });
+  });
+  jest.spyOn(User, 'incrementTokenVersion').mockImplementation(async (id) => {
+    users.get(id.toString()).tokenVersion += 1;
+    return true;
+  });
+  jest.spyOn(Session.prototype, 'save').mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Session, 'findById').mockImplementation(() =>
+    mockQuery(new Session({ userId: admin._id, expiresAt: new Date(Date.now() + 60000) }))
+  );
+  jest.spyOn(Session, 'updateMany').mockImplementation(() => mockQuery({ modifiedCount: 2 }));
+  jest.spyOn(RevokedToken, 'exists').mockImplementation(() => mockQuery(null));
+  jest.spyOn(SecurityEvent, 'create').mockImplementation(async (fields) => {
+    events.push(fields);
+    return fields;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const loginAs = async (user) => `Bearer ${(await createSession(user, context)).accessToken}`;
+
+describe('admin user management', () => {
+  it('is only for admins', async () => {
+    const res = await request(app)
+      .get('/api/admin/users')
+      .set('Authorization', await loginAs(customer));
+
+    expect(res.status).toBe(403);
+  });
+
+  it('searches users by email or name, deactivated ones included', async () => {
+    const res = await request(app)
+      .get('/api/admin/users?search=cust.omer&locked=true')
+      .set('Authorization', await loginAs(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.pagination).toEqual({ page: 1, limit: 20, total: 2, pages: 1 });
+    expect(res.body.data.users.map((user) => user.email)).toEqual([
+      customer.email,
+      admin.email,
+    ]);
+
+    const [filter] = User.find.mock.calls[0];
+    const [search, locked] = filter.$and;
+    // Searched literally, not as a pattern
+    expect(search.$or[0].email.test('cust.omer@example.com')).toBe(true);
+    expect(search.$or[0].email.test('custXomer@example.com')).toBe(false);
+    expect(locked).toEqual({ lockUntil: { $gt: expect.any(Date) } });
+  });
+
+  it('unlocks an account and records the admin as actor', async () => {
+    customer.lockUntil = new Date(Date.now() + 60 * 60 * 1000);
+
+    const res = await request(app)
+      .post(`/api/admin/users/${customer._id}/unlock`)
+      .set('Authorization', await loginAs(admin));
+
+    expect(res.status).toBe(200);
+    expect(customer.isLocked()).toBe(false);
+    expect(customer.loginAttempts).toBe(0);
+    expect(events).toEqual([
+      expect.objectContaining({
+        type: 'admin-unlocked-account',
+        details: { loginAttempts: 5, wasLocked: true },
+      }),
+    ]);
+    expect(events[0].userId.equals(customer._id)).toBe(true);
+    expect(events[0].actorId.toString()).toBe(admin._id.toString());
+  });
+
+  it('deactivates an account and logs it out everywhere', async () => {
+    const res = await request(app)
+      .post(`/api/admin/users/${customer._id}/deactivate`)
+      .set('Authorization', await loginAs(admin))
+      .send({ reason: 'Chargeback fraud' });
+
+    expect(res.status).toBe(200);
+    expect(customer.isActive).toBe(false);
+    expect(customer.tokenVersion).toBe(1);
+    expect(Session.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({ userId: customer._id }),
+      expect.objectContaining({
+        $set: expect.objectContaining({ revokedReason: 'deactivated-by-admin' }),
+      })
+    );
+    expect(events).toEqual([
+      expect.objectContaining({
+        type: 'admin-deactivated-account',
+        details: { reason: 'Chargeback fraud' },
+      }),
+    ]);
+  });
+
+  it('does not let admins deactivate themselves', async () => {
+    const res = await request(app)
+      .post(`/api/admin/users/${admin._id}/deactivate`)
+      .set('Authorization', await loginAs(admin))
+      .send({ reason: 'Leaving the company' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('You cannot deactivate your own account.');
+  });
+
+  it('answers 404 for an unknown user', async () => {
+    const res = await request(app)
+      .post(`/api/admin/users/${buildUser()._id}/verify-email`)
+      .set('Authorization', await loginAs(admin));
+
+    expect(res.status).toBe(404);
+  });
+});
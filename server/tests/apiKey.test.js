@@ -0,0 +1,109 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import RevokedToken from '../src/models/RevokedToken.js';
+import ApiKey from '../src/models/ApiKey.js';
+import { createSession } from '../src/services/sessionService.js';
+import { mockQuery, buildUser, context } from './helpers.js';
+
+const user = buildUser();
+
+// Stands in for the api_keys collection
+let apiKeys;
+
+beforeEach(() => {
+  apiKeys = [];
+
+  jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(user));
+  jest.spyOn(RevokedToken, 'exists').mockImplementation(() => mockQuery(null));
+  jest.spyOn(Session.prototype, 'save').mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Session, 'findById').mockImplementation(() =>
+    mockQuery(new Session({ userId: user._id, expiresAt: new Date(Date.now() + 60000) }))
+  );
+  jest.spyOn(ApiKey, 'countDocuments').mockImplementation(() => mockQuery(apiKeys.length));
+  jest.spyOn(ApiKey, 'create').mockImplementation(async (fields) => {
+    const apiKey = new ApiKey(fields);
+    apiKeys.push(apiKey);
+    return apiKey;
+  });
+  jest.spyOn(ApiKey, 'findOne').mockImplementation((filter) =>
+    mockQuery(apiKeys.find((apiKey) => apiKey.keyHash === filter.keyHash) || null)
+  );
+  jest.spyOn(ApiKey, 'updateOne').mockImplementation((filter, update) => {
+    const apiKey = apiKeys.find((candidate) => candidate._id.equals(filter._id));
+    apiKey?.set(update.$set);
+    return mockQuery({ matchedCount: apiKey ? 1 : 0 });
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const createKey = (scopes, expiresAt = null) =>
+  ApiKey.generateKey(user._id, { name: 'CI', scopes, expiresAt });
+
+const withKey = (req, key) => req.set('Authorization', `Bearer ${key}`);
+
+describe('POST /api/auth/api-keys', () => {
+  it('shows the key once and stores only its hash', async () => {
+    const { accessToken } = await createSession(user, context);
+
+    const res = await request(app)
+      .post('/api/auth/api-keys')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ name: 'GitHub Actions', scopes: ['read'], expiresInDays: 30 });
+
+    expect(res.status).toBe(201);
+    const { key, apiKey } = res.body.data;
+    expect(key).toMatch(/^ak_/);
+    expect(apiKey.prefix).toBe(key.slice(0, 11));
+    expect(apiKeys[0].keyHash).toBe(ApiKey.hashKey(key));
+    expect(JSON.stringify(apiKeys[0])).not.toContain(key);
+  });
+
+  it("can't be called with an API key", async () => {
+    const { key } = await createKey(['read', 'write']);
+
+    const res = await withKey(request(app).post('/api/auth/api-keys'), key).send({
+      name: 'Escalation',
+      scopes: ['write'],
+    });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('authenticating with an API key', () => {
+  it('acts as the owner and records when the key was used', async () => {
+    const { key, apiKey } = await createKey(['read']);
+
+    const res = await withKey(request(app).get('/api/auth/me'), key);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.email).toBe(user.email);
+    expect(apiKey.lastUsedAt).toEqual(expect.any(Date));
+  });
+
+  it("doesn't let a read-only key POST", async () => {
+    const { key } = await createKey(['read']);
+
+    const res = await withKey(request(app).post('/api/auth/logout'), key);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('This API key doesn\'t have the "write" scope.');
+  });
+
+  it('rejects revoked and expired keys', async () => {
+    const revoked = await createKey(['read']);
+    revoked.apiKey.revokedAt = new Date();
+    const expired = await createKey(['read'], new Date(Date.now() - 1000));
+
+    expect((await withKey(request(app).get('/api/auth/me'), revoked.key)).status).toBe(401);
+    expect((await withKey(request(app).get('/api/auth/me'), expired.key)).status).toBe(401);
+  });
+});
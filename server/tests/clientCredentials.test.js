@@ -0,0 +1,148 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import app from '../src/app.js';
+import OAuthClient from '../src/models/OAuthClient.js';
+import RevokedToken from '../src/models/RevokedToken.js';
+import { authenticateService, requireScope } from '../src/middleware/authMiddleware.js';
+import errorHandler from '../src/middleware/errorHandler.js';
+import config from '../src/config/env.js';
+import { mockQuery, verifyAsOtherService } from './helpers.js';
+
+const CLIENT_SECRET = 'worker-secret';
+
+const buildClient = (fields) =>
+  new OAuthClient({
+    clientSecretHash: OAuthClient.hashSecret(CLIENT_SECRET),
+    ...fields,
+  });
+
+let clients;
+
+beforeEach(() => {
+  clients = [
+    buildClient({
+      clientId: 'email-worker',
+      name: 'Email worker',
+      scopes: ['users:read', 'emails:send'],
+      grantTypes: ['client_credentials'],
+    }),
+    // Introspection only
+    buildClient({ clientId: 'gateway', name: 'API Gateway' }),
+  ];
+
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(OAuthClient, 'findOne').mockImplementation((filter) =>
+    mockQuery(clients.find((client) => client.clientId === filter.clientId) || null)
+  );
+  jest.spyOn(RevokedToken, 'exists').mockImplementation(() => mockQuery(null));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const requestToken = (clientId, body) =>
+  request(app)
+    .post('/api/auth/oauth/token')
+    .auth(clientId, CLIENT_SECRET)
+    .type('form')
+    .send(body);
+
+// A service route protected by a scope
+const service = express();
+service.get('/emails', authenticateService, requireScope('emails:send'), (req, res) =>
+  res.json({ client: req.client.clientId })
+);
+service.use(errorHandler);
+
+describe('POST /api/auth/oauth/token', () => {
+  it('issues a token for the requested scopes', async () => {
+    const res = await requestToken('email-worker', {
+      grant_type: 'client_credentials',
+      scope: 'emails:send',
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(res.body).toMatchObject({ token_type: 'Bearer', scope: 'emails:send' });
+    expect(jwt.decode(res.body.access_token)).toMatchObject({
+      sub: 'email-worker',
+      client_id: 'email-worker',
+      scope: 'emails:send',
+    });
+  });
+
+  it('grants every allowed scope when none is requested', async () => {
+    const res = await requestToken('email-worker', { grant_type: 'client_credentials' });
+
+    expect(res.body.scope).toBe('users:read emails:send');
+  });
+
+  it('refuses scopes the client may not have', async () => {
+    const res = await requestToken('email-worker', {
+      grant_type: 'client_credentials',
+      scope: 'emails:send users:write',
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('invalid_scope');
+  });
+
+  it('refuses clients without the grant', async () => {
+    const res = await requestToken('gateway', { grant_type: 'client_credentials' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('unauthorized_client');
+  });
+});
+
+describe('client access tokens', () => {
+  const getToken = async (scope) =>
+    (await requestToken('email-worker', { grant_type: 'client_credentials', scope })).body
+      .access_token;
+
+  it('are accepted by service routes when the scope was granted', async () => {
+    const token = await getToken('emails:send');
+
+    const res = await request(service).get('/emails').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.client).toBe('email-worker');
+  });
+
+  it('get 403 insufficient_scope without the scope', async () => {
+    const token = await getToken('users:read');
+
+    const res = await request(service).get('/emails').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('insufficient_scope');
+    expect(res.headers['www-authenticate']).toContain('error="insufficient_scope"');
+  });
+
+  it('stop working when the client is disabled', async () => {
+    const token = await getToken('emails:send');
+    clients.shift();
+
+    const res = await request(service).get('/emails').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it("can't be used as a user's token", async () => {
+    const token = await getToken('users:read');
+
+    const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('fail the audience check of other services (JWKS)', async () => {
+    const token = await getToken('users:read');
+
+    expect(jwt.decode(token).aud).toBe(`${config.jwt.issuer}/client-credentials`);
+    expect(() => verifyAsOtherService(token)).toThrow(/audience/);
+  });
+});
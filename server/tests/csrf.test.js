@@ -0,0 +1,97 @@
+import { jest, describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import config from '../src/config/env.js';
+import { csrfProtection } from '../src/middleware/csrfMiddleware.js';
+import { setAuthCookies } from '../src/utils/authCookies.js';
+import { generateAccessToken, generateRefreshToken } from '../src/services/jwtService.js';
+import { buildUser } from './helpers.js';
+
+const CSRF_TOKEN = 'a'.repeat(64);
+
+/**
+ * Run the middleware, resolve with the error passed to next (or null)
+ */
+const runCsrf = ({ method = 'POST', cookies = {}, headers = {} }) => {
+  const req = {
+    method,
+    cookies,
+    get: (name) => headers[name.toLowerCase()],
+  };
+
+  return new Promise((resolve) => csrfProtection(req, {}, (error) => resolve(error || null)));
+};
+
+const authCookies = { accessToken: 'token', csrfToken: CSRF_TOKEN };
+
+let cookieMode;
+
+beforeAll(() => {
+  cookieMode = config.cookies.enabled;
+  config.cookies.enabled = true;
+});
+
+afterAll(() => {
+  config.cookies.enabled = cookieMode;
+});
+
+describe('csrfProtection', () => {
+  it('rejects a cookie-authenticated request without the header', async () => {
+    const error = await runCsrf({ cookies: authCookies });
+
+    expect(error).toMatchObject({ statusCode: 403 });
+  });
+
+  it('rejects a header that does not match the cookie', async () => {
+    const error = await runCsrf({
+      cookies: authCookies,
+      headers: { 'x-csrf-token': 'b'.repeat(64) },
+    });
+
+    expect(error).toMatchObject({ statusCode: 403 });
+  });
+
+  it('rejects a header when the CSRF cookie is missing', async () => {
+    const error = await runCsrf({
+      cookies: { refreshToken: 'token' },
+      headers: { 'x-csrf-token': CSRF_TOKEN },
+    });
+
+    expect(error).toMatchObject({ statusCode: 403 });
+  });
+
+  it('accepts a header that matches the cookie', async () => {
+    const error = await runCsrf({
+      cookies: authCookies,
+      headers: { 'x-csrf-token': CSRF_TOKEN },
+    });
+
+    expect(error).toBeNull();
+  });
+
+  it('lets safe methods through', async () => {
+    await expect(runCsrf({ method: 'GET', cookies: authCookies })).resolves.toBeNull();
+  });
+
+  it('lets requests without auth cookies through (login, Authorization header)', async () => {
+    await expect(runCsrf({ cookies: { csrfToken: CSRF_TOKEN } })).resolves.toBeNull();
+  });
+});
+
+describe('setAuthCookies', () => {
+  it('hides the tokens from JavaScript but not the CSRF token', () => {
+    const user = buildUser();
+    const res = { cookie: jest.fn() };
+
+    setAuthCookies(res, {
+      accessToken: generateAccessToken(user),
+      refreshToken: generateRefreshToken(user._id.toString(), 'session-id'),
+    });
+
+    const cookies = Object.fromEntries(
+      res.cookie.mock.calls.map(([name, , options]) => [name, options])
+    );
+    expect(cookies.accessToken.httpOnly).toBe(true);
+    expect(cookies.refreshToken.httpOnly).toBe(true);
+    expect(cookies.refreshToken.path).toBe('/api/auth');
+    expect(cookies.csrfToken.httpOnly).toBe(false);
+  });
+});
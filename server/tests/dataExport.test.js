@@ -0,0 +1,199 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Token from '../src/models/Token.js';
+import Session from '../src/models/Session.js';
+import ApiKey from '../src/models/ApiKey.js';
+import Passkey from '../src/models/Passkey.js';
+import RecoveryCode from '../src/models/RecoveryCode.js';
+import TrustedDevice from '../src/models/TrustedDevice.js';
+import SecurityEvent from '../src/models/SecurityEvent.js';
+import DataExport from '../src/models/DataExport.js';
+import DataExportChunk from '../src/models/DataExportChunk.js';
+import { exportUserData } from '../src/services/dataExportService.js';
+import { mockQuery, buildUser, context } from './helpers.js';
+
+let user;
+let eventCount;
+// Stand in for the dataexports, dataexportchunks and securityevents collections
+let exports;
+let chunks;
+let events;
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([field, value]) =>
+    value?.$gt ? doc[field] > value.$gt : String(doc[field]) === String(value)
+  );
+
+beforeEach(() => {
+  user = buildUser({ googleId: 'google-123' });
+  eventCount = 3;
+  exports = [];
+  chunks = [];
+  events = [];
+
+  jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(user));
+  jest.spyOn(SecurityEvent, 'countDocuments').mockImplementation(() => mockQuery(eventCount));
+  jest.spyOn(Session, 'countDocuments').mockImplementation(() => mockQuery(1));
+  jest.spyOn(Token, 'countDocuments').mockImplementation(() => mockQuery(0));
+  [Token, Session, ApiKey, Passkey, RecoveryCode].forEach((Model) =>
+    jest.spyOn(Model, 'find').mockImplementation(() => mockQuery([]))
+  );
+  jest.spyOn(SecurityEvent, 'find').mockImplementation(() => mockQuery([]));
+  jest.spyOn(TrustedDevice, 'findTrustedByUser').mockImplementation(() => mockQuery([]));
+  jest.spyOn(SecurityEvent, 'record').mockImplementation((type, data) => {
+    events.push({ type, ...data });
+    return Promise.resolve({});
+  });
+
+  jest.spyOn(DataExport, 'create').mockImplementation((fields) => {
+    const dataExport = new DataExport({ ...fields, createdAt: new Date() });
+    exports.push(dataExport);
+    return Promise.resolve(dataExport);
+  });
+  jest.spyOn(DataExport.prototype, 'save').mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(DataExport, 'findById').mockImplementation((id) =>
+    mockQuery(exports.find((dataExport) => dataExport._id.equals(id)) || null)
+  );
+  jest.spyOn(DataExport, 'findOne').mockImplementation((filter) =>
+    mockQuery(exports.find((dataExport) => matches(dataExport, filter)) || null)
+  );
+  jest.spyOn(DataExport, 'updateOne').mockImplementation(({ _id }, update) => {
+    exports.find((dataExport) => dataExport._id.equals(_id))?.set(update.$set);
+    return mockQuery({ matchedCount: 1 });
+  });
+  jest.spyOn(DataExport, 'findOneAndUpdate').mockImplementation((filter, update) => {
+    const dataExport = exports.find((doc) => matches(doc, filter));
+    const before = dataExport && DataExport.hydrate(dataExport.toObject());
+    dataExport?.set(update.$set);
+    return mockQuery(before || null);
+  });
+  jest.spyOn(DataExport, 'deleteOne').mockImplementation(({ _id }) => {
+    exports = exports.filter((dataExport) => !dataExport._id.equals(_id));
+    return mockQuery({ deletedCount: 1 });
+  });
+  jest.spyOn(DataExportChunk, 'insertMany').mockImplementation((docs) => {
+    chunks.push(...docs.map((doc) => new DataExportChunk(doc)));
+    return Promise.resolve(docs);
+  });
+  jest.spyOn(DataExportChunk, 'find').mockImplementation(({ exportId }) => ({
+    sort: () => ({
+      cursor: () =>
+        chunks.filter((chunk) => chunk.exportId.equals(exportId)).sort((a, b) => a.n - b.n),
+    }),
+  }));
+  jest.spyOn(DataExportChunk, 'deleteMany').mockImplementation(({ exportId }) => {
+    chunks = chunks.filter((chunk) => !chunk.exportId.equals(exportId));
+    return mockQuery({ deletedCount: 1 });
+  });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// The download link in the (logged) email
+const emailedLink = () => {
+  const logged = console.log.mock.calls.flat().join('\n');
+  return logged.match(/\/api\/auth\/exports\/[0-9a-f]{64}/)?.[0];
+};
+
+// Let the background job run
+const exportBuilt = async () => {
+  for (let i = 0; i < 20 && exports[0]?.status === 'pending'; i += 1) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+};
+
+describe('data export', () => {
+  it('is downloaded right away for small accounts', async () => {
+    const { archive, filename } = await exportUserData(user._id, context);
+
+    expect(filename).toMatch(/^account-data-\d{4}-\d{2}-\d{2}\.json$/);
+    expect(archive.profile.email).toBe(user.email);
+    expect(archive.google).toEqual({ linked: true, googleId: 'google-123' });
+    expect(events).toEqual([
+      expect.objectContaining({ type: 'data-exported', details: { delivery: 'download' } }),
+    ]);
+  });
+
+  it('leaves out the password hash and secrets', async () => {
+    const { archive } = await exportUserData(user._id, context);
+
+    expect(JSON.stringify(archive)).not.toContain(user.password);
+  });
+
+  it('is emailed as a link for large accounts', async () => {
+    eventCount = 5000;
+
+    const result = await exportUserData(user._id, context);
+    await exportBuilt();
+
+    expect(result.data.exportId).toEqual(exports[0]._id);
+    expect(exports[0].status).toBe('ready');
+
+    const res = await request(app).get(emailedLink());
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="account-data-/);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(JSON.parse(res.text).profile.email).toBe(user.email);
+  });
+
+  it('stores and streams large archives in chunks', async () => {
+    eventCount = 5000;
+    const securityEvents = Array.from({ length: eventCount }, (_, i) => ({
+      type: 'login',
+      createdAt: new Date(),
+      ip: '203.0.113.7',
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/124.0',
+      details: { attempt: i },
+    }));
+    SecurityEvent.find.mockImplementation(() => mockQuery(securityEvents));
+
+    await exportUserData(user._id, context);
+    await exportBuilt();
+
+    expect(chunks.length).toBeGreaterThan(1);
+
+    const res = await request(app).get(emailedLink());
+
+    expect(Number(res.headers['content-length'])).toBe(Buffer.byteLength(res.text));
+    expect(JSON.parse(res.text).securityEvents).toHaveLength(eventCount);
+  });
+
+  it('works once, and the archive is deleted after the download', async () => {
+    eventCount = 5000;
+    await exportUserData(user._id, context);
+    await exportBuilt();
+    const link = emailedLink();
+
+    expect((await request(app).get(link)).status).toBe(200);
+
+    expect(exports).toEqual([]);
+    expect(chunks).toEqual([]);
+    const again = await request(app).get(link);
+    expect(again.status).toBe(400);
+  });
+
+  it('is built once at a time', async () => {
+    eventCount = 5000;
+    await exportUserData(user._id, context);
+
+    await expect(exportUserData(user._id, context)).rejects.toMatchObject({
+      statusCode: 400,
+    });
+    await exportBuilt();
+  });
+
+  it('cannot be downloaded with an unknown link', async () => {
+    const res = await request(app).get(`/api/auth/exports/${'0'.repeat(64)}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid or expired download link. Please request a new export.');
+  });
+});
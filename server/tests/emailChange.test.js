@@ -0,0 +1,149 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Token from '../src/models/Token.js';
+import Session from '../src/models/Session.js';
+import ApiKey from '../src/models/ApiKey.js';
+import Passkey from '../src/models/Passkey.js';
+import RecoveryCode from '../src/models/RecoveryCode.js';
+import TrustedDevice from '../src/models/TrustedDevice.js';
+import RevokedToken from '../src/models/RevokedToken.js';
+import SecurityEvent from '../src/models/SecurityEvent.js';
+import { revertEmailChange } from '../src/services/emailChangeService.js';
+import { generateAccessToken } from '../src/services/jwtService.js';
+import { mockQuery, buildUser, context } from './helpers.js';
+
+let user;
+
+beforeEach(() => {
+  user = buildUser();
+
+  jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(user));
+  jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(SecurityEvent, 'record').mockResolvedValue({});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('revertEmailChange', () => {
+  beforeEach(() => {
+    user = buildUser({ email: 'mallory@example.com', previousEmail: 'jane@example.com' });
+
+    jest.spyOn(Token, 'verifyToken').mockResolvedValue(user._id);
+    jest.spyOn(Token, 'deleteUserTokens').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(Token, 'generateToken').mockResolvedValue({ token: 'reset-token' });
+    jest.spyOn(User, 'findByEmail').mockImplementation(() => mockQuery(null));
+    jest.spyOn(User, 'incrementTokenVersion').mockResolvedValue(user);
+    jest.spyOn(Session, 'revokeUserSessions').mockResolvedValue(2);
+    jest.spyOn(ApiKey, 'updateMany').mockImplementation(() => mockQuery({ modifiedCount: 1 }));
+    jest.spyOn(Passkey, 'deleteMany').mockImplementation(() => mockQuery({ deletedCount: 1 }));
+    jest.spyOn(TrustedDevice, 'deleteMany').mockImplementation(() =>
+      mockQuery({ deletedCount: 3 })
+    );
+    jest.spyOn(RecoveryCode, 'deleteMany').mockImplementation(() =>
+      mockQuery({ deletedCount: 10 })
+    );
+    jest.spyOn(User, 'updateOne').mockImplementation(() => mockQuery({ modifiedCount: 1 }));
+  });
+
+  it('restores the old address and logs out everywhere', async () => {
+    await revertEmailChange('revert-token', context);
+
+    expect(user.email).toBe('jane@example.com');
+    expect(User.incrementTokenVersion).toHaveBeenCalledWith(user._id);
+    expect(Session.revokeUserSessions).toHaveBeenCalled();
+  });
+
+  it('replaces the password and emails a reset link to the restored address', async () => {
+    const oldHash = user.password;
+
+    const result = await revertEmailChange('revert-token', context);
+
+    expect(user.isModified('password')).toBe(true);
+    expect(user.password).not.toBe(oldHash);
+    expect(Token.generateToken).toHaveBeenCalledWith(
+      user._id,
+      'password-reset',
+      60 * 60 * 1000
+    );
+    const logged = console.log.mock.calls.flat().join('\n');
+    expect(logged).toContain('jane@example.com');
+    expect(logged).toContain('/reset-password/reset-token');
+    expect(result.message).toContain('jane@example.com');
+  });
+
+  it('removes every way in that skips the password', async () => {
+    await revertEmailChange('revert-token', context);
+
+    expect(ApiKey.updateMany).toHaveBeenCalledWith(
+      { userId: user._id, revokedAt: null },
+      { $set: { revokedAt: expect.any(Date) } }
+    );
+    expect(Passkey.deleteMany).toHaveBeenCalledWith({ userId: user._id });
+    expect(TrustedDevice.deleteMany).toHaveBeenCalledWith({ userId: user._id });
+    expect(RecoveryCode.deleteMany).toHaveBeenCalledWith({ userId: user._id });
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: user._id, 'twoFactor.enabled': true },
+      expect.objectContaining({ $set: { 'twoFactor.enabled': false } })
+    );
+    expect(SecurityEvent.record).toHaveBeenCalledWith(
+      'email-change-reverted',
+      expect.objectContaining({
+        details: expect.objectContaining({
+          revoked: {
+            apiKeys: 1,
+            passkeys: 1,
+            trustedDevices: 3,
+            recoveryCodes: 10,
+            twoFactorDisabled: true,
+          },
+        }),
+      })
+    );
+  });
+});
+
+describe('PATCH /api/auth/profile', () => {
+  const HOUR_AGO = new Date(Date.now() - 60 * 60 * 1000);
+
+  beforeEach(() => {
+    jest.spyOn(RevokedToken, 'exists').mockImplementation(() => mockQuery(null));
+  });
+
+  const patchProfile = (authTime, body) =>
+    request(app)
+      .patch('/api/auth/profile')
+      .set('Authorization', `Bearer ${generateAccessToken(user, null, { authTime })}`)
+      .send(body);
+
+  it('asks for the password again before changing the email', async () => {
+    const res = await patchProfile(HOUR_AGO, { email: 'new@example.com' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('insufficient_user_authentication');
+  });
+
+  it('changes the name without a recent login', async () => {
+    const res = await patchProfile(HOUR_AGO, { firstName: 'Janet', email: user.email });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.firstName).toBe('Janet');
+  });
+
+  it('starts the email change after a recent login', async () => {
+    jest.spyOn(User, 'findByEmail').mockImplementation(() => mockQuery(null));
+    jest.spyOn(Token, 'deleteUserTokens').mockResolvedValue({ deletedCount: 0 });
+    jest.spyOn(Token, 'generateToken').mockResolvedValue({ token: 'email-change-token' });
+
+    const res = await patchProfile(new Date(), { email: 'new@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.pendingEmail).toBe('new@example.com');
+  });
+});
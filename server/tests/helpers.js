@@ -0,0 +1,83 @@
+/**
+ * Test Helpers
+ *
+ * The services are tested without a database: model statics are replaced
+ * with jest.spyOn and return these fake queries.
+ */
+
+import { jest } from '@jest/globals';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import config from '../src/config/env.js';
+import User from '../src/models/User.js';
+import { getVerificationKeys } from '../src/services/keyService.js';
+
+// Query builder methods the services chain before awaiting
+const CHAINABLE = ['select', 'setOptions', 'sort', 'skip', 'limit', 'populate', 'lean'];
+
+/**
+ * Fake mongoose query resolving to a result
+ *
+ * Chainable (User.findById(id).select('+password')) and awaitable.
+ *
+ * @param {*} result - What awaiting the query returns
+ * @returns {Object}
+ */
+export const mockQuery = (result) => {
+  const query = {
+    exec: () => Promise.resolve(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve(result).catch(reject),
+  };
+  CHAINABLE.forEach((method) => {
+    query[method] = jest.fn(() => query);
+  });
+  return query;
+};
+
+/**
+ * Request context passed to the services (see utils/requestContext.js)
+ */
+export const context = {
+  userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) Chrome/120.0',
+  ip: '203.0.113.7',
+};
+
+// Password of the users built by buildUser
+export const PASSWORD = 'CorrectHorse1!';
+const PASSWORD_HASH = bcrypt.hashSync(PASSWORD, 4);
+
+/**
+ * Build a verified user (not saved)
+ *
+ * @param {Object} fields - Fields to override
+ * @returns {User}
+ */
+export const buildUser = (fields = {}) =>
+  new User({
+    email: 'jane@example.com',
+    firstName: 'Jane',
+    lastName: 'Doe',
+    password: PASSWORD_HASH,
+    isEmailVerified: true,
+    ...fields,
+  });
+
+/**
+ * Verify a token the way other services verify our access tokens
+ * (key from the JWKS, issuer and JWT_AUDIENCE - they don't check the type)
+ *
+ * @param {string} token - Signed JWT
+ * @returns {Object} - Decoded payload
+ * @throws {JsonWebTokenError} - If another service would reject it
+ */
+export const verifyAsOtherService = (token) => {
+  const { kid } = jwt.decode(token, { complete: true }).header;
+  const [key] = getVerificationKeys('access', kid);
+
+  return jwt.verify(token, key.verificationKey, {
+    algorithms: [key.alg],
+    issuer: config.jwt.issuer,
+    audience: config.jwt.audience,
+  });
+};
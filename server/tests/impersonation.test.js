@@ -0,0 +1,143 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import RevokedToken from '../src/models/RevokedToken.js';
+import SecurityEvent from '../src/models/SecurityEvent.js';
+import { createSession } from '../src/services/sessionService.js';
+import { generateImpersonationToken } from '../src/services/jwtService.js';
+import { mockQuery, buildUser, context } from './helpers.js';
+
+const customer = buildUser({ email: 'customer@example.com' });
+const otherAdmin = buildUser({ email: 'other-admin@example.com', role: 'admin' });
+let admin;
+
+// Stand in for the users, sessions, revoked_tokens and security_events collections
+let users;
+let denylist;
+let events;
+
+beforeEach(() => {
+  admin = buildUser({ email: 'admin@example.com', role: 'admin' });
+  users = new Map([customer, otherAdmin, admin].map((user) => [user._id.toString(), user]));
+  denylist = new Set();
+  events = [];
+
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(User, 'findById').mockImplementation((id) =>
+    mockQuery(users.get(id.toString()) || null)
+  );
+  jest.spyOn(Session.prototype, 'save').mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Session, 'findById').mockImplementation(() =>
+    mockQuery(new Session({ userId: admin._id, expiresAt: new Date(Date.now() + 60000) }))
+  );
+  jest.spyOn(RevokedToken, 'updateOne').mockImplementation((filter) => {
+    denylist.add(filter.jti);
+    return mockQuery({ upsertedCount: 1 });
+  });
+  jest.spyOn(RevokedToken, 'exists').mockImplementation((filter) =>
+    mockQuery(denylist.has(filter.jti) ? { _id: filter.jti } : null)
+  );
+  jest.spyOn(SecurityEvent, 'create').mockImplementation(async (fields) => {
+    events.push(fields);
+    return fields;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const loginAs = async (user) => `Bearer ${(await createSession(user, context)).accessToken}`;
+
+const impersonate = async (user, target) =>
+  request(app)
+    .post(`/api/admin/users/${target._id}/impersonate`)
+    .set('Authorization', await loginAs(user))
+    .send({ reason: 'Ticket #4711' });
+
+describe('POST /api/admin/users/:id/impersonate', () => {
+  it('is only for admins', async () => {
+    const res = await impersonate(customer, otherAdmin);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('issues an act-as token naming the admin, and records why', async () => {
+    const res = await impersonate(admin, customer);
+
+    expect(res.status).toBe(200);
+    expect(jwt.decode(res.body.data.accessToken)).toMatchObject({
+      id: customer._id.toString(),
+      act: { sub: admin._id.toString() },
+    });
+    expect(events).toEqual([
+      expect.objectContaining({
+        type: 'impersonation-started',
+        userId: customer._id,
+        actorId: admin._id,
+        details: { reason: 'Ticket #4711' },
+      }),
+    ]);
+  });
+
+  it("doesn't let admins act as other staff", async () => {
+    const res = await impersonate(admin, otherAdmin);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Staff accounts cannot be impersonated.');
+  });
+});
+
+describe('impersonation tokens', () => {
+  const bearer = () => `Bearer ${generateImpersonationToken(customer, admin)}`;
+
+  it('expose both identities and audit every request', async () => {
+    const res = await request(app).get('/api/auth/me').set('Authorization', bearer());
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.email).toBe(customer.email);
+    expect(res.body.data.impersonator).toEqual({
+      id: admin._id.toString(),
+      email: admin.email,
+    });
+    expect(events).toEqual([
+      expect.objectContaining({
+        type: 'impersonation-request',
+        userId: customer._id,
+        actorId: admin._id,
+        details: expect.objectContaining({ method: 'GET', path: '/api/auth/me' }),
+      }),
+    ]);
+  });
+
+  it("can't manage the account", async () => {
+    const res = await request(app).post('/api/auth/logout-all').set('Authorization', bearer());
+
+    expect(res.status).toBe(403);
+  });
+
+  it('stop working once ended', async () => {
+    const token = bearer();
+
+    const end = await request(app).delete('/api/auth/impersonation').set('Authorization', token);
+    const after = await request(app).get('/api/auth/me').set('Authorization', token);
+
+    expect(end.status).toBe(200);
+    expect(after.status).toBe(401);
+  });
+
+  it('stop working when the admin is no longer an admin', async () => {
+    const token = bearer();
+
+    admin.role = 'user';
+
+    const res = await request(app).get('/api/auth/me').set('Authorization', token);
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Impersonation has ended.');
+  });
+});
@@ -0,0 +1,198 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import RevokedToken from '../src/models/RevokedToken.js';
+import OAuthClient from '../src/models/OAuthClient.js';
+import { createSession, rotateSession } from '../src/services/sessionService.js';
+import {
+  generateClientAccessToken,
+  generateDelegatedAccessToken,
+} from '../src/services/jwtService.js';
+import config from '../src/config/env.js';
+import { mockQuery, buildUser, context } from './helpers.js';
+
+const CLIENT_SECRET = 'gateway-secret';
+const client = new OAuthClient({
+  clientId: 'gateway',
+  clientSecretHash: OAuthClient.hashSecret(CLIENT_SECRET),
+  name: 'API Gateway',
+});
+
+let user;
+
+// Stand in for the sessions and revoked_tokens collections
+let sessions;
+let denylist;
+
+beforeEach(() => {
+  user = buildUser();
+  sessions = new Map();
+  denylist = new Set();
+
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(OAuthClient, 'findOne').mockImplementation((filter) =>
+    mockQuery(filter.clientId === client.clientId ? client : null)
+  );
+  jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(user));
+  jest.spyOn(Session.prototype, 'save').mockImplementation(function () {
+    sessions.set(this._id.toString(), this);
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Session, 'findById').mockImplementation((id) =>
+    mockQuery(sessions.get(id.toString()) || null)
+  );
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation((filter, update) => {
+    const session = sessions.get(filter._id.toString());
+    session.set(update.$set);
+    return mockQuery(session);
+  });
+  jest.spyOn(Session, 'updateOne').mockImplementation((filter, update) => {
+    sessions.get(filter._id.toString())?.set(update.$set);
+    return mockQuery({ matchedCount: 1 });
+  });
+  jest.spyOn(RevokedToken, 'updateOne').mockImplementation((filter) => {
+    denylist.add(filter.jti);
+    return mockQuery({ upsertedCount: 1 });
+  });
+  jest.spyOn(RevokedToken, 'exists').mockImplementation((filter) =>
+    mockQuery(denylist.has(filter.jti) ? { _id: filter.jti } : null)
+  );
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const introspect = (token, hint) =>
+  request(app)
+    .post('/api/auth/introspect')
+    .auth(client.clientId, CLIENT_SECRET)
+    .type('form')
+    .send({ token, ...(hint && { token_type_hint: hint }) });
+
+const revoke = (token, hint) =>
+  request(app)
+    .post('/api/auth/revoke')
+    .auth(client.clientId, CLIENT_SECRET)
+    .type('form')
+    .send({ token, ...(hint && { token_type_hint: hint }) });
+
+describe('POST /api/auth/introspect', () => {
+  it('only answers authenticated clients', async () => {
+    const { accessToken } = await createSession(user, context);
+
+    const res = await request(app)
+      .post('/api/auth/introspect')
+      .auth(client.clientId, 'wrong-secret')
+      .send({ token: accessToken });
+
+    expect(res.status).toBe(401);
+    expect(res.headers['www-authenticate']).toBe('Basic realm="api"');
+  });
+
+  it('describes an active access token', async () => {
+    const { accessToken, session } = await createSession(user, context);
+
+    const res = await introspect(accessToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      active: true,
+      token_type: 'access_token',
+      sub: user._id.toString(),
+      email: user.email,
+      sid: session._id.toString(),
+    });
+  });
+
+  it('describes the current refresh token of a session', async () => {
+    const { refreshToken } = await createSession(user, context);
+
+    const res = await introspect(refreshToken, 'refresh_token');
+
+    expect(res.body).toMatchObject({ active: true, token_type: 'refresh_token' });
+  });
+
+  it('reports rotated refresh tokens as inactive without revoking the session', async () => {
+    const { refreshToken, session } = await createSession(user, context);
+    await rotateSession(session, refreshToken, user);
+
+    const res = await introspect(refreshToken, 'refresh_token');
+
+    expect(res.body).toEqual({ active: false });
+    expect(session.isActive()).toBe(true);
+  });
+
+  it('reports tokens issued before a password change as inactive', async () => {
+    const { accessToken } = await createSession(user, context);
+    user.passwordChangedAt = new Date(Date.now() + 60 * 1000);
+
+    const res = await introspect(accessToken);
+
+    expect(res.body).toEqual({ active: false });
+  });
+
+  it('reports garbage as inactive', async () => {
+    const res = await introspect('not-a-token');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ active: false });
+  });
+});
+
+describe('POST /api/auth/revoke', () => {
+  it('denylists an access token', async () => {
+    const { accessToken } = await createSession(user, context);
+
+    expect((await revoke(accessToken)).status).toBe(200);
+
+    expect((await introspect(accessToken)).body).toEqual({ active: false });
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${accessToken}`);
+    expect(me.status).toBe(401);
+  });
+
+  it('ends the session of a refresh token, and its access tokens with it', async () => {
+    const { accessToken, refreshToken, session } = await createSession(user, context);
+
+    await revoke(refreshToken, 'refresh_token');
+
+    expect(session.revokedReason).toBe('revoked-by-client');
+    expect((await introspect(accessToken)).body).toEqual({ active: false });
+  });
+
+  it('denylists an access token of an OpenID Connect client', async () => {
+    const accessToken = generateDelegatedAccessToken(user, client, ['openid']);
+    expect((await introspect(accessToken)).body).toMatchObject({
+      active: true,
+      client_id: client.clientId,
+      aud: `${config.jwt.issuer}/userinfo`,
+    });
+
+    await revoke(accessToken);
+
+    expect((await introspect(accessToken)).body).toEqual({ active: false });
+  });
+
+  it('denylists a client_credentials access token', async () => {
+    const accessToken = generateClientAccessToken(client, ['users:read']);
+    expect((await introspect(accessToken)).body).toMatchObject({
+      active: true,
+      client_id: client.clientId,
+      aud: `${config.jwt.issuer}/client-credentials`,
+    });
+
+    await revoke(accessToken);
+
+    expect((await introspect(accessToken)).body).toEqual({ active: false });
+  });
+
+  it('succeeds for tokens it does not know', async () => {
+    const res = await revoke('not-a-token');
+
+    expect(res.status).toBe(200);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+
+// The access key is loaded on startup, so the environment has to be set
+// before the app is imported
+const keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-test-'));
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+fs.writeFileSync(
+  path.join(keyDir, 'private.pem'),
+  privateKey.export({ type: 'pkcs8', format: 'pem' })
+);
+
+const user = { _id: '6ad542de79ef4daaa05bf681' };
+
+let app;
+let generateAccessToken;
+let verifyAccessToken;
+
+beforeAll(async () => {
+  Object.assign(process.env, {
+    JWT_ALGORITHM: 'ES256',
+    JWT_PRIVATE_KEY_PATH: path.join(keyDir, 'private.pem'),
+  });
+  ({ default: app } = await import('../src/app.js'));
+  ({ generateAccessToken, verifyAccessToken } = await import('../src/services/jwtService.js'));
+});
+
+afterAll(() => {
+  fs.rmSync(keyDir, { recursive: true, force: true });
+});
+
+describe('ES256 access tokens', () => {
+  it('are signed with the private key and name it in the header', () => {
+    const token = generateAccessToken(user);
+    const { header } = jwt.decode(token, { complete: true });
+
+    expect(header.alg).toBe('ES256');
+    expect(header.kid).toEqual(expect.any(String));
+    expect(verifyAccessToken(token).id).toBe('6ad542de79ef4daaa05bf681');
+  });
+
+  it('can be verified by another service with the published key only', async () => {
+    const token = generateAccessToken(user);
+    const { kid } = jwt.decode(token, { complete: true }).header;
+
+    const res = await request(app).get('/.well-known/jwks.json');
+    const jwk = res.body.keys.find((key) => key.kid === kid);
+
+    expect(res.status).toBe(200);
+    expect(jwk).toMatchObject({ kty: 'EC', crv: 'P-256', alg: 'ES256', use: 'sig' });
+    // Only the public part is published
+    expect(jwk.d).toBeUndefined();
+
+    const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    expect(jwt.verify(token, key, { algorithms: ['ES256'] }).id).toBe(
+      '6ad542de79ef4daaa05bf681'
+    );
+  });
+
+  it('rejects HS256 tokens signed with the public key (algorithm confusion)', () => {
+    const forged = jwt.sign(
+      { id: '6ad542de79ef4daaa05bf681' },
+      publicKey.export({ type: 'spki', format: 'pem' }),
+      { algorithm: 'HS256', issuer: 'your-app-name', audience: 'your-app-users' }
+    );
+
+    expect(() => verifyAccessToken(forged)).toThrow();
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+
+// Keys are loaded on startup, so the keyring has to exist before
+// jwtService is imported
+const keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keyring-test-'));
+const keyringPath = path.join(keyDir, 'keyring.json');
+const DAY = 24 * 60 * 60 * 1000;
+const daysFromNow = (days) => new Date(Date.now() + days * DAY).toISOString();
+
+const writeKey = (name) => {
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const file = path.join(keyDir, `${name}.pem`);
+  fs.writeFileSync(file, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+  return { file, privateKey };
+};
+
+const current = writeKey('current');
+const previous = writeKey('previous');
+const next = writeKey('next');
+
+const keyring = [
+  // Rotated out 10 days ago, still verifying until it retires
+  { kid: 'previous', alg: 'ES256', privateKeyPath: previous.file, retiresAt: daysFromNow(20) },
+  { kid: 'current', alg: 'ES256', privateKeyPath: current.file, activatesAt: daysFromNow(-10) },
+  // Published ahead of time, not signing yet
+  { kid: 'next', alg: 'ES256', privateKeyPath: next.file, activatesAt: daysFromNow(5) },
+  { kid: 'legacy', alg: 'HS256', secret: 'old-shared-secret', retiresAt: daysFromNow(-1) },
+];
+fs.writeFileSync(keyringPath, JSON.stringify(keyring));
+
+let jwtService;
+let keyService;
+
+beforeAll(async () => {
+  process.env.JWT_KEYRING_PATH = keyringPath;
+  jwtService = await import('../src/services/jwtService.js');
+  keyService = await import('../src/services/keyService.js');
+});
+
+afterAll(() => {
+  fs.rmSync(keyDir, { recursive: true, force: true });
+});
+
+const USER_ID = '6ad542de79ef4daaa05bf681';
+
+// A token signed before the rotation (same claims, older key)
+const signWith = (key, kid, alg = 'ES256') =>
+  jwt.sign({ id: USER_ID, type: 'access' }, key, {
+    algorithm: alg,
+    keyid: kid,
+    expiresIn: '15m',
+    issuer: 'your-app-name',
+    audience: 'your-app-users',
+  });
+
+const kidOf = (token) => jwt.decode(token, { complete: true }).header.kid;
+
+describe('signing key rotation', () => {
+  it('signs new tokens with the newest active key', () => {
+    expect(kidOf(jwtService.generateAccessToken({ _id: USER_ID }))).toBe('current');
+    expect(kidOf(jwtService.generateRefreshToken(USER_ID, 'session-id'))).toBe('current');
+  });
+
+  it('keeps accepting tokens of the previous key until it retires', () => {
+    const token = signWith(previous.privateKey, 'previous');
+
+    expect(jwtService.verifyAccessToken(token).id).toBe(USER_ID);
+  });
+
+  it('rejects tokens of a retired key', () => {
+    const token = signWith('old-shared-secret', 'legacy', 'HS256');
+
+    expect(() => jwtService.verifyAccessToken(token)).toThrow(
+      'Invalid token. Please log in again.'
+    );
+  });
+
+  it('rejects tokens naming an unknown kid', () => {
+    const token = signWith(current.privateKey, 'someone-else');
+
+    expect(() => jwtService.verifyAccessToken(token)).toThrow(
+      'Invalid token. Please log in again.'
+    );
+  });
+
+  it('keeps refresh tokens from passing as access tokens elsewhere', () => {
+    const refreshToken = jwtService.generateRefreshToken(USER_ID, 'session-id');
+    // What another service does with our JWKS
+    const jwk = keyService.getJwks().keys.find((key) => key.kid === kidOf(refreshToken));
+    const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+
+    expect(() =>
+      jwt.verify(refreshToken, publicKey, {
+        algorithms: ['ES256'],
+        issuer: 'your-app-name',
+        audience: 'your-app-users',
+      })
+    ).toThrow(/audience/);
+    expect(jwtService.verifyRefreshToken(refreshToken).sid).toBe('session-id');
+    expect(() => jwtService.verifyAccessToken(refreshToken)).toThrow();
+  });
+
+  it('publishes upcoming and retiring public keys, never secrets', () => {
+    const { keys } = keyService.getJwks();
+
+    expect(keys.map((key) => key.kid).sort()).toEqual(['current', 'next', 'previous']);
+    keys.forEach((key) => expect(key.d).toBeUndefined());
+  });
+
+  it('picks up a new key on reload', () => {
+    const newer = writeKey('newer');
+    fs.writeFileSync(
+      keyringPath,
+      JSON.stringify([
+        ...keyring,
+        { kid: 'newer', alg: 'ES256', privateKeyPath: newer.file, activatesAt: daysFromNow(-1) },
+      ])
+    );
+
+    keyService.reloadKeys();
+
+    expect(kidOf(jwtService.generateAccessToken({ _id: USER_ID }))).toBe('newer');
+  });
+});
@@ -0,0 +1,124 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import RevokedToken from '../src/models/RevokedToken.js';
+import { createSession } from '../src/services/sessionService.js';
+import { verifyAccessToken } from '../src/services/jwtService.js';
+import { optionalAuth } from '../src/middleware/authMiddleware.js';
+import { mockQuery, buildUser, context } from './helpers.js';
+
+const user = buildUser();
+
+// Stand in for the sessions and revoked_tokens collections
+let sessions;
+let denylist;
+
+beforeEach(() => {
+  sessions = new Map();
+  denylist = new Map();
+
+  jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(user));
+  jest.spyOn(Session.prototype, 'save').mockImplementation(function () {
+    sessions.set(this._id.toString(), this);
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Session, 'findById').mockImplementation((id) =>
+    mockQuery(sessions.get(id.toString()) || null)
+  );
+  jest.spyOn(Session, 'updateOne').mockImplementation((filter, update) => {
+    sessions.get(filter._id.toString())?.set(update.$set);
+    return mockQuery({ matchedCount: 1 });
+  });
+  jest.spyOn(RevokedToken, 'updateOne').mockImplementation((filter, update) => {
+    denylist.set(filter.jti, update.$setOnInsert.expiresAt);
+    return mockQuery({ upsertedCount: 1 });
+  });
+  jest.spyOn(RevokedToken, 'exists').mockImplementation((filter) =>
+    mockQuery(denylist.has(filter.jti) ? { _id: filter.jti } : null)
+  );
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const logout = (accessToken) =>
+  request(app).post('/api/auth/logout').set('Authorization', `Bearer ${accessToken}`);
+
+const getMe = (accessToken) =>
+  request(app).get('/api/auth/me').set('Authorization', `Bearer ${accessToken}`);
+
+describe('POST /api/auth/logout', () => {
+  it('rejects the access token right away, not when it expires', async () => {
+    const { accessToken } = await createSession(user, context);
+    expect((await getMe(accessToken)).status).toBe(200);
+
+    expect((await logout(accessToken)).status).toBe(200);
+
+    const res = await getMe(accessToken);
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('This token has been revoked. Please log in again.');
+  });
+
+  it('keeps the denylist entry only until the token would have expired', async () => {
+    const { accessToken } = await createSession(user, context);
+    const decoded = verifyAccessToken(accessToken);
+
+    await logout(accessToken);
+
+    expect(denylist.get(decoded.jti)).toEqual(new Date(decoded.exp * 1000));
+  });
+
+  it('revokes the session, so its refresh token stops working', async () => {
+    const { accessToken, session } = await createSession(user, context);
+
+    await logout(accessToken);
+
+    expect(session.revokedReason).toBe('logout');
+    expect(session.isActive()).toBe(false);
+  });
+
+  it('leaves the other devices logged in', async () => {
+    const { accessToken } = await createSession(user, context);
+    const other = await createSession(user, context);
+
+    await logout(accessToken);
+
+    expect((await getMe(other.accessToken)).status).toBe(200);
+  });
+});
+
+describe('optionalAuth', () => {
+  const run = async (accessToken) => {
+    const req = { headers: { authorization: `Bearer ${accessToken}` }, cookies: {} };
+    await new Promise((resolve) => optionalAuth(req, {}, resolve));
+    return req.user;
+  };
+
+  it('attaches the user of a valid token', async () => {
+    const { accessToken } = await createSession(user, context);
+
+    expect((await run(accessToken)).id).toBe(user._id);
+  });
+
+  it('treats a logged-out token as anonymous', async () => {
+    const { accessToken } = await createSession(user, context);
+
+    await logout(accessToken);
+
+    expect(await run(accessToken)).toBeUndefined();
+  });
+
+  it('treats a token of an ended session as anonymous', async () => {
+    const { accessToken, session } = await createSession(user, context);
+    const other = await createSession(user, context);
+
+    // e.g. signed out from another device
+    session.set({ revokedAt: new Date(), revokedReason: 'signed-out' });
+
+    expect(await run(accessToken)).toBeUndefined();
+    expect(await run(other.accessToken)).toBeDefined();
+  });
+});
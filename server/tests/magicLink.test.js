@@ -0,0 +1,105 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import User from '../src/models/User.js';
+import Token from '../src/models/Token.js';
+import Session from '../src/models/Session.js';
+import Passkey from '../src/models/Passkey.js';
+import { loginWithMagicLink } from '../src/services/magicLinkService.js';
+import { mockQuery, buildUser, context } from './helpers.js';
+
+const INVALID_LINK = 'Invalid or expired sign-in link. Please request a new one.';
+
+let user;
+// Stands in for the tokens collection
+let tokens;
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([field, value]) =>
+    value?.$gt ? doc[field] > value.$gt : String(doc[field]) === String(value)
+  );
+
+beforeEach(() => {
+  user = buildUser({ isEmailVerified: false });
+  tokens = [];
+
+  jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(user));
+  jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(User.prototype, 'updateOne').mockImplementation(() =>
+    mockQuery({ matchedCount: 1 })
+  );
+  jest.spyOn(Token, 'create').mockImplementation((doc) => {
+    tokens.push({ _id: tokens.length + 1, ...doc });
+    return Promise.resolve(doc);
+  });
+  jest.spyOn(Token, 'findOne').mockImplementation((filter) =>
+    mockQuery(tokens.find((doc) => matches(doc, filter)) || null)
+  );
+  jest.spyOn(Token, 'deleteOne').mockImplementation(({ _id }) => {
+    tokens = tokens.filter((doc) => doc._id !== _id);
+    return mockQuery({ deletedCount: 1 });
+  });
+  jest.spyOn(Token, 'deleteMany').mockImplementation(() => mockQuery({ deletedCount: 0 }));
+  jest.spyOn(Passkey, 'exists').mockImplementation(() => mockQuery(null));
+  jest.spyOn(Session.prototype, 'save').mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const sendLink = async (expiresInMs = 15 * 60 * 1000) =>
+  (await Token.generateToken(user._id, 'magic-login', expiresInMs)).token;
+
+describe('magic links', () => {
+  it('sign the user in and verify their email', async () => {
+    const token = await sendLink();
+
+    const result = await loginWithMagicLink(token, { rememberMe: true }, context);
+
+    expect(result.data.accessToken).toEqual(expect.any(String));
+    expect(result.data.refreshToken).toEqual(expect.any(String));
+    expect(result.data.rememberMe).toBe(true);
+    expect(user.isEmailVerified).toBe(true);
+  });
+
+  it('work only once', async () => {
+    const token = await sendLink();
+    await loginWithMagicLink(token, {}, context);
+
+    await expect(loginWithMagicLink(token, {}, context)).rejects.toMatchObject({
+      statusCode: 400,
+      message: INVALID_LINK,
+    });
+  });
+
+  it('stop working once expired', async () => {
+    const token = await sendLink(-1000);
+
+    await expect(loginWithMagicLink(token, {}, context)).rejects.toMatchObject({
+      message: INVALID_LINK,
+    });
+    expect(tokens).toHaveLength(0);
+  });
+
+  it('are only the first factor for users with 2FA', async () => {
+    user.twoFactor.enabled = true;
+    const token = await sendLink();
+
+    const result = await loginWithMagicLink(token, {}, context);
+
+    expect(result.data).toMatchObject({ twoFactorRequired: true, methods: ['totp'] });
+    expect(result.data.accessToken).toBeUndefined();
+  });
+
+  it('do not sign in a locked account', async () => {
+    user.lockUntil = new Date(Date.now() + 60 * 1000);
+    const token = await sendLink();
+
+    await expect(loginWithMagicLink(token, {}, context)).rejects.toMatchObject({
+      statusCode: 401,
+    });
+  });
+});
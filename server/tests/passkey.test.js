@@ -0,0 +1,107 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import request from 'supertest';
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import Passkey from '../src/models/Passkey.js';
+import RevokedToken from '../src/models/RevokedToken.js';
+import {
+  getAuthenticationOptions,
+  loginWithPasskey,
+} from '../src/services/passkeyService.js';
+import {
+  generateAccessToken,
+  generateWebAuthnChallengeToken,
+  verifyAccessToken,
+} from '../src/services/jwtService.js';
+import { mockQuery, buildUser, context, verifyAsOtherService } from './helpers.js';
+
+// Assertion of a passkey we don't know (the tests stop before the signature)
+const response = { id: 'unknown-credential' };
+
+// Stands in for the revoked_tokens collection
+let used;
+
+beforeEach(() => {
+  used = new Set();
+
+  jest.spyOn(RevokedToken, 'updateOne').mockImplementation((filter) => {
+    const inserted = !used.has(filter.jti);
+    used.add(filter.jti);
+    return mockQuery({ upsertedCount: inserted ? 1 : 0 });
+  });
+  jest.spyOn(Passkey, 'findOne').mockImplementation(() => mockQuery(null));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('passkey challenge token', () => {
+  it('is not accepted as an access token', () => {
+    const challengeToken = generateWebAuthnChallengeToken('challenge', {
+      purpose: 'registration',
+      userId: new mongoose.Types.ObjectId(),
+    });
+
+    expect(() => verifyAccessToken(challengeToken)).toThrow();
+    expect(() => verifyAsOtherService(challengeToken)).toThrow(/audience/);
+  });
+
+  it('is used up by the first attempt', async () => {
+    const { challengeToken } = (await getAuthenticationOptions()).data;
+
+    await expect(loginWithPasskey({ challengeToken, response }, context)).rejects.toMatchObject({
+      message: 'This passkey is not registered.',
+    });
+
+    await expect(loginWithPasskey({ challengeToken, response }, context)).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'This passkey request was already used. Please try again.',
+    });
+  });
+
+  it('only works for its purpose', async () => {
+    const challengeToken = generateWebAuthnChallengeToken('challenge', {
+      purpose: 'registration',
+      userId: new mongoose.Types.ObjectId(),
+    });
+
+    await expect(loginWithPasskey({ challengeToken, response }, context)).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Invalid passkey challenge',
+    });
+  });
+});
+
+describe('passkey management', () => {
+  const user = buildUser();
+  const session = new Session({
+    userId: user._id,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  });
+
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(user));
+    jest.spyOn(Session, 'findById').mockImplementation(() => mockQuery(session));
+    jest.spyOn(RevokedToken, 'exists').mockImplementation(() => mockQuery(null));
+  });
+
+  // Logged in an hour ago: a stolen token or an unattended browser
+  const staleLogin = () =>
+    `Bearer ${generateAccessToken(user, session._id.toString(), {
+      authTime: new Date(Date.now() - 60 * 60 * 1000),
+    })}`;
+
+  it.each([
+    ['post', '/api/auth/passkeys/register/options'],
+    ['post', '/api/auth/passkeys/register'],
+    ['delete', `/api/auth/passkeys/${new mongoose.Types.ObjectId()}`],
+  ])('requires a recent login (%s %s)', async (method, path) => {
+    const res = await request(app)[method](path).set('Authorization', staleLogin());
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('insufficient_user_authentication');
+  });
+});
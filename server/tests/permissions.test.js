@@ -0,0 +1,119 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import RevokedToken from '../src/models/RevokedToken.js';
+import { getPermissions, hasPermission, isStaffRole } from '../src/config/roles.js';
+import { requirePermission } from '../src/middleware/authMiddleware.js';
+import { validateAccessToken } from '../src/services/authService.js';
+import {
+  generateAccessToken,
+  generateImpersonationToken,
+} from '../src/services/jwtService.js';
+import { mockQuery, buildUser } from './helpers.js';
+
+const customer = buildUser({ email: 'customer@example.com' });
+const support = buildUser({ email: 'support@example.com', role: 'support' });
+const admin = buildUser({ email: 'admin@example.com', role: 'admin' });
+
+// Stands in for the users collection
+const users = new Map([customer, support, admin].map((user) => [user._id.toString(), user]));
+
+beforeEach(() => {
+  jest.spyOn(User, 'findById').mockImplementation((id) =>
+    mockQuery(users.get(id.toString()) || null)
+  );
+  jest.spyOn(RevokedToken, 'exists').mockImplementation(() => mockQuery(null));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('roles', () => {
+  it('give end users no permission', () => {
+    expect(getPermissions('user')).toEqual([]);
+    expect(isStaffRole('user')).toBe(false);
+  });
+
+  it('let support read and write users, not impersonate them', () => {
+    expect(hasPermission('support', 'users:read')).toBe(true);
+    expect(hasPermission('support', 'users:write')).toBe(true);
+    expect(hasPermission('support', 'users:impersonate')).toBe(false);
+    expect(isStaffRole('support')).toBe(true);
+  });
+
+  it('give admins every permission', () => {
+    expect(hasPermission('admin', 'users:impersonate')).toBe(true);
+  });
+
+  it('grant nothing for an unknown role', () => {
+    expect(getPermissions('superuser')).toEqual([]);
+  });
+});
+
+describe('requirePermission', () => {
+  const run = async (permissions, ...required) => {
+    const next = jest.fn();
+    await requirePermission(...required)({ user: { permissions } }, {}, next);
+    return next.mock.calls[0][0];
+  };
+
+  it('lets a user with every permission through', async () => {
+    await expect(run(['users:read', 'users:write'], 'users:read', 'users:write')).resolves
+      .toBeUndefined();
+  });
+
+  it('answers 403 and names the missing permissions', async () => {
+    await expect(run(['users:read'], 'users:read', 'users:write')).resolves.toMatchObject({
+      statusCode: 403,
+      message: 'You do not have permission to perform this action (requires users:write).',
+    });
+  });
+});
+
+describe('admin routes', () => {
+  const as = (user) => `Bearer ${generateAccessToken(user, null, { authTime: new Date() })}`;
+
+  it('are closed to end users', async () => {
+    const res = await request(app).get('/api/admin/users').set('Authorization', as(customer));
+
+    expect(res.status).toBe(403);
+  });
+
+  it('let support act on accounts (the action runs its own checks)', async () => {
+    const res = await request(app)
+      .post(`/api/admin/users/${admin._id}/deactivate`)
+      .set('Authorization', as(support))
+      .send({ reason: 'Testing permissions' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Staff accounts cannot be deactivated.');
+  });
+
+  it('do not let support impersonate', async () => {
+    const res = await request(app)
+      .post(`/api/admin/users/${customer._id}/impersonate`)
+      .set('Authorization', as(support))
+      .send({ reason: 'Testing permissions' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toMatch(/requires users:impersonate/);
+  });
+});
+
+describe('impersonation tokens', () => {
+  it('stop working when the admin loses the permission', async () => {
+    const formerAdmin = buildUser({ email: 'former@example.com', role: 'admin' });
+    users.set(formerAdmin._id.toString(), formerAdmin);
+    const token = generateImpersonationToken(customer, formerAdmin);
+    await expect(validateAccessToken(token)).resolves.toBeDefined();
+
+    formerAdmin.role = 'support';
+
+    await expect(validateAccessToken(token)).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Impersonation has ended.',
+    });
+  });
+});
@@ -0,0 +1,210 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../src/models/User.js';
+import OAuthClient from '../src/models/OAuthClient.js';
+import AuthorizationCode from '../src/models/AuthorizationCode.js';
+import RevokedToken from '../src/models/RevokedToken.js';
+import {
+  validateAuthorizationRequest,
+  exchangeAuthorizationCode,
+  getUserInfo,
+} from '../src/services/oidcService.js';
+import { verifyAccessToken } from '../src/services/jwtService.js';
+import { getSigningKey } from '../src/services/keyService.js';
+import config from '../src/config/env.js';
+import { mockQuery, buildUser, verifyAsOtherService } from './helpers.js';
+
+const REDIRECT_URI = 'https://app.example.com/callback';
+
+const client = new OAuthClient({
+  clientId: 'spa-client',
+  isPublic: true,
+  name: 'Example SPA',
+  scopes: ['openid', 'profile', 'email'],
+  grantTypes: ['authorization_code'],
+  redirectUris: [REDIRECT_URI],
+});
+
+const user = buildUser();
+
+const codeVerifier = crypto.randomBytes(32).toString('base64url');
+const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+const authorizationParams = (params = {}) => ({
+  client_id: client.clientId,
+  redirect_uri: REDIRECT_URI,
+  response_type: 'code',
+  scope: 'openid email',
+  state: 'xyz',
+  code_challenge: codeChallenge,
+  code_challenge_method: 'S256',
+  ...params,
+});
+
+// Unused codes, by hash (consume marks them as used)
+let codes;
+
+const issueCode = (fields = {}) => {
+  const code = crypto.randomBytes(32).toString('base64url');
+  codes.set(
+    AuthorizationCode.hashCode(code),
+    new AuthorizationCode({
+      clientId: client.clientId,
+      userId: user._id,
+      redirectUri: REDIRECT_URI,
+      scopes: ['openid', 'email'],
+      codeChallenge,
+      authTime: new Date(),
+      expiresAt: new Date(Date.now() + 60 * 1000),
+      ...fields,
+    })
+  );
+  return code;
+};
+
+beforeEach(() => {
+  codes = new Map();
+
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(OAuthClient, 'findOne').mockImplementation(() => mockQuery(client));
+  jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(user));
+  jest.spyOn(AuthorizationCode, 'findOneAndUpdate').mockImplementation((filter) => {
+    const authorizationCode = codes.get(filter.codeHash) || null;
+    codes.delete(filter.codeHash);
+    return mockQuery(authorizationCode);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('authorization request', () => {
+  it('requires a code challenge from public clients', async () => {
+    const params = authorizationParams({
+      code_challenge: undefined,
+      code_challenge_method: undefined,
+    });
+
+    await expect(validateAuthorizationRequest(params)).rejects.toMatchObject({
+      oauthError: 'invalid_request',
+      redirectTo: expect.stringContaining('state=xyz'),
+    });
+  });
+
+  it('rejects the plain challenge method', async () => {
+    const params = authorizationParams({
+      code_challenge: codeVerifier,
+      code_challenge_method: 'plain',
+    });
+
+    await expect(validateAuthorizationRequest(params)).rejects.toMatchObject({
+      oauthError: 'invalid_request',
+    });
+  });
+
+  it('accepts an S256 challenge', async () => {
+    const request = await validateAuthorizationRequest(authorizationParams());
+
+    expect(request.codeChallenge).toBe(codeChallenge);
+    expect(request.scopes).toEqual(['openid', 'email']);
+  });
+});
+
+describe('code exchange', () => {
+  const exchange = (code, verifier = codeVerifier) =>
+    exchangeAuthorizationCode(client, {
+      code,
+      redirect_uri: REDIRECT_URI,
+      code_verifier: verifier,
+    });
+
+  it('issues tokens for the right code verifier', async () => {
+    const tokens = await exchange(issueCode());
+
+    expect(tokens).toMatchObject({
+      token_type: 'Bearer',
+      access_token: expect.any(String),
+      id_token: expect.any(String),
+    });
+  });
+
+  it('rejects a wrong code verifier', async () => {
+    const otherVerifier = crypto.randomBytes(32).toString('base64url');
+
+    await expect(exchange(issueCode(), otherVerifier)).rejects.toMatchObject({
+      oauthError: 'invalid_grant',
+    });
+  });
+
+  it('rejects a missing code verifier', async () => {
+    await expect(exchange(issueCode(), null)).rejects.toMatchObject({
+      oauthError: 'invalid_grant',
+    });
+  });
+
+  it('rejects a verifier when no challenge was sent', async () => {
+    await expect(exchange(issueCode({ codeChallenge: null }))).rejects.toMatchObject({
+      oauthError: 'invalid_grant',
+    });
+  });
+
+  it('accepts a code only once', async () => {
+    const code = issueCode();
+    await exchange(code);
+
+    await expect(exchange(code)).rejects.toMatchObject({ oauthError: 'invalid_grant' });
+  });
+});
+
+describe('delegated access token', () => {
+  const accessToken = async () =>
+    (
+      await exchangeAuthorizationCode(client, {
+        code: issueCode(),
+        redirect_uri: REDIRECT_URI,
+        code_verifier: codeVerifier,
+      })
+    ).access_token;
+
+  beforeEach(() => {
+    jest.spyOn(RevokedToken, 'exists').mockImplementation(() => mockQuery(null));
+  });
+
+  it('is accepted by the userinfo endpoint', async () => {
+    await expect(getUserInfo(await accessToken())).resolves.toMatchObject({
+      sub: user._id.toString(),
+      email: user.email,
+    });
+  });
+
+  it('is not a first-party access token, here or for other services', async () => {
+    const token = await accessToken();
+
+    expect(() => verifyAccessToken(token)).toThrow();
+    expect(() => verifyAsOtherService(token)).toThrow(/audience/);
+  });
+
+  it('must have the userinfo audience', async () => {
+    const { kid, alg, signingKey } = getSigningKey('access');
+    const firstPartyToken = jwt.sign(
+      {
+        id: user._id.toString(),
+        client_id: client.clientId,
+        scope: 'openid email',
+        type: 'access',
+      },
+      signingKey,
+      {
+        algorithm: alg,
+        ...(kid && { keyid: kid }),
+        expiresIn: '5m',
+        issuer: config.jwt.issuer,
+        audience: config.jwt.audience[0],
+      }
+    );
+
+    await expect(getUserInfo(firstPartyToken)).rejects.toMatchObject({ statusCode: 401 });
+  });
+});
@@ -0,0 +1,131 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import RevokedToken from '../src/models/RevokedToken.js';
+import { requireRecentAuth } from '../src/middleware/authMiddleware.js';
+import { createSession } from '../src/services/sessionService.js';
+import { generateAccessToken } from '../src/services/jwtService.js';
+import { mockQuery, buildUser, context, PASSWORD } from './helpers.js';
+
+const TEN_MINUTES_AGO = () => new Date(Date.now() - 10 * 60 * 1000);
+
+let user;
+// Stands in for the sessions collection
+let sessions;
+
+beforeEach(() => {
+  user = buildUser({ loginAttempts: 0 });
+  sessions = [];
+
+  jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(user));
+  jest.spyOn(User.prototype, 'updateOne').mockImplementation(function (update) {
+    if (update.$inc) {
+      this.loginAttempts += update.$inc.loginAttempts;
+    }
+    return mockQuery({ matchedCount: 1 });
+  });
+  jest.spyOn(RevokedToken, 'exists').mockImplementation(() => mockQuery(null));
+  jest.spyOn(Session.prototype, 'save').mockImplementation(function () {
+    if (!sessions.includes(this)) {
+      sessions.push(this);
+    }
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Session, 'findById').mockImplementation((id) =>
+    mockQuery(sessions.find((session) => session._id.equals(id)) || null)
+  );
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation((filter, update) => {
+    const session = sessions.find((candidate) => candidate._id.equals(filter._id));
+    session?.set(update.$set);
+    return mockQuery(session || null);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Access token of a session whose user logged in 10 minutes ago
+const staleToken = async () => {
+  await createSession(user, context);
+  const [session] = sessions;
+  session.authTime = TEN_MINUTES_AGO();
+  return generateAccessToken(user, session._id.toString(), { authTime: session.authTime });
+};
+
+describe('requireRecentAuth', () => {
+  const run = async (token) => {
+    const next = jest.fn();
+    const res = { set: jest.fn() };
+    await requireRecentAuth(300)({ user: { id: 'user' }, token }, res, next);
+    return next.mock.calls[0][0];
+  };
+
+  it('lets a recent login through', async () => {
+    await expect(run({ auth_time: Math.floor(Date.now() / 1000) - 60 })).resolves
+      .toBeUndefined();
+  });
+
+  it('answers 401 insufficient_user_authentication for an older login', async () => {
+    await expect(
+      run({ auth_time: Math.floor(TEN_MINUTES_AGO().getTime() / 1000) })
+    ).resolves.toMatchObject({
+      statusCode: 401,
+      oauthError: 'insufficient_user_authentication',
+    });
+  });
+
+  it('rejects tokens without auth_time (API keys, impersonation)', async () => {
+    await expect(run({})).resolves.toMatchObject({ statusCode: 401 });
+  });
+});
+
+describe('sensitive routes', () => {
+  it('ask for the password again when the login is not recent', async () => {
+    const token = await staleToken();
+
+    const res = await request(app)
+      .delete('/api/auth/account')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('insufficient_user_authentication');
+    expect(res.headers['www-authenticate']).toContain(
+      'error="insufficient_user_authentication"'
+    );
+    expect(res.headers['www-authenticate']).toContain('max_age=300');
+  });
+});
+
+describe('POST /api/auth/reauthenticate', () => {
+  it('issues an access token with a fresh auth_time', async () => {
+    const token = await staleToken();
+
+    const res = await request(app)
+      .post('/api/auth/reauthenticate')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    const { auth_time: authTime } = jwt.decode(res.body.data.accessToken);
+    expect(Date.now() / 1000 - authTime).toBeLessThan(5);
+    // Refreshed tokens keep it (stored on the session)
+    expect(Math.floor(sessions[0].authTime.getTime() / 1000)).toBe(authTime);
+  });
+
+  it('counts a wrong password as a failed login', async () => {
+    const token = await staleToken();
+
+    const res = await request(app)
+      .post('/api/auth/reauthenticate')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ password: 'not-my-password' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Incorrect password');
+    expect(user.loginAttempts).toBe(1);
+  });
+});
@@ -0,0 +1,131 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import User from '../src/models/User.js';
+import Token from '../src/models/Token.js';
+import Session from '../src/models/Session.js';
+import RecoveryCode from '../src/models/RecoveryCode.js';
+import SecurityEvent from '../src/models/SecurityEvent.js';
+import TrustedDevice from '../src/models/TrustedDevice.js';
+import { recoverAccount } from '../src/services/recoveryCodeService.js';
+import { mockQuery, buildUser, context } from './helpers.js';
+
+const NEW_PASSWORD = 'BatteryStaple2!';
+
+let user;
+// Stands in for the recoverycodes collection
+let stored;
+
+beforeEach(() => {
+  user = buildUser({ loginAttempts: 0 });
+  stored = [];
+
+  jest.spyOn(User, 'findByEmail').mockImplementation(() => mockQuery(user));
+  jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(User.prototype, 'updateOne').mockImplementation(function (update) {
+    if (update.$inc) {
+      this.loginAttempts += update.$inc.loginAttempts;
+    }
+    return mockQuery({ matchedCount: 1 });
+  });
+  jest.spyOn(RecoveryCode, 'deleteMany').mockImplementation(() => {
+    stored = [];
+    return mockQuery({ deletedCount: 0 });
+  });
+  jest.spyOn(RecoveryCode, 'insertMany').mockImplementation((docs) => {
+    stored.push(...docs.map((doc) => ({ ...doc, usedAt: null })));
+    return Promise.resolve(docs);
+  });
+  // Atomic update, like MongoDB: only matches an unused code
+  jest.spyOn(RecoveryCode, 'findOneAndUpdate').mockImplementation((filter, update) => {
+    const code = stored.find(
+      (candidate) => candidate.codeHash === filter.codeHash && candidate.usedAt === null
+    );
+    if (code) {
+      Object.assign(code, update.$set);
+    }
+    return mockQuery(code || null);
+  });
+  jest.spyOn(RecoveryCode, 'countDocuments').mockImplementation(() =>
+    mockQuery(stored.filter((code) => code.usedAt === null).length)
+  );
+  jest.spyOn(Token, 'deleteUserTokens').mockResolvedValue({ deletedCount: 0 });
+  jest.spyOn(Session, 'revokeUserSessions').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(TrustedDevice, 'create').mockImplementation((fields) =>
+    Promise.resolve(new TrustedDevice(fields))
+  );
+  jest.spyOn(SecurityEvent, 'record').mockResolvedValue({});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('recovery codes', () => {
+  it('are stored as hashes only', async () => {
+    const codes = await RecoveryCode.generateForUser(user._id);
+
+    expect(stored).toHaveLength(codes.length);
+    stored.forEach(({ codeHash }) => {
+      expect(codes).not.toContain(codeHash);
+      expect(codeHash).toMatch(/^[0-9a-f]{64}$/);
+    });
+  });
+
+  it('set a new password and sign out every session', async () => {
+    const [code] = await RecoveryCode.generateForUser(user._id);
+
+    const result = await recoverAccount(
+      { email: user.email, code, password: NEW_PASSWORD },
+      context
+    );
+
+    expect(result.data.remaining).toBe(stored.length - 1);
+    // Hashed by the pre-save hook (save is mocked)
+    expect(user.password).toBe(NEW_PASSWORD);
+    expect(User.prototype.save).toHaveBeenCalled();
+    expect(Session.revokeUserSessions).toHaveBeenCalledWith(
+      user._id,
+      'account-recovery',
+      null
+    );
+  });
+
+  it('work once', async () => {
+    const [code] = await RecoveryCode.generateForUser(user._id);
+    await recoverAccount({ email: user.email, code, password: NEW_PASSWORD }, context);
+
+    await expect(
+      recoverAccount({ email: user.email, code, password: 'Another3Password!' }, context)
+    ).rejects.toMatchObject({ statusCode: 400, message: 'Invalid email or recovery code' });
+  });
+
+  it('ignore case, spaces and dashes', async () => {
+    const [code] = await RecoveryCode.generateForUser(user._id);
+    const typed = code.toUpperCase().replace('-', ' ');
+
+    await expect(
+      recoverAccount({ email: user.email, code: typed, password: NEW_PASSWORD }, context)
+    ).resolves.toMatchObject({ status: 'success' });
+  });
+
+  it('stop working when a new set is generated', async () => {
+    const [oldCode] = await RecoveryCode.generateForUser(user._id);
+    await RecoveryCode.generateForUser(user._id);
+
+    await expect(
+      recoverAccount({ email: user.email, code: oldCode, password: NEW_PASSWORD }, context)
+    ).rejects.toMatchObject({ message: 'Invalid email or recovery code' });
+  });
+
+  it('count wrong codes as failed login attempts', async () => {
+    await RecoveryCode.generateForUser(user._id);
+
+    await expect(
+      recoverAccount({ email: user.email, code: 'aaaaa-aaaaa', password: NEW_PASSWORD }, context)
+    ).rejects.toMatchObject({ message: 'Invalid email or recovery code' });
+
+    expect(user.loginAttempts).toBe(1);
+  });
+});
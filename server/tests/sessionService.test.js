@@ -0,0 +1,147 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import Session from '../src/models/Session.js';
+import config from '../src/config/env.js';
+import {
+  createSession,
+  findSessionForRefreshToken,
+  rotateSession,
+} from '../src/services/sessionService.js';
+import { mockQuery } from './helpers.js';
+
+const user = { _id: new mongoose.Types.ObjectId(), tokenVersion: 0 };
+
+// Stands in for the sessions collection: one session
+let stored;
+
+beforeEach(() => {
+  jest.spyOn(Session.prototype, 'save').mockImplementation(function () {
+    stored = this;
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Session, 'findById').mockImplementation(() => mockQuery(stored));
+  // Conditional update, like MongoDB: only matches the current hash
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation((filter, update) => {
+    const matches =
+      stored.refreshTokenHash === filter.refreshTokenHash && !stored.revokedAt;
+    if (matches) {
+      stored.set(update.$set);
+    }
+    return mockQuery(matches ? stored : null);
+  });
+  jest.spyOn(Session, 'updateOne').mockImplementation((filter, update) => {
+    stored.set(update.$set);
+    return mockQuery({ matchedCount: 1 });
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createSession', () => {
+  it('stores only a hash of the refresh token', async () => {
+    const { session, refreshToken, accessToken } = await createSession(user);
+
+    expect(accessToken).toEqual(expect.any(String));
+    expect(session.refreshTokenHash).toBe(Session.hashToken(refreshToken));
+    expect(session.refreshTokenHash).not.toBe(refreshToken);
+  });
+
+  it('gives "remember me" sessions a longer lifetime', async () => {
+    const { session: short } = await createSession(user);
+    const { session: long } = await createSession(user, {}, { rememberMe: true });
+
+    expect(long.expiresAt.getTime()).toBeGreaterThan(short.expiresAt.getTime());
+    expect(long.rememberMe).toBe(true);
+    expect(long.idleTimeoutMinutes).toBeGreaterThan(short.idleTimeoutMinutes);
+  });
+
+  it('keeps access tokens shorter than the idle timeout', async () => {
+    const { accessToken } = await createSession(user);
+    const { iat, exp } = jwt.decode(accessToken);
+
+    expect(exp - iat).toBe((config.session.idleTimeoutMinutes * 60) / 2);
+  });
+});
+
+describe('refresh token rotation', () => {
+  it('accepts the current refresh token', async () => {
+    const { refreshToken } = await createSession(user);
+
+    const { session, decoded } = await findSessionForRefreshToken(refreshToken);
+
+    expect(session).toBe(stored);
+    expect(decoded.sid).toBe(stored._id.toString());
+  });
+
+  it('replaces the refresh token on every refresh', async () => {
+    const { refreshToken } = await createSession(user);
+    const { session } = await findSessionForRefreshToken(refreshToken);
+
+    const rotated = await rotateSession(session, refreshToken, user);
+
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    expect(stored.refreshTokenHash).toBe(Session.hashToken(rotated.refreshToken));
+    await expect(findSessionForRefreshToken(rotated.refreshToken)).resolves.toBeDefined();
+  });
+
+  it('revokes the session when a rotated token is reused', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const { refreshToken } = await createSession(user);
+    const { session } = await findSessionForRefreshToken(refreshToken);
+    const rotated = await rotateSession(session, refreshToken, user);
+
+    await expect(findSessionForRefreshToken(refreshToken)).rejects.toMatchObject({
+      statusCode: 401,
+    });
+    expect(stored.revokedReason).toBe('reuse-detected');
+
+    // The legitimate holder of the newer token is logged out too
+    await expect(findSessionForRefreshToken(rotated.refreshToken)).rejects.toMatchObject({
+      statusCode: 401,
+    });
+  });
+
+  it('lets only one of two concurrent refreshes with the same token win', async () => {
+    const { refreshToken } = await createSession(user);
+    const { session } = await findSessionForRefreshToken(refreshToken);
+
+    await rotateSession(session, refreshToken, user);
+
+    await expect(rotateSession(session, refreshToken, user)).rejects.toMatchObject({
+      statusCode: 401,
+    });
+    expect(stored.revokedReason).toBe('reuse-detected');
+  });
+
+  it('keeps the absolute expiry of the session on rotation', async () => {
+    const { refreshToken } = await createSession(user);
+    const { session } = await findSessionForRefreshToken(refreshToken);
+    const expiresAt = session.expiresAt.getTime();
+
+    const rotated = await rotateSession(session, refreshToken, user);
+
+    expect(jwt.decode(rotated.refreshToken).exp * 1000).toBe(expiresAt);
+  });
+
+  it('ends idle sessions', async () => {
+    const { refreshToken } = await createSession(user);
+    stored.lastUsedAt = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    await expect(findSessionForRefreshToken(refreshToken)).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Your session expired due to inactivity. Please log in again.',
+    });
+    expect(stored.revokedReason).toBe('idle-timeout');
+  });
+
+  it('rejects access tokens used as refresh tokens', async () => {
+    const { accessToken } = await createSession(user);
+
+    await expect(findSessionForRefreshToken(accessToken)).rejects.toMatchObject({
+      statusCode: 401,
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import RevokedToken from '../src/models/RevokedToken.js';
+import { createSession, describeDevice } from '../src/services/sessionService.js';
+import { mockQuery, buildUser, context } from './helpers.js';
+
+const user = buildUser();
+const other = buildUser({ email: 'john@example.com' });
+
+// Stands in for the sessions collection
+let sessions;
+
+const isOwnActive = (session, filter) =>
+  session.userId.equals(filter.userId) && !session.revokedAt;
+
+beforeEach(() => {
+  sessions = [];
+
+  jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(user));
+  jest.spyOn(RevokedToken, 'exists').mockImplementation(() => mockQuery(null));
+  jest.spyOn(Session.prototype, 'save').mockImplementation(function () {
+    if (!sessions.includes(this)) {
+      sessions.push(this);
+    }
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Session, 'findById').mockImplementation((id) =>
+    mockQuery(sessions.find((session) => session._id.equals(id)) || null)
+  );
+  jest.spyOn(Session, 'findOne').mockImplementation((filter) =>
+    mockQuery(
+      sessions.find(
+        (session) => session._id.equals(filter._id) && session.userId.equals(filter.userId)
+      ) || null
+    )
+  );
+  jest.spyOn(Session, 'find').mockImplementation((filter) =>
+    mockQuery(sessions.filter((session) => isOwnActive(session, filter)))
+  );
+  jest.spyOn(Session, 'updateMany').mockImplementation((filter, update) => {
+    const matched = sessions.filter(
+      (session) => isOwnActive(session, filter) && !session._id.equals(filter._id?.$ne)
+    );
+    matched.forEach((session) => session.set(update.$set));
+    return mockQuery({ modifiedCount: matched.length });
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+describe('GET /api/auth/sessions', () => {
+  it('lists the devices the user is signed in on', async () => {
+    const current = await createSession(user, context);
+    await createSession(user, { userAgent: 'curl/8.4.0', ip: '198.51.100.2' });
+    await createSession(other, context);
+
+    const res = await request(app)
+      .get('/api/auth/sessions')
+      .set(bearer(current.accessToken));
+
+    expect(res.status).toBe(200);
+    expect(res.body.results).toBe(2);
+    expect(res.body.data.sessions).toEqual([
+      expect.objectContaining({
+        device: 'Chrome on macOS',
+        ip: context.ip,
+        current: true,
+      }),
+      expect.objectContaining({ ip: '198.51.100.2', current: false }),
+    ]);
+  });
+});
+
+describe('DELETE /api/auth/sessions/:id', () => {
+  it('signs the device out, access token included', async () => {
+    const current = await createSession(user, context);
+    const stolen = await createSession(user, context);
+
+    const res = await request(app)
+      .delete(`/api/auth/sessions/${stolen.session._id}`)
+      .set(bearer(current.accessToken));
+
+    expect(res.status).toBe(200);
+    expect(stolen.session.revokedReason).toBe('revoked-by-user');
+
+    const after = await request(app)
+      .get('/api/auth/sessions')
+      .set(bearer(stolen.accessToken));
+    expect(after.status).toBe(401);
+  });
+
+  it("can't revoke another user's session", async () => {
+    const current = await createSession(user, context);
+    const theirs = await createSession(other, context);
+
+    const res = await request(app)
+      .delete(`/api/auth/sessions/${theirs.session._id}`)
+      .set(bearer(current.accessToken));
+
+    expect(res.status).toBe(404);
+    expect(theirs.session.isActive()).toBe(true);
+  });
+});
+
+describe('DELETE /api/auth/sessions', () => {
+  it('signs out every other device and keeps the current one', async () => {
+    const current = await createSession(user, context);
+    const laptop = await createSession(user, context);
+    const phone = await createSession(user, context);
+
+    const res = await request(app)
+      .delete('/api/auth/sessions')
+      .set(bearer(current.accessToken));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.revoked).toBe(2);
+    expect(laptop.session.isActive()).toBe(false);
+    expect(phone.session.isActive()).toBe(false);
+    expect(current.session.isActive()).toBe(true);
+  });
+});
+
+describe('describeDevice', () => {
+  it('names the browser and system', () => {
+    expect(
+      describeDevice('Mozilla/5.0 (Windows NT 10.0; Win64; x64) Gecko/20100101 Firefox/121.0')
+    ).toBe('Firefox on Windows');
+    expect(describeDevice(undefined)).toBe('Unknown device');
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * Test Setup
+ *
+ * Runs before every test file: the environment config/env.js needs, and
+ * no database. Tests mock the model methods they use (see helpers.js);
+ * mongoose fails right away on anything that isn't mocked instead of
+ * waiting for a connection.
+ *
+ * Development mode: emails are logged instead of sent (config/email.js).
+ */
+
+import mongoose from 'mongoose';
+
+Object.assign(process.env, {
+  NODE_ENV: 'development',
+  PORT: '5000',
+  MONGODB_URI: 'mongodb://localhost:27017/auth-module-test',
+  JWT_SECRET: 'test-access-secret',
+  JWT_REFRESH_SECRET: 'test-refresh-secret',
+  EMAIL_HOST: 'localhost',
+  EMAIL_PORT: '1025',
+  EMAIL_USER: 'test',
+  EMAIL_PASSWORD: 'test',
+  ENCRYPTION_KEY: '0'.repeat(64),
+});
+
+mongoose.set('bufferCommands', false);
@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeAll, afterEach } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import tokenClaims from '../src/config/tokenClaims.js';
+
+const user = { _id: '6ad542de79ef4daaa05bf681', isEmailVerified: true };
+
+let jwtService;
+
+// Issuer and audiences are read from the environment on startup
+beforeAll(async () => {
+  Object.assign(process.env, {
+    JWT_ISSUER: 'https://auth.example.com',
+    JWT_AUDIENCE: 'https://api.example.com, https://billing.example.com',
+  });
+  jwtService = await import('../src/services/jwtService.js');
+});
+
+afterEach(() => {
+  jwtService.setClaimsProvider(tokenClaims);
+});
+
+// A token from someone else sharing our signing secret
+const signAs = (issuer, audience) =>
+  jwt.sign({ id: user._id, type: 'access' }, process.env.JWT_SECRET, {
+    expiresIn: '15m',
+    issuer,
+    audience,
+  });
+
+describe('issuer and audiences', () => {
+  it('come from the configuration', () => {
+    const decoded = jwt.decode(jwtService.generateAccessToken(user));
+
+    expect(decoded.iss).toBe('https://auth.example.com');
+    expect(decoded.aud).toEqual(['https://api.example.com', 'https://billing.example.com']);
+  });
+
+  it('accept tokens meant for any of the audiences', () => {
+    const token = signAs('https://auth.example.com', 'https://billing.example.com');
+
+    expect(jwtService.verifyAccessToken(token).id).toBe(user._id);
+  });
+
+  it('reject tokens of another issuer or audience', () => {
+    const otherIssuer = signAs('https://evil.example.com', 'https://api.example.com');
+    const otherAudience = signAs('https://auth.example.com', 'https://cms.example.com');
+
+    expect(() => jwtService.verifyAccessToken(otherIssuer)).toThrow('Invalid token');
+    expect(() => jwtService.verifyAccessToken(otherAudience)).toThrow('Invalid token');
+  });
+});
+
+describe('claims hook', () => {
+  it('embeds the email verification state by default', () => {
+    const decoded = jwt.decode(jwtService.generateAccessToken(user));
+
+    expect(decoded.email_verified).toBe(true);
+  });
+
+  it('adds custom claims to access tokens', () => {
+    jwtService.setClaimsProvider((tokenUser) => ({
+      tenant_id: 'acme',
+      email_verified: tokenUser.isEmailVerified,
+    }));
+
+    const decoded = jwt.decode(jwtService.generateAccessToken(user));
+
+    expect(decoded).toMatchObject({ tenant_id: 'acme', email_verified: true });
+  });
+
+  it("can't override reserved claims", () => {
+    jwtService.setClaimsProvider(() => ({ id: 'someone-else', type: 'refresh', aud: 'x' }));
+
+    const decoded = jwtService.verifyAccessToken(jwtService.generateAccessToken(user));
+
+    expect(decoded).toMatchObject({ id: user._id, type: 'access' });
+  });
+});
@@ -0,0 +1,104 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import RevokedToken from '../src/models/RevokedToken.js';
+import { createSession } from '../src/services/sessionService.js';
+import { mockQuery, buildUser, context } from './helpers.js';
+
+let user;
+
+// Stands in for the sessions collection
+let sessions;
+
+beforeEach(() => {
+  user = buildUser();
+  sessions = [];
+
+  jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(user));
+  // $inc on the one user document
+  jest.spyOn(User, 'updateOne').mockImplementation((filter, update) => {
+    user.tokenVersion += update.$inc.tokenVersion;
+    return mockQuery({ matchedCount: 1 });
+  });
+  jest.spyOn(RevokedToken, 'exists').mockImplementation(() => mockQuery(null));
+  jest.spyOn(Session.prototype, 'save').mockImplementation(function () {
+    if (!sessions.includes(this)) {
+      sessions.push(this);
+    }
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Session, 'findById').mockImplementation((id) =>
+    mockQuery(sessions.find((session) => session._id.equals(id)) || null)
+  );
+  jest.spyOn(Session, 'updateMany').mockImplementation((filter, update) => {
+    const matched = sessions.filter((session) => !session.revokedAt);
+    matched.forEach((session) => session.set(update.$set));
+    return mockQuery({ modifiedCount: matched.length });
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const getMe = (accessToken) =>
+  request(app).get('/api/auth/me').set('Authorization', `Bearer ${accessToken}`);
+
+describe('token version', () => {
+  it('is embedded in access and refresh tokens', async () => {
+    user.tokenVersion = 3;
+
+    const { accessToken, refreshToken } = await createSession(user, context);
+
+    expect(jwt.decode(accessToken).ver).toBe(3);
+    expect(jwt.decode(refreshToken).ver).toBe(3);
+  });
+
+  it('rejects access tokens of an older version', async () => {
+    const { accessToken } = await createSession(user, context);
+
+    await User.incrementTokenVersion(user._id);
+
+    const res = await getMe(accessToken);
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Your session has ended. Please log in again.');
+  });
+
+  it('rejects refresh tokens of an older version and ends their session', async () => {
+    const { refreshToken, session } = await createSession(user, context);
+
+    await User.incrementTokenVersion(user._id);
+
+    const res = await request(app).post('/api/auth/refresh-token').send({ refreshToken });
+    expect(res.status).toBe(401);
+    expect(session.revokedReason).toBe('token-version');
+  });
+});
+
+describe('POST /api/auth/logout-all', () => {
+  it('logs every device out, this one included', async () => {
+    const phone = await createSession(user, context);
+    const laptop = await createSession(user, context);
+
+    const res = await request(app)
+      .post('/api/auth/logout-all')
+      .set('Authorization', `Bearer ${laptop.accessToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.revoked).toBe(2);
+    expect(user.tokenVersion).toBe(1);
+    expect((await getMe(phone.accessToken)).status).toBe(401);
+    expect((await getMe(laptop.accessToken)).status).toBe(401);
+  });
+
+  it('leaves new logins working', async () => {
+    await User.incrementTokenVersion(user._id);
+
+    const { accessToken } = await createSession(user, context);
+
+    expect((await getMe(accessToken)).status).toBe(200);
+  });
+});
@@ -0,0 +1,192 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import Passkey from '../src/models/Passkey.js';
+import Token from '../src/models/Token.js';
+import RecoveryCode from '../src/models/RecoveryCode.js';
+import TrustedDevice from '../src/models/TrustedDevice.js';
+import SecurityEvent from '../src/models/SecurityEvent.js';
+import { login } from '../src/services/authService.js';
+import { confirmDevice } from '../src/services/trustedDeviceService.js';
+import { recoverAccount } from '../src/services/recoveryCodeService.js';
+import { verifyAccessToken } from '../src/services/jwtService.js';
+import {
+  mockQuery,
+  buildUser,
+  context,
+  PASSWORD,
+  verifyAsOtherService,
+} from './helpers.js';
+
+// The emailed code (crypto.randomInt is mocked)
+const CODE = '123456';
+
+let user;
+// Stands in for the trusteddevices collection
+let devices;
+
+/**
+ * Minimal MongoDB filter matching for the queries of trustedDeviceService
+ */
+const matches = (device, filter) =>
+  Object.entries(filter).every(([field, value]) => {
+    if (value && value.$ne !== undefined) {
+      return device[field] !== value.$ne;
+    }
+    return String(device[field]) === String(value);
+  });
+
+const loginFrom = (browserContext, deviceToken) =>
+  login({ email: user.email, password: PASSWORD }, browserContext, { deviceToken });
+
+beforeEach(() => {
+  user = buildUser({ loginAttempts: 0 });
+  devices = [];
+
+  jest.spyOn(crypto, 'randomInt').mockReturnValue(Number(CODE));
+  jest.spyOn(User, 'findByEmailIncludingDeleted').mockImplementation(() => mockQuery(user));
+  jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(user));
+  jest.spyOn(User.prototype, 'updateOne').mockImplementation(function (update) {
+    if (update.$inc) {
+      this.loginAttempts += update.$inc.loginAttempts;
+    }
+    return mockQuery({ matchedCount: 1 });
+  });
+  jest.spyOn(Passkey, 'exists').mockImplementation(() => mockQuery(null));
+  jest.spyOn(Session.prototype, 'save').mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(SecurityEvent, 'record').mockResolvedValue({});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+
+  jest.spyOn(TrustedDevice.prototype, 'save').mockImplementation(function () {
+    devices.push(this);
+    return Promise.resolve(this);
+  });
+  jest.spyOn(TrustedDevice, 'create').mockImplementation((fields) => {
+    const device = new TrustedDevice(fields);
+    devices.push(device);
+    return Promise.resolve(device);
+  });
+  jest.spyOn(TrustedDevice, 'findOne').mockImplementation((filter) =>
+    mockQuery(devices.find((device) => matches(device, filter)) || null)
+  );
+  jest.spyOn(TrustedDevice, 'findOneAndUpdate').mockImplementation((filter, update) => {
+    const device = devices.find((candidate) => matches(candidate, filter));
+    if (device) {
+      device.set(update.$set);
+      device.codeHash = undefined;
+    }
+    return mockQuery(device || null);
+  });
+  jest.spyOn(TrustedDevice, 'updateOne').mockImplementation((filter, update) => {
+    devices.find((device) => matches(device, filter))?.set(update.$set);
+    return mockQuery({ matchedCount: 1 });
+  });
+  jest.spyOn(TrustedDevice, 'deleteMany').mockImplementation((filter) => {
+    devices = devices.filter((device) => !matches(device, filter));
+    return mockQuery({ deletedCount: 0 });
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('new-device confirmation', () => {
+  it('holds a login from an unknown browser until the emailed code is entered', async () => {
+    const result = await loginFrom(context);
+
+    expect(result.data.deviceConfirmationRequired).toBe(true);
+    expect(result.data.accessToken).toBeUndefined();
+
+    const confirmed = await confirmDevice(result.data.challengeToken, CODE, context);
+
+    expect(verifyAccessToken(confirmed.data.accessToken).id).toBe(user._id.toString());
+    expect(confirmed.deviceToken).toBeDefined();
+  });
+
+  it('lets a browser with the device cookie in, without moving the stored IP', async () => {
+    const { challengeToken } = (await loginFrom(context)).data;
+    const { deviceToken } = await confirmDevice(challengeToken, CODE, context);
+
+    const result = await loginFrom({ ...context, ip: '198.51.100.23' }, deviceToken);
+
+    expect(result.data.accessToken).toBeDefined();
+    expect(devices[0].ip).toBe(context.ip);
+  });
+
+  it('does not trust a browser without the cookie, even with the same user agent and IP', async () => {
+    const { challengeToken } = (await loginFrom(context)).data;
+    await confirmDevice(challengeToken, CODE, context);
+
+    const result = await loginFrom(context);
+
+    expect(result.data.deviceConfirmationRequired).toBe(true);
+  });
+
+  it('does not accept the device cookie of another user', async () => {
+    const { challengeToken } = (await loginFrom(context)).data;
+    const { deviceToken } = await confirmDevice(challengeToken, CODE, context);
+    user = buildUser({ email: 'john@example.com', loginAttempts: 0 });
+
+    const result = await loginFrom(context, deviceToken);
+
+    expect(result.data.deviceConfirmationRequired).toBe(true);
+  });
+
+  it('accepts a code once', async () => {
+    const { challengeToken } = (await loginFrom(context)).data;
+    await confirmDevice(challengeToken, CODE, context);
+
+    await expect(confirmDevice(challengeToken, CODE, context)).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Your login attempt has expired. Please log in again.',
+    });
+  });
+
+  it('counts a wrong code as a failed login attempt', async () => {
+    const { challengeToken } = (await loginFrom(context)).data;
+
+    await expect(confirmDevice(challengeToken, '654321', context)).rejects.toMatchObject({
+      message: 'Invalid confirmation code',
+    });
+
+    expect(user.loginAttempts).toBe(1);
+  });
+
+  it('keeps its tokens away from other services (JWKS)', async () => {
+    const { challengeToken } = (await loginFrom(context)).data;
+    const { deviceToken } = await confirmDevice(challengeToken, CODE, context);
+
+    expect(() => verifyAsOtherService(challengeToken)).toThrow(/audience/);
+    expect(() => verifyAsOtherService(deviceToken)).toThrow(/audience/);
+  });
+});
+
+describe('account recovery', () => {
+  it('trusts the browser, so logging in needs no emailed code', async () => {
+    jest.spyOn(User, 'findByEmail').mockImplementation(() => mockQuery(user));
+    // Hash the new password like the pre-save hook
+    jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+      this.password = bcrypt.hashSync(this.password, 4);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(RecoveryCode, 'findOneAndUpdate').mockImplementation(() =>
+      mockQuery(new RecoveryCode({ userId: user._id, codeHash: 'hash' }))
+    );
+    jest.spyOn(RecoveryCode, 'countDocuments').mockImplementation(() => mockQuery(9));
+    jest.spyOn(Token, 'deleteUserTokens').mockResolvedValue({ deletedCount: 0 });
+    jest.spyOn(Session, 'revokeUserSessions').mockResolvedValue({ modifiedCount: 1 });
+
+    const { deviceToken } = await recoverAccount(
+      { email: user.email, code: 'abcde-fghjk', password: PASSWORD },
+      context
+    );
+    const result = await loginFrom(context, deviceToken);
+
+    expect(result.data.accessToken).toBeDefined();
+  });
+});
@@ -0,0 +1,165 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import request from 'supertest';
+import { authenticator } from 'otplib';
+import app from '../src/app.js';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import RevokedToken from '../src/models/RevokedToken.js';
+import { completeTwoFactorLogin } from '../src/services/twoFactorService.js';
+import {
+  generateAccessToken,
+  generateLoginChallengeToken,
+  verifyAccessToken,
+} from '../src/services/jwtService.js';
+import { encrypt } from '../src/utils/encryption.js';
+import { mockQuery, buildUser, context, verifyAsOtherService } from './helpers.js';
+
+const secret = authenticator.generateSecret(20);
+
+let user;
+
+beforeEach(() => {
+  user = buildUser({
+    twoFactor: { enabled: true, secret: encrypt(secret) },
+    loginAttempts: 0,
+  });
+
+  jest.spyOn(User, 'findById').mockImplementation(() => mockQuery(user));
+  // Stands in for the users collection: only the fields the login updates
+  jest.spyOn(User, 'updateOne').mockImplementation((filter, update) => {
+    const current = user.twoFactor.lastUsedStep;
+    const matchesStep = (condition) => {
+      const value = condition['twoFactor.lastUsedStep'];
+      return value === null ? current == null : current < value.$lt;
+    };
+    const matched = !filter.$or || filter.$or.some(matchesStep);
+
+    if (matched) {
+      user.set(update.$set);
+    }
+    return mockQuery({ matchedCount: Number(matched), modifiedCount: Number(matched) });
+  });
+  jest.spyOn(User.prototype, 'updateOne').mockImplementation(function (update) {
+    if (update.$inc) {
+      this.loginAttempts += update.$inc.loginAttempts;
+    }
+    return mockQuery({ matchedCount: 1 });
+  });
+  jest.spyOn(Session.prototype, 'save').mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('login challenge token', () => {
+  it('is not accepted as an access token', () => {
+    const challengeToken = generateLoginChallengeToken(user._id);
+
+    expect(() => verifyAccessToken(challengeToken)).toThrow();
+  });
+
+  it('fails the audience check of other services (JWKS)', () => {
+    const challengeToken = generateLoginChallengeToken(user._id);
+
+    expect(() => verifyAsOtherService(challengeToken)).toThrow(/audience/);
+  });
+});
+
+describe('completeTwoFactorLogin', () => {
+  it('logs in with the current code', async () => {
+    const challengeToken = generateLoginChallengeToken(user._id, { rememberMe: true });
+
+    const result = await completeTwoFactorLogin(
+      challengeToken,
+      authenticator.generate(secret),
+      context
+    );
+
+    expect(result.data).toMatchObject({ rememberMe: true });
+    expect(verifyAccessToken(result.data.accessToken).id).toBe(user._id.toString());
+  });
+
+  it('accepts a code only once (replay)', async () => {
+    const code = authenticator.generate(secret);
+
+    await completeTwoFactorLogin(generateLoginChallengeToken(user._id), code, context);
+
+    await expect(
+      completeTwoFactorLogin(generateLoginChallengeToken(user._id), code, context)
+    ).rejects.toMatchObject({ statusCode: 401, message: 'Invalid two-factor code' });
+  });
+
+  it('accepts a code only once when two logins race', async () => {
+    // Both requests loaded the user before either stored the time step
+    const loaded = User.hydrate(user.toObject());
+    User.findById.mockImplementation(() => mockQuery(User.hydrate(loaded.toObject())));
+    const code = authenticator.generate(secret);
+
+    await completeTwoFactorLogin(generateLoginChallengeToken(user._id), code, context);
+
+    await expect(
+      completeTwoFactorLogin(generateLoginChallengeToken(user._id), code, context)
+    ).rejects.toMatchObject({ statusCode: 401, message: 'Invalid two-factor code' });
+  });
+
+  it('counts a wrong code as a failed login attempt', async () => {
+    const code = authenticator.generate(secret) === '000000' ? '111111' : '000000';
+
+    await expect(
+      completeTwoFactorLogin(generateLoginChallengeToken(user._id), code, context)
+    ).rejects.toMatchObject({ message: 'Invalid two-factor code' });
+
+    expect(user.loginAttempts).toBe(1);
+  });
+
+  it('refuses an access token as challenge', async () => {
+    const { accessToken } = (
+      await completeTwoFactorLogin(
+        generateLoginChallengeToken(user._id),
+        authenticator.generate(secret),
+        context
+      )
+    ).data;
+
+    await expect(
+      completeTwoFactorLogin(accessToken, authenticator.generate(secret), context)
+    ).rejects.toMatchObject({ statusCode: 401 });
+  });
+});
+
+describe('POST /api/auth/google', () => {
+  it('is public: reached without being logged in', async () => {
+    const res = await request(app).post('/api/auth/google').send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Google ID token is required');
+  });
+});
+
+describe('2FA enrollment', () => {
+  it.each(['/api/auth/2fa/setup', '/api/auth/2fa/enable'])(
+    'requires a recent login (%s)',
+    async (path) => {
+      const session = new Session({
+        userId: user._id,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      });
+      jest.spyOn(Session, 'findById').mockImplementation(() => mockQuery(session));
+      jest.spyOn(RevokedToken, 'exists').mockImplementation(() => mockQuery(null));
+      const accessToken = generateAccessToken(user, session._id.toString(), {
+        authTime: new Date(Date.now() - 60 * 60 * 1000),
+      });
+
+      const res = await request(app)
+        .post(path)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ code: '123456' });
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('insufficient_user_authentication');
+    }
+  );
+});